@@ -51,10 +51,12 @@ const adminSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  // Organization-wide role; per-building grants can raise it (see utils/permissions.js)
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
   role: {
     type: String,
-    enum: ['admin'],
-    default: 'admin'
+    enum: ['owner', 'editor', 'viewer'],
+    default: 'viewer'
   },
   isActive: {
     type: Boolean,
@@ -113,12 +115,88 @@ adminSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// --- Organization Schema ---
+// The team that maintains a set of buildings and campuses
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, {
+  timestamps: true
+});
+
+// --- Invitation Schema ---
+// Lets a new admin sign up into an organization. Only a hash of the token is
+// stored; the token itself is shown once to the inviting owner.
+const invitationSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ['owner', 'editor', 'viewer'], required: true },
+  buildingGrants: [{
+    building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
+    role: { type: String, enum: ['owner', 'editor'], required: true }
+  }],
+  tokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true }
+}, {
+  timestamps: true
+});
+
+// --- Audit Log Schema ---
+// One entry per admin write (see utils/audit.js). `changes` maps each changed
+// top-level field to its { before, after } values. Entries are append-only:
+// the update and delete query hooks below reject any change to them.
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'status', 'publish', 'rollback', 'import', 'precompute', 'suggest'];
+const AUDIT_ENTITY_TYPES = ['organization', 'admin', 'invitation', 'building', 'campus', 'landmark', 'path', 'path_suggestion', 'hazard_zone', 'visitor'];
+
+const auditLogSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+  // Copied so entries stay readable after the admin's name or email changes
+  actorName: { type: String },
+  actorEmail: { type: String },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  entityType: { type: String, enum: AUDIT_ENTITY_TYPES, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  entityName: { type: String },
+  building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building' },
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+const rejectAuditChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectAuditChange
+);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectAuditChange(next);
+  next();
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectAuditChange);
+
 // --- Visitor Schema ---
 const visitorSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   phone: { type: String, trim: true },
   address: { type: String, trim: true }, // ✨ ADDED: Address field
   building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building' },
+  // Restricted landmarks/paths this visitor may be routed through
+  accessGrants: {
+    landmarks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Landmark' }],
+    paths: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Path' }]
+  },
   lastVisit: { type: Date, default: Date.now }
 }, {
   timestamps: true
@@ -133,8 +211,44 @@ const buildingSchema = new mongoose.Schema({
   floors: [{
     number: { type: String, required: true },
     name: { type: String, required: true },
-    mapImage: { type: String }
+    mapImage: { type: String },
+    mapSize: { width: Number, height: Number }, // map image pixels
+    metersPerPixel: { type: Number, min: 0 }, // calibrated in the floor-plan editor
+    origin: { x: Number, y: Number }, // map pixel of the building's reference point
+    rotation: { type: Number, min: 0, max: 360 }, // map "up", degrees clockwise from north
+    elevation: { type: Number } // metres above ground level
   }],
+  // Buildings on the same campus can be joined by connector paths
+  campus: { type: mongoose.Schema.Types.ObjectId, ref: 'Campus' },
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  // Roles on this building only, above the admin's organization role
+  grants: [{
+    _id: false,
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+    role: { type: String, enum: ['owner', 'editor'], required: true }
+  }],
+  // IANA zone that landmark opening hours are read in, e.g. 'Europe/Berlin'
+  timezone: { type: String, default: 'UTC' },
+  // Number of the BuildingRevision visitors are served; 0 until first published
+  publishedRevision: { type: Number, default: 0 },
+  // Removed from the draft but possibly still in a revision: S3 images, and
+  // deleted landmarks whose navigation history is kept. Cleaned up after a
+  // publish once no revision references them (see utils/revisions.js).
+  pendingCleanup: {
+    images: [{ type: String }],
+    landmarks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Landmark' }]
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true }
+}, {
+  timestamps: true
+});
+
+// --- Campus Schema ---
+const campusSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
   isActive: { type: Boolean, default: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true }
 }, {
@@ -174,6 +288,14 @@ const landmarkSchema = new mongoose.Schema({
     enum: ['open', 'closed', 'restricted'], // Defines allowed values
     default: 'open', // New landmarks are open by default
   },
+  // Weekly hours in the building's time zone; none means always open. A period
+  // whose close is not after its open runs past midnight.
+  openingHours: [{
+    _id: false,
+    day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    open: { type: String, required: true },  // 'HH:MM'
+    close: { type: String, required: true }
+  }],
   isActive: { // You can keep this for soft deletes
     type: Boolean,
     default: true,
@@ -201,11 +323,19 @@ const pathSchema = new mongoose.Schema({
     requiresStairs: { type: Boolean, default: false }
   },
   isBidirectional: { type: Boolean, default: true },
+  // 'outdoor' and 'skybridge' paths join entrances of different buildings on a campus
+  connectorType: { type: String, enum: ['indoor', 'outdoor', 'skybridge'], default: 'indoor' },
    status: {
     type: String,
     enum: ['open', 'closed', 'restricted'],
     default: 'open',
   },
+  // One-off closures, e.g. maintenance; the path is closed from start to end
+  scheduledClosures: [{
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    reason: { type: String, trim: true }
+  }],
   isActive: { type: Boolean, default: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true }
 }, {
@@ -215,37 +345,179 @@ const pathSchema = new mongoose.Schema({
 // --- Navigation History Schema ---
 const navigationHistorySchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  visitor: { type: mongoose.Schema.Types.ObjectId, ref: 'Visitor' },
   sessionId: { type: String, required: true },
   building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
   fromLandmark: { type: mongoose.Schema.Types.ObjectId, ref: 'Landmark', required: true },
   toLandmark: { type: mongoose.Schema.Types.ObjectId, ref: 'Landmark', required: true },
   route: [mongoose.Schema.Types.Mixed],
   totalDistance: { type: Number, required: true },
-  estimatedTime: { type: Number, required: true },
-  actualTime: { type: Number },
+  estimatedTime: { type: Number, required: true }, // seconds, like path estimatedTime
+  actualTime: { type: Number },                    // seconds
   status: { type: String, enum: ['started', 'in_progress', 'completed', 'cancelled'], default: 'started' },
+  currentStep: { type: Number, default: 1 }, // 1-based, matches route stepNumber
+  startedAt: { type: Date },                 // first progress report
+  lastProgressAt: { type: Date },
   completedAt: { type: Date },
-  feedback: { rating: { type: Number, min: 1, max: 5 }, comment: String }
+  feedback: { rating: { type: Number, min: 1, max: 5 }, comment: String },
+  // One entry per reroute, so it is possible to see where visitors get lost
+  deviations: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    step: { type: Number },                  // currentStep when the visitor rerouted
+    expectedLandmark: { type: mongoose.Schema.Types.ObjectId, ref: 'Landmark' },
+    actualLandmark: { type: mongoose.Schema.Types.ObjectId, ref: 'Landmark', required: true },
+    onRoute: { type: Boolean },              // actualLandmark was on the previous route
+    avoidedPaths: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Path' }],
+    reason: { type: String, enum: ['off_route', 'closure'], default: 'off_route' },
+    distance: { type: Number },              // of the new route
+    estimatedTime: { type: Number }
+  }]
 }, {
   timestamps: true
 });
 
+// --- Route Table Schema ---
+// Precomputed all-pairs shortest paths for one building and preference profile.
+// Matrices are indexed by position in `nodes`; -1 marks unreachable pairs.
+const routeTableSchema = new mongoose.Schema({
+  building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
+  profile: { type: String, enum: ['default', 'wheelchair', 'avoidStairs'], required: true },
+  status: { type: String, enum: ['building', 'ready', 'stale', 'failed'], default: 'building' },
+  nodes: [String],
+  paths: [String],
+  distances: [[Number]],
+  times: [[Number]],
+  nextHops: [[Number]],
+  nextPaths: [[Number]],
+  nodeCount: { type: Number, default: 0 },
+  edgeCount: { type: Number, default: 0 },
+  sizeBytes: { type: Number, default: 0 },
+  buildDurationMs: { type: Number },
+  builtAt: { type: Date },
+  staleSince: { type: Date },
+  error: { type: String },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, {
+  timestamps: true
+});
+
+// --- Path Suggestion Schema ---
+// Candidate paths proposed from landmark coordinates, waiting for an admin to
+// accept (creating a real Path) or reject them.
+const pathSuggestionSchema = new mongoose.Schema({
+  building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'Landmark', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'Landmark', required: true },
+  kind: { type: String, enum: ['horizontal', 'vertical'], required: true },
+  floor: { type: String }, // horizontal suggestions only
+  pixelDistance: { type: Number },
+  distance: { type: Number, required: true, min: 0 },
+  estimatedTime: { type: Number, required: true, min: 0 },
+  instructions: { type: String, required: true, trim: true },
+  reverseInstructions: { type: String, trim: true },
+  accessibility: {
+    wheelchairAccessible: { type: Boolean, default: true },
+    requiresElevator: { type: Boolean, default: false },
+    requiresStairs: { type: Boolean, default: false }
+  },
+  status: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
+  path: { type: mongoose.Schema.Types.ObjectId, ref: 'Path' }, // set once accepted
+  decidedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true }
+}, {
+  timestamps: true
+});
+
+// --- Hazard Zone Schema ---
+// An area an admin marks as unsafe (fire, flooding, ...) while it lasts.
+// Operational like path closures: applied to evacuation routes straight away,
+// never part of a revision. Clearing a zone keeps it for the record.
+const hazardZoneSchema = new mongoose.Schema({
+  building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  floor: { type: String }, // the floor `polygon` is drawn on
+  // Map pixels; landmarks inside and paths crossing it are avoided
+  polygon: [{ x: { type: Number, required: true }, y: { type: Number, required: true }, _id: false }],
+  // Avoided wherever they are, polygon or not
+  landmarks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Landmark' }],
+  paths: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Path' }],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+  clearedAt: { type: Date },
+  clearedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, {
+  timestamps: true
+});
+
+// --- Building Revision Schema ---
+// A published snapshot of a building's details, floors, active landmarks and
+// paths. The live Building/Landmark/Path documents are the draft admins edit;
+// visitors are routed on the current revision (see utils/revisions.js).
+const buildingRevisionSchema = new mongoose.Schema({
+  building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
+  number: { type: Number, required: true, min: 1 },
+  isCurrent: { type: Boolean, default: false },
+  snapshot: {
+    building: { type: mongoose.Schema.Types.Mixed, required: true },
+    landmarks: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    paths: { type: [mongoose.Schema.Types.Mixed], default: [] }
+  },
+  counts: {
+    landmarks: { type: Number, default: 0 },
+    paths: { type: Number, default: 0 }
+  },
+  note: { type: String, trim: true, maxlength: 500 },
+  restoredFrom: { type: Number }, // set on revisions created by a rollback
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  publishedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  minimize: false // keep snapshots verbatim, empty objects included
+});
+
 // --- Create indexes for better performance ---
 // (Removed duplicate admin index)
 visitorSchema.index({ email: 1 });
 buildingSchema.index({ createdBy: 1 });
+buildingSchema.index({ campus: 1 });
+campusSchema.index({ createdBy: 1 });
 landmarkSchema.index({ building: 1, createdBy: 1 });
 pathSchema.index({ from: 1, to: 1, createdBy: 1 });
 navigationHistorySchema.index({ building: 1 });
+navigationHistorySchema.index({ user: 1, createdAt: -1 });
+navigationHistorySchema.index({ visitor: 1, createdAt: -1 });
+routeTableSchema.index({ building: 1, profile: 1 }, { unique: true });
+pathSuggestionSchema.index({ building: 1, status: 1 });
+hazardZoneSchema.index({ building: 1, isActive: 1 });
+buildingRevisionSchema.index({ building: 1, number: -1 }, { unique: true });
+adminSchema.index({ organization: 1 });
+buildingSchema.index({ organization: 1, isActive: 1 });
+campusSchema.index({ organization: 1 });
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ organization: 1, email: 1 });
+buildingRevisionSchema.index({ 'snapshot.landmarks._id': 1 }, { partialFilterExpression: { isCurrent: true } });
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, building: 1, createdAt: -1 });
 
 // --- Create models ---
 const Admin = mongoose.model('Admin', adminSchema);
 const Visitor = mongoose.model('Visitor', visitorSchema);
 const Building = mongoose.model('Building', buildingSchema);
+const Campus = mongoose.model('Campus', campusSchema);
 const Landmark = mongoose.model('Landmark', landmarkSchema);
 const Path = mongoose.model('Path', pathSchema);
 const NavigationHistory = mongoose.model('NavigationHistory', navigationHistorySchema);
 const Feedback = mongoose.model('Feedback', feedbackSchema);
+const RouteTable = mongoose.model('RouteTable', routeTableSchema);
+const PathSuggestion = mongoose.model('PathSuggestion', pathSuggestionSchema);
+const HazardZone = mongoose.model('HazardZone', hazardZoneSchema);
+const BuildingRevision = mongoose.model('BuildingRevision', buildingRevisionSchema);
+const Organization = mongoose.model('Organization', organizationSchema);
+const Invitation = mongoose.model('Invitation', invitationSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
 
 // --- Export models and connection function ---
 module.exports = {
@@ -253,8 +525,16 @@ module.exports = {
   Admin,
   Visitor,
   Building,
+  Campus,
   Landmark,
   Path,
   NavigationHistory,
-  Feedback
+  Feedback,
+  RouteTable,
+  PathSuggestion,
+  HazardZone,
+  BuildingRevision,
+  Organization,
+  Invitation,
+  AuditLog
 };
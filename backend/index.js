@@ -9,6 +9,10 @@ require('dotenv').config();
 const { connectDB } = require('./database');
 // S3 connection check
 const { checkS3Connection } = require('./middlewares/awsupload');
+// Publishes buildings that predate draft revisions
+const { publishUnversionedBuildings } = require('./utils/revisions');
+// Moves admins from before organizations into one of their own
+const { assignOrganizations } = require('./utils/permissions');
 
 // Routes
 const adminRoutes = require('./routes/admin');
@@ -142,9 +146,15 @@ const startServer = async () => {
   try {
     // 1. Connect to MongoDB
     await connectDB();
-    // 2. Check AWS S3 connection
+    // 2. Give admins without an organization their own
+    const organized = await assignOrganizations();
+    if (organized > 0) console.log(`👥 Created organizations for ${organized} admin(s)`);
+    // 3. Give existing buildings their first published revision
+    const published = await publishUnversionedBuildings();
+    if (published > 0) console.log(`📦 Published ${published} building(s) without a revision`);
+    // 4. Check AWS S3 connection
     await checkS3Connection();
-    // 3. Start the Express server
+    // 5. Start the Express server
     const PORT = process.env.PORT || 5000;
     const HOST = '0.0.0.0'; // Important for Render/cloud deployments
     app.listen(PORT, HOST, () => {
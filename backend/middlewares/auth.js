@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-const { Admin } = require('../database');
+const { Admin, Visitor } = require('../database');
+const { hasRole } = require('../utils/permissions');
 
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -61,13 +62,77 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-const requireAdmin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') { // ✨ FIX: Changed back from req.admin to req.user
+// Admin *or* visitor token (the one issued by POST /api/visitors/log).
+// Sets req.user for admins and req.visitor for visitors. With `required: false`
+// requests without an Authorization header pass through anonymously, but a
+// header that is present and unusable is still rejected with a 401.
+const navigatorAuth = ({ required }) => async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+
+    if (!authHeader) {
+      if (!required) return next();
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization denied. No token provided.'
+      });
+    }
+
+    if (!/^Bearer \S+$/.test(authHeader)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Malformed Authorization header. Expected "Bearer <token>".'
+      });
+    }
+
+    const decoded = jwt.verify(authHeader.replace('Bearer ', ''), process.env.JWT_SECRET);
+
+    if (decoded.visitorId) {
+      const visitor = await Visitor.findById(decoded.visitorId).lean();
+      if (!visitor) {
+        return res.status(401).json({ success: false, message: 'Authorization denied. Visitor not found.' });
+      }
+      req.visitor = visitor;
+      return next();
+    }
+
+    const admin = await Admin.findById(decoded.id).select('-password');
+    if (!admin) {
+      return res.status(401).json({ success: false, message: 'Authorization denied. Admin not found.' });
+    }
+    if (!admin.isActive) {
+      return res.status(403).json({ success: false, message: 'Access denied. Your account has been deactivated.' });
+    }
+    req.user = admin;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ success: false, message: 'Invalid token.' });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ success: false, message: 'Your session has expired. Please log in again.' });
+    }
+
+    console.error('Navigator auth error:', error);
+    res.status(500).json({ success: false, message: 'Server error during authentication.' });
+  }
+};
+
+const authenticateNavigator = navigatorAuth({ required: true });
+const optionalAuth = navigatorAuth({ required: false });
+
+// Organization role of at least `minRole` (see utils/permissions.js). Checks
+// on a single building, where grants can raise the role, happen in the route.
+const requireRole = (minRole = 'viewer') => (req, res, next) => {
+    if (req.user && req.user.organization && hasRole(req.user.role, minRole)) {
         next();
     } else {
         res.status(403).json({
             success: false,
-            message: 'Access denied. Admin privileges required.'
+            message: minRole === 'viewer'
+                ? 'Access denied. You are not a member of an organization.'
+                : `Access denied. This needs the ${minRole} role.`
         });
     }
 };
@@ -80,7 +145,9 @@ const generateToken = (id, name, role) => {
 
 module.exports = {
   authenticate,
-  requireAdmin,
+  authenticateNavigator,
+  optionalAuth,
+  requireRole,
   generateToken,
   authLimiter
 };
\ No newline at end of file
@@ -1,21 +1,71 @@
 const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const fetch = require('node-fetch');
-const { Admin, Building, Landmark, Path, NavigationHistory } = require('../database');
-const { authenticate, requireAdmin, authLimiter, generateToken } = require('../middlewares/auth');
+const {
+    Admin, Building, Campus, Landmark, Path, NavigationHistory, RouteTable, PathSuggestion, BuildingRevision,
+    Organization, Invitation, AuditLog, HazardZone
+} = require('../database');
+const { authenticate, requireRole, authLimiter, generateToken } = require('../middlewares/auth');
+const { hasRole, buildingRole, organizationFilter, organizationLandmarkIds } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { runInTransaction } = require('../utils/transactions');
 const { upload, deleteFromS3 } = require('../middlewares/awsupload');
+const { getBuildingGraph, invalidateBuilding, invalidatePublished, patchLandmark, patchPath, getCacheStats } = require('../utils/graphCache');
+const {
+    diffDraft, publishRevision, rollbackToRevision, queueCleanup, revisionReferences, publishPathStatus, publishLandmarkStatus, publishLandmarkHours, publishPathClosures
+} = require('../utils/revisions');
+const { getStreamCount } = require('../utils/liveUpdates');
+const { ROUTE_TABLE_MAX_NODES, buildRouteTables, getRouteTableStatus } = require('../utils/routeTables');
+const { serializeBuilding, bundleToGeoJSON, geoJSONToBundle, planBundleImport } = require('../utils/buildingBundle');
+const { checkGraphIntegrity } = require('../utils/graphIntegrity');
+const { suggestPaths } = require('../utils/pathSuggestions');
+const { getActiveHazards, buildEvacuationReport } = require('../utils/evacuation');
+const { closuresAt } = require('../utils/availability');
+const { toCsv } = require('../utils/csv');
+const { findFloor, getCoordinateError, getDistanceError } = require('../utils/floorGeometry');
+const {
+    LANDMARK_COLUMNS, LANDMARK_REQUIRED, PATH_COLUMNS, PATH_REQUIRED,
+    readSheet, prepareLandmarkRows, preparePathRows
+} = require('../utils/bulkImport');
 const {
     z,
   validate,
   validateQuery,
+  validateParams,
   adminSignupSchema,
   adminSigninSchema,
   resetPasswordSchema,
   buildingSchema,
   buildingUpdateSchema,
+  floorUpdateSchema,
+  campusSchema,
+  campusUpdateSchema,
+  buildingBundleSchema,
+  buildingImportQuerySchema,
+  buildingExportQuerySchema,
+  bulkUploadSchema,
+  bulkUploadQuerySchema,
   landmarkSchema,
   landmarkUpdateSchema,
+  landmarkHoursSchema,
   pathSchema,
   pathUpdateSchema,
+  pathClosuresSchema,
+  pathSuggestionRequestSchema,
+  pathSuggestionQuerySchema,
+  pathSuggestionDecisionSchema,
+  hazardZoneSchema,
+  hazardZoneUpdateSchema,
+  hazardZoneQuerySchema,
+  evacuationReportQuerySchema,
+  revisionPublishSchema,
+  revisionParamsSchema,
+  auditQuerySchema,
+  organizationUpdateSchema,
+  memberRoleSchema,
+  invitationSchema,
+  buildingGrantsUpdateSchema,
   paginationSchema,
   searchSchema
 } = require('../validators/schemas');
@@ -34,9 +84,15 @@ router.use((err, req, res, next) => {
 // ===============================
 // AUTHENTICATION (Public Routes)
 // ===============================
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Joining an organization takes an invitation. ADMIN_SECRET only bootstraps a
+// new organization, with the new admin as its owner.
 router.post('/signup', validate(adminSignupSchema), async (req, res) => {
-    const { name, email, password, adminSecret } = req.body;
-    if (adminSecret !== process.env.ADMIN_SECRET) {
+    const { name, email, password, inviteToken, adminSecret, organizationName } = req.body;
+    if (adminSecret && adminSecret !== process.env.ADMIN_SECRET) {
         return res.status(403).json({ success: false, message: 'Not authorized to create an admin account.' });
     }
     try {
@@ -44,13 +100,54 @@ router.post('/signup', validate(adminSignupSchema), async (req, res) => {
         if (adminExists) {
             return res.status(400).json({ success: false, message: 'Admin with this email already exists.' });
         }
+
+        let invitation = null;
+        if (inviteToken) {
+            invitation = await Invitation.findOne({ tokenHash: hashInviteToken(inviteToken), acceptedAt: { $exists: false } });
+            if (!invitation || invitation.expiresAt < new Date()) {
+                return res.status(403).json({ success: false, message: 'This invitation is invalid or has expired.' });
+            }
+            if (invitation.email !== email) {
+                return res.status(403).json({ success: false, message: 'This invitation was sent to a different email address.' });
+            }
+        }
+
         const admin = new Admin({ name, email, password });
+        if (invitation) {
+            admin.organization = invitation.organization;
+            admin.role = invitation.role;
+        } else {
+            const organization = await Organization.create({ name: organizationName || `${name}'s organization` });
+            admin.organization = organization._id;
+            admin.role = 'owner';
+        }
         await admin.save();
+
+        if (invitation) {
+            for (const grant of invitation.buildingGrants) {
+                await Building.updateOne(
+                    { _id: grant.building, organization: invitation.organization },
+                    { $push: { grants: { admin: admin._id, role: grant.role } } }
+                );
+            }
+            invitation.acceptedAt = new Date();
+            invitation.acceptedBy = admin._id;
+            await invitation.save();
+        } else {
+            await Organization.updateOne({ _id: admin.organization }, { $set: { createdBy: admin._id } });
+        }
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'admin',
+            after: admin,
+            details: invitation ? { invitation: invitation._id } : { newOrganization: true }
+        }, { actor: admin });
+
         res.status(201).json({
             success: true,
             message: 'Admin account created successfully.',
             data: {
-                admin: { id: admin._id, name: admin.name, email: admin.email },
+                admin: { id: admin._id, name: admin.name, email: admin.email, role: admin.role, organization: admin.organization },
                 token: generateToken(admin._id, admin.name, admin.role),
             }
         });
@@ -72,6 +169,7 @@ router.post('/reset-password', authLimiter, validate(resetPasswordSchema), async
         }
         admin.password = newPassword;
         await admin.save();
+        await recordAudit(req, { action: 'update', entityType: 'admin', entity: admin, details: { passwordReset: true } }, { actor: admin });
         res.json({ success: true, message: 'Admin password has been reset successfully.' });
     } catch (error) {
         console.error('Admin password reset error:', error);
@@ -93,7 +191,7 @@ router.post('/signin', authLimiter, validate(adminSigninSchema), async (req, res
             success: true,
             message: 'Logged in successfully.',
             data: {
-                admin: { id: admin._id, name: admin.name, email: admin.email },
+                admin: { id: admin._id, name: admin.name, email: admin.email, role: admin.role, organization: admin.organization },
                 token: generateToken(admin._id, admin.name, admin.role),
             }
         });
@@ -106,7 +204,7 @@ router.post('/signin', authLimiter, validate(adminSigninSchema), async (req, res
 // ===============================
 // PROTECTED ADMIN ROUTES
 // ===============================
-router.use(authenticate, requireAdmin);
+router.use(authenticate, requireRole('viewer'));
 
 router.get('/me', (req, res) => {
     res.json({ success: true, data: { admin: req.user } });
@@ -129,6 +227,7 @@ router.put('/me', validate(adminUpdateProfileSchema), async (req, res) => {
         if (!admin) {
             return res.status(404).json({ success: false, message: 'Admin not found.' });
         }
+        const before = admin.toObject();
         if (email && email !== admin.email) {
             const existingAdmin = await Admin.findOne({ email });
             if (existingAdmin) {
@@ -140,6 +239,7 @@ router.put('/me', validate(adminUpdateProfileSchema), async (req, res) => {
             admin.name = name;
         }
         await admin.save();
+        await recordAudit(req, { action: 'update', entityType: 'admin', before, after: admin });
         const updatedAdmin = { id: admin._id, name: admin.name, email: admin.email, role: admin.role };
         res.json({
             success: true,
@@ -165,6 +265,7 @@ router.put('/change-password', validate(adminChangePasswordSchema), async (req,
         }
         admin.password = newPassword;
         await admin.save();
+        await recordAudit(req, { action: 'update', entityType: 'admin', entity: admin, details: { passwordChanged: true } });
         res.json({ success: true, message: 'Password changed successfully.' });
     } catch (error) {
         console.error('Admin change password error:', error);
@@ -172,9 +273,233 @@ router.put('/change-password', validate(adminChangePasswordSchema), async (req,
     }
 });
 
+// ===============================
+// ORGANIZATION & TEAM
+// ===============================
+const MEMBER_FIELDS = 'name email role isActive createdAt';
+
+// An organization always keeps at least one active owner
+const isLastOwner = async (admin) => admin.role === 'owner' && await Admin.countDocuments({
+    organization: admin.organization, role: 'owner', isActive: true, _id: { $ne: admin._id }
+}) === 0;
+
+router.get('/organization', async (req, res) => {
+    try {
+        const isOwner = hasRole(req.user.role, 'owner');
+        const [organization, members, invitations] = await Promise.all([
+            Organization.findById(req.user.organization).lean(),
+            Admin.find({ organization: req.user.organization }).select(MEMBER_FIELDS).sort({ createdAt: 1 }).lean(),
+            // Only owners manage invitations
+            isOwner
+                ? Invitation.find({ organization: req.user.organization, acceptedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+                    .select('-tokenHash').populate('invitedBy', 'name email').populate('buildingGrants.building', 'name').sort({ createdAt: -1 }).lean()
+                : []
+        ]);
+        if (!organization) {
+            return res.status(404).json({ success: false, message: 'Organization not found.' });
+        }
+        res.json({ success: true, data: { organization, members, invitations, myRole: req.user.role } });
+    } catch (error) {
+        console.error('Organization fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching organization.' });
+    }
+});
+
+router.put('/organization', requireRole('owner'), validate(organizationUpdateSchema), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.user.organization);
+        if (!organization) {
+            return res.status(404).json({ success: false, message: 'Organization not found.' });
+        }
+        const before = organization.toObject();
+        organization.name = req.body.name;
+        await organization.save();
+        await recordAudit(req, { action: 'update', entityType: 'organization', before, after: organization });
+        res.json({ success: true, message: 'Organization updated successfully.', data: { organization } });
+    } catch (error) {
+        console.error('Organization update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating organization.' });
+    }
+});
+
+router.put('/organization/members/:adminId', requireRole('owner'), validate(memberRoleSchema), async (req, res) => {
+    try {
+        const member = await Admin.findOne({ _id: req.params.adminId, organization: req.user.organization });
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'Member not found.' });
+        }
+        if (req.body.role !== 'owner' && await isLastOwner(member)) {
+            return res.status(409).json({ success: false, message: 'The organization needs at least one owner.' });
+        }
+        const before = member.toObject();
+        member.role = req.body.role;
+        await member.save();
+        await recordAudit(req, { action: 'update', entityType: 'admin', before, after: member });
+        res.json({
+            success: true,
+            message: `${member.name} is now ${member.role === 'owner' ? 'an' : 'a'} ${member.role}.`,
+            data: { member: { _id: member._id, name: member.name, email: member.email, role: member.role, isActive: member.isActive } }
+        });
+    } catch (error) {
+        console.error('Member role update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating member role.' });
+    }
+});
+
+// Removing a member deactivates their account and drops their building grants;
+// what they created stays with the organization
+router.delete('/organization/members/:adminId', requireRole('owner'), async (req, res) => {
+    try {
+        const member = await Admin.findOne({ _id: req.params.adminId, organization: req.user.organization });
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'Member not found.' });
+        }
+        if (member._id.equals(req.user._id)) {
+            return res.status(400).json({ success: false, message: 'You cannot remove yourself from the organization.' });
+        }
+        if (await isLastOwner(member)) {
+            return res.status(409).json({ success: false, message: 'The organization needs at least one owner.' });
+        }
+        const before = member.toObject();
+        member.isActive = false;
+        await member.save();
+        const grants = await Building.updateMany(
+            { ...organizationFilter(req.user), 'grants.admin': member._id },
+            { $pull: { grants: { admin: member._id } } }
+        );
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'admin',
+            before,
+            after: member,
+            details: { removedFromOrganization: true, buildingGrantsRemoved: grants.modifiedCount }
+        });
+        res.json({ success: true, message: `${member.name} was removed from the organization.` });
+    } catch (error) {
+        console.error('Member removal error:', error);
+        res.status(500).json({ success: false, message: 'Server error removing member.' });
+    }
+});
+
+// The token is only returned here; the invitee signs up with it
+router.post('/organization/invitations', requireRole('owner'), validate(invitationSchema), async (req, res) => {
+    try {
+        const { email, role, buildingGrants } = req.body;
+        if (await Admin.exists({ email })) {
+            return res.status(409).json({ success: false, message: 'An admin with this email already exists.' });
+        }
+        const buildingIds = [...new Set(buildingGrants.map(grant => grant.building))];
+        const found = await Building.countDocuments({ _id: { $in: buildingIds }, ...organizationFilter(req.user) });
+        if (found !== buildingIds.length) {
+            return res.status(400).json({ success: false, message: 'Building grants can only name buildings of your organization.' });
+        }
+
+        // A new invitation for the same email replaces any open one
+        await Invitation.deleteMany({ organization: req.user.organization, email, acceptedAt: { $exists: false } });
+        const token = crypto.randomBytes(32).toString('hex');
+        const invitation = await Invitation.create({
+            organization: req.user.organization,
+            email,
+            role,
+            buildingGrants,
+            tokenHash: hashInviteToken(token),
+            expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+            invitedBy: req.user._id
+        });
+        const { tokenHash, ...invitationData } = invitation.toObject();
+        await recordAudit(req, { action: 'create', entityType: 'invitation', after: invitation });
+        res.status(201).json({
+            success: true,
+            message: `Invitation for ${email} created. Share the token with them; it is shown only once.`,
+            data: { invitation: invitationData, token }
+        });
+    } catch (error) {
+        console.error('Invitation create error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating invitation.' });
+    }
+});
+
+router.delete('/organization/invitations/:id', requireRole('owner'), async (req, res) => {
+    try {
+        const invitation = await Invitation.findOneAndDelete({
+            _id: req.params.id,
+            organization: req.user.organization,
+            acceptedAt: { $exists: false }
+        });
+        if (!invitation) {
+            return res.status(404).json({ success: false, message: 'Invitation not found.' });
+        }
+        await recordAudit(req, { action: 'delete', entityType: 'invitation', before: invitation });
+        res.json({ success: true, message: `Invitation for ${invitation.email} revoked.` });
+    } catch (error) {
+        console.error('Invitation revoke error:', error);
+        res.status(500).json({ success: false, message: 'Server error revoking invitation.' });
+    }
+});
+
 // ===============================
 // BUILDING MANAGEMENT
 // ===============================
+
+// Remove images that are no longer referenced. A failed S3 delete only leaves
+// an orphaned object behind, so it never fails the request.
+const deleteReplacedImages = async (urls) => {
+    const unused = urls.filter(Boolean);
+    if (unused.length === 0) return;
+    try {
+        await deleteFromS3(unused);
+    } catch (s3Error) {
+        console.error('S3 deletion failed:', s3Error);
+    }
+};
+
+// After a publish, delete what was queued by queueCleanup and neither the
+// draft nor any revision uses any more: S3 images, and the navigation history
+// of deleted landmarks. What a revision still uses is dropped from the queue
+// too; deleting the building removes it. Never fails the publish.
+const cleanupAfterPublish = async (buildingId) => {
+    try {
+        const building = await Building.findById(buildingId).select('image floors.mapImage pendingCleanup').lean();
+        const { images = [], landmarks = [] } = building?.pendingCleanup || {};
+        if (images.length === 0 && landmarks.length === 0) return;
+        const [referenced, landmarkImages] = await Promise.all([
+            revisionReferences(buildingId),
+            Landmark.find({ building: buildingId }).distinct('images.url')
+        ]);
+        const inDraft = new Set([building.image, ...building.floors.map(floor => floor.mapImage), ...landmarkImages]);
+        await deleteReplacedImages(images.filter(url => !referenced.images.has(url) && !inDraft.has(url)));
+        const unpublished = landmarks.filter(id => !referenced.landmarks.has(id.toString()));
+        if (unpublished.length > 0) {
+            await NavigationHistory.deleteMany({ $or: [{ fromLandmark: { $in: unpublished } }, { toLandmark: { $in: unpublished } }] });
+        }
+        await Building.updateOne({ _id: buildingId }, {
+            $pull: { 'pendingCleanup.images': { $in: images }, 'pendingCleanup.landmarks': { $in: landmarks } }
+        });
+    } catch (error) {
+        console.error('Cleanup after publish failed:', error);
+    }
+};
+
+// The building `id` when the admin's role on it is at least `minRole`.
+// Otherwise responds 404 (not in their organization) or 403 and returns null.
+const findBuildingFor = async (req, res, id, minRole, { includeInactive = false, lean = false } = {}) => {
+    const query = Building.findOne({
+        _id: id,
+        ...organizationFilter(req.user),
+        ...(!includeInactive && { isActive: true })
+    });
+    const building = await (lean ? query.lean() : query);
+    if (!building) {
+        res.status(404).json({ success: false, message: 'Building not found.' });
+        return null;
+    }
+    if (!hasRole(buildingRole(req.user, building), minRole)) {
+        res.status(403).json({ success: false, message: `Access denied. This needs the ${minRole} role on "${building.name}".` });
+        return null;
+    }
+    return building;
+};
+
 router.get('/buildings', validateQuery(paginationSchema), async (req, res) => {
     try {
         if (!req.user || !req.user._id) {
@@ -189,17 +514,18 @@ router.get('/buildings', validateQuery(paginationSchema), async (req, res) => {
         const skip = (page - 1) * limit;
 
         const [buildings, total] = await Promise.all([
-            Building.find({ createdBy: req.user._id, isActive: true })
+            Building.find({ ...organizationFilter(req.user), isActive: true })
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(limit)
                 .populate('createdBy', 'name email'),
-            Building.countDocuments({ createdBy: req.user._id, isActive: true })
+            Building.countDocuments({ ...organizationFilter(req.user), isActive: true })
         ]);
 
         res.json({
             success: true,
-            data: { buildings },
+            // `myRole` tells the dashboard which actions to offer
+            data: { buildings: buildings.map(building => ({ ...building.toObject(), myRole: buildingRole(req.user, building) })) },
             pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
         });
     } catch (error) {
@@ -212,9 +538,9 @@ router.get('/buildings', validateQuery(paginationSchema), async (req, res) => {
     }
 });
 
-router.post('/buildings', upload.single('image'), validate(buildingSchema), async (req, res) => {
+router.post('/buildings', requireRole('editor'), upload.single('image'), validate(buildingSchema), async (req, res) => {
     try {
-        const buildingData = { ...req.body, createdBy: req.user._id };
+        const buildingData = { ...req.body, organization: req.user.organization, createdBy: req.user._id };
         if (buildingData.floors && typeof buildingData.floors === 'string') {
             buildingData.floors = JSON.parse(buildingData.floors);
         }
@@ -223,6 +549,7 @@ router.post('/buildings', upload.single('image'), validate(buildingSchema), asyn
         }
         const building = new Building(buildingData);
         await building.save();
+        await recordAudit(req, { action: 'create', entityType: 'building', after: building });
         await building.populate('createdBy', 'name email');
         res.status(201).json({ success: true, message: 'Building created successfully.', data: { building } });
     } catch (error) {
@@ -233,11 +560,10 @@ router.post('/buildings', upload.single('image'), validate(buildingSchema), asyn
 
 router.get('/buildings/:id', async (req, res) => {
     try {
-        const building = await Building.findOne({ _id: req.params.id, createdBy: req.user._id, isActive: true }).populate('createdBy', 'name email');
-        if (!building) {
-            return res.status(404).json({ success: false, message: 'Building not found.' });
-        }
-        res.json({ success: true, data: { building } });
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer');
+        if (!building) return;
+        await building.populate('createdBy', 'name email');
+        res.json({ success: true, data: { building: { ...building.toObject(), myRole: buildingRole(req.user, building) } } });
     } catch (error) {
         console.error('Get building by ID error:', error);
         res.status(500).json({ success: false, message: 'Server error fetching building.' });
@@ -246,6 +572,8 @@ router.get('/buildings/:id', async (req, res) => {
 
 router.put('/buildings/:id', upload.single('image'), validate(buildingUpdateSchema), async (req, res) => {
     try {
+        const existing = await findBuildingFor(req, res, req.params.id, 'editor', { includeInactive: true });
+        if (!existing) return;
         const updateData = { ...req.body };
         if (updateData.floors && typeof updateData.floors === 'string') {
             updateData.floors = JSON.parse(updateData.floors);
@@ -254,13 +582,21 @@ router.put('/buildings/:id', upload.single('image'), validate(buildingUpdateSche
             updateData.image = req.file.location;
         }
         const building = await Building.findOneAndUpdate(
-            { _id: req.params.id, createdBy: req.user._id },
+            { _id: existing._id },
             updateData,
             { new: true, runValidators: true }
-        ).populate('createdBy', 'name email');
+        );
         if (!building) {
             return res.status(404).json({ success: false, message: 'Building not found.' });
         }
+        await recordAudit(req, { action: 'update', entityType: 'building', before: existing, after: building });
+        await building.populate('createdBy', 'name email');
+        // A replaced building image, and maps of floors that were removed or given another map
+        const stillUsed = new Set([building.image, ...building.floors.map(floor => floor.mapImage)]);
+        await queueCleanup(building._id, {
+            images: [existing.image, ...existing.floors.map(floor => floor.mapImage)].filter(url => !stillUsed.has(url))
+        });
+        invalidateBuilding(building._id);
         res.json({ success: true, message: 'Building updated successfully.', data: { building } });
     } catch (error) {
         console.error('Building update error:', error);
@@ -270,18 +606,20 @@ router.put('/buildings/:id', upload.single('image'), validate(buildingUpdateSche
 
 router.delete('/buildings/:id', async (req, res) => {
     try {
-        const building = await Building.findOne({ _id: req.params.id, createdBy: req.user._id });
-        if (!building) {
-            return res.status(404).json({ success: false, message: 'Building not found.' });
-        }
+        const building = await findBuildingFor(req, res, req.params.id, 'owner', { includeInactive: true });
+        if (!building) return;
         const landmarks = await Landmark.find({ building: building._id });
         const landmarkIds = landmarks.map(l => l._id);
-        const urlsToDelete = [];
-        if (building.image) {
-            urlsToDelete.push(building.image);
-        }
         const landmarkImageUrls = landmarks.flatMap(l => l.images.map(img => img.url));
-        urlsToDelete.push(...landmarkImageUrls);
+        // Its revisions and cleanup queue can hold on to images the draft no longer uses
+        const { images: revisionImages } = await revisionReferences(building._id);
+        const urlsToDelete = [...new Set([
+            building.image,
+            ...building.floors.map(floor => floor.mapImage),
+            ...landmarkImageUrls,
+            ...revisionImages,
+            ...(building.pendingCleanup?.images || [])
+        ].filter(Boolean))];
         if (urlsToDelete.length > 0) {
             try {
                 await deleteFromS3(urlsToDelete);
@@ -292,7 +630,18 @@ router.delete('/buildings/:id', async (req, res) => {
         const pathsDeleted = await Path.deleteMany({ $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }] });
         const navHistoryDeleted = await NavigationHistory.deleteMany({ building: building._id });
         await Landmark.deleteMany({ building: building._id });
+        await RouteTable.deleteMany({ building: building._id });
+        await PathSuggestion.deleteMany({ building: building._id });
+        await BuildingRevision.deleteMany({ building: building._id });
         await Building.findByIdAndDelete(building._id);
+        invalidateBuilding(building._id);
+        invalidatePublished(building._id);
+        await recordAudit(req, {
+            action: 'delete',
+            entityType: 'building',
+            before: building,
+            details: { landmarks: landmarks.length, paths: pathsDeleted.deletedCount }
+        });
         res.json({
             success: true,
             message: 'Building and all associated data deleted successfully.',
@@ -311,20 +660,669 @@ router.delete('/buildings/:id', async (req, res) => {
     }
 });
 
+// Replaces the building's grants. Grants only raise a member's organization
+// role on this building, so they can name any member of the organization.
+router.put('/buildings/:id/grants', validate(buildingGrantsUpdateSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'owner', { includeInactive: true });
+        if (!building) return;
+        const { grants } = req.body;
+        const members = await Admin.countDocuments({
+            _id: { $in: grants.map(grant => grant.admin) },
+            organization: req.user.organization,
+            isActive: true
+        });
+        if (members !== grants.length) {
+            return res.status(400).json({ success: false, message: 'Grants can only name active members of your organization.' });
+        }
+        const before = building.toObject();
+        building.grants = grants;
+        await building.save();
+        await recordAudit(req, { action: 'update', entityType: 'building', before, after: building });
+        await building.populate('grants.admin', 'name email role');
+        res.json({ success: true, message: 'Building access updated successfully.', data: { grants: building.grants } });
+    } catch (error) {
+        console.error('Building grants update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating building access.' });
+    }
+});
+
+// Landmarks off the floor's map and paths shorter than its scale/heights allow,
+// listed after floor metadata changes so they can be fixed
+const findFloorConflicts = async (building, floorNumber) => {
+    const floor = findFloor(building, floorNumber);
+    const landmarks = await Landmark.find({ building: building._id, floor: floorNumber, isActive: true })
+        .select('name floor building coordinates').lean();
+    const landmarkIds = landmarks.map(landmark => landmark._id);
+    const paths = await Path.find({ isActive: true, $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }] })
+        .populate('from to', 'name floor building coordinates').lean();
+    return [
+        ...landmarks.map(landmark => ({ landmark: landmark._id, message: getCoordinateError(floor, landmark.coordinates) })),
+        ...paths
+            .filter(path => path.from && path.to)
+            .map(path => ({ path: path._id, message: getDistanceError(building, path.from, path.to, path.distance) }))
+    ].filter(conflict => conflict.message);
+};
+
+// Upload or replace one floor's map image and/or set its floor-plan metadata.
+// `:floor` is the floor number. A replaced map is deleted from S3.
+router.put('/buildings/:id/floors/:floor', upload.single('mapImage'), validate(floorUpdateSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor');
+        if (!building) return;
+        const floor = building.floors.find(f => f.number === req.params.floor);
+        if (!floor) {
+            return res.status(404).json({ success: false, message: `Floor "${req.params.floor}" not found.` });
+        }
+
+        const before = building.toObject();
+        const replacedMap = req.file ? floor.mapImage : null;
+        if (req.file) {
+            floor.mapImage = req.file.location;
+            // The old map's pixel size does not describe the new image
+            floor.mapSize = undefined;
+        }
+        // Blank form fields arrive as null and clear the setting
+        Object.entries(req.body).forEach(([field, value]) => {
+            floor[field] = value === null ? undefined : value;
+        });
+        await building.save();
+        await recordAudit(req, { action: 'update', entityType: 'building', before, after: building, details: { floor: floor.number } });
+        await queueCleanup(building._id, { images: [replacedMap] });
+        invalidateBuilding(building._id);
+
+        const conflicts = await findFloorConflicts(building.toObject(), floor.number);
+        res.json({
+            success: true,
+            message: 'Floor updated successfully.',
+            data: { building, floor, conflicts }
+        });
+    } catch (error) {
+        console.error('Floor update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating floor.' });
+    }
+});
+
+router.delete('/buildings/:id/floors/:floor/map', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor');
+        if (!building) return;
+        const floor = building.floors.find(f => f.number === req.params.floor);
+        if (!floor) {
+            return res.status(404).json({ success: false, message: `Floor "${req.params.floor}" not found.` });
+        }
+        if (!floor.mapImage) {
+            return res.status(404).json({ success: false, message: 'This floor has no map image.' });
+        }
+
+        const before = building.toObject();
+        const removedMap = floor.mapImage;
+        floor.mapImage = undefined;
+        floor.mapSize = undefined;
+        await building.save();
+        await recordAudit(req, { action: 'update', entityType: 'building', before, after: building, details: { floor: floor.number } });
+        await queueCleanup(building._id, { images: [removedMap] });
+        invalidateBuilding(building._id);
+        res.json({ success: true, message: 'Floor map removed successfully.', data: { building, floor } });
+    } catch (error) {
+        console.error('Floor map delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error removing floor map.' });
+    }
+});
+
+// Precomputed all-pairs route tables (small buildings only). Built from the
+// published revision in the background and rebuilt automatically on each publish.
+router.post('/buildings/:id/route-tables', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor');
+        if (!building) return;
+        const landmarkCount = await Landmark.countDocuments({ building: building._id, isActive: true });
+        if (landmarkCount > ROUTE_TABLE_MAX_NODES) {
+            return res.status(400).json({
+                success: false,
+                message: `Route tables are limited to buildings with at most ${ROUTE_TABLE_MAX_NODES} landmarks (this one has ${landmarkCount}).`
+            });
+        }
+        buildRouteTables(building._id, { requestedBy: req.user._id })
+            .catch(error => console.error('Route table build error:', error));
+        await recordAudit(req, { action: 'precompute', entityType: 'building', entity: building, details: { landmarks: landmarkCount } });
+        res.status(202).json({
+            success: true,
+            message: 'Route table build started.',
+            data: { routeTables: await getRouteTableStatus(building._id) }
+        });
+    } catch (error) {
+        console.error('Route table trigger error:', error);
+        res.status(500).json({ success: false, message: 'Server error starting route table build.' });
+    }
+});
+
+router.get('/buildings/:id/route-tables', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer');
+        if (!building) return;
+        res.json({ success: true, data: { routeTables: await getRouteTableStatus(building._id) } });
+    } catch (error) {
+        console.error('Route table status error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching route tables.' });
+    }
+});
+
+// Static checks over the building's landmark/path network (see utils/graphIntegrity.js)
+router.get('/buildings/:id/integrity', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer', { lean: true });
+        if (!building) return;
+        const landmarks = await Landmark.find({ building: building._id, isActive: true })
+            .select('name floor type roomNumber coordinates status').lean();
+        const landmarkIds = landmarks.map(l => l._id);
+        const paths = await Path.find({
+            isActive: true,
+            $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }]
+        }).select('from to distance isBidirectional accessibility status').lean();
+
+        res.json({ success: true, data: { integrity: checkGraphIntegrity(building, landmarks, paths) } });
+    } catch (error) {
+        console.error('Integrity check error:', error);
+        res.status(500).json({ success: false, message: 'Server error checking building graph.' });
+    }
+});
+
+// Portable export of a building with its landmarks and paths (see utils/buildingBundle.js)
+router.get('/buildings/:id/export', async (req, res) => {
+    try {
+        const query = buildingExportQuerySchema.safeParse(req.query);
+        if (!query.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query validation error',
+                errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer', { lean: true });
+        if (!building) return;
+        const landmarks = await Landmark.find({ building: building._id, isActive: true }).sort({ createdAt: 1 }).lean();
+        const landmarkIds = landmarks.map(l => l._id);
+        const paths = await Path.find({
+            isActive: true,
+            $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }]
+        }).sort({ createdAt: 1 }).lean();
+
+        const bundle = serializeBuilding(building, landmarks, paths);
+        const { format } = query.data;
+        const slug = building.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'building';
+        res.attachment(`${slug}.naviguide.${format === 'geojson' ? 'geojson' : 'json'}`);
+        res.json(format === 'geojson' ? bundleToGeoJSON(bundle) : bundle);
+    } catch (error) {
+        console.error('Building export error:', error);
+        res.status(500).json({ success: false, message: 'Server error exporting building.' });
+    }
+});
+
+// Import a bundle (or GeoJSON) produced by the export endpoint as a new
+// building. `?dryRun=true` only validates; `?onConflict=rename` resolves a
+// clash with an existing building name instead of failing.
+router.post('/buildings/import', requireRole('editor'), async (req, res) => {
+    try {
+        const query = buildingImportQuerySchema.safeParse(req.query);
+        if (!query.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query validation error',
+                errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const { dryRun, onConflict } = query.data;
+
+        const rawBundle = req.body?.type === 'FeatureCollection' ? geoJSONToBundle(req.body) : req.body;
+        const parsed = buildingBundleSchema.safeParse(rawBundle);
+        if (!parsed.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid building bundle.',
+                errors: parsed.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const bundle = parsed.data;
+
+        const plan = planBundleImport(bundle, req.user._id);
+        if (plan.errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Invalid building bundle.', errors: plan.errors });
+        }
+
+        // The only conflict with existing data: a building of the same name
+        const conflicts = [];
+        let name = bundle.building.name;
+        const existingNames = new Set(await Building.find({ ...organizationFilter(req.user), isActive: true }).distinct('name'));
+        if (existingNames.has(name)) {
+            const conflict = { type: 'buildingName', name, resolution: onConflict === 'rename' ? 'renamed' : 'none' };
+            if (onConflict === 'rename') {
+                let suffix = 1;
+                do {
+                    name = `${bundle.building.name} (imported${suffix > 1 ? ` ${suffix}` : ''})`;
+                    suffix++;
+                } while (existingNames.has(name));
+                conflict.renamedTo = name;
+            }
+            conflicts.push(conflict);
+        }
+
+        const report = {
+            dryRun,
+            building: { name, floors: bundle.building.floors.length },
+            counts: { landmarks: plan.landmarks.length, paths: plan.paths.length },
+            conflicts
+        };
+
+        if (conflicts.some(conflict => conflict.resolution === 'none')) {
+            return res.status(409).json({
+                success: false,
+                message: `A building named "${bundle.building.name}" already exists. Retry with onConflict=rename to import it under a new name.`,
+                data: { report }
+            });
+        }
+        if (dryRun) {
+            return res.json({ success: true, message: 'Bundle is valid. Nothing was imported (dry run).', data: { report } });
+        }
+
+        // All or nothing: a failure halfway leaves nothing half-imported behind
+        const building = await runInTransaction(async (session) => {
+            const [created] = await Building.create([{
+                ...bundle.building, _id: plan.buildingId, name, organization: req.user.organization, createdBy: req.user._id
+            }], { session });
+            if (plan.landmarks.length > 0) await Landmark.insertMany(plan.landmarks, { session });
+            if (plan.paths.length > 0) await Path.insertMany(plan.paths, { session });
+            return created;
+        }, {
+            undo: async () => {
+                await Path.deleteMany({ _id: { $in: plan.paths.map(p => p._id) } });
+                await Landmark.deleteMany({ building: plan.buildingId });
+                await Building.deleteOne({ _id: plan.buildingId });
+            }
+        });
+        await recordAudit(req, [
+            { action: 'import', entityType: 'building', after: building, details: { counts: report.counts, renamed: name !== bundle.building.name } },
+            ...plan.landmarks.map(landmark => ({ action: 'create', entityType: 'landmark', after: landmark, details: { source: 'import' } })),
+            ...plan.paths.map(path => ({ action: 'create', entityType: 'path', after: path, building: plan.buildingId, details: { source: 'import' } }))
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: `Building "${name}" imported with ${plan.landmarks.length} landmarks and ${plan.paths.length} paths.`,
+            data: { building: { _id: plan.buildingId, name }, report, idMap: plan.idMap }
+        });
+    } catch (error) {
+        console.error('Building import error:', error);
+        res.status(500).json({ success: false, message: 'Server error importing building.' });
+    }
+});
+
+// Bulk-create landmarks and paths in an existing building from CSV text.
+// Path rows may reference landmarks from the same upload. Every row is
+// checked first; `?dryRun=true` returns that per-row report without writing,
+// and a real upload writes nothing unless every row is valid.
+router.post('/buildings/:id/bulk', async (req, res) => {
+    try {
+        const query = bulkUploadQuerySchema.safeParse(req.query);
+        const body = bulkUploadSchema.safeParse(req.body ?? {});
+        if (!query.success || !body.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: [...(query.error?.issues || []), ...(body.error?.issues || [])]
+                    .map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const { dryRun } = query.data;
+        const { landmarksCsv, pathsCsv } = body.data;
+
+        const building = await findBuildingFor(req, res, req.params.id, 'editor', { lean: true });
+        if (!building) return;
+
+        let landmarkSheet;
+        let pathSheet;
+        try {
+            landmarkSheet = landmarksCsv?.trim() ? readSheet(landmarksCsv, LANDMARK_COLUMNS, LANDMARK_REQUIRED, 'Landmarks') : null;
+            pathSheet = pathsCsv?.trim() ? readSheet(pathsCsv, PATH_COLUMNS, PATH_REQUIRED, 'Paths') : null;
+        } catch (csvError) {
+            return res.status(400).json({ success: false, message: csvError.message });
+        }
+
+        const existingLandmarks = await Landmark.find({ building: building._id, isActive: true })
+            .select('name floor roomNumber building coordinates').lean();
+        const existingPaths = await Path.find({
+            isActive: true,
+            $or: [{ from: { $in: existingLandmarks.map(l => l._id) } }, { to: { $in: existingLandmarks.map(l => l._id) } }]
+        }).select('from to').lean();
+
+        const landmarkRows = landmarkSheet
+            ? prepareLandmarkRows(landmarkSheet.rows, { building, existingLandmarks, createdBy: req.user._id })
+            : [];
+        const newLandmarks = landmarkRows.filter(row => row.document).map(row => row.document);
+        const pathRows = pathSheet
+            ? preparePathRows(pathSheet.rows, {
+                building,
+                landmarks: [...existingLandmarks, ...newLandmarks],
+                existingPaths,
+                createdBy: req.user._id
+            })
+            : [];
+        const newPaths = pathRows.filter(row => row.document).map(row => row.document);
+
+        const summarize = (rows, preview) => rows.map(row => ({
+            line: row.line,
+            status: row.errors.length > 0 ? 'error' : 'ok',
+            errors: row.errors,
+            preview: preview(row)
+        }));
+        const invalidRows = [...landmarkRows, ...pathRows].filter(row => row.errors.length > 0).length;
+        const report = {
+            dryRun,
+            landmarks: {
+                total: landmarkRows.length,
+                valid: newLandmarks.length,
+                ignoredColumns: landmarkSheet?.ignoredColumns || [],
+                rows: summarize(landmarkRows, row => row.document && {
+                    name: row.document.name, type: row.document.type, floor: row.document.floor, roomNumber: row.document.roomNumber
+                })
+            },
+            paths: {
+                total: pathRows.length,
+                valid: newPaths.length,
+                ignoredColumns: pathSheet?.ignoredColumns || [],
+                rows: summarize(pathRows, row => row.document && {
+                    from: row.from, to: row.to, distance: row.document.distance, isBidirectional: row.document.isBidirectional
+                })
+            }
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: invalidRows > 0
+                    ? `${invalidRows} row(s) have errors. Nothing was saved (dry run).`
+                    : 'All rows are valid. Nothing was saved (dry run).',
+                data: { report }
+            });
+        }
+        if (invalidRows > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${invalidRows} row(s) have errors. Nothing was saved.`,
+                data: { report }
+            });
+        }
+
+        // All or nothing: a failure halfway leaves the building untouched
+        await runInTransaction(async (session) => {
+            if (newLandmarks.length > 0) await Landmark.insertMany(newLandmarks, { session });
+            if (newPaths.length > 0) await Path.insertMany(newPaths, { session });
+        }, {
+            undo: async () => {
+                await Path.deleteMany({ _id: { $in: newPaths.map(p => p._id) } });
+                await Landmark.deleteMany({ _id: { $in: newLandmarks.map(l => l._id) } });
+            }
+        });
+        invalidateBuilding(building._id);
+        await recordAudit(req, [
+            ...newLandmarks.map(landmark => ({ action: 'create', entityType: 'landmark', after: landmark, details: { source: 'bulk' } })),
+            ...newPaths.map(path => ({ action: 'create', entityType: 'path', after: path, building: building._id, details: { source: 'bulk' } }))
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: `Added ${newLandmarks.length} landmarks and ${newPaths.length} paths to "${building.name}".`,
+            data: {
+                report,
+                landmarkIds: newLandmarks.map(l => l._id),
+                pathCount: newPaths.length
+            }
+        });
+    } catch (error) {
+        console.error('Bulk upload error:', error);
+        res.status(500).json({ success: false, message: 'Server error during bulk upload.' });
+    }
+});
+
+// ===============================
+// REVISIONS (draft / publish)
+// ===============================
+// Landmark, path and floor edits build up in the building's draft; visitors
+// keep the current revision until it is published (see utils/revisions.js).
+
+router.get('/buildings/:id/revisions', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer', { lean: true });
+        if (!building) return;
+        const [revisions, draft] = await Promise.all([
+            BuildingRevision.find({ building: building._id })
+                .sort({ number: -1 })
+                .select('number isCurrent counts note restoredFrom publishedAt publishedBy')
+                .populate('publishedBy', 'name email')
+                .lean(),
+            diffDraft(building._id)
+        ]);
+        res.json({
+            success: true,
+            data: {
+                publishedRevision: building.publishedRevision,
+                revisions,
+                draft: { hasChanges: draft.hasChanges, changeCount: draft.changeCount, basedOn: draft.basedOn }
+            }
+        });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching revisions.' });
+    }
+});
+
+// What publishing now would change for visitors
+router.get('/buildings/:id/revisions/draft', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer');
+        if (!building) return;
+        res.json({ success: true, data: { draft: await diffDraft(building._id) } });
+    } catch (error) {
+        console.error('Draft diff error:', error);
+        res.status(500).json({ success: false, message: 'Server error comparing draft.' });
+    }
+});
+
+router.post('/buildings/:id/revisions', validate(revisionPublishSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor');
+        if (!building) return;
+        const draft = await diffDraft(building._id);
+        if (!draft.hasChanges) {
+            return res.status(400).json({ success: false, message: 'The draft has no changes to publish.' });
+        }
+        const revision = await publishRevision(building._id, { publishedBy: req.user._id, note: req.body.note });
+        await cleanupAfterPublish(building._id);
+        await recordAudit(req, {
+            action: 'publish',
+            entityType: 'building',
+            entity: building,
+            details: { revision: revision.number, note: req.body.note, changeCount: draft.changeCount }
+        });
+        res.status(201).json({
+            success: true,
+            message: `Revision ${revision.number} published.`,
+            data: { revision: { ...revision.toObject(), snapshot: undefined }, changes: draft }
+        });
+    } catch (error) {
+        console.error('Publish revision error:', error);
+        res.status(500).json({ success: false, message: 'Server error publishing revision.' });
+    }
+});
+
+// Serve an earlier revision again. It is published as a new revision, so the
+// rollback itself can be undone; the draft is left untouched.
+router.post('/buildings/:id/revisions/:number/rollback', validateParams(revisionParamsSchema), validate(revisionPublishSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor');
+        if (!building) return;
+        const { number } = req.params;
+        if (number === building.publishedRevision) {
+            return res.status(400).json({ success: false, message: `Revision ${number} is already published.` });
+        }
+        const revision = await rollbackToRevision(building._id, number, { publishedBy: req.user._id, note: req.body.note });
+        if (!revision) {
+            return res.status(404).json({ success: false, message: `Revision ${number} not found.` });
+        }
+        await cleanupAfterPublish(building._id);
+        await recordAudit(req, {
+            action: 'rollback',
+            entityType: 'building',
+            entity: building,
+            details: { restoredFrom: number, revision: revision.number, note: revision.note }
+        });
+        res.status(201).json({
+            success: true,
+            message: `Rolled back to revision ${number} (published as revision ${revision.number}).`,
+            data: { revision: { ...revision.toObject(), snapshot: undefined } }
+        });
+    } catch (error) {
+        console.error('Rollback revision error:', error);
+        res.status(500).json({ success: false, message: 'Server error rolling back revision.' });
+    }
+});
+
+// ===============================
+// CAMPUS MANAGEMENT
+// ===============================
+
+// Check that every building is in the admin's organization and not on some other campus
+const checkCampusBuildings = async (buildingIds, admin, campusId = null) => {
+    const buildings = await Building.find({ _id: { $in: buildingIds }, ...organizationFilter(admin), isActive: true })
+        .select('name campus').lean();
+    if (buildings.length !== new Set(buildingIds).size) {
+        return 'One or more buildings not found.';
+    }
+    const taken = buildings.find(b => b.campus && b.campus.toString() !== campusId?.toString());
+    return taken ? `Building "${taken.name}" already belongs to another campus.` : null;
+};
+
+const setCampusBuildings = async (campusId, buildingIds) => {
+    await Building.updateMany({ campus: campusId, _id: { $nin: buildingIds } }, { $unset: { campus: 1 } });
+    await Building.updateMany({ _id: { $in: buildingIds } }, { $set: { campus: campusId } });
+};
+
+const withCampusBuildings = async (campus) => ({
+    ...campus.toObject(),
+    buildings: await Building.find({ campus: campus._id, isActive: true }).select('name address').lean()
+});
+
+router.get('/campuses', async (req, res) => {
+    try {
+        const campuses = await Campus.find({ ...organizationFilter(req.user), isActive: true }).sort({ name: 1 });
+        res.json({ success: true, data: { campuses: await Promise.all(campuses.map(withCampusBuildings)) } });
+    } catch (error) {
+        console.error('Get campuses error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching campuses.' });
+    }
+});
+
+router.post('/campuses', requireRole('editor'), validate(campusSchema), async (req, res) => {
+    try {
+        const { buildings = [], ...campusData } = req.body;
+        const buildingError = await checkCampusBuildings(buildings, req.user);
+        if (buildingError) {
+            return res.status(400).json({ success: false, message: buildingError });
+        }
+        const campus = new Campus({ ...campusData, organization: req.user.organization, createdBy: req.user._id });
+        await campus.save();
+        await setCampusBuildings(campus._id, buildings);
+        await recordAudit(req, { action: 'create', entityType: 'campus', after: { ...campus.toObject(), buildings } });
+        res.status(201).json({ success: true, message: 'Campus created successfully.', data: { campus: await withCampusBuildings(campus) } });
+    } catch (error) {
+        console.error('Campus creation error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating campus.' });
+    }
+});
+
+router.put('/campuses/:id', requireRole('editor'), validate(campusUpdateSchema), async (req, res) => {
+    try {
+        const { buildings, ...campusData } = req.body;
+        const campus = await Campus.findOne({ _id: req.params.id, ...organizationFilter(req.user), isActive: true });
+        if (!campus) {
+            return res.status(404).json({ success: false, message: 'Campus not found.' });
+        }
+        if (buildings) {
+            const buildingError = await checkCampusBuildings(buildings, req.user, campus._id);
+            if (buildingError) {
+                return res.status(400).json({ success: false, message: buildingError });
+            }
+        }
+        // Membership lives on the buildings; audit it as a campus field
+        const before = { ...campus.toObject(), buildings: await Building.find({ campus: campus._id }).distinct('_id') };
+        campus.set(campusData);
+        await campus.save();
+        if (buildings) {
+            await setCampusBuildings(campus._id, buildings);
+        }
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'campus',
+            before,
+            after: { ...campus.toObject(), buildings: buildings || before.buildings }
+        });
+        res.json({ success: true, message: 'Campus updated successfully.', data: { campus: await withCampusBuildings(campus) } });
+    } catch (error) {
+        console.error('Campus update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating campus.' });
+    }
+});
+
+router.delete('/campuses/:id', requireRole('owner'), async (req, res) => {
+    try {
+        const campus = await Campus.findOneAndDelete({ _id: req.params.id, ...organizationFilter(req.user) });
+        if (!campus) {
+            return res.status(404).json({ success: false, message: 'Campus not found.' });
+        }
+        // Connector paths are kept but stop being routable until the buildings share a campus again
+        const buildings = await Building.find({ campus: campus._id }).distinct('_id');
+        await Building.updateMany({ campus: campus._id }, { $unset: { campus: 1 } });
+        await recordAudit(req, { action: 'delete', entityType: 'campus', before: { ...campus.toObject(), buildings } });
+        res.json({ success: true, message: 'Campus deleted successfully.' });
+    } catch (error) {
+        console.error('Campus delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting campus.' });
+    }
+});
+
 // ===============================
 // LANDMARK MANAGEMENT
 // ===============================
+
+// The landmark `id` when the admin's role on its building is at least
+// `minRole`. Otherwise responds 404 or 403 and returns null.
+const findLandmarkFor = async (req, res, id, minRole, { activeOnly = false } = {}) => {
+    const landmark = await Landmark.findOne({ _id: id, ...(activeOnly && { isActive: true }) });
+    const building = landmark && await Building.findOne({ _id: landmark.building, ...organizationFilter(req.user) })
+        .select('name organization grants').lean();
+    if (!building) {
+        res.status(404).json({ success: false, message: 'Landmark not found.' });
+        return null;
+    }
+    if (!hasRole(buildingRole(req.user, building), minRole)) {
+        res.status(403).json({ success: false, message: `Access denied. This needs the ${minRole} role on "${building.name}".` });
+        return null;
+    }
+    return landmark;
+};
+
 router.get('/landmarks', validateQuery(paginationSchema.merge(searchSchema)), async (req, res) => {
     try {
         const { page = 1, limit = 10, q, type, floor, building } = req.query;
         const skip = (page - 1) * limit;
-        let query = { createdBy: req.user._id, isActive: true };
+        const buildingIds = await Building.find(organizationFilter(req.user)).distinct('_id');
+        let query = { building: { $in: buildingIds }, isActive: true };
         if (q) query.$text = { $search: q };
         if (type) query.type = type;
         if (floor) query.floor = floor;
-        if (building) query.building = building;
+        if (building) query.building = { $in: buildingIds.filter(id => id.toString() === building) };
         const [landmarks, total] = await Promise.all([
-            Landmark.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('building', 'name').select('name type floor building images'),
+            Landmark.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('building', 'name').select('name type floor building images status openingHours'),
             Landmark.countDocuments(query)
         ]);
         res.json({
@@ -340,10 +1338,9 @@ router.get('/landmarks', validateQuery(paginationSchema.merge(searchSchema)), as
 
 router.get('/landmarks/:id', async (req, res) => {
     try {
-        const landmark = await Landmark.findOne({ _id: req.params.id, createdBy: req.user._id, isActive: true }).populate('building', 'name floors');
-        if (!landmark) {
-            return res.status(404).json({ success: false, message: 'Landmark not found.' });
-        }
+        const landmark = await findLandmarkFor(req, res, req.params.id, 'viewer', { activeOnly: true });
+        if (!landmark) return;
+        await landmark.populate('building', 'name floors');
         res.json({ success: true, data: { landmark } });
     } catch (error) {
         console.error('Get landmark by ID error:', error);
@@ -354,19 +1351,23 @@ router.get('/landmarks/:id', async (req, res) => {
 router.post('/landmarks', upload.array('images', 5), validate(landmarkSchema), async (req, res) => {
     try {
         const landmarkData = { ...req.body, createdBy: req.user._id };
-        const parentBuilding = await Building.findOne({ _id: landmarkData.building, createdBy: req.user._id });
-        if (!parentBuilding) {
-            return res.status(403).json({ success: false, message: 'You can only add landmarks to your own buildings.' });
-        }
-        const existingLandmark = await Landmark.findOne({ name: landmarkData.name, building: landmarkData.building, floor: landmarkData.floor, createdBy: req.user._id });
+        const parentBuilding = await findBuildingFor(req, res, landmarkData.building, 'editor');
+        if (!parentBuilding) return;
+        const existingLandmark = await Landmark.findOne({ name: landmarkData.name, building: landmarkData.building, floor: landmarkData.floor });
         if (existingLandmark) {
             return res.status(400).json({ success: false, message: `A landmark named "${landmarkData.name}" already exists on this floor.` });
         }
+        const coordinateError = getCoordinateError(findFloor(parentBuilding, landmarkData.floor), landmarkData.coordinates);
+        if (coordinateError) {
+            return res.status(400).json({ success: false, message: coordinateError });
+        }
         if (req.files && req.files.length > 0) {
             landmarkData.images = req.files.map(file => ({ url: file.location, caption: '' }));
         }
         const landmark = new Landmark(landmarkData);
         await landmark.save();
+        patchLandmark(landmark);
+        await recordAudit(req, { action: 'create', entityType: 'landmark', after: landmark });
         res.status(201).json({ success: true, message: 'Landmark created successfully.', data: { landmark } });
     } catch (error) {
         console.error('Landmark creation error:', error);
@@ -376,16 +1377,32 @@ router.post('/landmarks', upload.array('images', 5), validate(landmarkSchema), a
 
 router.put('/landmarks/:id', upload.array('images', 5), validate(landmarkUpdateSchema), async (req, res) => {
     try {
-        const landmark = await Landmark.findOne({ _id: req.params.id, createdBy: req.user._id });
-        if (!landmark) {
-            return res.status(404).json({ success: false, message: 'Landmark not found.' });
-        }
+        const landmark = await findLandmarkFor(req, res, req.params.id, 'editor');
+        if (!landmark) return;
         const updateData = { ...req.body };
+        if (updateData.coordinates || updateData.floor || updateData.building) {
+            const targetBuilding = await findBuildingFor(req, res, updateData.building || landmark.building, 'editor', { lean: true });
+            if (!targetBuilding) return;
+            const coordinateError = getCoordinateError(
+                findFloor(targetBuilding, updateData.floor || landmark.floor),
+                updateData.coordinates || landmark.coordinates
+            );
+            if (coordinateError) {
+                return res.status(400).json({ success: false, message: coordinateError });
+            }
+        }
         if (req.files && req.files.length > 0) {
             const newImages = req.files.map(file => ({ url: file.location, caption: '' }));
             updateData.images = [...(landmark.images || []), ...newImages];
         }
         const updatedLandmark = await Landmark.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+        await recordAudit(req, { action: 'update', entityType: 'landmark', before: landmark, after: updatedLandmark });
+        if (updatedLandmark.building.toString() !== landmark.building.toString()) {
+            invalidateBuilding(landmark.building);
+            invalidateBuilding(updatedLandmark.building);
+        } else {
+            patchLandmark(updatedLandmark);
+        }
         res.json({ success: true, message: 'Landmark updated successfully.', data: { landmark: updatedLandmark } });
     } catch (error) {
         console.error('Landmark update error:', error);
@@ -393,31 +1410,81 @@ router.put('/landmarks/:id', upload.array('images', 5), validate(landmarkUpdateS
     }
 });
 
-router.delete('/landmarks/:id', async (req, res) => {
+// Close or reopen a landmark. Like path status, this is applied to the
+// published revision at once and pushed to visitors navigating the building.
+router.patch('/landmarks/:id/status', async (req, res) => {
     try {
-        const landmark = await Landmark.findOne({ _id: req.params.id, createdBy: req.user._id });
-        if (!landmark) {
+        const { status } = req.body;
+        if (!['open', 'closed', 'restricted'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid status value.' });
+        }
+        const landmark = await findLandmarkFor(req, res, req.params.id, 'editor');
+        if (!landmark) return;
+        const updatedLandmark = await Landmark.findByIdAndUpdate(landmark._id, { $set: { status } }, { new: true });
+        if (!updatedLandmark) {
             return res.status(404).json({ success: false, message: 'Landmark not found.' });
         }
-        const imageUrls = landmark.images.map(img => img.url).filter(Boolean);
-        if (imageUrls.length > 0) {
-            try {
-                await deleteFromS3(imageUrls);
-            } catch (s3Error) {
-                console.error('S3 deletion failed:', s3Error);
-            }
+        patchLandmark(updatedLandmark);
+        await publishLandmarkStatus(updatedLandmark._id, status);
+        await recordAudit(req, { action: 'status', entityType: 'landmark', before: landmark, after: updatedLandmark });
+        res.json({ success: true, message: `Landmark status updated to "${status}".`, data: { landmark: updatedLandmark } });
+    } catch (error) {
+        console.error('Landmark status update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating landmark status.' });
+    }
+});
+
+// Replace a landmark's weekly opening hours (read in the building's time
+// zone). Operational like status: visitors are routed by them at once.
+router.put('/landmarks/:id/hours', validate(landmarkHoursSchema), async (req, res) => {
+    try {
+        const landmark = await findLandmarkFor(req, res, req.params.id, 'editor');
+        if (!landmark) return;
+        const updatedLandmark = await Landmark.findByIdAndUpdate(
+            landmark._id,
+            { $set: { openingHours: req.body.openingHours } },
+            { new: true, runValidators: true }
+        );
+        if (!updatedLandmark) {
+            return res.status(404).json({ success: false, message: 'Landmark not found.' });
         }
-        const pathsDeleted = await Path.deleteMany({ $or: [{ from: landmark._id }, { to: landmark._id }] });
-        const navHistoryDeleted = await NavigationHistory.deleteMany({ $or: [{ fromLandmark: landmark._id }, { toLandmark: landmark._id }] });
+        patchLandmark(updatedLandmark);
+        await publishLandmarkHours(updatedLandmark._id, updatedLandmark.toObject().openingHours);
+        await recordAudit(req, { action: 'update', entityType: 'landmark', before: landmark, after: updatedLandmark });
+        res.json({ success: true, message: 'Opening hours updated.', data: { landmark: updatedLandmark } });
+    } catch (error) {
+        console.error('Landmark hours update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating opening hours.' });
+    }
+});
+
+router.delete('/landmarks/:id', async (req, res) => {
+    try {
+        const landmark = await findLandmarkFor(req, res, req.params.id, 'editor');
+        if (!landmark) return;
+        const paths = await Path.find({ $or: [{ from: landmark._id }, { to: landmark._id }] }).lean();
+        const pathsDeleted = await Path.deleteMany({ _id: { $in: paths.map(path => path._id) } });
         await Landmark.findByIdAndDelete(landmark._id);
+        // Published revisions may still show the landmark: its images and
+        // navigation history go after the next publish (cleanupAfterPublish)
+        await queueCleanup(landmark.building, {
+            images: landmark.images.map(img => img.url),
+            landmarks: [landmark._id]
+        });
+        invalidateBuilding(landmark.building);
+        await recordAudit(req, [
+            { action: 'delete', entityType: 'landmark', before: landmark },
+            // Paths go with the landmark; each gets its own entry so its history stays complete
+            ...paths.map(path => ({
+                action: 'delete', entityType: 'path', before: path, building: landmark.building, details: { withLandmark: landmark._id }
+            }))
+        ]);
         res.json({
             success: true,
-            message: 'Landmark and all associated data deleted successfully.',
+            message: 'Landmark and its paths deleted successfully. Its images and navigation history are removed after the next publish unless a revision still uses them.',
             data: {
                 deletedCounts: {
-                    paths: pathsDeleted.deletedCount,
-                    navigationHistory: navHistoryDeleted.deletedCount,
-                    images: imageUrls.length
+                    paths: pathsDeleted.deletedCount
                 }
             }
         });
@@ -565,17 +1632,77 @@ OUTPUT ONLY THE REVERSED INSTRUCTIONS. NO EXTRA TEXT.`;
 // PATH MANAGEMENT
 // ===============================
 
+// Paths stay inside one building, except campus connectors: outdoor walkways
+// or skybridges between entrances of two buildings on the same campus
+const getPathEndpointError = async (fromLandmark, toLandmark, connectorType = 'indoor') => {
+  if (fromLandmark.building.toString() === toLandmark.building.toString()) return null;
+  if (connectorType === 'indoor') {
+    return 'Both landmarks must be in the same building. Use an outdoor or skybridge connector to join buildings.';
+  }
+  if (fromLandmark.type !== 'entrance' || toLandmark.type !== 'entrance') {
+    return 'Connector paths must join two entrance landmarks.';
+  }
+  const buildings = await Building.find({
+    _id: { $in: [fromLandmark.building, toLandmark.building] },
+    isActive: true
+  }).select('campus').lean();
+  const [first, second] = buildings;
+  if (buildings.length !== 2 || !first.campus || first.campus.toString() !== second.campus?.toString()) {
+    return 'Connector paths can only join buildings on the same campus.';
+  }
+  return null;
+};
+
+// Whether all the landmarks' buildings are in the admin's organization (`found`)
+// and the admin's role on each is at least `minRole` (`allowed`). A path
+// needs both ends; campus connectors span two buildings.
+const checkLandmarkAccess = async (admin, landmarks, minRole) => {
+    const buildingIds = [...new Set(landmarks.map(landmark => landmark.building.toString()))];
+    const buildings = await Building.find({ _id: { $in: buildingIds }, ...organizationFilter(admin) })
+        .select('organization grants').lean();
+    const found = buildings.length === buildingIds.length;
+    return { found, allowed: found && buildings.every(building => hasRole(buildingRole(admin, building), minRole)) };
+};
+
+// The path `id` when the admin may change it (editor on both ends' buildings).
+// Otherwise responds 404 or 403 and returns null.
+const findPathFor = async (req, res, id) => {
+    const path = await Path.findById(id).lean();
+    const landmarks = path ? await Landmark.find({ _id: { $in: [path.from, path.to] } }).select('building').lean() : [];
+    const access = landmarks.length > 0 ? await checkLandmarkAccess(req.user, landmarks, 'editor') : { found: false };
+    if (!access.found) {
+        res.status(404).json({ success: false, message: 'Path not found.' });
+        return null;
+    }
+    if (!access.allowed) {
+        res.status(403).json({ success: false, message: 'Access denied. This needs the editor role on the path\'s buildings.' });
+        return null;
+    }
+    return path;
+};
+
+// Keep the routing graph cache in step with path writes. Returns the building
+// the path is filed under (its from-landmark's), e.g. for the audit log.
+const patchCachedPath = async (path, options) => {
+  const fromLandmark = await Landmark.findById(path.from?._id || path.from).select('building').lean();
+  if (fromLandmark) {
+    patchPath(fromLandmark.building, path, options);
+  }
+  return fromLandmark?.building;
+};
+
 router.get('/paths', validateQuery(paginationSchema.merge(searchSchema)), async (req, res) => {
   try {
     const { page = 1, limit = 10, building, floor } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = { createdBy: req.user._id, isActive: true };
+    const organizationLandmarks = await organizationLandmarkIds(req.user);
+    let query = { from: { $in: organizationLandmarks }, isActive: true };
 
     if (building) {
-      const landmarkIds = await Landmark.find({ 
-        building, 
-        createdBy: req.user._id 
+      const landmarkIds = await Landmark.find({
+        _id: { $in: organizationLandmarks },
+        building
       }).distinct('_id');
       
       if (landmarkIds.length === 0) {
@@ -639,25 +1766,42 @@ router.post('/paths', validate(pathSchema), async (req, res) => {
 
     // Fetch landmarks in parallel for better performance
     const [fromLandmark, toLandmark] = await Promise.all([
-      Landmark.findOne({ _id: from, createdBy }).lean(),
-      Landmark.findOne({ _id: to, createdBy }).lean()
+      Landmark.findById(from).lean(),
+      Landmark.findById(to).lean()
     ]);
+    const access = fromLandmark && toLandmark
+      ? await checkLandmarkAccess(req.user, [fromLandmark, toLandmark], 'editor')
+      : { found: false };
 
-    if (!fromLandmark || !toLandmark) {
+    if (!access.found) {
       return res.status(404).json({ 
         success: false, 
         message: 'One or both landmarks not found or you do not have access.' 
       });
     }
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Adding a path needs the editor role on its buildings.'
+      });
+    }
 
-    // Ensure same building
-    if (fromLandmark.building.toString() !== toLandmark.building.toString()) {
+    // Ensure same building (or a campus connector between buildings)
+    const endpointError = await getPathEndpointError(fromLandmark, toLandmark, rest.connectorType);
+    if (endpointError) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Both landmarks must be in the same building.' 
+        message: endpointError 
       });
     }
 
+    // Distance must fit the calibrated floor plan / floor heights
+    const building = await Building.findById(fromLandmark.building).select('floors').lean();
+    const distanceError = getDistanceError(building, fromLandmark, toLandmark, rest.distance);
+    if (distanceError) {
+      return res.status(400).json({ success: false, message: distanceError });
+    }
+
     // Check for existing path (bidirectional check)
     const existingPath = await Path.findOne({ 
       $or: [
@@ -744,6 +1888,8 @@ router.post('/paths', validate(pathSchema), async (req, res) => {
 
     const path = new Path(pathData);
     await path.save();
+    patchPath(fromLandmark.building, path);
+    await recordAudit(req, { action: 'create', entityType: 'path', after: path, building: fromLandmark.building });
     
     // Populate landmarks for response
     await path.populate([
@@ -805,14 +1951,40 @@ router.post('/paths', validate(pathSchema), async (req, res) => {
 
 router.put('/paths/:id', validate(pathUpdateSchema), async (req, res) => {
   try {
+    const existing = await findPathFor(req, res, req.params.id);
+    if (!existing) return;
+    if (req.body.from || req.body.to || req.body.connectorType || req.body.distance !== undefined) {
+      const [fromLandmark, toLandmark] = await Promise.all([
+        Landmark.findById(req.body.from || existing.from).lean(),
+        Landmark.findById(req.body.to || existing.to).lean()
+      ]);
+      const access = fromLandmark && toLandmark
+        ? await checkLandmarkAccess(req.user, [fromLandmark, toLandmark], 'editor')
+        : { found: false };
+      if (!access.allowed) {
+        return res.status(404).json({ success: false, message: 'One or both landmarks not found or you do not have access.' });
+      }
+      const endpointError = await getPathEndpointError(fromLandmark, toLandmark, req.body.connectorType || existing.connectorType);
+      if (endpointError) {
+        return res.status(400).json({ success: false, message: endpointError });
+      }
+      const building = await Building.findById(fromLandmark.building).select('floors').lean();
+      const distanceError = getDistanceError(building, fromLandmark, toLandmark, req.body.distance ?? existing.distance);
+      if (distanceError) {
+        return res.status(400).json({ success: false, message: distanceError });
+      }
+    }
     const path = await Path.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.user._id },
+      { _id: existing._id },
       req.body,
       { new: true, runValidators: true }
-    ).populate('from to', 'name floor');
+    );
     if (!path) {
       return res.status(404).json({ success: false, message: 'Path not found.' });
     }
+    const building = await patchCachedPath(path);
+    await recordAudit(req, { action: 'update', entityType: 'path', before: existing, after: path, building });
+    await path.populate('from to', 'name floor');
     res.json({ success: true, message: 'Path updated successfully.', data: { path } });
   } catch (error) {
     console.error('Path update error:', error);
@@ -826,14 +1998,19 @@ router.patch('/paths/:id/status', async (req, res) => {
     if (!['open', 'closed', 'restricted'].includes(status)) {
       return res.status(400).json({ success: false, message: 'Invalid status value.' });
     }
+    const existing = await findPathFor(req, res, req.params.id);
+    if (!existing) return;
     const path = await Path.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.user._id },
+      { _id: existing._id },
       { $set: { status: status } },
       { new: true }
     );
     if (!path) {
       return res.status(404).json({ success: false, message: 'Path not found.' });
     }
+    const building = await patchCachedPath(path);
+    await publishPathStatus(path._id, status);
+    await recordAudit(req, { action: 'status', entityType: 'path', before: existing, after: path, building });
     res.json({ success: true, message: `Path status updated to "${status}".`, data: { path } });
   } catch (error) {
     console.error('Path status update error:', error);
@@ -841,12 +2018,40 @@ router.patch('/paths/:id/status', async (req, res) => {
   }
 });
 
+// Replace a path's scheduled closures, e.g. a stairwell closed for maintenance
+// for a few days. Applied to the published revision at once, like status.
+router.put('/paths/:id/closures', validate(pathClosuresSchema), async (req, res) => {
+  try {
+    const existing = await findPathFor(req, res, req.params.id);
+    if (!existing) return;
+    const path = await Path.findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { scheduledClosures: req.body.scheduledClosures } },
+      { new: true, runValidators: true }
+    );
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Path not found.' });
+    }
+    const building = await patchCachedPath(path);
+    await publishPathClosures(path._id, path.toObject().scheduledClosures);
+    await recordAudit(req, { action: 'update', entityType: 'path', before: existing, after: path, building });
+    res.json({ success: true, message: 'Scheduled closures updated.', data: { path } });
+  } catch (error) {
+    console.error('Path closures update error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating scheduled closures.' });
+  }
+});
+
 router.delete('/paths/:id', async (req, res) => {
   try {
-    const path = await Path.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id });
+    const existing = await findPathFor(req, res, req.params.id);
+    if (!existing) return;
+    const path = await Path.findOneAndDelete({ _id: existing._id });
     if (!path) {
       return res.status(404).json({ success: false, message: 'Path not found.' });
     }
+    const building = await patchCachedPath(path, { deleted: true });
+    await recordAudit(req, { action: 'delete', entityType: 'path', before: path, building });
     res.json({ success: true, message: 'Path deleted successfully.' });
   } catch (error) {
     console.error('Path delete error:', error);
@@ -854,16 +2059,497 @@ router.delete('/paths/:id', async (req, res) => {
   }
 });
 
+// ===============================
+// PATH SUGGESTIONS
+// ===============================
+
+const suggestionPairKey = (from, to) => [from.toString(), to.toString()].sort().join('|');
+
+// Propose paths between nearby landmarks and matching stairs/elevators (see
+// utils/pathSuggestions.js). Pairs that already have a path, a pending
+// suggestion or a rejected one are not proposed again.
+router.post('/buildings/:id/path-suggestions', validate(pathSuggestionRequestSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor', { lean: true });
+        if (!building) return;
+        const unknownFloors = (req.body.floors || []).filter(floor => !building.floors.some(f => f.number === floor));
+        if (unknownFloors.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown floor(s): ${unknownFloors.join(', ')}` });
+        }
+
+        const landmarks = await Landmark.find({ building: building._id, isActive: true })
+            .select('name floor type coordinates').lean();
+        const landmarkIds = landmarks.map(l => l._id);
+        const [paths, previous] = await Promise.all([
+            Path.find({ isActive: true, $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }] })
+                .select('from to distance').lean(),
+            PathSuggestion.find({ building: building._id, status: { $in: ['pending', 'rejected'] } }).select('from to').lean()
+        ]);
+
+        const result = suggestPaths({
+            building,
+            landmarks,
+            paths,
+            existingPairs: [...paths, ...previous].map(item => suggestionPairKey(item.from, item.to)),
+            options: req.body
+        });
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        const suggestions = await PathSuggestion.insertMany(result.suggestions.map(({ fromName, toName, ...suggestion }) => ({
+            ...suggestion,
+            building: building._id,
+            createdBy: req.user._id
+        })));
+        // Suggestions are proposals, not map data: one entry for the batch
+        await recordAudit(req, {
+            action: 'suggest',
+            entityType: 'building',
+            entity: building,
+            details: { suggestions: suggestions.length, options: req.body }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${suggestions.length} path suggestion(s) created.`,
+            data: {
+                scales: result.scales,
+                skipped: result.skipped,
+                suggestions: suggestions.map((suggestion, i) => ({
+                    ...suggestion.toObject(),
+                    from: { _id: suggestion.from, name: result.suggestions[i].fromName },
+                    to: { _id: suggestion.to, name: result.suggestions[i].toName }
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Path suggestion error:', error);
+        res.status(500).json({ success: false, message: 'Server error suggesting paths.' });
+    }
+});
+
+router.get('/buildings/:id/path-suggestions', async (req, res) => {
+    try {
+        const query = pathSuggestionQuerySchema.safeParse(req.query);
+        if (!query.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query validation error',
+                errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer');
+        if (!building) return;
+        const suggestions = await PathSuggestion.find({ building: building._id, status: query.data.status })
+            .sort({ kind: 1, floor: 1, distance: 1 })
+            .populate('from to', 'name floor type')
+            .lean();
+        res.json({ success: true, data: { suggestions } });
+    } catch (error) {
+        console.error('Path suggestion fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching path suggestions.' });
+    }
+});
+
+// Accept (create the paths) and/or reject pending suggestions in one go.
+// Suggestions whose pair gained a path in the meantime, or whose landmarks
+// were removed, stay pending and are reported as conflicts.
+router.post('/buildings/:id/path-suggestions/decisions', validate(pathSuggestionDecisionSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor');
+        if (!building) return;
+        const { accept, reject } = req.body;
+        const suggestions = await PathSuggestion.find({
+            _id: { $in: [...accept, ...reject] },
+            building: building._id,
+            status: 'pending'
+        }).lean();
+        const found = new Set(suggestions.map(s => s._id.toString()));
+        const notFound = [...accept, ...reject].filter(id => !found.has(id));
+
+        const toAccept = suggestions.filter(s => accept.includes(s._id.toString()));
+        const toReject = suggestions.filter(s => reject.includes(s._id.toString()));
+
+        const endIds = toAccept.flatMap(s => [s.from, s.to]);
+        const [liveLandmarks, existingPaths] = await Promise.all([
+            Landmark.find({ _id: { $in: endIds }, building: building._id, isActive: true }).distinct('_id'),
+            Path.find({ isActive: true, from: { $in: endIds }, to: { $in: endIds } }).select('from to').lean()
+        ]);
+        const live = new Set(liveLandmarks.map(id => id.toString()));
+        const taken = new Set(existingPaths.map(path => suggestionPairKey(path.from, path.to)));
+
+        const conflicts = [];
+        const newPaths = [];
+        const acceptedIds = [];
+        toAccept.forEach(suggestion => {
+            const pair = suggestionPairKey(suggestion.from, suggestion.to);
+            if (!live.has(suggestion.from.toString()) || !live.has(suggestion.to.toString())) {
+                conflicts.push({ _id: suggestion._id, message: 'One of its landmarks no longer exists.' });
+                return;
+            }
+            if (taken.has(pair)) {
+                conflicts.push({ _id: suggestion._id, message: 'A path between these landmarks already exists.' });
+                return;
+            }
+            taken.add(pair);
+            const path = {
+                _id: new mongoose.Types.ObjectId(),
+                from: suggestion.from,
+                to: suggestion.to,
+                distance: suggestion.distance,
+                estimatedTime: suggestion.estimatedTime,
+                instructions: suggestion.instructions,
+                reverseInstructions: suggestion.reverseInstructions,
+                accessibility: suggestion.accessibility,
+                isBidirectional: true,
+                createdBy: req.user._id
+            };
+            newPaths.push(path);
+            acceptedIds.push({ suggestion: suggestion._id, path: path._id });
+        });
+
+        const decidedAt = new Date();
+        await runInTransaction(async (session) => {
+            if (newPaths.length > 0) await Path.insertMany(newPaths, { session });
+            if (acceptedIds.length > 0) {
+                await PathSuggestion.bulkWrite(acceptedIds.map(({ suggestion, path }) => ({
+                    updateOne: { filter: { _id: suggestion }, update: { $set: { status: 'accepted', path, decidedAt } } }
+                })), { session });
+            }
+            if (toReject.length > 0) {
+                await PathSuggestion.updateMany(
+                    { _id: { $in: toReject.map(s => s._id) } },
+                    { $set: { status: 'rejected', decidedAt } },
+                    { session }
+                );
+            }
+        }, {
+            undo: async () => {
+                await Path.deleteMany({ _id: { $in: newPaths.map(p => p._id) } });
+                await PathSuggestion.updateMany(
+                    { _id: { $in: [...acceptedIds.map(a => a.suggestion), ...toReject.map(s => s._id)] } },
+                    { $set: { status: 'pending' }, $unset: { path: 1, decidedAt: 1 } }
+                );
+            }
+        });
+        if (newPaths.length > 0) invalidateBuilding(building._id);
+        await recordAudit(req, [
+            ...newPaths.map((path, i) => ({
+                action: 'create', entityType: 'path', after: path, building: building._id,
+                details: { source: 'suggestion', suggestion: acceptedIds[i].suggestion }
+            })),
+            ...toReject.map(suggestion => ({
+                action: 'status', entityType: 'path_suggestion', building: building._id,
+                before: suggestion, after: { ...suggestion, status: 'rejected', decidedAt }
+            }))
+        ]);
+
+        res.json({
+            success: true,
+            message: `Accepted ${newPaths.length} and rejected ${toReject.length} suggestion(s).`,
+            data: {
+                accepted: acceptedIds,
+                rejected: toReject.map(s => s._id),
+                conflicts,
+                notFound
+            }
+        });
+    } catch (error) {
+        console.error('Path suggestion decision error:', error);
+        res.status(500).json({ success: false, message: 'Server error applying path suggestions.' });
+    }
+});
+
+// ===============================
+// HAZARD ZONES & EVACUATION
+// ===============================
+
+// Error message when a hazard zone's floor, landmarks or paths are not part of
+// the building, else null. Paths count when either end is in the building.
+const getHazardZoneError = async (building, zone) => {
+    if (zone.polygon && !zone.floor) return 'A polygon needs the floor it is drawn on.';
+    if (!zone.polygon && zone.landmarks.length + zone.paths.length === 0) {
+        return 'Mark an area or at least one landmark or path.';
+    }
+    if (zone.floor && !findFloor(building, zone.floor)) return `Unknown floor "${zone.floor}".`;
+
+    const landmarkIds = await Landmark.find({ building: building._id }).distinct('_id');
+    const known = new Set(landmarkIds.map(id => id.toString()));
+    const unknownLandmarks = zone.landmarks.filter(id => !known.has(id.toString()));
+    if (unknownLandmarks.length > 0) return `Landmark(s) not in this building: ${unknownLandmarks.join(', ')}`;
+
+    const paths = await Path.find({
+        _id: { $in: zone.paths },
+        $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }]
+    }).distinct('_id');
+    const foundPaths = new Set(paths.map(id => id.toString()));
+    const unknownPaths = zone.paths.filter(id => !foundPaths.has(id.toString()));
+    return unknownPaths.length > 0 ? `Path(s) not in this building: ${unknownPaths.join(', ')}` : null;
+};
+
+const findHazardZone = (building, hazardId) => (mongoose.isValidObjectId(hazardId)
+    ? HazardZone.findOne({ _id: hazardId, building: building._id })
+    : null);
+
+router.get('/buildings/:id/hazards', async (req, res) => {
+    try {
+        const query = hazardZoneQuerySchema.safeParse(req.query);
+        if (!query.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query validation error',
+                errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer', { lean: true });
+        if (!building) return;
+        const { status } = query.data;
+        const hazards = await HazardZone.find({
+            building: building._id,
+            ...(status !== 'all' && { isActive: status === 'active' })
+        })
+            .sort({ isActive: -1, createdAt: -1 })
+            .populate('landmarks', 'name floor type')
+            .populate('createdBy clearedBy', 'name')
+            .lean();
+        res.json({ success: true, data: { hazards } });
+    } catch (error) {
+        console.error('Hazard zone fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching hazard zones.' });
+    }
+});
+
+// Takes effect on evacuation routes immediately; no publish needed
+router.post('/buildings/:id/hazards', validate(hazardZoneSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor', { lean: true });
+        if (!building) return;
+        const error = await getHazardZoneError(building, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const hazard = await HazardZone.create({ ...req.body, building: building._id, createdBy: req.user._id });
+        await recordAudit(req, { action: 'create', entityType: 'hazard_zone', after: hazard });
+        res.status(201).json({ success: true, message: 'Hazard zone marked.', data: { hazard } });
+    } catch (error) {
+        console.error('Hazard zone create error:', error);
+        res.status(500).json({ success: false, message: 'Server error marking hazard zone.' });
+    }
+});
+
+// Edit a zone, or clear (isActive: false) / reactivate it
+router.put('/buildings/:id/hazards/:hazardId', validate(hazardZoneUpdateSchema), async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor', { lean: true });
+        if (!building) return;
+        const hazard = await findHazardZone(building, req.params.hazardId);
+        if (!hazard) {
+            return res.status(404).json({ success: false, message: 'Hazard zone not found.' });
+        }
+        const before = hazard.toObject();
+
+        const { polygon, isActive, ...fields } = req.body;
+        hazard.set(fields);
+        if (polygon !== undefined) hazard.polygon = polygon || [];
+        const error = await getHazardZoneError(building, {
+            floor: hazard.floor,
+            polygon: hazard.polygon.length > 0 ? hazard.polygon : null,
+            landmarks: hazard.landmarks,
+            paths: hazard.paths
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (isActive !== undefined && isActive !== hazard.isActive) {
+            hazard.isActive = isActive;
+            hazard.clearedAt = isActive ? undefined : new Date();
+            hazard.clearedBy = isActive ? undefined : req.user._id;
+        }
+        await hazard.save();
+
+        await recordAudit(req, {
+            action: isActive !== undefined && isActive !== before.isActive ? 'status' : 'update',
+            entityType: 'hazard_zone',
+            before,
+            after: hazard
+        });
+        res.json({
+            success: true,
+            message: hazard.isActive ? 'Hazard zone updated.' : 'Hazard zone cleared.',
+            data: { hazard }
+        });
+    } catch (error) {
+        console.error('Hazard zone update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating hazard zone.' });
+    }
+});
+
+router.delete('/buildings/:id/hazards/:hazardId', async (req, res) => {
+    try {
+        const building = await findBuildingFor(req, res, req.params.id, 'editor', { lean: true });
+        if (!building) return;
+        const hazard = await findHazardZone(building, req.params.hazardId);
+        if (!hazard) {
+            return res.status(404).json({ success: false, message: 'Hazard zone not found.' });
+        }
+        await hazard.deleteOne();
+        await recordAudit(req, { action: 'delete', entityType: 'hazard_zone', before: hazard });
+        res.json({ success: true, message: 'Hazard zone deleted.' });
+    } catch (error) {
+        console.error('Hazard zone delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting hazard zone.' });
+    }
+});
+
+const EVACUATION_CSV_COLUMNS = [
+    { header: 'floor', value: entry => entry.landmark.floor },
+    { header: 'landmark', value: entry => entry.landmark.name },
+    { header: 'type', value: entry => entry.landmark.type },
+    { header: 'roomNumber', value: entry => entry.landmark.roomNumber },
+    { header: 'inHazardZone', value: entry => entry.inHazardZone },
+    { header: 'safeExit', value: entry => entry.safeExit },
+    { header: 'exit', value: entry => entry.exit?.name },
+    { header: 'exitFloor', value: entry => entry.exit?.floor },
+    { header: 'distance', value: entry => entry.distance },
+    { header: 'estimatedTime', value: entry => entry.estimatedTime },
+    { header: 'directions', value: entry => entry.directions.join(' -> ') }
+];
+
+// Evacuation route of every landmark, per floor, with the current hazard zones
+// applied: for printed floor plans and for finding landmarks with no safe exit.
+// Routes use public access, so staff-only doors do not count as a way out.
+router.get('/buildings/:id/evacuation', async (req, res) => {
+    try {
+        const query = evacuationReportQuerySchema.safeParse(req.query);
+        if (!query.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query validation error',
+                errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const building = await findBuildingFor(req, res, req.params.id, 'viewer', { lean: true });
+        if (!building) return;
+        const { draft, floor, rankBy, format } = query.data;
+
+        const graph = await getBuildingGraph(building._id, { draft });
+        if (!draft && !graph.revision) {
+            return res.status(404).json({ success: false, message: 'This building has no published revision.' });
+        }
+        const floors = draft ? building.floors : graph.revision.building.floors;
+        if (floor && !floors.some(f => f.number === floor)) {
+            return res.status(400).json({ success: false, message: `Unknown floor "${floor}".` });
+        }
+
+        const hazards = await getActiveHazards(building._id);
+        // Scheduled closures in effect right now count; opening hours do not
+        const report = buildEvacuationReport(graph, hazards, { floors, floor, rankBy, isAvailable: closuresAt(new Date()) });
+
+        if (format === 'csv') {
+            const slug = building.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'building';
+            res.attachment(`${slug}-evacuation.csv`);
+            res.type('text/csv');
+            return res.send(toCsv(EVACUATION_CSV_COLUMNS, report.floors.flatMap(f => f.landmarks)));
+        }
+        res.json({
+            success: true,
+            data: {
+                building: { _id: building._id, name: building.name },
+                revision: draft ? null : graph.revision.number,
+                draft,
+                hazardZones: hazards.map(zone => ({ _id: zone._id, name: zone.name, floor: zone.floor })),
+                ...report
+            }
+        });
+    } catch (error) {
+        console.error('Evacuation report error:', error);
+        res.status(500).json({ success: false, message: 'Server error building evacuation report.' });
+    }
+});
+
+// ===============================
+// AUDIT LOG
+// ===============================
+const AUDIT_EXPORT_MAX = 10000;
+
+// A date without a time (`2026-03-01`) includes that whole day
+const auditRangeEnd = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(Date.parse(value) + 24 * 60 * 60 * 1000 - 1)
+    : new Date(value));
+
+const AUDIT_CSV_COLUMNS = [
+    { header: 'timestamp', value: entry => entry.createdAt },
+    { header: 'actorName', value: entry => entry.actorName },
+    { header: 'actorEmail', value: entry => entry.actorEmail },
+    { header: 'action', value: entry => entry.action },
+    { header: 'entityType', value: entry => entry.entityType },
+    { header: 'entityId', value: entry => entry.entityId },
+    { header: 'entityName', value: entry => entry.entityName },
+    { header: 'building', value: entry => entry.building },
+    { header: 'changedFields', value: entry => Object.keys(entry.changes || {}).join(' ') },
+    { header: 'changes', value: entry => entry.changes },
+    { header: 'details', value: entry => entry.details },
+    { header: 'ip', value: entry => entry.ip }
+];
+
+// Newest first. `format=csv` downloads all matches instead of one page.
+router.get('/audit', requireRole('owner'), async (req, res) => {
+    try {
+        const query = auditQuerySchema.safeParse(req.query);
+        if (!query.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query validation error',
+                errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+            });
+        }
+        const { actor, action, entityType, entityId, building, from, to, page, limit, format } = query.data;
+        const filter = {
+            ...organizationFilter(req.user),
+            ...(actor && { actor }),
+            ...(action && { action }),
+            ...(entityType && { entityType }),
+            ...(entityId && { entityId }),
+            ...(building && { building }),
+            ...((from || to) && { createdAt: { ...(from && { $gte: new Date(from) }), ...(to && { $lte: auditRangeEnd(to) }) } })
+        };
+
+        if (format === 'csv') {
+            const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(AUDIT_EXPORT_MAX).lean();
+            res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+            res.type('text/csv');
+            return res.send(toCsv(AUDIT_CSV_COLUMNS, entries));
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+        res.json({
+            success: true,
+            data: { entries },
+            pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Audit log fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching audit log.' });
+    }
+});
+
 // ===============================
 // DASHBOARD & ANALYTICS
 // ===============================
 router.get('/dashboard', async (req, res) => {
     try {
+        const buildingIds = await Building.find(organizationFilter(req.user)).distinct('_id');
+        const landmarkIds = await Landmark.find({ building: { $in: buildingIds } }).distinct('_id');
         const [buildingCount, landmarkCount, pathCount, recentNavigations] = await Promise.all([
-            Building.countDocuments({ createdBy: req.user._id, isActive: true }),
-            Landmark.countDocuments({ createdBy: req.user._id, isActive: true }),
-            Path.countDocuments({ createdBy: req.user._id, isActive: true }),
-            NavigationHistory.find({}).sort({ createdAt: -1 }).limit(5)
+            Building.countDocuments({ _id: { $in: buildingIds }, isActive: true }),
+            Landmark.countDocuments({ _id: { $in: landmarkIds }, isActive: true }),
+            Path.countDocuments({ from: { $in: landmarkIds }, isActive: true }),
+            NavigationHistory.find({ building: { $in: buildingIds } }).sort({ createdAt: -1 }).limit(5)
         ]);
         res.json({
             success: true,
@@ -878,4 +2564,8 @@ router.get('/dashboard', async (req, res) => {
     }
 });
 
+router.get('/routing/cache', (req, res) => {
+    res.json({ success: true, data: { cache: getCacheStats(), liveStreams: getStreamCount() } });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,20 @@
 const express = require('express');
-const { Building } = require('../database'); // Assuming Building model is exported
+const { Building, BuildingRevision } = require('../database'); // Assuming Building model is exported
 const router = express.Router();
 
 // @route   GET /api/buildings/list
-// @desc    Get a simplified list of active buildings for dropdowns
+// @desc    Get a simplified list of published, active buildings for dropdowns
 // @access  Public
 router.get('/list', async (req, res) => {
     try {
-        const buildings = await Building.find({ isActive: true }).select('name');
+        const buildings = await Building.find({ isActive: true, publishedRevision: { $gt: 0 } }).select('_id').lean();
+        // Names as published, like the rest of the public API
+        const revisions = await BuildingRevision.find({ isCurrent: true, building: { $in: buildings.map(b => b._id) } })
+            .select('building snapshot.building.name')
+            .lean();
         res.json({
             success: true,
-            data: buildings.map(b => ({ id: b._id, name: b.name }))
+            data: revisions.map(r => ({ id: r.building, name: r.snapshot.building.name }))
         });
     } catch (error) {
         console.error('Error fetching building list:', error);
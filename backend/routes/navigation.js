@@ -1,307 +1,371 @@
 const express = require('express');
-const { Building, Landmark, Path, NavigationHistory } = require('../database');
-const { authenticate, optionalAuth } = require('../middlewares/auth');
+const { Building, NavigationHistory, BuildingRevision } = require('../database');
+const { authenticateNavigator, optionalAuth } = require('../middlewares/auth');
+const { Graph } = require('../utils/graph');
+const { getBuildingGraph, getCampusGraph } = require('../utils/graphCache');
+const { matchProfile, lookupRoute } = require('../utils/routeTables');
+const { createCostModel } = require('../utils/costModel');
+const { findPublishedLandmark } = require('../utils/revisions');
+const { hasRole, buildingRole } = require('../utils/permissions');
+const { openStream } = require('../utils/liveUpdates');
+const { EXACT_ITINERARY_LIMIT, solveVisitOrderExact, solveVisitOrderHeuristic } = require('../utils/itinerary');
+const { DEFAULT_TIME_ZONE, availabilityAt, closuresAt, describeAvailability, getTimeZones } = require('../utils/availability');
+const {
+  EVACUATION_PREFERENCES,
+  getActiveHazards,
+  getEvacuationOptions,
+  findExits,
+  evacuationCost,
+  findEvacuationRoute
+} = require('../utils/evacuation');
 const {
   validate,
   validateQuery,
+  validateParams,
   navigationRequestSchema,
+  campusRouteRequestSchema,
+  itineraryRequestSchema,
+  nearestQuerySchema,
+  evacuationQuerySchema,
+  navigationStatusSchema,
+  navigationProgressSchema,
+  navigationRerouteSchema,
+  navigationIdParamsSchema,
+  navigationFeedbackSchema,
+  findUnknownKeys,
   searchSchema,
   paginationSchema
 } = require('../validators/schemas');
 
 const router = express.Router();
 
-// --- OPTIMIZED ALGORITHM IMPLEMENTATION ---
-
-// Binary Heap Priority Queue (much faster than linear insertion)
-class MinHeap {
-  constructor() {
-    this.heap = [];
-  }
-
-  enqueue(element) {
-    this.heap.push(element);
-    this.bubbleUp(this.heap.length - 1);
-  }
-
-  dequeue() {
-    if (this.heap.length === 0) return null;
-    if (this.heap.length === 1) return this.heap.pop();
-    
-    const min = this.heap[0];
-    this.heap[0] = this.heap.pop();
-    this.bubbleDown(0);
-    return min;
-  }
-
-  bubbleUp(index) {
-    while (index > 0) {
-      const parentIndex = Math.floor((index - 1) / 2);
-      if (this.heap[parentIndex].distance <= this.heap[index].distance) break;
-      
-      [this.heap[parentIndex], this.heap[index]] = [this.heap[index], this.heap[parentIndex]];
-      index = parentIndex;
-    }
-  }
-
-  bubbleDown(index) {
-    while (true) {
-      let minIndex = index;
-      const leftChild = 2 * index + 1;
-      const rightChild = 2 * index + 2;
-
-      if (leftChild < this.heap.length && 
-          this.heap[leftChild].distance < this.heap[minIndex].distance) {
-        minIndex = leftChild;
-      }
-
-      if (rightChild < this.heap.length && 
-          this.heap[rightChild].distance < this.heap[minIndex].distance) {
-        minIndex = rightChild;
-      }
-
-      if (minIndex === index) break;
-
-      [this.heap[index], this.heap[minIndex]] = [this.heap[minIndex], this.heap[index]];
-      index = minIndex;
-    }
-  }
-
-  isEmpty() {
-    return this.heap.length === 0;
-  }
-}
-
-// Optimized Graph with better Dijkstra implementation
-class Graph {
-  constructor() {
-    this.nodes = new Map();
-    this.adjacencyList = new Map();
-  }
-
-  addNode(id, data) {
-    this.nodes.set(id, data);
-    if (!this.adjacencyList.has(id)) {
-      this.adjacencyList.set(id, []);
-    }
+// --- ROUTING HELPERS ---
+
+// Turn a reconstructed graph path into numbered route steps
+const formatRouteSteps = (routePath) => routePath.map((step, index) => ({
+  stepNumber: index + 1,
+  landmark: step.landmark,
+  path: index > 0 ? step.path : null,
+  instructions: index === 0
+    ? `Start at ${step.landmark.name}`
+    : step.path.instructions,
+  distance: index > 0 ? step.path.distance : 0,
+  estimatedTime: index > 0 ? step.path.estimatedTime : 0,
+  images: index > 0 ? step.path.images : [],
+  difficulty: index > 0 ? step.path.difficulty : 'easy',
+  accessibility: index > 0 ? step.path.accessibility : null
+}));
+
+// Totals used to compare alternative routes
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+const summarizeRoute = (routePath) => {
+  const paths = routePath.map(step => step.path).filter(Boolean);
+  const maxLevel = paths.reduce((max, path) => Math.max(max, DIFFICULTY_LEVELS.indexOf(path.difficulty)), 0);
+  return {
+    distance: Math.round(paths.reduce((sum, path) => sum + (path.distance || 0), 0)),
+    estimatedTime: paths.reduce((sum, path) => sum + (path.estimatedTime || 0), 0),
+    stairCount: paths.filter(path => path.accessibility?.requiresStairs).length,
+    elevatorCount: paths.filter(path => path.accessibility?.requiresElevator).length,
+    maxDifficulty: DIFFICULTY_LEVELS[maxLevel],
+    wheelchairAccessible: paths.every(path => path.accessibility?.wheelchairAccessible)
+  };
+};
+
+// Tag the alternatives a client would put side by side
+const labelAlternatives = (alternatives) => {
+  const pickBest = (compare) => alternatives.reduce((best, alt) => (compare(alt, best) < 0 ? alt : best));
+  pickBest((a, b) => a.summary.estimatedTime - b.summary.estimatedTime).labels.push('fastest');
+  pickBest((a, b) => a.summary.distance - b.summary.distance).labels.push('shortest');
+  pickBest((a, b) => a.summary.stairCount - b.summary.stairCount || a.summary.distance - b.summary.distance)
+    .labels.push('fewestStairs');
+  const accessible = alternatives.find(alt => alt.summary.wheelchairAccessible);
+  if (accessible) accessible.labels.push('allAccessible');
+  return alternatives;
+};
+
+// Who may pass through restricted landmarks/paths: visitors holding a grant,
+// and admins with at least a viewer role on the building they belong to. A
+// campus route checks each of its buildings, so an admin is staff only in
+// their own organization's.
+const getAccessContext = async (req, buildingIds) => {
+  const grants = req.visitor?.accessGrants || {};
+  const buildings = req.user
+    ? await Building.find({ _id: { $in: buildingIds } }).select('organization grants').lean()
+    : [];
+  return {
+    staffBuildings: new Set(buildings
+      .filter(building => hasRole(buildingRole(req.user, building), 'viewer'))
+      .map(building => building._id.toString())),
+    grants: new Set([...(grants.landmarks || []), ...(grants.paths || [])].map(id => id.toString()))
+  };
+};
+
+// When a route sets off, with the Graph.isAccessible hook applying opening
+// hours and scheduled closures at that time. `timeZones` maps building id ->
+// time zone (see utils/availability.js).
+const getDeparture = (departureTime, timeZones) => {
+  const at = departureTime ? new Date(departureTime) : new Date();
+  return { at, timeZones, isAvailable: availabilityAt(at, timeZones) };
+};
+
+// Error message for a start, stop or destination that is closed at the departure time, or null
+const getClosedAtDepartureMessage = (label, landmark, departure) => {
+  if (departure.isAvailable(landmark)) return null;
+  const { opensAt } = describeAvailability(landmark, departure.at, departure.timeZones.get(landmark.building?.toString()));
+  return `${label} "${landmark.name}" is closed at the requested time${opensAt ? ` (opens at ${opensAt})` : ''}`;
+};
+
+// Open by status but outside its opening hours or in a scheduled closure
+const isClosedBySchedule = (item, options) =>
+  item.status !== 'closed' && Boolean(options.isAvailable) && !options.isAvailable(item);
+
+// Compare against a closure-blind route to tell whether closures forced a
+// detour. Only the status check is lifted: cost model and exclusions stay, so
+// both routes' costs are in the same units.
+const getClosureImpact = (result, runSearch, options) => {
+  const unrestricted = runSearch({ ...options, ignoreStatus: true });
+  if (unrestricted.totalCost === Infinity || unrestricted.totalCost >= result.totalCost) {
+    return { detour: false };
   }
 
-  addEdge(from, to, weight, pathData) {
-    if (!this.adjacencyList.has(from)) return;
-    
-    this.adjacencyList.get(from).push({
-      node: to,
-      weight,
-      path: pathData
-    });
-
-    // Handle bidirectional paths
-    if (pathData.isBidirectional && this.adjacencyList.has(to)) {
-      this.adjacencyList.get(to).push({
-        node: from,
-        weight,
-        path: {
-          ...pathData,
-          instructions: pathData.reverseInstructions || `Return via: ${pathData.instructions}`,
-          images: pathData.images ? [...pathData.images].reverse() : []
-        }
+  const blockedLandmarks = [];
+  const blockedPaths = [];
+  unrestricted.path.forEach((step, index) => {
+    if (!Graph.isAccessible(step.landmark, options)) {
+      blockedLandmarks.push({
+        _id: step.landmark._id,
+        name: step.landmark.name,
+        status: step.landmark.status,
+        scheduled: isClosedBySchedule(step.landmark, options)
       });
     }
-  }
-
-  dijkstra(start, end, preferences = {}) {
-    const distances = new Map();
-    const previous = new Map();
-    const pathDetails = new Map();
-    const visited = new Set();
-    const pq = new MinHeap();
-
-    // Early exit if start or end don't exist
-    if (!this.nodes.has(start) || !this.nodes.has(end)) {
-      return { path: [], totalDistance: Infinity, totalTime: 0 };
-    }
-
-    // Initialize distances
-    for (let node of this.nodes.keys()) {
-      distances.set(node, Infinity);
-    }
-    distances.set(start, 0);
-    pq.enqueue({ node: start, distance: 0 });
-
-    while (!pq.isEmpty()) {
-      const { node: currentNode, distance: currentDistance } = pq.dequeue();
-
-      // Skip if already visited (handles duplicate entries in heap)
-      if (visited.has(currentNode)) continue;
-      visited.add(currentNode);
-
-      // Early termination - we found the shortest path to end
-      if (currentNode === end) break;
-
-      // Skip if this is an outdated entry
-      if (currentDistance > distances.get(currentNode)) continue;
-
-      const neighbors = this.adjacencyList.get(currentNode) || [];
-
-      for (let neighbor of neighbors) {
-        // Skip visited nodes
-        if (visited.has(neighbor.node)) continue;
-
-        // Apply preference filters
-        if (!this.meetsPreferences(neighbor.path, preferences)) {
-          continue;
-        }
-
-        const distance = currentDistance + neighbor.weight;
-
-        if (distance < distances.get(neighbor.node)) {
-          distances.set(neighbor.node, distance);
-          previous.set(neighbor.node, currentNode);
-          pathDetails.set(neighbor.node, neighbor.path);
-          pq.enqueue({ node: neighbor.node, distance });
-        }
-      }
-    }
-
-    // Reconstruct path
-    return this.reconstructPath(start, end, distances, previous, pathDetails);
-  }
-
-  meetsPreferences(path, preferences) {
-    if (!path) return true;
-
-    // Check accessibility preferences
-    if (preferences.avoidStairs && path.accessibility?.requiresStairs) {
-      return false;
-    }
-    if (preferences.wheelchairAccessible && !path.accessibility?.wheelchairAccessible) {
-      return false;
-    }
-    if (preferences.avoidElevators && path.accessibility?.requiresElevator) {
-      return false;
-    }
-    if (preferences.maxDifficulty) {
-      const difficultyLevel = { easy: 1, medium: 2, hard: 3 };
-      if (difficultyLevel[path.difficulty] > difficultyLevel[preferences.maxDifficulty]) {
-        return false;
-      }
-    }
-
-    return true;
-  }
-
-  reconstructPath(start, end, distances, previous, pathDetails) {
-    const path = [];
-    let current = end;
-
-    // No path found
-    if (distances.get(current) === Infinity) {
-      return { path: [], totalDistance: Infinity, totalTime: 0 };
+    if (step.path && !Graph.isAccessible(step.path, options, unrestricted.path[index - 1]?.landmark.building)) {
+      blockedPaths.push({
+        _id: step.path._id,
+        instructions: step.path.instructions,
+        status: step.path.status,
+        scheduled: isClosedBySchedule(step.path, options)
+      });
     }
-
-    // Build path from end to start
-    while (current !== undefined) {
-      const nodeData = this.nodes.get(current);
-      const pathData = pathDetails.get(current);
-
-      path.unshift({
-        landmark: nodeData,
-        path: pathData,
+  });
+
+  return {
+    detour: true,
+    extraDistance: result.totalDistance === Infinity
+      ? null
+      : Math.round(result.totalDistance - unrestricted.totalDistance),
+    extraTime: result.totalDistance === Infinity
+      ? null
+      : result.totalTime - unrestricted.totalTime,
+    blockedLandmarks,
+    blockedPaths
+  };
+};
+
+// Campus routes: group steps into indoor stretches (one per building) and the
+// outdoor / skybridge connectors between them, tagging each step with its type
+const segmentCampusRoute = (steps, buildingNames) => {
+  const segments = [];
+  const taggedSteps = steps.map((step, index) => {
+    const segmentType = step.path?.connectorType && step.path.connectorType !== 'indoor'
+      ? step.path.connectorType
+      : 'indoor';
+    const buildingId = step.landmark.building.toString();
+    if (index === 0) return { ...step, segmentType, building: buildingId, segmentNumber: 1 };
+
+    const last = segments[segments.length - 1];
+    const previous = steps[index - 1].landmark;
+    if (last && last.type === segmentType && (segmentType !== 'indoor' || last.building.id === buildingId)) {
+      last.to = { _id: step.landmark._id, name: step.landmark.name };
+      last.endStep = step.stepNumber;
+      last.distance += step.distance;
+      last.estimatedTime += step.estimatedTime;
+    } else {
+      segments.push({
+        segmentNumber: segments.length + 1,
+        type: segmentType,
+        ...(segmentType === 'indoor' && { building: { id: buildingId, name: buildingNames.get(buildingId) } }),
+        from: { _id: previous._id, name: previous.name },
+        to: { _id: step.landmark._id, name: step.landmark.name },
+        startStep: step.stepNumber - 1,
+        endStep: step.stepNumber,
+        distance: step.distance,
+        estimatedTime: step.estimatedTime
       });
-
-      current = previous.get(current);
     }
-
-    return {
-      path,
-      totalDistance: distances.get(end),
-      totalTime: path.reduce((sum, step) => sum + (step.path?.estimatedTime || 0), 0)
-    };
-  }
-
-  // A* Algorithm (optional upgrade for even better performance)
-  astar(start, end, preferences = {}) {
-    const gScore = new Map(); // Actual distance from start
-    const fScore = new Map(); // gScore + heuristic
-    const previous = new Map();
-    const pathDetails = new Map();
-    const visited = new Set();
-    const pq = new MinHeap();
-
-    if (!this.nodes.has(start) || !this.nodes.has(end)) {
-      return { path: [], totalDistance: Infinity, totalTime: 0 };
-    }
-
-    const heuristic = (nodeId) => {
-      const node = this.nodes.get(nodeId);
-      const endNode = this.nodes.get(end);
-      
-      // Euclidean distance heuristic (if coordinates available)
-      if (node.coordinates && endNode.coordinates) {
-        const dx = node.coordinates.x - endNode.coordinates.x;
-        const dy = node.coordinates.y - endNode.coordinates.y;
-        
-        // --- FIX IMPLEMENTED HERE ---
-        // Safely parse floor strings to integers before subtraction.
-        const startFloor = parseInt(node.floor, 10) || 0;
-        const endFloor = parseInt(endNode.floor, 10) || 0;
-        const dz = (startFloor - endFloor) * 5; // Assume 5m per floor
-        
-        return Math.sqrt(dx * dx + dy * dy + dz * dz);
-      }
-      
-      // Floor difference heuristic as a fallback
-      const startFloor = parseInt(node.floor, 10) || 0;
-      const endFloor = parseInt(endNode.floor, 10) || 0;
-      return Math.abs(startFloor - endFloor) * 5;
+    return { ...step, segmentType, building: buildingId, segmentNumber: segments.length };
+  });
+
+  segments.forEach(segment => { segment.distance = Math.round(segment.distance); });
+  return { steps: taggedSteps, segments };
+};
+
+// How a route leaves one floor for the next
+const describeFloorChange = (step, previous) => {
+  const access = step.accessibility || {};
+  if (access.requiresElevator || [previous.type, step.landmark.type].every(type => type === 'elevator')) return 'elevator';
+  if (access.requiresStairs || [previous.type, step.landmark.type].every(type => type === 'stairs')) return 'stairs';
+  if (step.path?.connectorType && step.path.connectorType !== 'indoor') return step.path.connectorType;
+  return 'other';
+};
+
+// Group steps into one stretch per floor (per building on campus routes) so a
+// client can draw each stretch over that floor's map. The step that changes
+// floor is the first point of the new stretch; its distance/time are reported
+// on the previous stretch's `exit`, not on either floor.
+// `floorsByBuilding` maps building id -> the building's `floors` array.
+const groupStepsByFloor = (steps, floorsByBuilding) => {
+  const segments = [];
+  steps.forEach((step, index) => {
+    const { landmark } = step;
+    const buildingId = landmark.building.toString();
+    const point = {
+      stepNumber: step.stepNumber,
+      landmarkId: landmark._id,
+      name: landmark.name,
+      x: landmark.coordinates?.x,
+      y: landmark.coordinates?.y
     };
-
-    for (let node of this.nodes.keys()) {
-      gScore.set(node, Infinity);
-      fScore.set(node, Infinity);
+    const last = segments[segments.length - 1];
+
+    if (last && last.building === buildingId && last.floor.number === landmark.floor) {
+      last.endStep = step.stepNumber;
+      last.points.push(point);
+      last.distance += step.distance;
+      last.estimatedTime += step.estimatedTime;
+      return;
     }
-    
-    gScore.set(start, 0);
-    fScore.set(start, heuristic(start));
-    pq.enqueue({ node: start, distance: fScore.get(start) });
-
-    while (!pq.isEmpty()) {
-      const { node: currentNode } = pq.dequeue();
-
-      if (visited.has(currentNode)) continue;
-      visited.add(currentNode);
 
-      if (currentNode === end) break;
+    if (last) {
+      last.exit = {
+        stepNumber: step.stepNumber,
+        via: describeFloorChange(step, steps[index - 1].landmark),
+        toFloor: landmark.floor,
+        ...(last.building !== buildingId && { toBuilding: buildingId }),
+        distance: step.distance,
+        estimatedTime: step.estimatedTime
+      };
+    }
+    const floor = (floorsByBuilding.get(buildingId) || []).find(f => f.number === landmark.floor);
+    segments.push({
+      segmentNumber: segments.length + 1,
+      building: buildingId,
+      floor: {
+        number: landmark.floor,
+        name: floor?.name || landmark.floor,
+        mapImage: floor?.mapImage || null,
+        metersPerPixel: floor?.metersPerPixel || null
+      },
+      startStep: step.stepNumber,
+      endStep: step.stepNumber,
+      points: [point],
+      distance: 0,
+      estimatedTime: 0,
+      exit: null
+    });
+  });
+
+  segments.forEach(segment => { segment.distance = Math.round(segment.distance); });
+  return segments;
+};
+
+// Echo what a routing request resolved to, plus any options that were ignored
+const describeRoutingOptions = (schema, rawBody, options, costModel) => ({
+  version: options.optionsVersion,
+  applied: {
+    preferences: options.preferences,
+    algorithm: options.algorithm,
+    costMode: costModel.mode,
+    costWeights: costModel.weights,
+    softPreferences: costModel.softPreferences,
+    excludeLandmarks: options.excludeLandmarks,
+    excludePaths: options.excludePaths,
+    ...(options.alternatives && { alternatives: options.alternatives }),
+    ...(options.departureTime && { departureTime: options.departureTime })
+  },
+  ignored: findUnknownKeys(schema, rawBody)
+});
 
-      const neighbors = this.adjacencyList.get(currentNode) || [];
+// --- ROUTE SEARCH ---
+
+// Cost model, search options and search between two landmarks for a request's
+// routing options. `shortestDistance: false` without an explicit mode means
+// optimise for time. `heuristicScale` overrides the cost model's.
+const createRouteSearch = (graph, fromId, toId, routing, { access, isAvailable, heuristicScale }) => {
+  const {
+    preferences = {}, algorithm = 'dijkstra', costMode, costWeights, softPreferences,
+    excludeLandmarks = [], excludePaths = []
+  } = routing;
+  const costModel = createCostModel({
+    mode: costMode || (preferences.shortestDistance === false ? 'time' : 'distance'),
+    weights: costWeights,
+    preferences,
+    softPreferences
+  });
+  const searchOptions = {
+    access,
+    cost: costModel.cost,
+    heuristicScale: heuristicScale ?? costModel.heuristicScale,
+    excludedNodes: new Set(excludeLandmarks),
+    excludedPaths: new Set(excludePaths),
+    isAvailable
+  };
+  // Use A* if requested, otherwise Dijkstra
+  const runSearch = (options, searchPreferences = costModel.preferences) => algorithm === 'astar'
+    ? graph.astar(fromId, toId, searchPreferences, options)
+    : graph.dijkstra(fromId, toId, searchPreferences, options);
+  return { costModel, searchOptions, runSearch };
+};
+
+// Run a createRouteSearch search, or take `precomputed` (a route table
+// answer), and tell whether closures forced a detour
+const findRoute = (graph, { searchOptions, runSearch }, precomputed = null) => {
+  const result = precomputed || runSearch(searchOptions);
+  const closures = graph.hasStatusRestrictions() || graph.hasTimeRestrictions()
+    ? getClosureImpact(result, runSearch, searchOptions)
+    : { detour: false };
+  return { result, closures };
+};
+
+// 404 for a route that could not be found; `unreachable` is the message when
+// closures are not to blame
+const sendNoRoute = (res, closures, unreachable) => res.status(404).json({
+  success: false,
+  message: closures.detour
+    ? 'No route found. The destination is cut off by closed or restricted areas.'
+    : `No route found. ${unreachable}`,
+  ...(closures.detour && { data: { closures } })
+});
 
-      for (let neighbor of neighbors) {
-        if (visited.has(neighbor.node)) continue;
-        if (!this.meetsPreferences(neighbor.path, preferences)) continue;
+// --- NAVIGATION SESSIONS ---
 
-        const tentativeGScore = gScore.get(currentNode) + neighbor.weight;
+// A session belongs to the admin or visitor whose route request created it
+const sessionOwnerFilter = (req) => (req.user ? { user: req.user._id } : { visitor: req.visitor._id });
 
-        if (tentativeGScore < gScore.get(neighbor.node)) {
-          previous.set(neighbor.node, currentNode);
-          pathDetails.set(neighbor.node, neighbor.path);
-          gScore.set(neighbor.node, tentativeGScore);
-          fScore.set(neighbor.node, tentativeGScore + heuristic(neighbor.node));
-          pq.enqueue({ node: neighbor.node, distance: fScore.get(neighbor.node) });
-        }
-      }
-    }
+const ENDED_SESSION_STATUSES = ['completed', 'cancelled'];
 
-    return this.reconstructPath(start, end, gScore, previous, pathDetails);
-  }
-}
+// The `route` of a session: every step after the starting point
+const toHistorySteps = (steps) => steps.slice(1).map(step => ({
+  landmark: step.landmark._id,
+  path: step.path?._id,
+  stepNumber: step.stepNumber
+}));
 
+// Whole seconds from the first progress report (or the route request) to
+// `end`, the unit of the session's estimatedTime
+const elapsedSeconds = (session, end) =>
+  Math.max(1, Math.round((end - (session.startedAt || session.createdAt)) / 1000));
 
 // --- API ROUTES ---
 
+// Visitors only see buildings with a published revision, and the details,
+// floors and landmarks of that revision (see utils/revisions.js)
+const PUBLISHED_BUILDING = { isActive: true, publishedRevision: { $gt: 0 } };
+
 // @route   GET /api/navigation/buildings
 // @desc    Get all available buildings for navigation
-// @access  Public
-router.get('/buildings', validateQuery(paginationSchema), async (req, res) => {
+// @access  Public (optional auth)
+router.get('/buildings', optionalAuth, validateQuery(paginationSchema), async (req, res) => {
   try {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
@@ -309,30 +373,36 @@ router.get('/buildings', validateQuery(paginationSchema), async (req, res) => {
 
     const [buildings, total] = await Promise.all([
       Building.aggregate([
-        { $match: { isActive: true } },
-        { $sort: { name: 1 } },
-        { $skip: skip },
-        { $limit: limit },
+        { $match: PUBLISHED_BUILDING },
         {
           $lookup: {
-            from: 'landmarks',
+            from: 'buildingrevisions',
             localField: '_id',
             foreignField: 'building',
-            pipeline: [{ $match: { isActive: true } }, { $count: 'count' }],
-            as: 'landmarkData'
+            pipeline: [
+              { $match: { isCurrent: true } },
+              { $project: { building: '$snapshot.building', landmarksCount: '$counts.landmarks', number: 1 } }
+            ],
+            as: 'revision'
           }
         },
+        { $unwind: '$revision' },
+        { $sort: { 'revision.building.name': 1 } },
+        { $skip: skip },
+        { $limit: limit },
         {
           $project: {
-            name: 1,
-            description: 1,
-            address: 1,
-            floors: 1,
-            landmarksCount: { $ifNull: [{ $arrayElemAt: ['$landmarkData.count', 0] }, 0] }
+            name: '$revision.building.name',
+            description: '$revision.building.description',
+            address: '$revision.building.address',
+            floors: '$revision.building.floors',
+            campus: 1,
+            revision: '$revision.number',
+            landmarksCount: '$revision.landmarksCount'
           }
         }
       ]),
-      Building.countDocuments({ isActive: true })
+      Building.countDocuments(PUBLISHED_BUILDING)
     ]);
 
     res.json({
@@ -360,42 +430,40 @@ router.get('/buildings', validateQuery(paginationSchema), async (req, res) => {
 
 // @route   GET /api/navigation/buildings/:id/landmarks
 // @desc    Get all landmarks for a specific building
-// @access  Public
+// @access  Public (optional auth)
 router.get('/buildings/:id/landmarks',
+  optionalAuth,
   validateQuery(searchSchema.pick({ type: true, floor: true, q: true })),
   async (req, res) => {
   try {
     const { type, floor, q } = req.query;
     const buildingId = req.params.id;
 
-    const building = await Building.findById(buildingId).lean();
-    if (!building || !building.isActive) {
+    const live = await Building.findOne({ _id: buildingId, ...PUBLISHED_BUILDING }).select('_id timezone').lean();
+    const graph = live && await getBuildingGraph(buildingId);
+    if (!graph?.revision) {
       return res.status(404).json({
         success: false,
         message: 'Building not found'
       });
     }
-
-    let query = {
-      building: buildingId,
-      isActive: true
-    };
-
-    if (type) query.type = type;
-    if (floor) query.floor = floor; // Note: floor is a string, so direct comparison works
-    if (q) {
-      const regex = new RegExp(q, 'i');
-      query.$or = [
-        { name: regex },
-        { description: regex },
-        { roomNumber: regex }
-      ];
-    }
-
-    const landmarks = await Landmark.find(query)
-      .select('name description type floor coordinates roomNumber images accessibility')
-      .sort({ floor: 1, name: 1 })
-      .lean();
+    const building = graph.revision.building;
+    const now = new Date();
+
+    // Plain case-insensitive substring match: `q` is user input, not a pattern
+    const needle = typeof q === 'string' && q ? q.toLowerCase() : null;
+    const landmarks = [...graph.nodes.values()]
+      .filter(landmark => (!type || landmark.type === type) && (!floor || landmark.floor === floor))
+      .filter(landmark => !needle || [landmark.name, landmark.description, landmark.roomNumber]
+        .some(text => text && String(text).toLowerCase().includes(needle)))
+      .sort((a, b) => a.floor.localeCompare(b.floor) || a.name.localeCompare(b.name))
+      .map(landmark => {
+        const { _id, name, description, type, floor, coordinates, roomNumber, images, accessibility, status, openingHours } = landmark;
+        return {
+          _id, name, description, type, floor, coordinates, roomNumber, images, accessibility, status, openingHours,
+          availability: describeAvailability(landmark, now, live.timezone || DEFAULT_TIME_ZONE)
+        };
+      });
 
     const landmarksByFloor = landmarks.reduce((acc, landmark) => {
         (acc[landmark.floor] = acc[landmark.floor] || []).push(landmark);
@@ -408,7 +476,9 @@ router.get('/buildings/:id/landmarks',
         building: {
           id: building._id,
           name: building.name,
-          floors: building.floors
+          floors: building.floors,
+          timezone: live.timezone || DEFAULT_TIME_ZONE,
+          revision: graph.revision.number
         },
         landmarks,
         landmarksByFloor,
@@ -424,53 +494,93 @@ router.get('/buildings/:id/landmarks',
   }
 });
 
-// @route   POST /api/navigation/route
-// @desc    Calculate route between two landmarks (OPTIMIZED)
-// @access  Public (with optional auth for history)
-router.post('/route', async (req, res) => {
+// @route   GET /api/navigation/buildings/:id/events
+// @desc    Server-Sent Events stream of landmark/path status changes in the
+//          building's published graph ('status' events: { kind, id, status, at })
+// @access  Public
+router.get('/buildings/:id/events', async (req, res) => {
   try {
-    // Optional authentication
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.split(' ')[1];
-        // Add your token verification logic here
-      } catch (authError) {
-        console.log('Optional auth failed:', authError.message);
-      }
+    const live = await Building.findOne({ _id: req.params.id, ...PUBLISHED_BUILDING })
+      .select('_id publishedRevision').lean();
+    if (!live) {
+      return res.status(404).json({ success: false, message: 'Building not found' });
     }
+    openStream(req, res, live._id, { building: live._id, revision: live.publishedRevision });
+  } catch (error) {
+    console.error('Building events error:', error);
+    res.status(500).json({ success: false, message: 'Server error while opening building events' });
+  }
+});
 
+// @route   POST /api/navigation/route
+// @desc    Calculate route between two landmarks (OPTIMIZED)
+// @access  Public (optional auth for history and restricted areas)
+router.post('/route', optionalAuth, async (req, res) => {
+  try {
     // Validation
     const validationResult = navigationRequestSchema.safeParse(req.body);
     if (!validationResult.success) {
       return res.status(400).json({
         success: false,
         message: 'Validation error',
-        errors: validationResult.error.errors.map(err => ({ 
+        errors: validationResult.error.issues.map(err => ({ 
           field: err.path.join('.'), 
           message: err.message 
         }))
       });
     }
 
-    const { building: buildingId, from: fromId, to: toId, preferences = {}, algorithm = 'dijkstra' } = validationResult.data;
+    const {
+      building: buildingId, from: fromId, to: toId, preferences = {}, algorithm = 'dijkstra', alternatives,
+      excludeLandmarks, excludePaths, departureTime, draft = false
+    } = validationResult.data;
 
-    // Fetch data concurrently with lean() for better performance
-    const [building, fromLandmark, toLandmark] = await Promise.all([
-      Building.findById(buildingId).lean(),
-      Landmark.findById(fromId).lean(),
-      Landmark.findById(toId).lean()
-    ]);
+    if (excludeLandmarks.includes(fromId) || excludeLandmarks.includes(toId)) {
+      return res.status(400).json({ success: false, message: 'The start or destination cannot be an excluded landmark' });
+    }
 
-    // Validation
-    if (!building || !building.isActive) {
+    const liveBuilding = await Building.findById(buildingId).lean();
+    if (!liveBuilding || !liveBuilding.isActive) {
       return res.status(400).json({ success: false, message: 'Building not found' });
     }
-    if (!fromLandmark || !fromLandmark.isActive || fromLandmark.building.toString() !== buildingId) {
+    // Draft previews let an admin try unpublished edits before publishing them
+    if (draft && !(req.user && hasRole(buildingRole(req.user, liveBuilding), 'viewer'))) {
+      return res.status(403).json({ success: false, message: 'Only admins of the building\'s organization can route on its draft' });
+    }
+
+    // Visitors are routed on the published revision; landmarks come from the same graph
+    const graph = await getBuildingGraph(buildingId, { draft });
+    const building = draft ? liveBuilding : graph.revision?.building;
+    if (!building) {
+      return res.status(400).json({ success: false, message: 'Building not found' });
+    }
+    const fromLandmark = graph.nodes.get(fromId);
+    const toLandmark = graph.nodes.get(toId);
+    if (!fromLandmark) {
       return res.status(400).json({ success: false, message: 'Invalid "from" landmark' });
     }
-    if (!toLandmark || !toLandmark.isActive || toLandmark.building.toString() !== buildingId) {
+    if (!toLandmark) {
       return res.status(400).json({ success: false, message: 'Invalid "to" landmark' });
     }
+    const revision = draft ? { draft: true } : { revision: graph.revision.number };
+
+    // Closure / restriction check on the endpoints themselves
+    const access = await getAccessContext(req, [buildingId]);
+    const departure = getDeparture(departureTime, new Map([[buildingId, liveBuilding.timezone || DEFAULT_TIME_ZONE]]));
+    for (const [label, landmark] of [['Starting point', fromLandmark], ['Destination', toLandmark]]) {
+      if (landmark.status === 'closed') {
+        return res.status(400).json({ success: false, message: `${label} "${landmark.name}" is currently closed` });
+      }
+      if (landmark.status === 'restricted' && !Graph.isAccessible(landmark, { access })) {
+        return res.status(403).json({ success: false, message: `${label} "${landmark.name}" is restricted` });
+      }
+      const closedMessage = getClosedAtDepartureMessage(label, landmark, departure);
+      if (closedMessage) {
+        return res.status(400).json({ success: false, message: closedMessage });
+      }
+    }
+
+    const floorsByBuilding = new Map([[buildingId, building.floors]]);
 
     // Same location check
     if (fromId === toId) {
@@ -486,92 +596,96 @@ router.post('/route', async (req, res) => {
               distance: 0,
               estimatedTime: 0
             }],
+            floorSegments: groupStepsByFloor(
+              [{ stepNumber: 1, landmark: fromLandmark, distance: 0, estimatedTime: 0 }],
+              floorsByBuilding
+            ),
             totalDistance: 0,
             totalTime: 0,
-            preferences
+            preferences,
+            ...revision
           }
         }
       });
     }
-    
-    // Get all active landmark IDs for the building once
-    const landmarkIdsInBuilding = await Landmark.distinct('_id', { building: buildingId, isActive: true });
-
-    // Fetch landmarks and paths concurrently
-    const [landmarks, buildingPaths] = await Promise.all([
-      Landmark.find({ _id: { $in: landmarkIdsInBuilding } }).lean(),
-      Path.find({
-        isActive: true,
-        from: { $in: landmarkIdsInBuilding },
-        to: { $in: landmarkIdsInBuilding } // Ensures both ends are in the building
-      }).lean()
-    ]);
 
-    // Build graph
-    const graph = new Graph();
-    landmarks.forEach(landmark => 
-      graph.addNode(landmark._id.toString(), landmark)
-    );
-    buildingPaths.forEach(path => {
-      graph.addEdge(
-        path.from.toString(),
-        path.to.toString(),
-        path.distance,
-        path
-      );
+    const search = createRouteSearch(graph, fromId, toId, validationResult.data, {
+      access,
+      isAvailable: departure.isAvailable
     });
-
-    // Calculate route (use A* if requested, otherwise Dijkstra)
-    const result = algorithm === 'astar' 
-      ? graph.astar(fromId, toId, preferences)
-      : graph.dijkstra(fromId, toId, preferences);
+    const { costModel, searchOptions, runSearch } = search;
+
+    // Plain shortest-distance requests from anonymous callers can be answered
+    // from a precomputed route table when the building has one (tables follow
+    // the published revision, so never for draft previews, and do not know
+    // opening hours or scheduled closures)
+    const tableProfile = !draft && !graph.hasTimeRestrictions() && costModel.mode === 'distance' &&
+      costModel.softPreferences.length === 0 && excludeLandmarks.length === 0 && excludePaths.length === 0 &&
+      access.staffBuildings.size === 0 && access.grants.size === 0
+      ? matchProfile(costModel.preferences)
+      : null;
+    const tableResult = tableProfile ? await lookupRoute(buildingId, tableProfile, fromId, toId, graph) : null;
+    const { result, closures } = findRoute(graph, search, tableResult);
 
     if (result.totalDistance === Infinity) {
-      return res.status(404).json({
-        success: false,
-        message: 'No route found. The destination may be unreachable with your selected preferences.'
-      });
+      return sendNoRoute(res, closures, 'The destination may be unreachable with your selected preferences.');
     }
 
-    // Format route steps
-    const steps = result.path.map((step, index) => ({
-      stepNumber: index + 1,
-      landmark: step.landmark,
-      path: index > 0 ? result.path[index].path : null,
-      instructions: index === 0 
-        ? `Start at ${step.landmark.name}` 
-        : result.path[index].path.instructions,
-      distance: index > 0 ? result.path[index].path.distance : 0,
-      estimatedTime: index > 0 ? result.path[index].path.estimatedTime : 0,
-      images: index > 0 ? result.path[index].path.images : [],
-      difficulty: index > 0 ? result.path[index].path.difficulty : 'easy',
-      accessibility: index > 0 ? result.path[index].path.accessibility : null
-    }));
+    const steps = formatRouteSteps(result.path);
 
     const routeData = {
       steps,
+      floorSegments: groupStepsByFloor(steps, floorsByBuilding),
       totalDistance: Math.round(result.totalDistance),
       totalTime: result.totalTime,
+      totalCost: result.totalCost,
+      summary: summarizeRoute(result.path),
       preferences,
+      costModel: { mode: costModel.mode, weights: costModel.weights, softPreferences: costModel.softPreferences },
+      options: describeRoutingOptions(navigationRequestSchema, req.body, validationResult.data, costModel),
       algorithm: algorithm || 'dijkstra',
+      source: tableResult ? 'table' : 'search',
+      departureTime: departure.at.toISOString(),
       building: { id: building._id, name: building.name },
+      ...revision,
       from: fromLandmark,
-      to: toLandmark
+      to: toLandmark,
+      closures
     };
 
-    // Save to navigation history if user is authenticated
-    if (req.user) {
+    // Loop-free alternatives, plus a fully wheelchair-accessible one when none made the cut
+    if (alternatives > 1) {
+      const routes = graph.kShortestPaths(fromId, toId, alternatives, costModel.preferences, searchOptions, algorithm);
+      if (!routes.some(route => summarizeRoute(route.path).wheelchairAccessible)) {
+        const accessibleRoute = runSearch(searchOptions, { ...costModel.preferences, wheelchairAccessible: true });
+        if (accessibleRoute.totalDistance !== Infinity) routes.push(accessibleRoute);
+      }
+
+      routeData.alternatives = labelAlternatives(routes.map((route, index) => {
+        const alternativeSteps = formatRouteSteps(route.path);
+        return {
+          rank: index + 1,
+          steps: alternativeSteps,
+          floorSegments: groupStepsByFloor(alternativeSteps, floorsByBuilding),
+          totalDistance: Math.round(route.totalDistance),
+          totalTime: route.totalTime,
+          summary: summarizeRoute(route.path),
+          labels: []
+        };
+      }));
+    }
+
+    // Save to navigation history if an admin or visitor is authenticated
+    // (draft previews are not real trips)
+    const navigator = req.user || req.visitor;
+    if (navigator && !draft) {
       const navigationHistory = new NavigationHistory({
-        user: req.user._id,
-        sessionId: `${req.user._id}_${Date.now()}`,
+        ...sessionOwnerFilter(req),
+        sessionId: `${navigator._id}_${Date.now()}`,
         building: buildingId,
         fromLandmark: fromId,
         toLandmark: toId,
-        route: steps.slice(1).map(step => ({
-          landmark: step.landmark._id,
-          path: step.path?._id,
-          stepNumber: step.stepNumber
-        })),
+        route: toHistorySteps(steps),
         totalDistance: result.totalDistance,
         estimatedTime: result.totalTime,
         status: 'started'
@@ -587,37 +701,329 @@ router.post('/route', async (req, res) => {
   }
 });
 
+// @route   POST /api/navigation/campus-route
+// @desc    Calculate a route between landmarks in different buildings of a campus
+// @access  Public (with optional auth for restricted areas)
+router.post('/campus-route', optionalAuth, async (req, res) => {
+  try {
+    const validationResult = campusRouteRequestSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: validationResult.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    const {
+      from: fromId, to: toId, preferences, algorithm, excludeLandmarks, departureTime
+    } = validationResult.data;
+
+    if (excludeLandmarks.includes(fromId) || excludeLandmarks.includes(toId)) {
+      return res.status(400).json({ success: false, message: 'The start or destination cannot be an excluded landmark' });
+    }
+    if (fromId === toId) {
+      return res.status(400).json({ success: false, message: 'The start and destination must be different landmarks' });
+    }
+
+    const [fromPublished, toPublished] = await Promise.all([
+      findPublishedLandmark(fromId),
+      findPublishedLandmark(toId)
+    ]);
+    if (!fromPublished) {
+      return res.status(400).json({ success: false, message: 'Invalid "from" landmark' });
+    }
+    if (!toPublished) {
+      return res.status(400).json({ success: false, message: 'Invalid "to" landmark' });
+    }
+    const fromLandmark = fromPublished.landmark;
+    const toLandmark = toPublished.landmark;
+
+    const [fromBuilding, toBuilding] = await Promise.all([
+      Building.findById(fromLandmark.building).lean(),
+      Building.findById(toLandmark.building).lean()
+    ]);
+    if (!fromBuilding?.isActive || !toBuilding?.isActive) {
+      return res.status(400).json({ success: false, message: 'Building not found' });
+    }
+    if (!fromBuilding.campus || fromBuilding.campus.toString() !== toBuilding.campus?.toString()) {
+      return res.status(400).json({ success: false, message: 'Both landmarks must be in buildings on the same campus' });
+    }
+
+    const { graph, buildings } = await getCampusGraph(fromBuilding.campus);
+    const access = await getAccessContext(req, buildings.map(building => building._id));
+    const departure = getDeparture(departureTime, await getTimeZones(buildings.map(building => building._id)));
+    for (const [label, landmark] of [['Starting point', fromLandmark], ['Destination', toLandmark]]) {
+      if (landmark.status === 'closed') {
+        return res.status(400).json({ success: false, message: `${label} "${landmark.name}" is currently closed` });
+      }
+      if (landmark.status === 'restricted' && !Graph.isAccessible(landmark, { access })) {
+        return res.status(403).json({ success: false, message: `${label} "${landmark.name}" is restricted` });
+      }
+      const closedMessage = getClosedAtDepartureMessage(label, landmark, departure);
+      if (closedMessage) {
+        return res.status(400).json({ success: false, message: closedMessage });
+      }
+    }
+
+    const search = createRouteSearch(graph, fromId, toId, validationResult.data, {
+      access,
+      isAvailable: departure.isAvailable,
+      // Coordinates are per building, so straight-line distance cannot guide A* across them
+      heuristicScale: 0
+    });
+    const { costModel } = search;
+    const { result, closures } = findRoute(graph, search);
+
+    if (result.totalDistance === Infinity) {
+      return sendNoRoute(res, closures, 'The buildings may not be connected with your selected preferences.');
+    }
+
+    const buildingNames = new Map(buildings.map(building => [building._id.toString(), building.name]));
+    const { steps, segments } = segmentCampusRoute(formatRouteSteps(result.path), buildingNames);
+    const floorsByBuilding = new Map(buildings.map(building => [building._id.toString(), building.floors]));
+    const connectorSegments = segments.filter(segment => segment.type !== 'indoor');
+
+    res.json({
+      success: true,
+      data: {
+        route: {
+          steps,
+          segments,
+          floorSegments: groupStepsByFloor(steps, floorsByBuilding),
+          totalDistance: Math.round(result.totalDistance),
+          totalTime: result.totalTime,
+          totalCost: result.totalCost,
+          summary: {
+            ...summarizeRoute(result.path),
+            buildingsVisited: new Set(steps.map(step => step.building)).size,
+            outdoorDistance: Math.round(connectorSegments
+              .filter(segment => segment.type === 'outdoor')
+              .reduce((sum, segment) => sum + segment.distance, 0)),
+            connectorCount: connectorSegments.length
+          },
+          preferences,
+          costModel: { mode: costModel.mode, weights: costModel.weights, softPreferences: costModel.softPreferences },
+          options: describeRoutingOptions(campusRouteRequestSchema, req.body, validationResult.data, costModel),
+          algorithm,
+          departureTime: departure.at.toISOString(),
+          campus: fromBuilding.campus,
+          from: fromLandmark,
+          to: toLandmark,
+          closures
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Campus route calculation error:', error);
+    res.status(500).json({ success: false, message: 'Server error while calculating campus route' });
+  }
+});
+
+// @route   POST /api/navigation/itinerary
+// @desc    Calculate one stitched route through several stops
+// @access  Public (with optional auth for restricted areas)
+router.post('/itinerary', optionalAuth, async (req, res) => {
+  try {
+    const validationResult = itineraryRequestSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: validationResult.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    const {
+      building: buildingId, start, waypoints, end, ordered, optimizeFor, preferences, algorithm,
+      excludeLandmarks, departureTime
+    } = validationResult.data;
+
+    // Point 0 is the start, then the waypoints, then the optional fixed end
+    const pointIds = [start, ...waypoints, ...(end ? [end] : [])];
+    if (pointIds.some(id => excludeLandmarks.includes(id))) {
+      return res.status(400).json({ success: false, message: 'A stop cannot be an excluded landmark' });
+    }
+    const live = await Building.findOne({ _id: buildingId, ...PUBLISHED_BUILDING }).select('_id timezone').lean();
+    const graph = live && await getBuildingGraph(buildingId);
+    if (!graph?.revision) {
+      return res.status(400).json({ success: false, message: 'Building not found' });
+    }
+    const building = graph.revision.building;
+
+    const access = await getAccessContext(req, [buildingId]);
+    const departure = getDeparture(departureTime, new Map([[buildingId, live.timezone || DEFAULT_TIME_ZONE]]));
+    const landmarksById = graph.nodes;
+    for (const id of new Set(pointIds)) {
+      const landmark = landmarksById.get(id);
+      if (!landmark) {
+        return res.status(400).json({ success: false, message: `Invalid stop landmark: ${id}` });
+      }
+      if (!Graph.isAccessible(landmark, { access })) {
+        return res.status(landmark.status === 'closed' ? 400 : 403).json({
+          success: false,
+          message: `Stop "${landmark.name}" is currently ${landmark.status}`
+        });
+      }
+      const closedMessage = getClosedAtDepartureMessage('Stop', landmark, departure);
+      if (closedMessage) {
+        return res.status(400).json({ success: false, message: closedMessage });
+      }
+    }
+
+    // One search per leg; closure impact is only worked out for the legs walked
+    const routing = { ...validationResult.data, costMode: optimizeFor };
+    const searchContext = { access, isAvailable: departure.isAvailable };
+    const legCache = new Map();
+    const getLegSearch = (i, j) => {
+      const key = `${i}:${j}`;
+      if (!legCache.has(key)) {
+        const search = createRouteSearch(graph, pointIds[i], pointIds[j], routing, searchContext);
+        legCache.set(key, { search, result: search.runSearch(search.searchOptions) });
+      }
+      return legCache.get(key);
+    };
+    const { costModel } = getLegSearch(0, 1).search;
+
+    const waypointPoints = waypoints.map((_, index) => index + 1);
+    const endIndex = end ? pointIds.length - 1 : undefined;
+    let order = waypointPoints;
+    let solver = 'fixed';
+
+    if (!ordered && waypointPoints.length > 1) {
+      // Leg costs between every pair of stops the tour could use
+      const costs = pointIds.map(() => new Array(pointIds.length).fill(Infinity));
+      for (const i of [0, ...waypointPoints]) {
+        for (const j of [...waypointPoints, ...(end ? [endIndex] : [])]) {
+          if (i === j) continue;
+          costs[i][j] = getLegSearch(i, j).result.totalCost;
+        }
+      }
+
+      solver = waypointPoints.length <= EXACT_ITINERARY_LIMIT ? 'exact' : 'heuristic';
+      order = solver === 'exact'
+        ? solveVisitOrderExact(costs, waypointPoints, endIndex)
+        : solveVisitOrderHeuristic(costs, waypointPoints, endIndex);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'No itinerary found. Some stops are unreachable with your selected preferences.'
+        });
+      }
+    }
+
+    // Stitch the legs together, dropping each leg's duplicated start step
+    const visitSequence = [0, ...order, ...(end ? [endIndex] : [])];
+    const legs = [];
+    const routePath = [];
+    let totalDistance = 0;
+    for (let n = 1; n < visitSequence.length; n++) {
+      const { search, result } = getLegSearch(visitSequence[n - 1], visitSequence[n]);
+      const { result: leg, closures } = findRoute(graph, search, result);
+      const fromLandmark = landmarksById.get(pointIds[visitSequence[n - 1]]);
+      const toLandmark = landmarksById.get(pointIds[visitSequence[n]]);
+
+      if (leg.totalCost === Infinity) {
+        return sendNoRoute(res, closures, `"${toLandmark.name}" may be unreachable from "${fromLandmark.name}" with your selected preferences.`);
+      }
+
+      totalDistance += leg.totalDistance;
+      const startStep = routePath.length === 0 ? 1 : routePath.length;
+      routePath.push(...(routePath.length === 0 ? leg.path : leg.path.slice(1)));
+      legs.push({
+        legNumber: n,
+        from: { _id: fromLandmark._id, name: fromLandmark.name },
+        to: { _id: toLandmark._id, name: toLandmark.name },
+        distance: Math.round(leg.totalDistance),
+        estimatedTime: leg.totalTime,
+        startStep,
+        endStep: routePath.length,
+        closures
+      });
+    }
+
+    const steps = formatRouteSteps(routePath).map(step => {
+      const leg = legs.find(l => step.stepNumber > l.startStep && step.stepNumber <= l.endStep) || legs[0];
+      return { ...step, legNumber: leg.legNumber, isStop: legs.some(l => l.endStep === step.stepNumber) };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        itinerary: {
+          steps,
+          legs,
+          stops: visitSequence.map(index => landmarksById.get(pointIds[index])),
+          totalDistance: Math.round(totalDistance),
+          totalTime: legs.reduce((sum, leg) => sum + leg.estimatedTime, 0),
+          ordered,
+          optimizeFor,
+          solver,
+          preferences,
+          algorithm,
+          options: describeRoutingOptions(itineraryRequestSchema, req.body, validationResult.data, costModel),
+          departureTime: departure.at.toISOString(),
+          building: { id: building._id, name: building.name },
+          revision: graph.revision.number,
+          closures: { detour: legs.some(leg => leg.closures.detour) }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Itinerary calculation error:', error);
+    res.status(500).json({ success: false, message: 'Server error while calculating itinerary' });
+  }
+});
+
 // @route   GET /api/navigation/landmarks/:id
 // @desc    Get landmark details with connected landmarks
-// @access  Public
-router.get('/landmarks/:id', async (req, res) => {
+// @access  Public (optional auth)
+router.get('/landmarks/:id', optionalAuth, async (req, res) => {
   try {
-    const landmark = await Landmark.findById(req.params.id)
-      .populate('building', 'name floors')
-      .lean();
-
-    if (!landmark || !landmark.isActive) {
+    const published = await findPublishedLandmark(req.params.id);
+    if (!published) {
       return res.status(404).json({ success: false, message: 'Landmark not found' });
     }
+    const { graph } = published;
+    const id = published.landmark._id.toString();
+    const { _id, name, floors } = graph.revision.building;
+    const live = await Building.findById(_id).select('timezone').lean();
+    const landmark = {
+      ...published.landmark,
+      building: { _id, name, floors },
+      availability: describeAvailability(published.landmark, new Date(), live?.timezone || DEFAULT_TIME_ZONE)
+    };
 
-    const connectedPaths = await Path.find({
-      $or: [{ from: landmark._id }, { to: landmark._id, isBidirectional: true }],
-      isActive: true
-    })
-    .populate('from to', 'name type floor')
-    .lean();
+    // Paths inside the building, then campus connectors to other buildings
+    const summarize = ({ _id, name, type, floor }) => ({ _id, name, type, floor });
+    const neighbours = (graph.adjacencyList.get(id) || [])
+      .map(edge => ({ path: edge.path, other: graph.nodes.get(edge.node) }));
+    const connectors = graph.revision.connectors
+      .filter(path => path.from.toString() === id || (path.to.toString() === id && path.isBidirectional));
+    for (const path of connectors) {
+      const otherId = path.from.toString() === id ? path.to : path.from;
+      const other = await findPublishedLandmark(otherId);
+      if (other) neighbours.push({ path, other: other.landmark });
+    }
 
-    const connections = connectedPaths.map(path => {
-      const isFromCurrent = path.from._id.toString() === landmark._id.toString();
-      const connectedLandmark = isFromCurrent ? path.to : path.from;
+    const connections = neighbours.map(({ path, other }) => {
+      const isFromCurrent = path.from.toString() === id;
 
       return {
-        landmark: connectedLandmark,
+        landmark: summarize(other),
         distance: path.distance,
         estimatedTime: path.estimatedTime,
         difficulty: path.difficulty,
         instructions: isFromCurrent ? path.instructions : (path.reverseInstructions || `Return via: ${path.instructions}`),
-        accessibility: path.accessibility
+        accessibility: path.accessibility,
+        status: path.status
       };
     });
 
@@ -636,36 +1042,269 @@ router.get('/landmarks/:id', async (req, res) => {
 });
 
 
-// @route   PUT /api/navigation/history/:id/status
-// @desc    Update navigation status
-// @access  Private
-router.put('/history/:id/status', authenticate, async (req, res) => {
+// @route   GET /api/navigation/landmarks/:id/nearest?type=restroom[,elevator,...]
+// @desc    Closest landmarks of each requested type by route distance or time,
+//          each with its full route, from one single-source search
+// @access  Public (with optional auth for restricted areas)
+router.get('/landmarks/:id/nearest', optionalAuth, async (req, res) => {
   try {
-    const { status } = req.body;
-    const navigationId = req.params.id;
+    const query = nearestQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query validation error',
+        errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+      });
+    }
+    const { type: types, limit, rankBy, maxDifficulty, ...flags } = query.data;
+
+    const published = await findPublishedLandmark(req.params.id);
+    if (!published) {
+      return res.status(404).json({ success: false, message: 'Landmark not found' });
+    }
+    const { graph, landmark: fromLandmark } = published;
+    const fromId = fromLandmark._id.toString();
+    const building = graph.revision.building;
+
+    // Same hard filters as a route request (Graph.meetsPreferences); only
+    // landmarks open right now are offered
+    const preferences = { ...flags, ...(maxDifficulty && { maxDifficulty }) };
+    const costModel = createCostModel({ mode: rankBy, preferences });
+    const live = await Building.findById(building._id).select('timezone').lean();
+    const departure = getDeparture(null, new Map([[building._id.toString(), live?.timezone || DEFAULT_TIME_ZONE]]));
+    const { distances, previous, pathDetails } = graph.shortestPathTree(fromId, costModel.preferences, {
+      access: await getAccessContext(req, [building._id]),
+      cost: costModel.cost,
+      isAvailable: departure.isAvailable
+    });
+
+    const floorsByBuilding = new Map([[building._id.toString(), building.floors]]);
+    const results = types.map(type => {
+      const ranked = [...graph.nodes.values()]
+        .filter(node => node.type === type && node._id.toString() !== fromId && distances.get(node._id.toString()) !== Infinity)
+        .map(node => graph.reconstructPath(fromId, node._id.toString(), distances, previous, pathDetails))
+        .sort((a, b) => a.totalCost - b.totalCost || a.totalDistance - b.totalDistance)
+        .slice(0, limit);
+
+      return {
+        type,
+        landmarks: ranked.map((route, index) => {
+          const steps = formatRouteSteps(route.path);
+          return {
+            rank: index + 1,
+            landmark: route.path[route.path.length - 1].landmark,
+            distance: Math.round(route.totalDistance),
+            estimatedTime: route.totalTime,
+            route: {
+              steps,
+              floorSegments: groupStepsByFloor(steps, floorsByBuilding),
+              totalDistance: Math.round(route.totalDistance),
+              totalTime: route.totalTime,
+              summary: summarizeRoute(route.path)
+            }
+          };
+        })
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: fromLandmark,
+        rankBy,
+        preferences,
+        results,
+        building: { id: building._id, name: building.name },
+        revision: graph.revision.number
+      }
+    });
+  } catch (error) {
+    console.error('Nearest landmark error:', error);
+    res.status(500).json({ success: false, message: 'Server error while finding nearest landmarks' });
+  }
+});
 
-    if (!['in_progress', 'completed', 'cancelled'].includes(status)) {
+// @route   GET /api/navigation/landmarks/:id/evacuation
+// @desc    Route to the nearest reachable emergency exit: no elevators, closed
+//          areas and active hazard zones avoided (see utils/evacuation.js)
+// @access  Public (with optional auth for restricted areas)
+router.get('/landmarks/:id/evacuation', optionalAuth, async (req, res) => {
+  try {
+    const query = evacuationQuerySchema.safeParse(req.query);
+    if (!query.success) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be one of: in_progress, completed, cancelled'
+        message: 'Query validation error',
+        errors: query.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
       });
     }
+    const { rankBy } = query.data;
 
-    const navigation = await NavigationHistory.findOneAndUpdate(
-      { _id: navigationId, user: req.user._id },
-      { 
-        status, 
-        completedAt: status === 'completed' ? new Date() : undefined,
-      },
-      { new: true }
-    );
+    const published = await findPublishedLandmark(req.params.id);
+    if (!published) {
+      return res.status(404).json({ success: false, message: 'Landmark not found' });
+    }
+    const { graph, landmark: fromLandmark } = published;
+    const fromId = fromLandmark._id.toString();
+    const building = graph.revision.building;
+
+    const hazards = await getActiveHazards(building._id);
+    const options = getEvacuationOptions(graph, hazards, {
+      access: await getAccessContext(req, [building._id]),
+      cost: evacuationCost(rankBy),
+      isAvailable: closuresAt(new Date())
+    });
+    const hazardZones = hazards.map(zone => ({ _id: zone._id, name: zone.name, floor: zone.floor }));
+    const route = findEvacuationRoute(graph, fromId, options, findExits(graph, options));
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'No safe exit found. Every emergency exit is cut off by closed areas, hazard zones or elevators.',
+        data: { from: fromLandmark, hazardZones }
+      });
+    }
+
+    const steps = formatRouteSteps(route.path);
+    const floorsByBuilding = new Map([[building._id.toString(), building.floors]]);
+    res.json({
+      success: true,
+      data: {
+        from: fromLandmark,
+        exit: route.path[route.path.length - 1].landmark,
+        inHazardZone: options.excludedNodes.has(fromId),
+        rankBy,
+        preferences: EVACUATION_PREFERENCES,
+        route: {
+          steps,
+          floorSegments: groupStepsByFloor(steps, floorsByBuilding),
+          totalDistance: Math.round(route.totalDistance),
+          totalTime: route.totalTime,
+          summary: summarizeRoute(route.path)
+        },
+        hazardZones,
+        building: { id: building._id, name: building.name },
+        revision: graph.revision.number
+      }
+    });
+  } catch (error) {
+    console.error('Evacuation route error:', error);
+    res.status(500).json({ success: false, message: 'Server error while finding an evacuation route' });
+  }
+});
+
+// @route   GET /api/navigation/history
+// @desc    List the caller's navigation sessions
+// @access  Private (admin or visitor token)
+router.get('/history', authenticateNavigator, validateQuery(paginationSchema), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const filter = sessionOwnerFilter(req);
+
+    const [sessions, total] = await Promise.all([
+      NavigationHistory.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-route')
+        .populate('building', 'name')
+        .populate('fromLandmark toLandmark', 'name floor')
+        .lean(),
+      NavigationHistory.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Navigation history fetch error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching navigation history' });
+  }
+});
+
+// @route   PUT /api/navigation/history/:id/progress
+// @desc    Report the step the navigator has reached (starts the session)
+// @access  Private (admin or visitor token)
+router.put('/history/:id/progress', authenticateNavigator, validate(navigationProgressSchema), async (req, res) => {
+  try {
+    const navigation = await NavigationHistory.findOne({ _id: req.params.id, ...sessionOwnerFilter(req) });
+    if (!navigation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Navigation record not found or you do not have permission to update it'
+      });
+    }
+    if (ENDED_SESSION_STATUSES.includes(navigation.status)) {
+      return res.status(400).json({ success: false, message: `Navigation has already been ${navigation.status}` });
+    }
 
+    // `route` holds every step after the starting point
+    const stepCount = navigation.route.length + 1;
+    if (req.body.currentStep > stepCount) {
+      return res.status(400).json({ success: false, message: `Step must be between 1 and ${stepCount}` });
+    }
+
+    const now = new Date();
+    navigation.currentStep = req.body.currentStep;
+    navigation.lastProgressAt = now;
+    navigation.startedAt = navigation.startedAt || now;
+    navigation.status = 'in_progress';
+    await navigation.save();
+
+    res.json({
+      success: true,
+      message: 'Navigation progress updated',
+      data: {
+        navigation,
+        remainingSteps: stepCount - navigation.currentStep
+      }
+    });
+  } catch (error) {
+    console.error('Navigation progress update error:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating navigation progress' });
+  }
+});
+
+// @route   PUT /api/navigation/history/:id/status
+// @desc    Update navigation status
+// @access  Private (admin or visitor token)
+router.put('/history/:id/status', authenticateNavigator, validate(navigationStatusSchema), async (req, res) => {
+  try {
+    const { status, actualTime } = req.body;
+
+    const navigation = await NavigationHistory.findOne({ _id: req.params.id, ...sessionOwnerFilter(req) });
     if (!navigation) {
       return res.status(404).json({
         success: false,
         message: 'Navigation record not found or you do not have permission to update it'
       });
     }
+    if (ENDED_SESSION_STATUSES.includes(navigation.status)) {
+      return res.status(400).json({ success: false, message: `Navigation has already been ${navigation.status}` });
+    }
+
+    const now = new Date();
+    navigation.status = status;
+    if (status === 'in_progress') {
+      navigation.startedAt = navigation.startedAt || now;
+    }
+    if (status === 'completed') {
+      navigation.completedAt = now;
+      navigation.currentStep = navigation.route.length + 1;
+      navigation.actualTime = actualTime || elapsedSeconds(navigation, now);
+    }
+    await navigation.save();
 
     res.json({
       success: true,
@@ -678,11 +1317,202 @@ router.put('/history/:id/status', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /api/navigation/route/:navigationId/reroute
+// @desc    Route an off-route visitor from where they are to the session's destination
+// @access  Private (admin or visitor token)
+router.post('/route/:navigationId/reroute', authenticateNavigator, validateParams(navigationIdParamsSchema), async (req, res) => {
+  try {
+    const validationResult = navigationRerouteSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: validationResult.error.issues.map(err => ({ field: err.path.join('.'), message: err.message }))
+      });
+    }
+    const {
+      currentLandmark: currentId, currentStep, reason, preferences = {}, algorithm = 'dijkstra',
+      excludeLandmarks, excludePaths, departureTime
+    } = validationResult.data;
+
+    const navigation = await NavigationHistory.findOne({ _id: req.params.navigationId, ...sessionOwnerFilter(req) });
+    if (!navigation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Navigation record not found or you do not have permission to update it'
+      });
+    }
+    if (ENDED_SESSION_STATUSES.includes(navigation.status)) {
+      return res.status(400).json({ success: false, message: `Navigation has already been ${navigation.status}` });
+    }
+
+    // `route` holds every step after the starting point
+    const stepCount = navigation.route.length + 1;
+    if (currentStep > stepCount) {
+      return res.status(400).json({ success: false, message: `Step must be between 1 and ${stepCount}` });
+    }
+
+    const buildingId = navigation.building.toString();
+    const toId = navigation.toLandmark.toString();
+    if (excludeLandmarks.includes(currentId) || excludeLandmarks.includes(toId)) {
+      return res.status(400).json({ success: false, message: 'The current position or destination cannot be an excluded landmark' });
+    }
+
+    const liveBuilding = await Building.findOne({ _id: buildingId, ...PUBLISHED_BUILDING }).select('timezone').lean();
+    if (!liveBuilding) {
+      return res.status(400).json({ success: false, message: 'Building not found' });
+    }
+    const graph = await getBuildingGraph(buildingId);
+    const building = graph.revision?.building;
+    const currentLandmark = graph.nodes.get(currentId);
+    const toLandmark = graph.nodes.get(toId);
+    if (!building) {
+      return res.status(400).json({ success: false, message: 'Building not found' });
+    }
+    if (!currentLandmark) {
+      return res.status(400).json({ success: false, message: 'Current landmark is not in this building' });
+    }
+    if (!toLandmark) {
+      return res.status(400).json({ success: false, message: 'The destination of this navigation no longer exists' });
+    }
+    if (currentId === toId) {
+      return res.status(400).json({ success: false, message: 'You are already at your destination' });
+    }
+
+    // The visitor is already standing at the current landmark, so only the
+    // destination has to be open
+    const access = await getAccessContext(req, [buildingId]);
+    const departure = getDeparture(departureTime, new Map([[buildingId, liveBuilding.timezone || DEFAULT_TIME_ZONE]]));
+    if (toLandmark.status === 'closed') {
+      return res.status(400).json({ success: false, message: `Destination "${toLandmark.name}" is currently closed` });
+    }
+    if (toLandmark.status === 'restricted' && !Graph.isAccessible(toLandmark, { access })) {
+      return res.status(403).json({ success: false, message: `Destination "${toLandmark.name}" is restricted` });
+    }
+    const closedMessage = getClosedAtDepartureMessage('Destination', toLandmark, departure);
+    if (closedMessage) {
+      return res.status(400).json({ success: false, message: closedMessage });
+    }
+
+    const search = createRouteSearch(graph, currentId, toId, validationResult.data, {
+      access,
+      isAvailable: departure.isAvailable
+    });
+    const { costModel } = search;
+    const { result, closures } = findRoute(graph, search);
+
+    if (result.totalDistance === Infinity) {
+      return sendNoRoute(res, closures, 'The destination may be unreachable with your selected preferences.');
+    }
+
+    const steps = formatRouteSteps(result.path);
+
+    // Where the visitor should have been: the landmark reached at currentStep
+    // of the route they were following. Step 1 is its starting point, which
+    // after an earlier reroute is where that reroute started.
+    const previousStart = navigation.deviations.at(-1)?.actualLandmark || navigation.fromLandmark;
+    const previousLandmarks = [previousStart, ...navigation.route.map(step => step.landmark)];
+    const step = currentStep || navigation.currentStep;
+    const deviation = {
+      at: new Date(),
+      step,
+      expectedLandmark: previousLandmarks[step - 1],
+      actualLandmark: currentId,
+      onRoute: previousLandmarks.some(landmark => landmark?.toString() === currentId),
+      avoidedPaths: excludePaths,
+      reason,
+      distance: Math.round(result.totalDistance),
+      estimatedTime: result.totalTime
+    };
+
+    // The session follows the new route from its first step
+    navigation.deviations.push(deviation);
+    navigation.route = toHistorySteps(steps);
+    navigation.totalDistance = result.totalDistance;
+    navigation.estimatedTime = result.totalTime;
+    navigation.currentStep = 1;
+    navigation.status = 'in_progress';
+    navigation.startedAt = navigation.startedAt || deviation.at;
+    navigation.lastProgressAt = deviation.at;
+    await navigation.save();
+
+    res.json({
+      success: true,
+      message: 'Route recalculated from your current position',
+      data: {
+        route: {
+          steps,
+          floorSegments: groupStepsByFloor(steps, new Map([[buildingId, building.floors]])),
+          totalDistance: Math.round(result.totalDistance),
+          totalTime: result.totalTime,
+          totalCost: result.totalCost,
+          summary: summarizeRoute(result.path),
+          preferences,
+          costModel: { mode: costModel.mode, weights: costModel.weights, softPreferences: costModel.softPreferences },
+          options: describeRoutingOptions(navigationRerouteSchema, req.body, validationResult.data, costModel),
+          algorithm,
+          source: 'search',
+          departureTime: departure.at.toISOString(),
+          building: { id: building._id, name: building.name },
+          revision: graph.revision.number,
+          from: currentLandmark,
+          to: toLandmark,
+          closures,
+          navigationId: navigation._id
+        },
+        deviation
+      }
+    });
+  } catch (error) {
+    console.error('Reroute error:', error);
+    res.status(500).json({ success: false, message: 'Server error while rerouting' });
+  }
+});
+
+// @route   POST /api/navigation/feedback
+// @desc    Rate a navigation session, optionally completing or cancelling it
+// @access  Private (admin or visitor token)
+router.post('/feedback', authenticateNavigator, validate(navigationFeedbackSchema), async (req, res) => {
+  try {
+    const { navigationId, rating, comment, actualTime, status } = req.body;
+
+    const navigation = await NavigationHistory.findOne({ _id: navigationId, ...sessionOwnerFilter(req) });
+    if (!navigation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Navigation record not found or you do not have permission to update it'
+      });
+    }
+
+    navigation.feedback = { rating, comment };
+    if (status && !ENDED_SESSION_STATUSES.includes(navigation.status)) {
+      const now = new Date();
+      navigation.status = status;
+      if (status === 'completed') {
+        navigation.completedAt = now;
+        navigation.currentStep = navigation.route.length + 1;
+        navigation.actualTime = actualTime || elapsedSeconds(navigation, now);
+      }
+    } else if (actualTime) {
+      navigation.actualTime = actualTime;
+    }
+    await navigation.save();
+
+    res.json({
+      success: true,
+      message: 'Thank you for your feedback',
+      data: { navigation }
+    });
+  } catch (error) {
+    console.error('Navigation feedback error:', error);
+    res.status(500).json({ success: false, message: 'Server error while saving feedback' });
+  }
+});
 
 // @route   GET /api/navigation/search
 // @desc    Search landmarks across all buildings
-// @access  Public
-router.get('/search', validateQuery(searchSchema.merge(paginationSchema)), async (req, res) => {
+// @access  Public (optional auth)
+router.get('/search', optionalAuth, validateQuery(searchSchema.merge(paginationSchema)), async (req, res) => {
     try {
         const { q, type, floor, building, page, limit } = req.query;
         const pageNum = parseInt(page, 10) || 1;
@@ -698,7 +1528,6 @@ router.get('/search', validateQuery(searchSchema.merge(paginationSchema)), async
 
         const regex = new RegExp(q, 'i');
         let query = {
-            isActive: true,
             $or: [
                 { name: regex },
                 { description: regex },
@@ -706,20 +1535,52 @@ router.get('/search', validateQuery(searchSchema.merge(paginationSchema)), async
             ]
         };
 
-        if (building) query.building = building;
         if (floor) query.floor = floor;
         if (type) query.type = type;
 
-        const [landmarks, total] = await Promise.all([
-          Landmark.find(query)
-            .populate('building', 'name address')
-            .select('name description type floor coordinates roomNumber images building')
-            .sort({ name: 1 })
-            .skip(skip)
-            .limit(limitNum)
-            .lean(),
-          Landmark.countDocuments(query)
+        // Landmarks of the current revisions of published, active buildings
+        const publishedBuildings = await Building.find({
+            ...PUBLISHED_BUILDING,
+            ...(building && { _id: building })
+        }).select('_id timezone').lean();
+        const [result] = await BuildingRevision.aggregate([
+            { $match: { isCurrent: true, building: { $in: publishedBuildings.map(b => b._id) } } },
+            { $unwind: '$snapshot.landmarks' },
+            {
+                $replaceRoot: {
+                    newRoot: {
+                        $mergeObjects: ['$snapshot.landmarks', {
+                            building: { _id: '$building', name: '$snapshot.building.name', address: '$snapshot.building.address' }
+                        }]
+                    }
+                }
+            },
+            { $match: query },
+            {
+                $facet: {
+                    landmarks: [
+                        { $sort: { name: 1 } },
+                        { $skip: skip },
+                        { $limit: limitNum },
+                        {
+                            $project: {
+                                name: 1, description: 1, type: 1, floor: 1, coordinates: 1,
+                                roomNumber: 1, images: 1, building: 1, status: 1, openingHours: 1
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
         ]);
+        // Open/closed right now, by status, opening hours and scheduled closures
+        const timeZones = new Map(publishedBuildings.map(b => [b._id.toString(), b.timezone || DEFAULT_TIME_ZONE]));
+        const now = new Date();
+        const landmarks = result.landmarks.map(landmark => ({
+            ...landmark,
+            availability: describeAvailability(landmark, now, timeZones.get(landmark.building._id.toString()))
+        }));
+        const total = result.total[0]?.count || 0;
 
         res.json({
             success: true,
@@ -744,8 +1605,8 @@ router.get('/search', validateQuery(searchSchema.merge(paginationSchema)), async
 
 // @route   GET /api/navigation/popular
 // @desc    Get popular landmarks and routes
-// @access  Public
-router.get('/popular', async (req, res) => {
+// @access  Public (optional auth)
+router.get('/popular', optionalAuth, async (req, res) => {
   try {
     const popularLandmarksPipeline = (field) => ([
       { $match: { status: { $ne: 'cancelled' } } },
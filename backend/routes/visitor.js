@@ -1,7 +1,9 @@
 const express = require('express');
-const { Visitor } = require('../database');
-const { validate, visitorLogSchema } = require('../validators/schemas');
-const { authenticate, requireAdmin } = require('../middlewares/auth');
+const { Visitor, Building } = require('../database');
+const { validate, visitorLogSchema, visitorAccessGrantSchema } = require('../validators/schemas');
+const { authenticate, requireRole } = require('../middlewares/auth');
+const { organizationFilter } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
 const jwt = require('jsonwebtoken');
 
 const VISITOR_TOKEN_SECRET = process.env.JWT_SECRET
@@ -47,12 +49,13 @@ router.post('/log', validate(visitorLogSchema), async (req, res) => {
 
 /**
  * @route   GET /api/visitors
- * @desc    Get all visitor logs (Admin only)
- * @access  Private/Admin
+ * @desc    Get visitor logs for the admin's organization's buildings
+ * @access  Private/Admin (viewer)
  */
-router.get('/', authenticate, requireAdmin, async (req, res) => {
+router.get('/', authenticate, requireRole('viewer'), async (req, res) => {
   try {
-    const visitors = await Visitor.find({})
+    const buildingIds = await Building.find(organizationFilter(req.user)).distinct('_id');
+    const visitors = await Visitor.find({ building: { $in: buildingIds } })
       .populate('building', 'name') // Include only the building name
       .sort({ createdAt: -1 });     // Most recent visitors first
 
@@ -69,4 +72,34 @@ router.get('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/visitors/:id/access-grants
+ * @desc    Set the restricted landmarks/paths a visitor may be routed through
+ * @access  Private/Admin (editor)
+ */
+router.put('/:id/access-grants', authenticate, requireRole('editor'), validate(visitorAccessGrantSchema), async (req, res) => {
+  try {
+    const buildingIds = await Building.find(organizationFilter(req.user)).distinct('_id');
+    const existing = await Visitor.findOne({ _id: req.params.id, building: { $in: buildingIds } }).lean();
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Visitor not found.' });
+    }
+    const visitor = await Visitor.findByIdAndUpdate(
+      existing._id,
+      { accessGrants: req.body },
+      { new: true, runValidators: true }
+    );
+    await recordAudit(req, { action: 'update', entityType: 'visitor', before: existing, after: visitor });
+
+    res.json({
+      success: true,
+      message: 'Visitor access grants updated.',
+      data: { visitor }
+    });
+  } catch (error) {
+    console.error('Visitor access grant error:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating access grants.' });
+  }
+});
+
 module.exports = router;
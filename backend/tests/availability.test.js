@@ -0,0 +1,160 @@
+const {
+  localTime, isWithinHours, activeClosure, availabilityAt, closuresAt, describeAvailability
+} = require('../utils/availability');
+
+// Monday 5 January 2026, 23:30 UTC
+const MONDAY_LATE = new Date('2026-01-05T23:30:00Z');
+const MON = 1;
+const TUE = 2;
+const SAT = 6;
+const SUN = 0;
+
+describe('localTime', () => {
+  test('reads the weekday and time in the given time zone', () => {
+    expect(localTime(MONDAY_LATE)).toEqual({ day: MON, minutes: 23 * 60 + 30 });
+    expect(localTime(MONDAY_LATE, 'Asia/Tokyo')).toEqual({ day: TUE, minutes: 8 * 60 + 30 });
+    expect(localTime(MONDAY_LATE, 'America/New_York')).toEqual({ day: MON, minutes: 18 * 60 + 30 });
+  });
+
+  test('follows daylight saving time', () => {
+    // Berlin is UTC+1 in January and UTC+2 in July
+    expect(localTime(new Date('2026-01-05T12:00:00Z'), 'Europe/Berlin').minutes).toBe(13 * 60);
+    expect(localTime(new Date('2026-07-06T12:00:00Z'), 'Europe/Berlin').minutes).toBe(14 * 60);
+  });
+});
+
+describe('isWithinHours', () => {
+  const at = (day, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return { day, minutes: hours * 60 + minutes };
+  };
+
+  test('treats no opening hours as always open', () => {
+    expect(isWithinHours(undefined, at(MON, '03:00'))).toBe(true);
+    expect(isWithinHours([], at(MON, '03:00'))).toBe(true);
+  });
+
+  test('opens at the opening time and closes at the closing time', () => {
+    const hours = [{ day: MON, open: '08:00', close: '17:00' }];
+    expect(isWithinHours(hours, at(MON, '07:59'))).toBe(false);
+    expect(isWithinHours(hours, at(MON, '08:00'))).toBe(true);
+    expect(isWithinHours(hours, at(MON, '16:59'))).toBe(true);
+    expect(isWithinHours(hours, at(MON, '17:00'))).toBe(false);
+    expect(isWithinHours(hours, at(TUE, '12:00'))).toBe(false);
+  });
+
+  test('runs an overnight period into the next day', () => {
+    const hours = [{ day: MON, open: '22:00', close: '02:00' }];
+    expect(isWithinHours(hours, at(MON, '21:59'))).toBe(false);
+    expect(isWithinHours(hours, at(MON, '23:00'))).toBe(true);
+    expect(isWithinHours(hours, at(TUE, '01:59'))).toBe(true);
+    expect(isWithinHours(hours, at(TUE, '02:00'))).toBe(false);
+    // Not the night before
+    expect(isWithinHours(hours, at(MON, '01:00'))).toBe(false);
+  });
+
+  test('wraps Saturday night into Sunday', () => {
+    const hours = [{ day: SAT, open: '20:00', close: '04:00' }];
+    expect(isWithinHours(hours, at(SUN, '03:00'))).toBe(true);
+    expect(isWithinHours(hours, at(SUN, '20:00'))).toBe(false);
+  });
+
+  test('treats equal opening and closing times as a full day', () => {
+    const hours = [{ day: MON, open: '06:00', close: '06:00' }];
+    expect(isWithinHours(hours, at(MON, '23:00'))).toBe(true);
+    expect(isWithinHours(hours, at(TUE, '05:59'))).toBe(true);
+    expect(isWithinHours(hours, at(TUE, '06:00'))).toBe(false);
+  });
+});
+
+describe('activeClosure', () => {
+  const closure = { start: '2026-01-05T20:00:00Z', end: '2026-01-06T00:00:00Z', reason: 'Cleaning' };
+
+  test('covers its start but not its end', () => {
+    expect(activeClosure([closure], new Date('2026-01-05T19:59:59Z'))).toBeNull();
+    expect(activeClosure([closure], new Date('2026-01-05T20:00:00Z'))).toBe(closure);
+    expect(activeClosure([closure], MONDAY_LATE)).toBe(closure);
+    expect(activeClosure([closure], new Date('2026-01-06T00:00:00Z'))).toBeNull();
+    expect(activeClosure(undefined, MONDAY_LATE)).toBeNull();
+  });
+});
+
+describe('availabilityAt', () => {
+  // Open 09:00-17:00 on Tuesdays, in its building's time zone
+  const cafe = { _id: 'cafe', building: 'tokyo', openingHours: [{ day: TUE, open: '09:00', close: '17:00' }] };
+  const bar = { _id: 'bar', building: 'tokyo', openingHours: [{ day: MON, open: '20:00', close: '09:00' }] };
+  const timeZones = new Map([['tokyo', 'Asia/Tokyo']]);
+
+  test('reads opening hours in the building time zone', () => {
+    // 23:30 UTC Monday is 08:30 Tuesday in Tokyo: the cafe has not opened,
+    // the overnight bar is still open
+    const isAvailable = availabilityAt(MONDAY_LATE, timeZones);
+    expect(isAvailable(cafe)).toBe(false);
+    expect(isAvailable(bar)).toBe(true);
+
+    const later = availabilityAt(new Date('2026-01-06T00:30:00Z'), timeZones);
+    expect(later(cafe)).toBe(true);
+    expect(later(bar)).toBe(false);
+  });
+
+  test('reads landmarks of unknown buildings in UTC', () => {
+    const isAvailable = availabilityAt(MONDAY_LATE);
+    expect(isAvailable(cafe)).toBe(false);
+    expect(isAvailable({ ...cafe, openingHours: [{ day: MON, open: '23:00', close: '23:59' }] })).toBe(true);
+  });
+
+  test('applies scheduled closures to paths and landmarks', () => {
+    const closure = { start: '2026-01-05T23:00:00Z', end: '2026-01-06T01:00:00Z' };
+    const isAvailable = availabilityAt(MONDAY_LATE, timeZones);
+    expect(isAvailable({ _id: 'corridor', scheduledClosures: [closure] })).toBe(false);
+    expect(isAvailable({ ...bar, scheduledClosures: [closure] })).toBe(false);
+    expect(isAvailable({ _id: 'corridor' })).toBe(true);
+  });
+});
+
+describe('closuresAt', () => {
+  test('applies scheduled closures but not opening hours', () => {
+    const isAvailable = closuresAt(MONDAY_LATE);
+    const closedForTheDay = { openingHours: [{ day: MON, open: '08:00', close: '17:00' }] };
+    expect(isAvailable(closedForTheDay)).toBe(true);
+    expect(isAvailable({ scheduledClosures: [{ start: '2026-01-05T23:00:00Z', end: '2026-01-06T01:00:00Z' }] })).toBe(false);
+    expect(isAvailable({ scheduledClosures: [{ start: '2026-01-04T00:00:00Z', end: '2026-01-05T00:00:00Z' }] })).toBe(true);
+  });
+});
+
+describe('describeAvailability', () => {
+  const library = {
+    status: 'open',
+    openingHours: [
+      { day: MON, open: '08:00', close: '12:00' },
+      { day: MON, open: '13:00', close: '22:00' }
+    ]
+  };
+
+  test('reports when an open landmark closes', () => {
+    const state = describeAvailability(library, new Date('2026-01-05T14:00:00Z'));
+    expect(state).toMatchObject({ isOpen: true, reason: null, closesAt: '22:00', opensAt: null });
+    expect(state.hoursToday).toEqual([{ open: '08:00', close: '12:00' }, { open: '13:00', close: '22:00' }]);
+  });
+
+  test('reports when a landmark outside its hours opens again today', () => {
+    expect(describeAvailability(library, new Date('2026-01-05T12:30:00Z')))
+      .toMatchObject({ isOpen: false, reason: 'hours', opensAt: '13:00' });
+    expect(describeAvailability(library, MONDAY_LATE))
+      .toMatchObject({ isOpen: false, reason: 'hours', opensAt: null });
+  });
+
+  test('reads the local day in the given time zone', () => {
+    // 23:30 UTC Monday is Tuesday in Tokyo, when the library has no hours
+    expect(describeAvailability(library, MONDAY_LATE, 'Asia/Tokyo')).toMatchObject({ reason: 'hours', hoursToday: [] });
+  });
+
+  test('puts the manual status before closures and closures before hours', () => {
+    const closure = { start: '2026-01-05T13:30:00Z', end: '2026-01-05T15:00:00Z', reason: 'Inspection' };
+    const at = new Date('2026-01-05T14:00:00Z');
+    expect(describeAvailability({ ...library, scheduledClosures: [closure] }, at))
+      .toMatchObject({ isOpen: false, reason: 'closure', closesAt: null, closure });
+    expect(describeAvailability({ ...library, status: 'closed', scheduledClosures: [closure] }, at))
+      .toMatchObject({ isOpen: false, reason: 'status' });
+  });
+});
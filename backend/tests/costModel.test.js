@@ -0,0 +1,73 @@
+const { Graph } = require('../utils/graph');
+const { DEFAULT_COST_WEIGHTS, SOFT_PREFERENCE_FACTOR, createCostModel } = require('../utils/costModel');
+
+const flat = { distance: 40, estimatedTime: 30, difficulty: 'easy', accessibility: {} };
+const stairs = { distance: 10, estimatedTime: 25, difficulty: 'hard', accessibility: { requiresStairs: true } };
+const lift = { distance: 5, estimatedTime: 60, difficulty: 'easy', accessibility: { requiresElevator: true } };
+
+describe('createCostModel', () => {
+  test('prices metres by default and seconds in time mode', () => {
+    const distance = createCostModel();
+    expect(distance.cost(flat)).toBe(40);
+    expect(distance.heuristicScale).toBe(1);
+
+    const time = createCostModel({ mode: 'time' });
+    expect(time.cost(flat)).toBe(30);
+    expect(time.cost({ distance: 10 })).toBe(0);
+    // Straight-line metres say nothing about seconds
+    expect(time.heuristicScale).toBe(0);
+  });
+
+  test('blends distance, time, stairs, elevators, difficulty and landmark types when balanced', () => {
+    const model = createCostModel({
+      mode: 'balanced',
+      weights: { distance: 2, time: 1, landmarkTypes: { stairs: 7 } }
+    });
+    const { stairs: stairsPenalty, elevator, difficulty } = DEFAULT_COST_WEIGHTS;
+
+    expect(model.cost(flat)).toBe(2 * 40 + 30);
+    expect(model.cost(stairs, { type: 'stairs' })).toBe(2 * 10 + 25 + stairsPenalty + 2 * difficulty + 7);
+    expect(model.cost(lift, { type: 'room' })).toBe(2 * 5 + 60 + elevator);
+    expect(model.heuristicScale).toBe(2);
+    expect(model.weights).toMatchObject({ distance: 2, time: 1, stairs: stairsPenalty, landmarkTypes: { stairs: 7 } });
+    expect(createCostModel().weights).toBeUndefined();
+  });
+
+  test('moves soft preferences out of the hard filter and prices them instead', () => {
+    const model = createCostModel({
+      preferences: { avoidStairs: true, wheelchairAccessible: true },
+      softPreferences: ['avoidStairs']
+    });
+    expect(model.preferences).toEqual({ wheelchairAccessible: true });
+    expect(model.softPreferences).toEqual(['avoidStairs']);
+    expect(model.cost(flat)).toBe(40);
+    expect(model.cost(stairs)).toBe((10 + 1) * SOFT_PREFERENCE_FACTOR);
+  });
+
+  test('penalises even free edges that break a soft preference', () => {
+    const model = createCostModel({ mode: 'time', preferences: { avoidElevators: true }, softPreferences: ['avoidElevators'] });
+    expect(model.cost({ ...lift, estimatedTime: 0 })).toBe(SOFT_PREFERENCE_FACTOR);
+  });
+});
+
+describe('soft preferences in a route search', () => {
+  // A -> D either over a 10 m staircase or a 60 m corridor
+  const buildGraph = (corridor = true) => {
+    const graph = new Graph();
+    ['A', 'D'].forEach((id, i) => graph.addNode(id, { _id: id, floor: '1', coordinates: { x: i * 10, y: 0 }, status: 'open' }));
+    graph.addEdge('A', 'D', 10, { _id: 'stairs', ...stairs, status: 'open' });
+    if (corridor) graph.addEdge('A', 'D', 60, { _id: 'corridor', ...flat, distance: 60, status: 'open' });
+    return graph;
+  };
+  const search = (graph, model) => graph.dijkstra('A', 'D', model.preferences, { cost: model.cost });
+  const avoidStairs = (soft) => createCostModel({ preferences: { avoidStairs: true }, softPreferences: soft ? ['avoidStairs'] : [] });
+
+  test('takes a longer way round rather than the stairs', () => {
+    expect(search(buildGraph(), avoidStairs(true)).path[1].path._id).toBe('corridor');
+  });
+
+  test('still uses the stairs when there is no other way, unlike a hard preference', () => {
+    expect(search(buildGraph(false), avoidStairs(true)).path[1].path._id).toBe('stairs');
+    expect(search(buildGraph(false), avoidStairs(false)).totalCost).toBe(Infinity);
+  });
+});
@@ -0,0 +1,171 @@
+const { Graph } = require('../utils/graph');
+const { closuresAt } = require('../utils/availability');
+const {
+  getEvacuationOptions, findExits, evacuationCost, findEvacuationRoute, buildEvacuationReport
+} = require('../utils/evacuation');
+
+// Floor 1:  X2 (-60,0) --60-- R1 (0,0) --50-- H (50,0) --50-- X1 (100,0)
+//           R1 is next to stairs ST1 and elevator E1.
+// Floor 2:  R2 with stairs ST2 (down to ST1) and elevator E2 (a ride to E1).
+// Floor 3:  P, reachable only by elevator E3.
+const landmark = (id, floor, x, y, extra = {}) => ({
+  _id: id, name: id, type: 'room', floor, coordinates: { x, y }, status: 'open', ...extra
+});
+const LANDMARKS = [
+  landmark('R1', '1', 0, 0),
+  landmark('H', '1', 50, 0),
+  landmark('X1', '1', 100, 0, { type: 'emergency_exit' }),
+  landmark('X2', '1', -60, 0, { type: 'emergency_exit' }),
+  landmark('ST1', '1', 0, 10, { type: 'stairs' }),
+  landmark('E1', '1', 10, 10, { type: 'elevator' }),
+  landmark('R2', '2', 0, 0),
+  landmark('ST2', '2', 0, 10, { type: 'stairs' }),
+  landmark('E2', '2', 10, 10, { type: 'elevator' }),
+  landmark('E3', '3', 10, 10, { type: 'elevator' }),
+  landmark('P', '3', 0, 0)
+];
+const PATHS = [
+  ['R1', 'H', 'r1h', 50, 40],
+  ['H', 'X1', 'hx1', 50, 40],
+  ['R1', 'X2', 'r1x2', 60, 100],
+  ['R1', 'ST1', 'r1st1', 10, 8],
+  ['R1', 'E1', 'r1e1', 15, 12],
+  ['R2', 'ST2', 'r2st2', 10, 8],
+  ['ST2', 'ST1', 'stairs', 20, 30, { requiresStairs: true }],
+  ['R2', 'E2', 'r2e2', 15, 12],
+  // Lift rides: one flagged, one only recognisable by its elevator landmarks
+  ['E2', 'E1', 'lift12', 5, 10, { requiresElevator: true }],
+  ['E3', 'E2', 'lift23', 5, 10],
+  ['P', 'E3', 'pe3', 5, 4]
+];
+
+const buildGraph = ({ landmarks = {}, paths = {} } = {}) => {
+  const graph = new Graph();
+  LANDMARKS.forEach(node => graph.addNode(node._id, { ...node, ...landmarks[node._id] }));
+  PATHS.forEach(([from, to, id, distance, estimatedTime, accessibility = {}]) => {
+    graph.addEdge(from, to, distance, {
+      _id: id,
+      distance,
+      estimatedTime,
+      instructions: `${from} to ${to}`,
+      isBidirectional: true,
+      status: 'open',
+      accessibility,
+      ...paths[id]
+    });
+  });
+  return graph;
+};
+
+const square = (x1, y1, x2, y2) => [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }];
+const hazard = (floor, polygon, extra = {}) => ({ name: 'fire', floor, polygon, landmarks: [], paths: [], ...extra });
+
+const evacuate = (graph, startId, hazards = [], { rankBy = 'distance', ...options } = {}) => {
+  const searchOptions = getEvacuationOptions(graph, hazards, { cost: evacuationCost(rankBy), ...options });
+  return findEvacuationRoute(graph, startId, searchOptions, findExits(graph, searchOptions));
+};
+const ids = (route) => route.path.map(step => step.landmark._id).join(' ');
+
+describe('findEvacuationRoute', () => {
+  test('goes to the nearest exit by distance or by time', () => {
+    const graph = buildGraph();
+    expect(ids(evacuate(graph, 'R1'))).toBe('R1 X2');
+    expect(ids(evacuate(graph, 'R1', [], { rankBy: 'time' }))).toBe('R1 H X1');
+    expect(evacuate(graph, 'R1', [], { rankBy: 'time' }).totalCost).toBe(80);
+  });
+
+  test('takes the stairs, never an elevator', () => {
+    const graph = buildGraph();
+    expect(ids(evacuate(graph, 'R2'))).toBe('R2 ST2 ST1 R1 X2');
+    expect(ids(evacuate(graph, 'E2'))).toBe('E2 R2 ST2 ST1 R1 X2');
+    // Floor 3 is only served by the lift
+    expect(evacuate(graph, 'P')).toBeNull();
+  });
+
+  test('avoids paths crossing a hazard area on the same floor', () => {
+    // Fire in the west corridor, between R1 and X2; no landmark stands in it
+    const fire = hazard('1', square(-40, -5, -20, 5));
+    expect(ids(evacuate(buildGraph(), 'R1', [fire]))).toBe('R1 H X1');
+    // The same area upstairs does not matter
+    expect(ids(evacuate(buildGraph(), 'R1', [{ ...fire, floor: '2' }]))).toBe('R1 X2');
+  });
+
+  test('avoids landmarks inside a hazard area, but always lets the person at the start out', () => {
+    const graph = buildGraph();
+    const fire = hazard('1', square(40, -5, 60, 5)); // around H
+    const options = getEvacuationOptions(graph, [fire], { cost: evacuationCost('time') });
+    expect(options.excludedNodes).toEqual(new Set(['H']));
+    expect(ids(evacuate(graph, 'R1', [fire], { rankBy: 'time' }))).toBe('R1 X2');
+    expect(ids(evacuate(graph, 'H', [fire], { rankBy: 'time' }))).toBe('H X1');
+  });
+
+  test('avoids landmarks and paths a hazard zone lists', () => {
+    const graph = buildGraph();
+    expect(ids(evacuate(graph, 'R1', [hazard('1', [], { paths: ['r1x2'] })]))).toBe('R1 H X1');
+    expect(evacuate(graph, 'R1', [hazard('1', [], { landmarks: ['X1', 'X2'] })])).toBeNull();
+  });
+
+  test('never ends at an exit in a hazard area', () => {
+    const graph = buildGraph();
+    const options = getEvacuationOptions(graph, [hazard('1', square(-70, -5, -50, 5))]);
+    expect(findExits(graph, options)).toEqual(new Set(['X1']));
+  });
+
+  test('respects closed and restricted exits', () => {
+    const closed = buildGraph({ landmarks: { X2: { status: 'closed' } } });
+    expect(ids(evacuate(closed, 'R1'))).toBe('R1 H X1');
+
+    const restricted = buildGraph({ landmarks: { X2: { status: 'restricted' } } });
+    expect(ids(evacuate(restricted, 'R1'))).toBe('R1 H X1');
+    expect(ids(evacuate(restricted, 'R1', [], { access: { grants: new Set(['X2']) } }))).toBe('R1 X2');
+  });
+
+  test('applies scheduled closures but not opening hours', () => {
+    const now = new Date('2026-01-05T23:30:00Z');
+    const graph = buildGraph({
+      // X2 is "closed" for the night and the east hall has a cleaning closure
+      landmarks: { X2: { openingHours: [{ day: 1, open: '08:00', close: '17:00' }] } },
+      paths: { hx1: { scheduledClosures: [{ start: '2026-01-05T23:00:00Z', end: '2026-01-06T01:00:00Z' }] } }
+    });
+    expect(ids(evacuate(graph, 'H', [], { isAvailable: closuresAt(now) }))).toBe('H R1 X2');
+  });
+});
+
+describe('buildEvacuationReport', () => {
+  const floors = [{ number: '1', name: 'Ground' }, { number: '2', name: 'First' }, { number: '3', name: 'Second' }];
+
+  test('lists every landmark per floor with its exit, and those without one', () => {
+    const report = buildEvacuationReport(buildGraph(), [], { floors, rankBy: 'distance' });
+
+    expect(report.floors.map(f => f.floor)).toEqual([
+      { number: '1', name: 'Ground' }, { number: '2', name: 'First' }, { number: '3', name: 'Second' }
+    ]);
+    expect(report.summary).toEqual({ landmarks: 11, covered: 9, noSafeExit: 2, coverage: 81.8, exits: 2, hazardZones: 0 });
+    expect(report.noSafeExit.map(l => l._id).sort()).toEqual(['E3', 'P']);
+
+    const r2 = report.floors[1].landmarks.find(entry => entry.landmark._id === 'R2');
+    expect(r2).toMatchObject({ safeExit: true, exit: { _id: 'X2' }, distance: 100, estimatedTime: 146, inHazardZone: false });
+    expect(r2.directions).toEqual(['R2 to ST2', 'ST2 to ST1', 'Return via: R1 to ST1', 'R1 to X2']);
+  });
+
+  test('matches a route search from each landmark', () => {
+    const graph = buildGraph();
+    // West corridor on fire and H in a hazard area: R1 is cut off, H can still leave
+    const hazards = [hazard('1', square(-40, -5, -20, 5)), hazard('1', square(40, -5, 60, 5))];
+    const report = buildEvacuationReport(graph, hazards, { floors, rankBy: 'time' });
+    report.floors.flatMap(f => f.landmarks).forEach(entry => {
+      const route = evacuate(graph, entry.landmark._id, hazards, { rankBy: 'time' });
+      expect(entry.estimatedTime).toBe(route ? route.totalTime : null);
+      expect(entry.exit?._id ?? null).toBe(route ? route.path[route.path.length - 1].landmark._id : null);
+    });
+    expect(report.noSafeExit.map(l => l._id).sort()).toEqual(['E1', 'E2', 'E3', 'P', 'R1', 'R2', 'ST1', 'ST2']);
+  });
+
+  test('flags landmarks in hazard areas and limits the report to one floor', () => {
+    const report = buildEvacuationReport(buildGraph(), [hazard('1', square(40, -5, 60, 5))], { floors, floor: '1' });
+    expect(report.floors).toHaveLength(1);
+    expect(report.summary.hazardZones).toBe(1);
+    const h = report.floors[0].landmarks.find(entry => entry.landmark._id === 'H');
+    expect(h).toMatchObject({ inHazardZone: true, safeExit: true, exit: { _id: 'X1' } });
+  });
+});
@@ -0,0 +1,190 @@
+const { Graph } = require('../utils/graph');
+
+// Small hand-built building:
+//
+//   A ---10--- B ---10--- D
+//    \                   /
+//     15----- C -----15
+//
+// plus a 50 m direct A-D stairway and a one-way E -> A corridor.
+const landmark = (id, x, y, extra = {}) => ({
+  _id: id, name: id, building: 'b1', floor: '1', coordinates: { x, y }, status: 'open', ...extra
+});
+const path = (id, distance, extra = {}) => ({
+  _id: id,
+  distance,
+  estimatedTime: distance,
+  isBidirectional: true,
+  status: 'open',
+  accessibility: { wheelchairAccessible: true, requiresStairs: false, requiresElevator: false },
+  ...extra
+});
+
+const buildGraph = ({ landmarks = {}, paths = {} } = {}) => {
+  const graph = new Graph();
+  [
+    landmark('A', 0, 0),
+    landmark('B', 10, 0),
+    landmark('C', 10, 10),
+    landmark('D', 20, 0),
+    landmark('E', -10, 0)
+  ].forEach(node => graph.addNode(node._id, { ...node, ...landmarks[node._id] }));
+  [
+    ['A', 'B', path('ab', 10)],
+    ['B', 'D', path('bd', 10)],
+    ['A', 'C', path('ac', 15)],
+    ['C', 'D', path('cd', 15)],
+    ['A', 'D', path('ad', 50, {
+      estimatedTime: 20,
+      accessibility: { wheelchairAccessible: false, requiresStairs: true, requiresElevator: false }
+    })],
+    ['E', 'A', path('ea', 10, { isBidirectional: false })]
+  ].forEach(([from, to, data]) => {
+    const edge = { ...data, ...paths[data._id] };
+    graph.addEdge(from, to, edge.distance, edge);
+  });
+  return graph;
+};
+
+const ids = (route) => route.path.map(step => step.landmark._id).join('');
+
+describe('Graph.dijkstra and Graph.astar', () => {
+  test.each(['dijkstra', 'astar'])('%s finds the shortest route', (algorithm) => {
+    const route = buildGraph()[algorithm]('A', 'D');
+    expect(ids(route)).toBe('ABD');
+    expect(route.totalCost).toBe(20);
+    expect(route.totalDistance).toBe(20);
+    expect(route.path.map(step => step.cost)).toEqual([0, 10, 20]);
+  });
+
+  test.each(['dijkstra', 'astar'])('%s walks bidirectional paths backwards but not one-way ones', (algorithm) => {
+    const graph = buildGraph();
+    expect(ids(graph[algorithm]('D', 'A'))).toBe('DBA');
+    expect(ids(graph[algorithm]('E', 'D'))).toBe('EABD');
+    expect(graph[algorithm]('A', 'E').totalCost).toBe(Infinity);
+  });
+
+  test('returns an empty route for unknown landmarks', () => {
+    expect(buildGraph().dijkstra('A', 'Z')).toEqual({ path: [], totalCost: Infinity, totalDistance: Infinity, totalTime: 0 });
+  });
+
+  test('prices edges with the cost function', () => {
+    // By time the 50 m stairway (20 s) beats both 20 m and 30 m routes
+    const route = buildGraph().dijkstra('A', 'D', {}, { cost: edge => edge.estimatedTime });
+    expect(ids(route)).toBe('AD');
+    expect(route.totalCost).toBe(20);
+    expect(route.totalDistance).toBe(50);
+  });
+
+  test('applies hard preferences', () => {
+    const graph = buildGraph({ paths: { bd: { accessibility: { requiresStairs: true } } } });
+    expect(ids(graph.dijkstra('A', 'D', { avoidStairs: true }))).toBe('ACD');
+    expect(graph.dijkstra('A', 'D', { wheelchairAccessible: true, avoidStairs: true }).totalCost).toBe(30);
+  });
+
+  test('skips excluded landmarks, paths and edges', () => {
+    const graph = buildGraph();
+    expect(ids(graph.dijkstra('A', 'D', {}, { excludedNodes: new Set(['B']) }))).toBe('ACD');
+    expect(ids(graph.dijkstra('A', 'D', {}, { excludedPaths: new Set(['bd', 'cd']) }))).toBe('AD');
+    expect(ids(graph.dijkstra('A', 'D', {}, { excludedEdges: new Set([Graph.edgeKey('A', { _id: 'ab' })]) }))).toBe('ACD');
+  });
+});
+
+describe('Graph.isAccessible', () => {
+  test('never passes closed landmarks or paths', () => {
+    const graph = buildGraph({ landmarks: { B: { status: 'closed' } }, paths: { cd: { status: 'closed' } } });
+    expect(ids(graph.dijkstra('A', 'D'))).toBe('AD');
+    expect(ids(graph.dijkstra('A', 'D', {}, { ignoreStatus: true }))).toBe('ABD');
+  });
+
+  test('lets staff of the building and grant holders through restricted areas', () => {
+    const graph = buildGraph({ landmarks: { B: { status: 'restricted' } }, paths: { cd: { status: 'restricted' } } });
+    const route = (access) => ids(graph.dijkstra('A', 'D', {}, { access }));
+
+    expect(route(undefined)).toBe('AD');
+    expect(route({ staffBuildings: new Set(['b2']), grants: new Set() })).toBe('AD');
+    expect(route({ staffBuildings: new Set(['b1']), grants: new Set() })).toBe('ABD');
+    expect(route({ staffBuildings: new Set(), grants: new Set(['B']) })).toBe('ABD');
+    // A grant for the restricted C-D path opens the way round through C
+    expect(route({ staffBuildings: new Set(), grants: new Set(['cd']) })).toBe('ACD');
+  });
+
+  test('asks the isAvailable hook', () => {
+    const graph = buildGraph();
+    const route = graph.dijkstra('A', 'D', {}, { isAvailable: item => item._id !== 'B' && item._id !== 'ad' });
+    expect(ids(route)).toBe('ACD');
+  });
+
+  test('tells whether status or time can change a route', () => {
+    expect(buildGraph().hasStatusRestrictions()).toBe(false);
+    expect(buildGraph().hasTimeRestrictions()).toBe(false);
+    expect(buildGraph({ paths: { ab: { status: 'restricted' } } }).hasStatusRestrictions()).toBe(true);
+    expect(buildGraph({ landmarks: { C: { openingHours: [{ day: 1, open: '08:00', close: '17:00' }] } } })
+      .hasTimeRestrictions()).toBe(true);
+  });
+});
+
+describe('Graph.kShortestPaths (Yen)', () => {
+  test.each(['dijkstra', 'astar'])('returns loop-free routes cheapest first with %s', (algorithm) => {
+    const routes = buildGraph().kShortestPaths('A', 'D', 5, {}, {}, algorithm);
+    expect(routes.map(ids)).toEqual(['ABD', 'ACD', 'AD']);
+    expect(routes.map(route => route.totalCost)).toEqual([20, 30, 50]);
+    routes.forEach(route => {
+      const visited = route.path.map(step => step.landmark._id);
+      expect(new Set(visited).size).toBe(visited.length);
+    });
+  });
+
+  test('keeps cumulative step costs across the spur', () => {
+    const [, second] = buildGraph().kShortestPaths('A', 'D', 2);
+    expect(second.path.map(step => step.cost)).toEqual([0, 15, 30]);
+  });
+
+  test('stops at k and honours the search options', () => {
+    const graph = buildGraph();
+    expect(graph.kShortestPaths('A', 'D', 2).map(ids)).toEqual(['ABD', 'ACD']);
+    expect(graph.kShortestPaths('A', 'D', 3, { avoidStairs: true }).map(ids)).toEqual(['ABD', 'ACD']);
+    expect(graph.kShortestPaths('A', 'D', 3, {}, { excludedNodes: new Set(['C']) }).map(ids)).toEqual(['ABD', 'AD']);
+    expect(graph.kShortestPaths('A', 'E', 3)).toEqual([]);
+  });
+});
+
+describe('Graph.shortestPathTreeTo and reconstructPathTo', () => {
+  test('routes every landmark to its nearest target', () => {
+    const graph = buildGraph();
+    const { distances, next, pathDetails } = graph.shortestPathTreeTo(new Set(['D', 'E']));
+
+    expect(Object.fromEntries(distances)).toEqual({ A: 20, B: 10, C: 15, D: 0, E: 0 });
+    const fromA = graph.reconstructPathTo('A', distances, next, pathDetails);
+    expect(ids(fromA)).toBe('ABD');
+    expect(fromA.totalCost).toBe(20);
+    expect(fromA.path.map(step => step.cost)).toEqual([0, 10, 20]);
+    expect(fromA.path.map(step => step.path?._id)).toEqual([undefined, 'ab', 'bd']);
+  });
+
+  test('follows one-way paths in their own direction only', () => {
+    const graph = buildGraph();
+    // E -> A is one-way, so A cannot reach target E; E itself can reach target A
+    expect(graph.shortestPathTreeTo(new Set(['E'])).distances.get('A')).toBe(Infinity);
+    expect(graph.shortestPathTreeTo(new Set(['A'])).distances.get('E')).toBe(10);
+  });
+
+  test('agrees with a forward search under the same rules', () => {
+    const graph = buildGraph({ landmarks: { B: { status: 'closed' } } });
+    const options = { cost: edge => edge.estimatedTime };
+    const tree = graph.shortestPathTreeTo(new Set(['D']), { avoidStairs: true }, options);
+    for (const start of ['A', 'C', 'E']) {
+      const backward = graph.reconstructPathTo(start, tree.distances, tree.next, tree.pathDetails);
+      const forward = graph.dijkstra(start, 'D', { avoidStairs: true }, options);
+      expect(ids(backward)).toBe(ids(forward));
+      expect(backward.totalCost).toBe(forward.totalCost);
+    }
+  });
+
+  test('returns an empty route when no target is reachable', () => {
+    const graph = buildGraph();
+    const { distances, next, pathDetails } = graph.shortestPathTreeTo(new Set(['E']));
+    expect(graph.reconstructPathTo('D', distances, next, pathDetails).totalCost).toBe(Infinity);
+    expect(graph.reconstructPathTo('Z', distances, next, pathDetails).path).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+const { solveVisitOrderExact, solveVisitOrderHeuristic } = require('../utils/itinerary');
+
+// Points on a line at these positions; the cost between two is their distance
+const lineCosts = (positions) => positions.map(a => positions.map(b => Math.abs(a - b)));
+
+const orderCost = (costs, order, endIndex) => {
+  const sequence = [0, ...order, ...(endIndex !== undefined ? [endIndex] : [])];
+  return sequence.slice(1).reduce((total, point, i) => total + costs[sequence[i]][point], 0);
+};
+
+const permutations = (items) => (items.length <= 1
+  ? [items]
+  : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])));
+
+// Deterministic pseudo-random costs (not symmetric)
+const randomCosts = (size, seed) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return 1 + (state % 97);
+  };
+  return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 0 : next())));
+};
+
+describe('solveVisitOrderExact (Held-Karp)', () => {
+  test('visits stops on a line in walking order', () => {
+    // start at 0, stops at 30, 10, 20
+    const costs = lineCosts([0, 30, 10, 20]);
+    expect(solveVisitOrderExact(costs, [1, 2, 3])).toEqual([2, 3, 1]);
+  });
+
+  test('beats the greedy nearest-stop order', () => {
+    // Nearest first (5) leaves a long walk back; going the other way first is cheaper overall
+    const costs = lineCosts([0, 5, -6, -7]);
+    const order = solveVisitOrderExact(costs, [1, 2, 3]);
+    expect(order).toEqual([1, 2, 3]);
+    expect(orderCost(costs, order)).toBe(17);
+  });
+
+  test('accounts for a fixed end point', () => {
+    // Stops at 10 and -12: the nearer one first, unless the tour ends at 20
+    const costs = lineCosts([0, 10, -12, 20]);
+    expect(solveVisitOrderExact(costs, [1, 2], 3)).toEqual([2, 1]);
+    expect(solveVisitOrderExact(costs, [1, 2])).toEqual([1, 2]);
+  });
+
+  test('matches brute force on asymmetric costs', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const costs = randomCosts(6, seed);
+      const waypoints = [1, 2, 3, 4];
+      const best = Math.min(...permutations(waypoints).map(order => orderCost(costs, order, 5)));
+      expect(orderCost(costs, solveVisitOrderExact(costs, waypoints, 5), 5)).toBe(best);
+    }
+  });
+
+  test('returns null when a stop is unreachable', () => {
+    const costs = lineCosts([0, 10, 20]);
+    costs[0][2] = Infinity;
+    costs[1][2] = Infinity;
+    expect(solveVisitOrderExact(costs, [1, 2])).toBeNull();
+  });
+});
+
+describe('solveVisitOrderHeuristic (nearest neighbour + 2-opt)', () => {
+  test('returns every waypoint exactly once', () => {
+    const costs = randomCosts(12, 7);
+    const waypoints = Array.from({ length: 10 }, (_, i) => i + 1);
+    const order = solveVisitOrderHeuristic(costs, waypoints, 11);
+    expect([...order].sort((a, b) => a - b)).toEqual(waypoints);
+  });
+
+  test('2-opt improves on the greedy order', () => {
+    // Greedy walks 1, -2, -6, 4, 9 (23); starting towards -6 first costs 21
+    const costs = lineCosts([0, 1, -2, 4, -6, 9]);
+    const order = solveVisitOrderHeuristic(costs, [1, 2, 3, 4, 5]);
+    expect(orderCost(costs, order)).toBe(21);
+    expect(orderCost(costs, order)).toBe(orderCost(costs, solveVisitOrderExact(costs, [1, 2, 3, 4, 5])));
+  });
+
+  test('is never worse than the greedy order', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const costs = randomCosts(9, seed);
+      const waypoints = [1, 2, 3, 4, 5, 6, 7];
+      const greedy = [];
+      const remaining = new Set(waypoints);
+      let current = 0;
+      while (remaining.size > 0) {
+        const nearest = [...remaining].reduce((a, b) => (costs[current][b] < costs[current][a] ? b : a));
+        greedy.push(nearest);
+        remaining.delete(nearest);
+        current = nearest;
+      }
+      const order = solveVisitOrderHeuristic(costs, waypoints, 8);
+      expect(orderCost(costs, order, 8)).toBeLessThanOrEqual(orderCost(costs, greedy, 8));
+    }
+  });
+
+  test('returns null when a stop is unreachable', () => {
+    const costs = lineCosts([0, 10, 20]);
+    costs[0][2] = Infinity;
+    costs[1][2] = Infinity;
+    expect(solveVisitOrderHeuristic(costs, [1, 2])).toBeNull();
+  });
+});
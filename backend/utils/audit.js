@@ -0,0 +1,63 @@
+// utils/audit.js
+
+const { AuditLog } = require('../database');
+
+// Append-only trail of admin writes. Routes call recordAudit after a write
+// succeeds, with the document before and after it; only the top-level fields
+// that differ are stored. A failed audit write is logged but never fails the
+// request, whose change has already been made.
+
+// Left out of diffs: bookkeeping, and secrets that must not be copied
+const IGNORED_FIELDS = new Set(['_id', 'createdAt', 'updatedAt', '__v', 'password', 'tokenHash']);
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+// JSON-safe copy (ObjectIds and dates become strings)
+const toJSONValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// { field: { before, after } } for each top-level field that differs. A
+// create has no `before` and a delete no `after`, so every field is listed.
+const diffChanges = (before, after) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+  const changes = {};
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = toJSONValue(previous[field]);
+    const to = toJSONValue(next[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { before: from, after: to };
+  }
+  return changes;
+};
+
+const buildEntry = (req, actor, { action, entityType, entity, before, after, building, details }) => {
+  // `entity` names what was written when there is no before/after document
+  const doc = toPlain(after) || toPlain(before) || toPlain(entity) || {};
+  return {
+    organization: actor.organization,
+    actor: actor._id,
+    actorName: actor.name,
+    actorEmail: actor.email,
+    action,
+    entityType,
+    entityId: doc._id,
+    entityName: doc.name || doc.email,
+    building: building || (entityType === 'building' ? doc._id : doc.building),
+    changes: diffChanges(before, after),
+    details,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+};
+
+// Record one write, or several made by the same request (`entries` array).
+// `actor` defaults to the signed-in admin.
+const recordAudit = async (req, entries, { actor = req.user } = {}) => {
+  try {
+    const list = (Array.isArray(entries) ? entries : [entries]).map(entry => buildEntry(req, actor, entry));
+    if (list.length > 0) await AuditLog.insertMany(list, { ordered: false });
+  } catch (error) {
+    console.error('Audit log write failed:', error);
+  }
+};
+
+module.exports = { diffChanges, recordAudit };
@@ -0,0 +1,113 @@
+// utils/availability.js
+
+const { Building } = require('../database');
+
+// Time-based availability on top of the manual open/closed/restricted status:
+// weekly opening hours of landmarks, read in their building's time zone, and
+// one-off scheduled closures of paths. Routes are checked at their departure
+// time as a whole; a walk takes minutes, so hours are not re-checked per step.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map(); // time zone -> Intl.DateTimeFormat
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Weekday (0 = Sunday) and minutes since midnight of `date` in `timeZone`
+const localTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether an opening period covers a local time. A period closing at or
+// before its opening runs past midnight into the next day.
+const periodCovers = (period, { day, minutes }) => {
+  const open = toMinutes(period.open);
+  const close = toMinutes(period.close);
+  if (open < close) return period.day === day && minutes >= open && minutes < close;
+  return (period.day === day && minutes >= open) || ((period.day + 1) % 7 === day && minutes < close);
+};
+
+const isWithinHours = (openingHours, local) =>
+  !openingHours?.length || openingHours.some(period => periodCovers(period, local));
+
+// The scheduled closure in effect at `date`, if any
+const activeClosure = (closures, date) =>
+  (closures || []).find(closure => new Date(closure.start) <= date && date < new Date(closure.end)) || null;
+
+// Graph.isAccessible hook for a search at `date`. `timeZones` maps building
+// ids to their time zone (see getTimeZones); landmarks of other buildings are
+// read in UTC.
+const availabilityAt = (date, timeZones = new Map()) => {
+  const localTimes = new Map(); // time zone -> local time, computed once per search
+  return (item) => {
+    if (item.scheduledClosures?.length && activeClosure(item.scheduledClosures, date)) return false;
+    if (!item.openingHours?.length) return true;
+    const timeZone = timeZones.get(item.building?.toString()) || DEFAULT_TIME_ZONE;
+    if (!localTimes.has(timeZone)) localTimes.set(timeZone, localTime(date, timeZone));
+    return isWithinHours(item.openingHours, localTimes.get(timeZone));
+  };
+};
+
+// Graph.isAccessible hook that only applies scheduled closures at `date`.
+// Evacuation uses it: opening hours say when a place serves visitors, not
+// whether someone can get out through it in an emergency.
+const closuresAt = (date) => (item) =>
+  !item.scheduledClosures?.length || !activeClosure(item.scheduledClosures, date);
+
+// Open/closed state of a landmark or path at `date`, for search results and
+// route errors. `closesAt` and `opensAt` are local 'HH:MM' times later that day.
+const describeAvailability = (item, date, timeZone = DEFAULT_TIME_ZONE) => {
+  const local = localTime(date, timeZone);
+  const hoursToday = (item.openingHours || [])
+    .filter(period => period.day === local.day)
+    .map(({ open, close }) => ({ open, close }));
+  const closure = activeClosure(item.scheduledClosures, date);
+  const period = (item.openingHours || []).find(p => periodCovers(p, local));
+  const withinHours = !item.openingHours?.length || Boolean(period);
+  let reason = null;
+  if (item.status === 'closed') reason = 'status';
+  else if (closure) reason = 'closure';
+  else if (!withinHours) reason = 'hours';
+
+  return {
+    isOpen: !reason,
+    reason,
+    hoursToday,
+    closesAt: !reason && period ? period.close : null,
+    opensAt: reason === 'hours'
+      ? hoursToday.map(p => p.open).filter(open => toMinutes(open) > local.minutes).sort()[0] || null
+      : null,
+    closure: closure ? { start: closure.start, end: closure.end, reason: closure.reason } : null
+  };
+};
+
+// Building id -> time zone for the given buildings
+const getTimeZones = async (buildingIds) => {
+  const buildings = await Building.find({ _id: { $in: [...buildingIds] } }).select('timezone').lean();
+  return new Map(buildings.map(building => [building._id.toString(), building.timezone || DEFAULT_TIME_ZONE]));
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  localTime,
+  isWithinHours,
+  activeClosure,
+  availabilityAt,
+  closuresAt,
+  describeAvailability,
+  getTimeZones
+};
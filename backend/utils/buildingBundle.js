@@ -0,0 +1,209 @@
+// utils/buildingBundle.js
+
+const mongoose = require('mongoose');
+const { BUILDING_BUNDLE_FORMAT, BUILDING_BUNDLE_VERSION } = require('../validators/schemas');
+const { findFloor, getCoordinateError } = require('./floorGeometry');
+
+// Conversions between stored buildings and the portable bundle format used by
+// the admin import/export endpoints, plus a GeoJSON view of the same bundle.
+// Images are carried as URLs; nothing is copied between buckets.
+
+const pickImages = (images = [], fields) =>
+  images.map(image => Object.fromEntries(fields.filter(f => image[f] !== undefined).map(f => [f, image[f]])));
+
+// Building + its landmarks and paths -> bundle. Connector paths leading to
+// other buildings cannot be expressed inside one bundle and are left out.
+const serializeBuilding = (building, landmarks, paths) => {
+  const landmarkIds = new Set(landmarks.map(landmark => landmark._id.toString()));
+  const internalPaths = paths.filter(path =>
+    landmarkIds.has(path.from.toString()) && landmarkIds.has(path.to.toString()));
+
+  return {
+    format: BUILDING_BUNDLE_FORMAT,
+    version: BUILDING_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    building: {
+      name: building.name,
+      description: building.description,
+      address: building.address,
+      image: building.image,
+      timezone: building.timezone,
+      floors: building.floors.map(({ number, name, mapImage, mapSize, metersPerPixel, origin, rotation, elevation }) => ({
+        number,
+        name,
+        mapImage,
+        mapSize: mapSize?.width ? { width: mapSize.width, height: mapSize.height } : undefined,
+        metersPerPixel,
+        origin: typeof origin?.x === 'number' ? { x: origin.x, y: origin.y } : undefined,
+        rotation,
+        elevation
+      }))
+    },
+    landmarks: landmarks.map(landmark => ({
+      id: landmark._id.toString(),
+      name: landmark.name,
+      description: landmark.description,
+      floor: landmark.floor,
+      coordinates: { x: landmark.coordinates.x, y: landmark.coordinates.y },
+      type: landmark.type,
+      roomNumber: landmark.roomNumber,
+      images: pickImages(landmark.images, ['url', 'caption', 'isPrimary']),
+      accessibility: landmark.accessibility,
+      status: landmark.status,
+      openingHours: (landmark.openingHours || []).map(({ day, open, close }) => ({ day, open, close }))
+    })),
+    paths: internalPaths.map(path => ({
+      id: path._id.toString(),
+      from: path.from.toString(),
+      to: path.to.toString(),
+      distance: path.distance,
+      estimatedTime: path.estimatedTime,
+      difficulty: path.difficulty,
+      instructions: path.instructions,
+      reverseInstructions: path.reverseInstructions,
+      images: pickImages(path.images, ['url', 'caption', 'stepNumber']),
+      accessibility: path.accessibility,
+      isBidirectional: path.isBidirectional,
+      connectorType: path.connectorType,
+      status: path.status,
+      scheduledClosures: (path.scheduledClosures || []).map(({ start, end, reason }) => ({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        reason
+      }))
+    })),
+    skipped: { connectorPaths: paths.length - internalPaths.length }
+  };
+};
+
+// Bundle -> GeoJSON FeatureCollection. Coordinates are floor-plan pixels, not
+// WGS84, which the `naviguide.coordinateSpace` member records.
+const bundleToGeoJSON = ({ building, landmarks, paths }) => {
+  const positions = new Map(landmarks.map(l => [l.id, [l.coordinates.x, l.coordinates.y]]));
+  return {
+    type: 'FeatureCollection',
+    naviguide: {
+      format: BUILDING_BUNDLE_FORMAT,
+      version: BUILDING_BUNDLE_VERSION,
+      coordinateSpace: 'floor-plan-pixels',
+      building
+    },
+    features: [
+      ...landmarks.map(({ id, coordinates, ...properties }) => ({
+        type: 'Feature',
+        id,
+        geometry: { type: 'Point', coordinates: [coordinates.x, coordinates.y] },
+        properties: { featureType: 'landmark', ...properties }
+      })),
+      ...paths.map(({ id, ...properties }) => ({
+        type: 'Feature',
+        id,
+        geometry: { type: 'LineString', coordinates: [positions.get(properties.from), positions.get(properties.to)] },
+        properties: { featureType: 'path', ...properties }
+      }))
+    ]
+  };
+};
+
+// GeoJSON written by bundleToGeoJSON -> bundle (validated by the caller)
+const geoJSONToBundle = (collection) => {
+  const features = Array.isArray(collection.features) ? collection.features : [];
+  const byType = (type) => features.filter(feature => feature?.properties?.featureType === type);
+
+  return {
+    format: collection.naviguide?.format,
+    version: collection.naviguide?.version,
+    building: collection.naviguide?.building,
+    landmarks: byType('landmark').map(({ id, geometry, properties: { featureType, ...properties } }) => ({
+      ...properties,
+      id: id === undefined ? undefined : String(id),
+      coordinates: Array.isArray(geometry?.coordinates)
+        ? { x: geometry.coordinates[0], y: geometry.coordinates[1] }
+        : undefined
+    })),
+    paths: byType('path').map(({ id, properties: { featureType, ...properties } }) => ({
+      ...properties,
+      id: id === undefined ? undefined : String(id)
+    }))
+  };
+};
+
+// Check a validated bundle for problems zod cannot see and assign new
+// ObjectIds. Returns `{ errors, buildingId, idMap, landmarks, paths }`; the
+// documents are only meaningful when `errors` is empty.
+const planBundleImport = (bundle, createdBy) => {
+  const errors = [];
+  const buildingId = new mongoose.Types.ObjectId();
+  const floors = new Set(bundle.building.floors.map(floor => floor.number));
+  const landmarkIds = new Map();
+
+  bundle.landmarks.forEach((landmark, index) => {
+    if (landmarkIds.has(landmark.id)) {
+      errors.push({ field: `landmarks.${index}.id`, message: `Duplicate landmark id "${landmark.id}"` });
+      return;
+    }
+    if (!floors.has(landmark.floor)) {
+      errors.push({ field: `landmarks.${index}.floor`, message: `Floor "${landmark.floor}" is not defined on the building` });
+    }
+    const coordinateError = getCoordinateError(findFloor(bundle.building, landmark.floor), landmark.coordinates);
+    if (coordinateError) {
+      errors.push({ field: `landmarks.${index}.coordinates`, message: coordinateError });
+    }
+    landmarkIds.set(landmark.id, new mongoose.Types.ObjectId());
+  });
+
+  const pathIds = new Map();
+  const pairs = new Set();
+  bundle.paths.forEach((path, index) => {
+    if (pathIds.has(path.id)) {
+      errors.push({ field: `paths.${index}.id`, message: `Duplicate path id "${path.id}"` });
+      return;
+    }
+    ['from', 'to'].forEach(end => {
+      if (!landmarkIds.has(path[end])) {
+        errors.push({ field: `paths.${index}.${end}`, message: `Unknown landmark id "${path[end]}"` });
+      }
+    });
+    if (path.from === path.to) {
+      errors.push({ field: `paths.${index}`, message: 'A path must connect two different landmarks' });
+    }
+    const pair = [path.from, path.to].sort().join('|');
+    if (pairs.has(pair)) {
+      errors.push({ field: `paths.${index}`, message: `A path between "${path.from}" and "${path.to}" already exists in the bundle` });
+    }
+    pairs.add(pair);
+    pathIds.set(path.id, new mongoose.Types.ObjectId());
+  });
+
+  const landmarks = bundle.landmarks.map(({ id, ...landmark }) => ({
+    ...landmark,
+    _id: landmarkIds.get(id),
+    building: buildingId,
+    createdBy
+  }));
+  const paths = bundle.paths.map(({ id, from, to, ...path }) => ({
+    ...path,
+    _id: pathIds.get(id),
+    from: landmarkIds.get(from),
+    to: landmarkIds.get(to),
+    createdBy
+  }));
+
+  return {
+    errors,
+    buildingId,
+    idMap: {
+      landmarks: Object.fromEntries([...landmarkIds].map(([from, to]) => [from, to.toString()])),
+      paths: Object.fromEntries([...pathIds].map(([from, to]) => [from, to.toString()]))
+    },
+    landmarks,
+    paths
+  };
+};
+
+module.exports = {
+  serializeBuilding,
+  bundleToGeoJSON,
+  geoJSONToBundle,
+  planBundleImport
+};
@@ -0,0 +1,219 @@
+// utils/bulkImport.js
+
+const mongoose = require('mongoose');
+const { parseCsv } = require('./csv');
+const { findFloor, getCoordinateError, getDistanceError } = require('./floorGeometry');
+const { landmarkSchema, pathSchema, pathUpdateSchema } = require('../validators/schemas');
+
+// Turns landmark/path spreadsheets (CSV) into documents for one building.
+// Every row goes through the same zod schema as the single-item admin forms;
+// problems are collected per row so a dry run can show all of them at once.
+
+const MAX_BULK_ROWS = 2000;
+
+// Header cells are matched loosely: "Room Number", "room_number" and
+// "roomNumber" all mean roomNumber
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const LANDMARK_COLUMNS = {
+  name: 'name', type: 'type', floor: 'floor', x: 'x', y: 'y', roomnumber: 'roomNumber', description: 'description',
+  wheelchairaccessible: 'wheelchairAccessible', visualaidfriendly: 'visualAidFriendly', hearingaidfriendly: 'hearingAidFriendly'
+};
+const LANDMARK_REQUIRED = ['name', 'type', 'floor', 'x', 'y'];
+
+const PATH_COLUMNS = {
+  from: 'from', to: 'to', distance: 'distance', estimatedtime: 'estimatedTime', difficulty: 'difficulty',
+  instructions: 'instructions', reverseinstructions: 'reverseInstructions', isbidirectional: 'isBidirectional',
+  wheelchairaccessible: 'wheelchairAccessible', requireselevator: 'requiresElevator', requiresstairs: 'requiresStairs'
+};
+const PATH_REQUIRED = ['from', 'to', 'distance', 'estimatedTime', 'instructions'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Parse CSV text and rename columns; throws on malformed CSV or missing columns
+const readSheet = (text, columns, required, label) => {
+  const { headers, rows } = parseCsv(text);
+  const mapping = Object.fromEntries(headers.map(header => [header, columns[normalizeHeader(header)]]));
+  const present = new Set(Object.values(mapping));
+  const missing = required.filter(column => !present.has(column));
+  if (missing.length > 0) {
+    throw new Error(`${label} CSV is missing required column(s): ${missing.join(', ')}`);
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    throw new Error(`${label} CSV has ${rows.length} rows; the limit is ${MAX_BULK_ROWS}`);
+  }
+
+  return {
+    ignoredColumns: headers.filter(header => !mapping[header]),
+    rows: rows.map(({ line, values }) => ({
+      line,
+      values: Object.fromEntries(Object.entries(values)
+        .filter(([header]) => mapping[header])
+        .map(([header, value]) => [mapping[header], value]))
+    }))
+  };
+};
+
+// Yes/no cells -> booleans. Blank cells are left out so schema defaults apply.
+const readFlags = (values, names, errors) => {
+  const flags = {};
+  names.forEach(name => {
+    const value = (values[name] || '').toLowerCase();
+    if (value === '') return;
+    if (TRUE_VALUES.includes(value)) flags[name] = true;
+    else if (FALSE_VALUES.includes(value)) flags[name] = false;
+    else errors.push({ field: name, message: `Expected yes/no, got "${values[name]}"` });
+  });
+  return flags;
+};
+
+const zodErrors = (error) => error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }));
+const blankToUndefined = (value) => (value === '' || value === undefined ? undefined : value);
+
+// `building` is the lean building; `existingLandmarks` its current landmarks
+const prepareLandmarkRows = (rows, { building, existingLandmarks, createdBy }) => {
+  const floorByKey = new Map();
+  building.floors.forEach(floor => {
+    floorByKey.set(floor.number.toLowerCase(), floor.number);
+    floorByKey.set(floor.name.toLowerCase(), floor.number);
+  });
+  const takenNames = new Set(existingLandmarks.map(l => `${l.floor}|${l.name.toLowerCase()}`));
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+    const floor = floorByKey.get((values.floor || '').toLowerCase());
+    if (values.floor && !floor) {
+      errors.push({ field: 'floor', message: `Floor "${values.floor}" does not exist in this building` });
+    }
+    const badAxes = ['x', 'y'].filter(axis => values[axis] === '' || Number.isNaN(Number(values[axis])));
+    badAxes.forEach(axis => errors.push({ field: axis, message: `${axis} must be a number` }));
+    const accessibility = readFlags(values, ['wheelchairAccessible', 'visualAidFriendly', 'hearingAidFriendly'], errors);
+
+    const parsed = landmarkSchema.safeParse({
+      name: values.name,
+      description: blankToUndefined(values.description),
+      building: building._id.toString(),
+      floor: floor || values.floor,
+      coordinates: JSON.stringify({ x: Number(values.x), y: Number(values.y) }),
+      type: (values.type || '').toLowerCase().replace(/[\s-]+/g, '_'),
+      roomNumber: blankToUndefined(values.roomNumber)
+    });
+    if (!parsed.success) {
+      // Coordinate problems are already reported against x/y
+      errors.push(...zodErrors(parsed.error).filter(error => badAxes.length === 0 || !error.field.startsWith('coordinates')));
+    } else {
+      const coordinateError = getCoordinateError(findFloor(building, parsed.data.floor), parsed.data.coordinates);
+      if (coordinateError) errors.push({ field: 'coordinates', message: coordinateError });
+      const nameKey = `${parsed.data.floor}|${parsed.data.name.toLowerCase()}`;
+      if (takenNames.has(nameKey)) {
+        errors.push({ field: 'name', message: `A landmark named "${parsed.data.name}" already exists on this floor` });
+      }
+      takenNames.add(nameKey);
+    }
+
+    return {
+      line,
+      errors,
+      document: errors.length === 0
+        ? { _id: new mongoose.Types.ObjectId(), ...parsed.data, accessibility, createdBy }
+        : null
+    };
+  });
+};
+
+// Index landmarks by room number and by name (case-insensitive) for path rows
+const buildLandmarkResolver = (landmarks) => {
+  const byRoom = new Map();
+  const byName = new Map();
+  const add = (index, key, landmark) => {
+    if (!key) return;
+    const normalized = key.trim().toLowerCase();
+    index.set(normalized, [...(index.get(normalized) || []), landmark]);
+  };
+  landmarks.forEach(landmark => {
+    add(byRoom, landmark.roomNumber, landmark);
+    add(byName, landmark.name, landmark);
+  });
+
+  return (reference) => {
+    const key = (reference || '').trim().toLowerCase();
+    const matches = byRoom.get(key) || byName.get(key) || [];
+    if (matches.length === 1) return { landmark: matches[0] };
+    return {
+      error: matches.length === 0
+        ? `No landmark with room number or name "${reference}"`
+        : `"${reference}" matches ${matches.length} landmarks; use a room number instead`
+    };
+  };
+};
+
+const bulkPathSchema = pathSchema.extend({
+  reverseInstructions: pathUpdateSchema.shape.reverseInstructions
+});
+
+// `landmarks` are the existing plus newly prepared landmarks path rows may
+// reference; `existingPaths` the building's current paths
+const preparePathRows = (rows, { building, landmarks, existingPaths, createdBy }) => {
+  const resolve = buildLandmarkResolver(landmarks);
+  const pairKey = (a, b) => [a.toString(), b.toString()].sort().join('|');
+  const takenPairs = new Set(existingPaths.map(path => pairKey(path.from, path.to)));
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+    const ends = {};
+    ['from', 'to'].forEach(end => {
+      const { landmark, error } = resolve(values[end]);
+      if (error) errors.push({ field: end, message: error });
+      ends[end] = landmark;
+    });
+    const accessibility = readFlags(values, ['wheelchairAccessible', 'requiresElevator', 'requiresStairs'], errors);
+    const direction = readFlags(values, ['isBidirectional'], errors);
+
+    const parsed = bulkPathSchema.safeParse({
+      from: ends.from?._id.toString() ?? '',
+      to: ends.to?._id.toString() ?? '',
+      distance: values.distance,
+      estimatedTime: values.estimatedTime,
+      difficulty: blankToUndefined((values.difficulty || '').toLowerCase()),
+      instructions: values.instructions,
+      reverseInstructions: blankToUndefined(values.reverseInstructions),
+      accessibility: JSON.stringify(accessibility),
+      // The schema reads anything but 'true' as one-way, so a blank cell must become 'true'
+      isBidirectional: direction.isBidirectional === false ? 'false' : 'true'
+    });
+    if (!parsed.success) {
+      // Unresolved ends are already reported with a clearer message
+      errors.push(...zodErrors(parsed.error).filter(error => !(ends[error.field] === undefined && ['from', 'to'].includes(error.field))));
+    } else if (parsed.data.from === parsed.data.to) {
+      errors.push({ field: 'to', message: 'A path must connect two different landmarks' });
+    } else {
+      const distanceError = getDistanceError(building, ends.from, ends.to, parsed.data.distance);
+      if (distanceError) errors.push({ field: 'distance', message: distanceError });
+      const pair = pairKey(parsed.data.from, parsed.data.to);
+      if (takenPairs.has(pair)) {
+        errors.push({ field: 'to', message: `A path between "${ends.from.name}" and "${ends.to.name}" already exists` });
+      }
+      takenPairs.add(pair);
+    }
+
+    return {
+      line,
+      errors,
+      from: ends.from?.name,
+      to: ends.to?.name,
+      document: errors.length === 0 ? { _id: new mongoose.Types.ObjectId(), ...parsed.data, createdBy } : null
+    };
+  });
+};
+
+module.exports = {
+  MAX_BULK_ROWS,
+  LANDMARK_COLUMNS,
+  PATH_COLUMNS,
+  LANDMARK_REQUIRED,
+  PATH_REQUIRED,
+  readSheet,
+  prepareLandmarkRows,
+  preparePathRows
+};
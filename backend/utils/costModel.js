@@ -0,0 +1,64 @@
+// utils/costModel.js
+
+const { Graph } = require('./graph');
+
+// How route searches price a path (Graph `options.cost`), and which route
+// preferences stay hard filters.
+
+const DEFAULT_COST_WEIGHTS = { distance: 1, time: 0, stairs: 20, elevator: 10, difficulty: 15 };
+const DIFFICULTY_PENALTY = { easy: 0, medium: 1, hard: 2 };
+// Edges breaking a soft preference cost this many times more (plus a flat step)
+const SOFT_PREFERENCE_FACTOR = 10;
+
+// Pluggable edge pricing for a route request.
+//   distance - metres walked
+//   time     - estimated seconds
+//   balanced - weighted blend of both plus stairs/elevator/difficulty and
+//              per-landmark-type penalties
+// Preferences named in `softPreferences` are lifted out of the hard filter and
+// priced instead; the remaining ones are returned as `preferences`.
+const createCostModel = ({ mode = 'distance', weights = {}, preferences = {}, softPreferences = [] } = {}) => {
+  const blend = { ...DEFAULT_COST_WEIGHTS, ...weights };
+  const typePenalties = weights.landmarkTypes || {};
+  const soft = new Set(softPreferences);
+  const hardPreferences = {};
+  const softOnly = {};
+  Object.entries(preferences).forEach(([key, value]) => {
+    (soft.has(key) ? softOnly : hardPreferences)[key] = value;
+  });
+
+  const baseCost = (path, toLandmark) => {
+    if (mode === 'time') return path.estimatedTime || 0;
+    if (mode !== 'balanced') return path.distance || 0;
+
+    return blend.distance * (path.distance || 0) +
+      blend.time * (path.estimatedTime || 0) +
+      (path.accessibility?.requiresStairs ? blend.stairs : 0) +
+      (path.accessibility?.requiresElevator ? blend.elevator : 0) +
+      blend.difficulty * (DIFFICULTY_PENALTY[path.difficulty] || 0) +
+      (typePenalties[toLandmark?.type] || 0);
+  };
+
+  const cost = (path, toLandmark) => {
+    const value = baseCost(path, toLandmark);
+    return soft.size > 0 && !Graph.meetsPreferences(path, softOnly)
+      ? (value + 1) * SOFT_PREFERENCE_FACTOR
+      : value;
+  };
+
+  return {
+    mode,
+    preferences: hardPreferences,
+    softPreferences: [...soft],
+    weights: mode === 'balanced' ? { ...blend, landmarkTypes: typePenalties } : undefined,
+    cost,
+    // Straight-line metres only bound the cost when it is priced in metres
+    heuristicScale: mode === 'distance' ? 1 : mode === 'balanced' ? blend.distance : 0
+  };
+};
+
+module.exports = {
+  DEFAULT_COST_WEIGHTS,
+  SOFT_PREFERENCE_FACTOR,
+  createCostModel
+};
@@ -0,0 +1,87 @@
+// utils/csv.js
+
+// Minimal RFC 4180 reader: comma separated, double-quoted fields with ""
+// escapes, LF or CRLF line endings. Blank lines are skipped. Returns the
+// header row plus one `{ line, values }` entry per record, where `line` is the
+// 1-based line the record starts on and `values` is keyed by header.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0].trim() !== '') records.push({ line: recordLine, fields: record });
+    record = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, ''); // spreadsheet exports often start with a BOM
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  const [header, ...rows] = records;
+  if (!header) return { headers: [], rows: [] };
+
+  const headers = header.fields.map(name => name.trim());
+  return {
+    headers,
+    rows: rows.map(({ line: rowLine, fields }) => ({
+      line: rowLine,
+      values: Object.fromEntries(headers.map((name, index) => [name, (fields[index] ?? '').trim()]))
+    }))
+  };
+};
+
+// Writer for the same dialect. Cells that a spreadsheet would run as a formula
+// get a leading apostrophe.
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of { header, value: row => cell }
+const toCsv = (columns, rows) => [
+  columns.map(column => formatCell(column.header)).join(','),
+  ...rows.map(row => columns.map(column => formatCell(column.value(row))).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,180 @@
+// utils/evacuation.js
+
+const { HazardZone } = require('../database');
+const { Graph } = require('./graph');
+const { insidePolygon, segmentsCross } = require('./floorGeometry');
+
+// Evacuation routing: from a landmark to the nearest emergency exit on foot.
+// Elevators are never used, closed landmarks/paths (including scheduled
+// closures) are respected as on any route, and the building's active hazard
+// zones are taken out of the graph. Opening hours are ignored: a way out is a
+// way out whatever the time (see closuresAt in utils/availability.js).
+// Hazard zones are read live, so a zone marked by an admin applies to the
+// next request without publishing.
+
+const EXIT_TYPE = 'emergency_exit';
+// Paths flagged requiresElevator; lifts linked without the flag are caught by isElevatorRide
+const EVACUATION_PREFERENCES = { avoidElevators: true };
+
+const getActiveHazards = (buildingId) =>
+  HazardZone.find({ building: buildingId, isActive: true }).select('name floor polygon landmarks paths').lean();
+
+const isElevatorRide = (from, to, path) =>
+  Boolean(path?.accessibility?.requiresElevator) ||
+  (from?.type === 'elevator' && to?.type === 'elevator' && from.floor !== to.floor);
+
+const crossesPolygon = (a, b, polygon) =>
+  insidePolygon(a, polygon) || insidePolygon(b, polygon) ||
+  polygon.some((corner, i) => segmentsCross(a, b, corner, polygon[(i + 1) % polygon.length]));
+
+// Search options for evacuating `graph`: landmarks inside or listed by a
+// hazard zone, paths listed by one or crossing its area, and every elevator
+// ride are excluded on top of `options` (access, cost, isAvailable).
+// `areaPaths` are the paths excluded only for touching a hazard area.
+const getEvacuationOptions = (graph, hazards, options = {}) => {
+  const excludedNodes = new Set();
+  const excludedPaths = new Set();
+  const listedPaths = new Set();
+  const areaPaths = new Set();
+
+  hazards.forEach(zone => {
+    zone.landmarks.forEach(id => excludedNodes.add(id.toString()));
+    zone.paths.forEach(id => listedPaths.add(id.toString()));
+    if (!zone.polygon?.length) return;
+    for (const [id, node] of graph.nodes) {
+      if (node.floor === zone.floor && node.coordinates && insidePolygon(node.coordinates, zone.polygon)) {
+        excludedNodes.add(id);
+      }
+    }
+  });
+
+  const areas = hazards.filter(zone => zone.polygon?.length);
+  for (const [fromId, edges] of graph.adjacencyList) {
+    const from = graph.nodes.get(fromId);
+    edges.forEach(edge => {
+      const to = graph.nodes.get(edge.node);
+      const pathId = edge.path?._id?.toString();
+      if (isElevatorRide(from, to, edge.path)) {
+        excludedPaths.add(pathId);
+        return;
+      }
+      if (from?.coordinates && to?.coordinates && from.floor === to.floor && areas.some(zone =>
+        zone.floor === from.floor && crossesPolygon(from.coordinates, to.coordinates, zone.polygon))) {
+        areaPaths.add(pathId);
+      }
+    });
+  }
+  listedPaths.forEach(id => excludedPaths.add(id));
+  areaPaths.forEach(id => {
+    if (excludedPaths.has(id)) areaPaths.delete(id);
+    else excludedPaths.add(id);
+  });
+
+  return { ...options, excludedNodes, excludedPaths, areaPaths };
+};
+
+// Exit ids a route may end at: open (or restricted but accessible) and not in a hazard zone
+const findExits = (graph, options) => new Set([...graph.nodes.entries()]
+  .filter(([id, node]) => node.type === EXIT_TYPE && !options.excludedNodes.has(id) && Graph.isAccessible(node, options))
+  .map(([id]) => id));
+
+// Edge pricing for `rankBy` ('distance' in metres or 'time' in seconds)
+const evacuationCost = (rankBy) => (rankBy === 'time'
+  ? (path) => path.estimatedTime || 0
+  : (path) => path.distance || 0);
+
+// Route from `startId` to the nearest of `exits` (see findExits), or null when
+// none can be reached. The start itself is never excluded: it is where the
+// person is, hazard or not. Someone caught in a hazard zone may also take the
+// paths out of it that touch its area.
+const findEvacuationRoute = (graph, startId, options, exits) => {
+  if (exits.size === 0) return null;
+  const leaving = new Set(options.excludedNodes.has(startId)
+    ? (graph.adjacencyList.get(startId) || [])
+      .map(edge => edge.path?._id?.toString())
+      .filter(id => options.areaPaths?.has(id))
+    : []);
+  const searchOptions = leaving.size === 0 ? options : {
+    ...options,
+    excludedPaths: new Set([...options.excludedPaths].filter(id => !leaving.has(id)))
+  };
+  const { distances, previous, pathDetails } = graph.shortestPathTree(startId, EVACUATION_PREFERENCES, searchOptions, exits);
+  let nearest = null;
+  exits.forEach(id => {
+    if (distances.get(id) < (nearest ? distances.get(nearest) : Infinity)) nearest = id;
+  });
+  return nearest ? graph.reconstructPath(startId, nearest, distances, previous, pathDetails) : null;
+};
+
+// Evacuation route of every landmark in `graph`, grouped per floor in the
+// building's floor order, for printing and for finding landmarks with no safe
+// exit. `floors` is the building's floors array; `floor` limits the report to
+// one; `isAvailable` is the closuresAt hook for now. Routes come from one
+// search outwards from the exits, except for landmarks in a hazard zone, which
+// are routed out on their own as findEvacuationRoute would.
+const buildEvacuationReport = (graph, hazards, { floors = [], floor = null, rankBy = 'time', isAvailable } = {}) => {
+  const options = getEvacuationOptions(graph, hazards, { cost: evacuationCost(rankBy), isAvailable });
+  const exits = findExits(graph, options);
+  const { distances, next, pathDetails } = graph.shortestPathTreeTo(exits, EVACUATION_PREFERENCES, options);
+  const floorOrder = floors.map(f => f.number);
+  const position = (number) => (floorOrder.includes(number) ? floorOrder.indexOf(number) : floorOrder.length);
+
+  const entries = [...graph.nodes.values()]
+    .filter(landmark => !floor || landmark.floor === floor)
+    .sort((a, b) => position(a.floor) - position(b.floor) ||
+      String(a.floor).localeCompare(String(b.floor)) || a.name.localeCompare(b.name))
+    .map(landmark => {
+      const id = landmark._id.toString();
+      const found = options.excludedNodes.has(id)
+        ? findEvacuationRoute(graph, id, options, exits)
+        : graph.reconstructPathTo(id, distances, next, pathDetails);
+      const route = !found || found.totalDistance === Infinity ? null : found;
+      const exit = route?.path[route.path.length - 1].landmark;
+      return {
+        landmark: { _id: landmark._id, name: landmark.name, type: landmark.type, roomNumber: landmark.roomNumber, floor: landmark.floor },
+        inHazardZone: options.excludedNodes.has(id),
+        safeExit: Boolean(route),
+        exit: exit ? { _id: exit._id, name: exit.name, floor: exit.floor } : null,
+        distance: route ? Math.round(route.totalDistance) : null,
+        estimatedTime: route ? route.totalTime : null,
+        directions: route ? route.path.slice(1).map(step => step.path.instructions) : []
+      };
+    });
+
+  const byFloor = new Map();
+  entries.forEach(entry => {
+    if (!byFloor.has(entry.landmark.floor)) byFloor.set(entry.landmark.floor, []);
+    byFloor.get(entry.landmark.floor).push(entry);
+  });
+  const noSafeExit = entries.filter(entry => !entry.safeExit);
+
+  return {
+    rankBy,
+    summary: {
+      landmarks: entries.length,
+      covered: entries.length - noSafeExit.length,
+      noSafeExit: noSafeExit.length,
+      coverage: entries.length ? Math.round(((entries.length - noSafeExit.length) / entries.length) * 1000) / 10 : 100,
+      exits: exits.size,
+      hazardZones: hazards.length
+    },
+    floors: [...byFloor].map(([number, landmarks]) => ({
+      floor: { number, name: floors.find(f => f.number === number)?.name || number },
+      covered: landmarks.filter(entry => entry.safeExit).length,
+      noSafeExit: landmarks.filter(entry => !entry.safeExit).length,
+      landmarks
+    })),
+    noSafeExit: noSafeExit.map(entry => entry.landmark)
+  };
+};
+
+module.exports = {
+  EXIT_TYPE,
+  EVACUATION_PREFERENCES,
+  getActiveHazards,
+  getEvacuationOptions,
+  findExits,
+  evacuationCost,
+  findEvacuationRoute,
+  buildEvacuationReport
+};
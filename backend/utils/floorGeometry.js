@@ -0,0 +1,98 @@
+// utils/floorGeometry.js
+
+const { pixelLength } = require('./graphIntegrity');
+
+// Ties floor-plan pixels to real dimensions using each floor's metadata:
+// `mapSize` (image pixels), `metersPerPixel`, `origin` (the map pixel of the
+// building's reference point), `rotation` (map "up" in degrees clockwise from
+// north) and `elevation` (metres above ground level). Checks are skipped when
+// a floor lacks the metadata they need.
+
+// Calibration is never exact, so a path may be this much shorter than the map suggests
+const MIN_DISTANCE_RATIO = 0.8;
+
+const findFloor = (building, number) => building?.floors?.find(floor => floor.number === number);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Error message when `coordinates` fall outside the floor's map image, else null
+const getCoordinateError = (floor, coordinates) => {
+  if (!floor?.mapSize?.width || !coordinates) return null;
+  const { width, height } = floor.mapSize;
+  if (coordinates.x > width || coordinates.y > height) {
+    return `Coordinates (${coordinates.x}, ${coordinates.y}) are outside the ${width}×${height}px map of floor "${floor.name}".`;
+  }
+  return null;
+};
+
+// A map point in metres east/north of the building's reference point, or null
+// when the floor is not calibrated and placed
+const toBuildingFrame = (floor, point) => {
+  if (!floor?.metersPerPixel || !floor.origin) return null;
+  const right = (point.x - floor.origin.x) * floor.metersPerPixel;
+  const up = (floor.origin.y - point.y) * floor.metersPerPixel; // image y grows downwards
+  const angle = ((floor.rotation || 0) * Math.PI) / 180;
+  return {
+    east: right * Math.cos(angle) + up * Math.sin(angle),
+    north: up * Math.cos(angle) - right * Math.sin(angle)
+  };
+};
+
+// Height (m) between two floors, or null unless both have an elevation
+const elevationBetween = (a, b) => (
+  typeof a?.elevation === 'number' && typeof b?.elevation === 'number'
+    ? Math.abs(a.elevation - b.elevation)
+    : null
+);
+
+// Map polygons (corridors, walls, hazard zones) are lists of map pixels.
+// Ray casting point-in-polygon
+const insidePolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const segmentsCross = (p1, p2, q1, q2) => {
+  const side = (a, b, c) => Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+  return side(p1, p2, q1) * side(p1, p2, q2) < 0 && side(q1, q2, p1) * side(q1, q2, p2) < 0;
+};
+
+// Error message when a path is clearly shorter than the ground it covers:
+// the straight line on a calibrated floor, or the height between two floors.
+// Connectors between buildings are not checked.
+const getDistanceError = (building, fromLandmark, toLandmark, distance) => {
+  if (fromLandmark.building.toString() !== toLandmark.building.toString()) return null;
+  const fromFloor = findFloor(building, fromLandmark.floor);
+  const toFloor = findFloor(building, toLandmark.floor);
+
+  if (fromLandmark.floor === toLandmark.floor) {
+    if (!fromFloor?.metersPerPixel) return null;
+    const straight = round(pixelLength(fromLandmark, toLandmark) * fromFloor.metersPerPixel);
+    return distance < straight * MIN_DISTANCE_RATIO
+      ? `Distance ${distance}m is shorter than the ${straight}m straight line between "${fromLandmark.name}" and "${toLandmark.name}" on the floor plan.`
+      : null;
+  }
+
+  const height = elevationBetween(fromFloor, toFloor);
+  return height !== null && distance < round(height) * MIN_DISTANCE_RATIO
+    ? `Distance ${distance}m is shorter than the ${round(height)}m height between floors "${fromFloor.name}" and "${toFloor.name}".`
+    : null;
+};
+
+module.exports = {
+  findFloor,
+  getCoordinateError,
+  toBuildingFrame,
+  elevationBetween,
+  getDistanceError,
+  insidePolygon,
+  segmentsCross
+};
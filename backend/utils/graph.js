@@ -0,0 +1,548 @@
+// utils/graph.js
+
+// --- OPTIMIZED ALGORITHM IMPLEMENTATION ---
+
+// Binary Heap Priority Queue (much faster than linear insertion)
+class MinHeap {
+  constructor() {
+    this.heap = [];
+  }
+
+  enqueue(element) {
+    this.heap.push(element);
+    this.bubbleUp(this.heap.length - 1);
+  }
+
+  dequeue() {
+    if (this.heap.length === 0) return null;
+    if (this.heap.length === 1) return this.heap.pop();
+    
+    const min = this.heap[0];
+    this.heap[0] = this.heap.pop();
+    this.bubbleDown(0);
+    return min;
+  }
+
+  bubbleUp(index) {
+    while (index > 0) {
+      const parentIndex = Math.floor((index - 1) / 2);
+      if (this.heap[parentIndex].distance <= this.heap[index].distance) break;
+      
+      [this.heap[parentIndex], this.heap[index]] = [this.heap[index], this.heap[parentIndex]];
+      index = parentIndex;
+    }
+  }
+
+  bubbleDown(index) {
+    while (true) {
+      let minIndex = index;
+      const leftChild = 2 * index + 1;
+      const rightChild = 2 * index + 2;
+
+      if (leftChild < this.heap.length && 
+          this.heap[leftChild].distance < this.heap[minIndex].distance) {
+        minIndex = leftChild;
+      }
+
+      if (rightChild < this.heap.length && 
+          this.heap[rightChild].distance < this.heap[minIndex].distance) {
+        minIndex = rightChild;
+      }
+
+      if (minIndex === index) break;
+
+      [this.heap[index], this.heap[minIndex]] = [this.heap[minIndex], this.heap[index]];
+      index = minIndex;
+    }
+  }
+
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+}
+
+// Optimized Graph with better Dijkstra implementation
+class Graph {
+  constructor() {
+    this.nodes = new Map();
+    this.adjacencyList = new Map();
+  }
+
+  addNode(id, data) {
+    this.nodes.set(id, data);
+    if (!this.adjacencyList.has(id)) {
+      this.adjacencyList.set(id, []);
+    }
+  }
+
+  addEdge(from, to, weight, pathData) {
+    if (!this.adjacencyList.has(from)) return;
+    
+    this.adjacencyList.get(from).push({
+      node: to,
+      weight,
+      path: pathData
+    });
+
+    // Handle bidirectional paths
+    if (pathData.isBidirectional && this.adjacencyList.has(to)) {
+      this.adjacencyList.get(to).push({
+        node: from,
+        weight,
+        path: {
+          ...pathData,
+          instructions: pathData.reverseInstructions || `Return via: ${pathData.instructions}`,
+          images: pathData.images ? [...pathData.images].reverse() : []
+        }
+      });
+    }
+  }
+
+  // Union of several graphs (e.g. the buildings of a campus). Node data and
+  // edge objects are shared with the sources; only adjacency lists are copied,
+  // so edges added to the result never leak back into a cached graph.
+  static compose(graphs) {
+    const combined = new Graph();
+    graphs.forEach(graph => {
+      for (const [id, data] of graph.nodes) combined.nodes.set(id, data);
+      for (const [id, edges] of graph.adjacencyList) combined.adjacencyList.set(id, [...edges]);
+    });
+    return combined;
+  }
+
+  // --- In-place updates (used by the graph cache to patch admin edits) ---
+
+  updateNode(id, data) {
+    if (!this.nodes.has(id)) return false;
+    this.nodes.set(id, data);
+    return true;
+  }
+
+  removeNode(id) {
+    this.nodes.delete(id);
+    this.adjacencyList.delete(id);
+    for (const [from, edges] of this.adjacencyList) {
+      this.adjacencyList.set(from, edges.filter(edge => edge.node !== id));
+    }
+  }
+
+  // Drops both directions of a path
+  removePath(pathId) {
+    const id = pathId.toString();
+    for (const [from, edges] of this.adjacencyList) {
+      this.adjacencyList.set(from, edges.filter(edge => edge.path?._id?.toString() !== id));
+    }
+  }
+
+  get edgeCount() {
+    let count = 0;
+    for (const edges of this.adjacencyList.values()) count += edges.length;
+    return count;
+  }
+
+  // Closed landmarks/paths are never traversable. Restricted ones only for
+  // visitors holding a matching access grant or staff of the building they
+  // belong to (`options.access.staffBuildings`). Paths carry no building, so
+  // callers pass the one the path leaves from. `options.isAvailable`
+  // (see utils/availability.js) also rules out what is outside its opening
+  // hours or scheduled closed at the departure time.
+  // `options.ignoreStatus` skips this check (used to detect closure detours).
+  static isAccessible(item, options = {}, building = item?.building) {
+    if (!item || options.ignoreStatus) return true;
+    if (item.status === 'closed') return false;
+    if (options.isAvailable && !options.isAvailable(item)) return false;
+    if (item.status === 'restricted') {
+      const access = options.access || {};
+      return Boolean(access.staffBuildings?.has(building?.toString()) || access.grants?.has(item._id?.toString()));
+    }
+    return true;
+  }
+
+  // `options.excludedNodes`, `options.excludedPaths` (path ids) and
+  // `options.excludedEdges` (see edgeKey) prune the search further; callers
+  // exclude landmarks/paths with them and Yen's algorithm its spur paths.
+  static edgeKey(from, path) {
+    return `${path?._id}:${from}`;
+  }
+
+  // Search cost of an edge: the caller's cost function, else the raw weight (distance)
+  edgeCost(neighbor, options) {
+    return options.cost
+      ? options.cost(neighbor.path, this.nodes.get(neighbor.node))
+      : neighbor.weight;
+  }
+
+  canTraverse(from, neighbor, preferences, options) {
+    if (options.excludedNodes?.has(neighbor.node)) return false;
+    if (options.excludedEdges?.has(Graph.edgeKey(from, neighbor.path))) return false;
+    if (options.excludedPaths?.has(neighbor.path?._id?.toString())) return false;
+
+    return Graph.meetsPreferences(neighbor.path, preferences) &&
+      Graph.isAccessible(neighbor.path, options, this.nodes.get(from)?.building) &&
+      Graph.isAccessible(this.nodes.get(neighbor.node), options);
+  }
+
+  dijkstra(start, end, preferences = {}, options = {}) {
+    // Early exit if start or end don't exist
+    if (!this.nodes.has(start) || !this.nodes.has(end)) {
+      return { path: [], totalCost: Infinity, totalDistance: Infinity, totalTime: 0 };
+    }
+
+    const { distances, previous, pathDetails } = this.shortestPathTree(start, preferences, options, end);
+
+    // Reconstruct path
+    return this.reconstructPath(start, end, distances, previous, pathDetails);
+  }
+
+  // Single-source Dijkstra. Stops once `end` is settled; leave it null to
+  // settle every reachable node (all-pairs tables, nearest-facility queries).
+  // `end` may also be a Set of nodes: the search then stops at the nearest
+  // one, which has the smallest finite distance of the set.
+  shortestPathTree(start, preferences = {}, options = {}, end = null) {
+    const distances = new Map();
+    const previous = new Map();
+    const pathDetails = new Map();
+    const visited = new Set();
+    const pq = new MinHeap();
+
+    // Initialize distances
+    for (let node of this.nodes.keys()) {
+      distances.set(node, Infinity);
+    }
+    distances.set(start, 0);
+    pq.enqueue({ node: start, distance: 0 });
+
+    while (!pq.isEmpty()) {
+      const { node: currentNode, distance: currentDistance } = pq.dequeue();
+
+      // Skip if already visited (handles duplicate entries in heap)
+      if (visited.has(currentNode)) continue;
+      visited.add(currentNode);
+
+      // Early termination - we found the shortest path to end
+      if (end instanceof Set ? end.has(currentNode) : currentNode === end) break;
+
+      // Skip if this is an outdated entry
+      if (currentDistance > distances.get(currentNode)) continue;
+
+      const neighbors = this.adjacencyList.get(currentNode) || [];
+
+      for (let neighbor of neighbors) {
+        // Skip visited nodes
+        if (visited.has(neighbor.node)) continue;
+
+        // Apply preference and closure filters
+        if (!this.canTraverse(currentNode, neighbor, preferences, options)) {
+          continue;
+        }
+
+        const distance = currentDistance + this.edgeCost(neighbor, options);
+
+        if (distance < distances.get(neighbor.node)) {
+          distances.set(neighbor.node, distance);
+          previous.set(neighbor.node, currentNode);
+          pathDetails.set(neighbor.node, neighbor.path);
+          pq.enqueue({ node: neighbor.node, distance });
+        }
+      }
+    }
+
+    return { distances, previous, pathDetails };
+  }
+
+  // Dijkstra towards the nearest of the `targets` set, from every node at
+  // once: a multi-source search from the targets over reversed edges, with the
+  // same traversal rules as shortestPathTree. `next` maps a node to the node
+  // after it on its route and `pathDetails` to the path taken there.
+  shortestPathTreeTo(targets, preferences = {}, options = {}) {
+    const incoming = new Map(); // node -> [{ from, edge }]
+    for (const [from, edges] of this.adjacencyList) {
+      edges.forEach(edge => {
+        if (!incoming.has(edge.node)) incoming.set(edge.node, []);
+        incoming.get(edge.node).push({ from, edge });
+      });
+    }
+
+    const distances = new Map();
+    const next = new Map();
+    const pathDetails = new Map();
+    const visited = new Set();
+    const pq = new MinHeap();
+
+    for (let node of this.nodes.keys()) {
+      distances.set(node, Infinity);
+    }
+    targets.forEach(node => {
+      distances.set(node, 0);
+      pq.enqueue({ node, distance: 0 });
+    });
+
+    while (!pq.isEmpty()) {
+      const { node: currentNode, distance: currentDistance } = pq.dequeue();
+      if (visited.has(currentNode)) continue;
+      visited.add(currentNode);
+
+      for (const { from, edge } of incoming.get(currentNode) || []) {
+        if (visited.has(from) || !this.nodes.has(from)) continue;
+        // The edge is walked from `from` to the current node
+        if (!this.canTraverse(from, edge, preferences, options)) continue;
+
+        const distance = currentDistance + this.edgeCost(edge, options);
+        if (distance < distances.get(from)) {
+          distances.set(from, distance);
+          next.set(from, currentNode);
+          pathDetails.set(from, edge.path);
+          pq.enqueue({ node: from, distance });
+        }
+      }
+    }
+
+    return { distances, next, pathDetails };
+  }
+
+  // Route from `start` in a shortestPathTreeTo result, in reconstructPath's shape
+  reconstructPathTo(start, distances, next, pathDetails) {
+    if (!this.nodes.has(start) || distances.get(start) === Infinity) {
+      return { path: [], totalCost: Infinity, totalDistance: Infinity, totalTime: 0 };
+    }
+
+    const path = [{ landmark: this.nodes.get(start), path: undefined, cost: 0 }];
+    let current = start;
+    while (next.has(current)) {
+      const pathData = pathDetails.get(current);
+      current = next.get(current);
+      path.push({
+        landmark: this.nodes.get(current),
+        path: pathData,
+        cost: distances.get(start) - distances.get(current)
+      });
+    }
+
+    return {
+      path,
+      totalCost: distances.get(start),
+      totalDistance: path.reduce((sum, step) => sum + (step.path?.distance || 0), 0),
+      totalTime: path.reduce((sum, step) => sum + (step.path?.estimatedTime || 0), 0)
+    };
+  }
+
+  // True when any landmark or path is closed/restricted, i.e. when a
+  // closure-blind search could find something different
+  hasStatusRestrictions() {
+    for (const node of this.nodes.values()) {
+      if (node.status && node.status !== 'open') return true;
+    }
+    for (const edges of this.adjacencyList.values()) {
+      if (edges.some(edge => edge.path?.status && edge.path.status !== 'open')) return true;
+    }
+    return false;
+  }
+
+  // True when any landmark has opening hours or any path scheduled closures,
+  // i.e. when the departure time can change the route
+  hasTimeRestrictions() {
+    for (const node of this.nodes.values()) {
+      if (node.openingHours?.length) return true;
+    }
+    for (const edges of this.adjacencyList.values()) {
+      if (edges.some(edge => edge.path?.scheduledClosures?.length)) return true;
+    }
+    return false;
+  }
+
+  static meetsPreferences(path, preferences) {
+    if (!path) return true;
+
+    // Check accessibility preferences
+    if (preferences.avoidStairs && path.accessibility?.requiresStairs) {
+      return false;
+    }
+    if (preferences.wheelchairAccessible && !path.accessibility?.wheelchairAccessible) {
+      return false;
+    }
+    if (preferences.avoidElevators && path.accessibility?.requiresElevator) {
+      return false;
+    }
+    if (preferences.maxDifficulty) {
+      const difficultyLevel = { easy: 1, medium: 2, hard: 3 };
+      if (difficultyLevel[path.difficulty] > difficultyLevel[preferences.maxDifficulty]) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  reconstructPath(start, end, distances, previous, pathDetails) {
+    const path = [];
+    let current = end;
+
+    // No path found
+    if (distances.get(current) === Infinity) {
+      return { path: [], totalCost: Infinity, totalDistance: Infinity, totalTime: 0 };
+    }
+
+    // Build path from end to start
+    while (current !== undefined) {
+      const nodeData = this.nodes.get(current);
+      const pathData = pathDetails.get(current);
+
+      path.unshift({
+        landmark: nodeData,
+        path: pathData,
+        cost: distances.get(current) // cumulative search cost up to this step
+      });
+
+      current = previous.get(current);
+    }
+
+    return {
+      path,
+      totalCost: distances.get(end),
+      totalDistance: path.reduce((sum, step) => sum + (step.path?.distance || 0), 0),
+      totalTime: path.reduce((sum, step) => sum + (step.path?.estimatedTime || 0), 0)
+    };
+  }
+
+  // A* Algorithm (optional upgrade for even better performance)
+  astar(start, end, preferences = {}, options = {}) {
+    const gScore = new Map(); // Actual distance from start
+    const fScore = new Map(); // gScore + heuristic
+    const previous = new Map();
+    const pathDetails = new Map();
+    const visited = new Set();
+    const pq = new MinHeap();
+
+    if (!this.nodes.has(start) || !this.nodes.has(end)) {
+      return { path: [], totalCost: Infinity, totalDistance: Infinity, totalTime: 0 };
+    }
+
+    const straightLineDistance = (nodeId) => {
+      const node = this.nodes.get(nodeId);
+      const endNode = this.nodes.get(end);
+      
+      // Euclidean distance heuristic (if coordinates available)
+      if (node.coordinates && endNode.coordinates) {
+        const dx = node.coordinates.x - endNode.coordinates.x;
+        const dy = node.coordinates.y - endNode.coordinates.y;
+        
+        // --- FIX IMPLEMENTED HERE ---
+        // Safely parse floor strings to integers before subtraction.
+        const startFloor = parseInt(node.floor, 10) || 0;
+        const endFloor = parseInt(endNode.floor, 10) || 0;
+        const dz = (startFloor - endFloor) * 5; // Assume 5m per floor
+        
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+      }
+      
+      // Floor difference heuristic as a fallback
+      const startFloor = parseInt(node.floor, 10) || 0;
+      const endFloor = parseInt(endNode.floor, 10) || 0;
+      return Math.abs(startFloor - endFloor) * 5;
+    };
+
+    // Cost models that don't price edges in metres scale (or disable) the heuristic
+    const heuristicScale = options.heuristicScale ?? 1;
+    const heuristic = (nodeId) => heuristicScale * straightLineDistance(nodeId);
+
+    for (let node of this.nodes.keys()) {
+      gScore.set(node, Infinity);
+      fScore.set(node, Infinity);
+    }
+    
+    gScore.set(start, 0);
+    fScore.set(start, heuristic(start));
+    pq.enqueue({ node: start, distance: fScore.get(start) });
+
+    while (!pq.isEmpty()) {
+      const { node: currentNode } = pq.dequeue();
+
+      if (visited.has(currentNode)) continue;
+      visited.add(currentNode);
+
+      if (currentNode === end) break;
+
+      const neighbors = this.adjacencyList.get(currentNode) || [];
+
+      for (let neighbor of neighbors) {
+        if (visited.has(neighbor.node)) continue;
+        if (!this.canTraverse(currentNode, neighbor, preferences, options)) continue;
+
+        const tentativeGScore = gScore.get(currentNode) + this.edgeCost(neighbor, options);
+
+        if (tentativeGScore < gScore.get(neighbor.node)) {
+          previous.set(neighbor.node, currentNode);
+          pathDetails.set(neighbor.node, neighbor.path);
+          gScore.set(neighbor.node, tentativeGScore);
+          fScore.set(neighbor.node, tentativeGScore + heuristic(neighbor.node));
+          pq.enqueue({ node: neighbor.node, distance: fScore.get(neighbor.node) });
+        }
+      }
+    }
+
+    return this.reconstructPath(start, end, gScore, previous, pathDetails);
+  }
+
+  // Yen's algorithm: up to k loop-free routes, cheapest first
+  kShortestPaths(start, end, k, preferences = {}, options = {}, algorithm = 'dijkstra') {
+    const search = (from, excluded) => algorithm === 'astar'
+      ? this.astar(from, end, preferences, { ...options, ...excluded })
+      : this.dijkstra(from, end, preferences, { ...options, ...excluded });
+    const nodeIds = (route) => route.path.map(step => step.landmark._id.toString());
+
+    const first = search(start, {});
+    if (first.totalDistance === Infinity) return [];
+
+    const routes = [first];
+    const candidates = [];
+    const seen = new Set([nodeIds(first).join('>')]);
+
+    while (routes.length < k) {
+      const previousRoute = routes[routes.length - 1];
+      const previousIds = nodeIds(previousRoute);
+
+      for (let spurIndex = 0; spurIndex < previousIds.length - 1; spurIndex++) {
+        const spurNode = previousIds[spurIndex];
+        const rootIds = previousIds.slice(0, spurIndex + 1);
+        const rootKey = rootIds.join('>');
+
+        // Block the next edge of every known route sharing this root
+        const excludedEdges = new Set();
+        routes.forEach(route => {
+          const ids = nodeIds(route);
+          if (ids.length > spurIndex + 1 && ids.slice(0, spurIndex + 1).join('>') === rootKey) {
+            excludedEdges.add(Graph.edgeKey(spurNode, route.path[spurIndex + 1].path));
+          }
+        });
+        const excludedNodes = new Set([...(options.excludedNodes || []), ...rootIds.slice(0, -1)]);
+
+        const spur = search(spurNode, { excludedNodes, excludedEdges });
+        if (spur.totalDistance === Infinity) continue;
+
+        const rootCost = previousRoute.path[spurIndex].cost;
+        const path = [
+          ...previousRoute.path.slice(0, spurIndex + 1),
+          ...spur.path.slice(1).map(step => ({ ...step, cost: step.cost + rootCost }))
+        ];
+        const key = path.map(step => step.landmark._id.toString()).join('>');
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        candidates.push({
+          path,
+          totalCost: rootCost + spur.totalCost,
+          totalDistance: path.reduce((sum, step) => sum + (step.path?.distance || 0), 0),
+          totalTime: path.reduce((sum, step) => sum + (step.path?.estimatedTime || 0), 0)
+        });
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.totalCost - b.totalCost);
+      routes.push(candidates.shift());
+    }
+
+    return routes;
+  }
+}
+
+module.exports = { MinHeap, Graph };
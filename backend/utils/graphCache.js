@@ -0,0 +1,225 @@
+// utils/graphCache.js
+
+const EventEmitter = require('events');
+const { Building, Landmark, Path, BuildingRevision } = require('../database');
+const { Graph } = require('./graph');
+
+// In-process routing graphs, two per building: the published one visitors are
+// routed on (built from the current BuildingRevision, key `<id>`) and the
+// draft admins edit (built from the live collections, key `<id>:draft`).
+// Admin writes in routes/admin.js patch or invalidate draft entries and
+// utils/revisions.js invalidates published ones; the TTL is only a safety net
+// for writes that bypass the API (scripts, manual DB edits).
+const GRAPH_CACHE_TTL_MS = parseInt(process.env.GRAPH_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+
+const cache = new Map();    // cache key -> { graph, builtAt }
+const pending = new Map();  // cache key -> Promise<Graph> (dedupes concurrent misses)
+const versions = new Map(); // cache key -> invalidation counter
+const metrics = { hits: 0, misses: 0, invalidations: 0, patches: 0 };
+
+// Emits 'change' ({ building, kind: 'building' | 'landmark' | 'path', item })
+// for every admin write to the draft, whether or not a graph is currently
+// cached, 'publish' ({ building, revision }) when the revision visitors are
+// served changes, and 'status' ({ building, kind: 'landmark' | 'path', id,
+// status }) when a published landmark or path is closed or reopened (emitted
+// by utils/revisions.js)
+const graphEvents = new EventEmitter();
+
+const draftKey = (buildingId) => `${buildingId}:draft`;
+
+// Paths leaving the graph (campus connectors) are skipped; see getCampusGraph
+const addPathEdge = (graph, path) => {
+  const from = path.from.toString();
+  const to = path.to.toString();
+  if (!graph.nodes.has(from) || !graph.nodes.has(to)) return;
+  graph.addEdge(from, to, path.distance, path);
+};
+
+// Load every active landmark and path of a building into a Graph
+const buildDraftGraph = async (buildingId) => {
+  const landmarks = await Landmark.find({ building: buildingId, isActive: true }).lean();
+  const landmarkIds = landmarks.map(landmark => landmark._id);
+  const buildingPaths = await Path.find({
+    isActive: true,
+    from: { $in: landmarkIds },
+    to: { $in: landmarkIds } // Ensures both ends are in the building
+  }).lean();
+
+  const graph = new Graph();
+  landmarks.forEach(landmark =>
+    graph.addNode(landmark._id.toString(), landmark)
+  );
+  buildingPaths.forEach(path => addPathEdge(graph, path));
+  return graph;
+};
+
+// Graph of the building's current revision. `graph.revision` carries the
+// revision number, the published building details and its campus connectors;
+// it is null (and the graph empty) until the building is first published.
+const buildPublishedGraph = async (buildingId) => {
+  const revision = await BuildingRevision.findOne({ building: buildingId, isCurrent: true }).lean();
+  const graph = new Graph();
+  graph.revision = null;
+  if (!revision) return graph;
+
+  const { building, landmarks, paths } = revision.snapshot;
+  landmarks.forEach(landmark => graph.addNode(landmark._id.toString(), landmark));
+  paths.forEach(path => addPathEdge(graph, path));
+  graph.revision = {
+    number: revision.number,
+    publishedAt: revision.publishedAt,
+    building: { _id: revision.building, ...building },
+    // Paths with one end in another building; see getCampusGraph
+    connectors: paths.filter(path => !graph.nodes.has(path.from.toString()) || !graph.nodes.has(path.to.toString()))
+  };
+  return graph;
+};
+
+// Cached graph for a building: the published revision, or the admins' draft
+// with `{ draft: true }`. Callers must treat it as read-only.
+const getBuildingGraph = async (buildingId, { draft = false } = {}) => {
+  const key = draft ? draftKey(buildingId) : buildingId.toString();
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.builtAt < GRAPH_CACHE_TTL_MS) {
+    metrics.hits++;
+    return entry.graph;
+  }
+
+  metrics.misses++;
+  if (!pending.has(key)) {
+    const version = versions.get(key) || 0;
+    const load = (draft ? buildDraftGraph(buildingId.toString()) : buildPublishedGraph(key))
+      .then(graph => {
+        // Don't store a graph that was invalidated while it was loading
+        if ((versions.get(key) || 0) === version) {
+          cache.set(key, { graph, builtAt: Date.now() });
+        }
+        return graph;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, load);
+  }
+  return pending.get(key);
+};
+
+// Every published building of a campus joined by its connector paths.
+// Composed per call from the cached published graphs, so it is never stale.
+// `buildings` carry the published name and floors.
+const getCampusGraph = async (campusId) => {
+  const live = await Building.find({ campus: campusId, isActive: true, publishedRevision: { $gt: 0 } }).select('_id').lean();
+  const graphs = (await Promise.all(live.map(building => getBuildingGraph(building._id))))
+    .filter(graph => graph.revision);
+  const graph = Graph.compose(graphs);
+
+  // A connector is in the snapshot of both buildings it joins; add it once,
+  // and only when both ends are published
+  const added = new Set();
+  graphs.flatMap(buildingGraph => buildingGraph.revision.connectors)
+    .filter(path => path.isActive && ['outdoor', 'skybridge'].includes(path.connectorType))
+    .forEach(path => {
+      const id = path._id.toString();
+      if (added.has(id)) return;
+      added.add(id);
+      addPathEdge(graph, path);
+    });
+
+  const buildings = graphs.map(({ revision }) => ({
+    _id: revision.building._id,
+    name: revision.building.name,
+    floors: revision.building.floors
+  }));
+  return { graph, buildings };
+};
+
+const dropEntry = (key) => {
+  versions.set(key, (versions.get(key) || 0) + 1);
+  cache.delete(key);
+  metrics.invalidations++;
+};
+
+// Drop the building's draft graph after a write that cannot be patched in
+const invalidateBuilding = (buildingId) => {
+  if (!buildingId) return;
+  const key = buildingId.toString();
+  dropEntry(draftKey(key));
+  graphEvents.emit('change', { building: key, kind: 'building' });
+};
+
+// Drop the building's published graph; called when a revision is published
+// or rolled back, or the building is removed
+const invalidatePublished = (buildingId, revision = null) => {
+  if (!buildingId) return;
+  const key = buildingId.toString();
+  dropEntry(key);
+  graphEvents.emit('publish', { building: key, revision });
+};
+
+// Cached draft graph to patch after a write. A load still in flight may have
+// read the collections before the write, so it is kept from being cached.
+const getPatchableDraft = (key) => {
+  const entry = cache.get(draftKey(key));
+  if (!entry && pending.has(draftKey(key))) dropEntry(draftKey(key));
+  return entry;
+};
+
+// Apply a created/updated landmark to the cached draft graph, if one is loaded
+const patchLandmark = (landmark) => {
+  const key = landmark.building.toString();
+  const data = typeof landmark.toObject === 'function' ? landmark.toObject() : landmark;
+  graphEvents.emit('change', { building: key, kind: 'landmark', item: data });
+
+  const entry = getPatchableDraft(key);
+  if (!entry) return;
+
+  const id = data._id.toString();
+  if (!data.isActive) {
+    entry.graph.removeNode(id);
+  } else if (!entry.graph.updateNode(id, data)) {
+    entry.graph.addNode(id, data);
+  }
+  metrics.patches++;
+};
+
+// Apply a created/updated/deleted path; pass `{ deleted: true }` on delete
+const patchPath = (buildingId, path, { deleted = false } = {}) => {
+  const key = buildingId.toString();
+  const data = typeof path.toObject === 'function' ? path.toObject({ depopulate: true }) : path;
+  graphEvents.emit('change', { building: key, kind: 'path', item: data, deleted });
+
+  const entry = getPatchableDraft(key);
+  if (!entry) return;
+
+  entry.graph.removePath(data._id);
+  if (!deleted && data.isActive) addPathEdge(entry.graph, data);
+  metrics.patches++;
+};
+
+const getCacheStats = () => {
+  const lookups = metrics.hits + metrics.misses;
+  return {
+    ...metrics,
+    hitRate: lookups > 0 ? Math.round((metrics.hits / lookups) * 1000) / 1000 : null,
+    ttlMs: GRAPH_CACHE_TTL_MS,
+    size: cache.size,
+    buildings: [...cache.entries()].map(([key, { graph, builtAt }]) => ({
+      building: key.replace(/:draft$/, ''),
+      draft: key.endsWith(':draft'),
+      revision: graph.revision?.number ?? null,
+      nodes: graph.nodes.size,
+      edges: graph.edgeCount,
+      builtAt: new Date(builtAt).toISOString(),
+      ageMs: Date.now() - builtAt
+    }))
+  };
+};
+
+module.exports = {
+  graphEvents,
+  getBuildingGraph,
+  getCampusGraph,
+  invalidateBuilding,
+  invalidatePublished,
+  patchLandmark,
+  patchPath,
+  getCacheStats
+};
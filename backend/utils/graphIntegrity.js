@@ -0,0 +1,287 @@
+// utils/graphIntegrity.js
+
+// Static checks over a building's landmark/path data that catch the mistakes
+// visitors otherwise find as "No route found". Works on the raw documents
+// rather than the cached Graph so it can see closed items and bad geometry.
+// Closed landmarks and paths are left out of the reachability checks, since
+// they cannot be routed through anyway.
+
+const INTEGRITY_CHECKS = [
+  'disconnected', 'unreachable', 'oneWayNoReturn', 'distanceMismatch', 'floorConnection', 'duplicates'
+];
+// A path is flagged when distance / pixel length is this many times off the
+// building's typical scale (either way)
+const DISTANCE_TOLERANCE = 3;
+const MIN_SCALE_SAMPLES = 3;
+const DUPLICATE_RADIUS = 1; // floor-plan pixels
+const MAX_ISSUES_PER_CHECK = 50;
+
+const VERTICAL_TYPES = ['elevator', 'stairs'];
+
+const landmarkRef = (landmark) => ({ _id: landmark._id, name: landmark.name, floor: landmark.floor, type: landmark.type });
+const pathRef = (path, byId) => ({
+  _id: path._id,
+  from: byId.get(path.from.toString())?.name,
+  to: byId.get(path.to.toString())?.name
+});
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const pixelLength = (a, b) => Math.hypot(a.coordinates.x - b.coordinates.x, a.coordinates.y - b.coordinates.y);
+
+// Metres-per-pixel readings from same-floor paths whose ends are both in `byId`
+const scaleSamples = (byId, paths) => paths
+  .map(path => {
+    const from = byId.get(path.from.toString());
+    const to = byId.get(path.to.toString());
+    const pixels = from && to && from.floor === to.floor ? pixelLength(from, to) : 0;
+    return { path, pixels, ratio: pixels > 0 ? path.distance / pixels : null };
+  })
+  .filter(sample => sample.ratio !== null && sample.ratio > 0);
+
+// The building's typical metres per floor-plan pixel, or null with too few paths
+const estimateMetersPerPixel = (landmarks, paths) => {
+  const samples = scaleSamples(new Map(landmarks.map(l => [l._id.toString(), l])), paths);
+  return samples.length >= MIN_SCALE_SAMPLES ? median(samples.map(sample => sample.ratio)) : null;
+};
+
+// Strongly connected components (iterative Tarjan), as a node -> component map
+const stronglyConnected = (nodes, outgoing) => {
+  const index = new Map();
+  const low = new Map();
+  const component = new Map();
+  const stack = [];
+  const onStack = new Set();
+  let counter = 0;
+  let components = 0;
+
+  nodes.forEach(root => {
+    if (index.has(root)) return;
+    const work = [{ node: root, edge: 0 }];
+    index.set(root, counter);
+    low.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const next = (outgoing.get(frame.node) || [])[frame.edge++];
+      if (next !== undefined) {
+        if (!index.has(next)) {
+          index.set(next, counter);
+          low.set(next, counter++);
+          stack.push(next);
+          onStack.add(next);
+          work.push({ node: next, edge: 0 });
+        } else if (onStack.has(next)) {
+          low.set(frame.node, Math.min(low.get(frame.node), index.get(next)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)));
+      }
+      if (low.get(frame.node) === index.get(frame.node)) {
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.set(member, components);
+        } while (member !== frame.node);
+        components++;
+      }
+    }
+  });
+  return component;
+};
+
+const reachableFrom = (starts, outgoing) => {
+  const seen = new Set(starts);
+  const queue = [...starts];
+  while (queue.length > 0) {
+    (outgoing.get(queue.shift()) || []).forEach(next => {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return seen;
+};
+
+// `landmarks` are the building's active landmarks, `paths` the active paths
+// touching them (connectors to other buildings are ignored)
+const checkGraphIntegrity = (building, landmarks, paths) => {
+  const byId = new Map(landmarks.map(landmark => [landmark._id.toString(), landmark]));
+  const internalPaths = paths.filter(path => byId.has(path.from.toString()) && byId.has(path.to.toString()));
+  const issues = Object.fromEntries(INTEGRITY_CHECKS.map(check => [check, []]));
+  const report = (check, severity, message, details = {}) => issues[check].push({ severity, message, ...details });
+
+  // --- Routable network: directed adjacency over open/restricted items ---
+  const routable = landmarks.filter(landmark => landmark.status !== 'closed').map(l => l._id.toString());
+  const routableSet = new Set(routable);
+  const outgoing = new Map(routable.map(id => [id, []]));
+  const undirected = new Map(routable.map(id => [id, []]));
+  internalPaths
+    .filter(path => path.status !== 'closed')
+    .forEach(path => {
+      const from = path.from.toString();
+      const to = path.to.toString();
+      if (!routableSet.has(from) || !routableSet.has(to)) return;
+      outgoing.get(from).push(to);
+      if (path.isBidirectional) outgoing.get(to).push(from);
+      undirected.get(from).push(to);
+      undirected.get(to).push(from);
+    });
+
+  // --- Disconnected components ---
+  const unvisited = new Set(routable);
+  const components = [];
+  routable.forEach(id => {
+    if (!unvisited.has(id)) return;
+    const members = [...reachableFrom([id], undirected)];
+    members.forEach(member => unvisited.delete(member));
+    components.push(members);
+  });
+  components.sort((a, b) => b.length - a.length);
+  components.slice(1).forEach(members => {
+    report('disconnected', 'error',
+      members.length === 1
+        ? `"${byId.get(members[0]).name}" has no paths to the rest of the building`
+        : `${members.length} landmarks form an island cut off from the main network`,
+      { landmarks: members.map(id => landmarkRef(byId.get(id))) });
+  });
+
+  // --- Unreachable from every entrance ---
+  const entrances = routable.filter(id => byId.get(id).type === 'entrance');
+  if (routable.length > 0 && entrances.length === 0) {
+    report('unreachable', 'error', 'The building has no open entrance, so no route can start from outside');
+  } else if (entrances.length > 0) {
+    const reached = reachableFrom(entrances, outgoing);
+    const stranded = routable.filter(id => !reached.has(id));
+    if (stranded.length > 0) {
+      report('unreachable', 'error', `${stranded.length} landmark(s) cannot be reached from any entrance`, {
+        landmarks: stranded.map(id => landmarkRef(byId.get(id)))
+      });
+    }
+  }
+
+  // --- One-way paths with no way back ---
+  const component = stronglyConnected(routable, outgoing);
+  internalPaths
+    .filter(path => !path.isBidirectional && path.status !== 'closed')
+    .forEach(path => {
+      const from = path.from.toString();
+      const to = path.to.toString();
+      if (!routableSet.has(from) || !routableSet.has(to)) return;
+      if (component.get(from) !== component.get(to)) {
+        report('oneWayNoReturn', 'warning',
+          `One-way path from "${byId.get(from).name}" to "${byId.get(to).name}" has no return route`,
+          { paths: [pathRef(path, byId)] });
+      }
+    });
+
+  // --- Distance vs. floor-plan geometry (same-floor paths only) ---
+  const samples = scaleSamples(byId, internalPaths);
+  const scale = samples.length >= MIN_SCALE_SAMPLES ? median(samples.map(sample => sample.ratio)) : null;
+  if (scale) {
+    samples.forEach(({ path, pixels, ratio }) => {
+      const off = ratio / scale;
+      if (off > DISTANCE_TOLERANCE || off < 1 / DISTANCE_TOLERANCE) {
+        const expected = Math.round(pixels * scale * 10) / 10;
+        report('distanceMismatch', 'warning',
+          `Path distance ${path.distance}m is ${off > 1 ? 'much longer' : 'much shorter'} than the ~${expected}m the map suggests`,
+          { paths: [pathRef(path, byId)], expectedDistance: expected });
+      }
+    });
+  }
+
+  // --- Floors without a stairs/elevator link to another floor ---
+  const floorsInUse = [...new Set(landmarks.map(landmark => landmark.floor))];
+  if (floorsInUse.length > 1) {
+    const links = new Map(floorsInUse.map(floor => [floor, { any: false, elevator: false }]));
+    internalPaths
+      .filter(path => path.status !== 'closed')
+      .forEach(path => {
+        const ends = [byId.get(path.from.toString()), byId.get(path.to.toString())];
+        if (ends[0].floor === ends[1].floor) return;
+        const viaElevator = path.accessibility?.requiresElevator || ends.some(end => end.type === 'elevator');
+        ends.forEach(end => {
+          links.get(end.floor).any = true;
+          if (viaElevator) links.get(end.floor).elevator = true;
+        });
+      });
+    const floorName = (number) => building.floors.find(floor => floor.number === number)?.name || number;
+    floorsInUse.forEach(floor => {
+      const onFloor = landmarks.filter(landmark => landmark.floor === floor);
+      const verticals = onFloor.filter(landmark => VERTICAL_TYPES.includes(landmark.type));
+      if (!links.get(floor).any) {
+        report('floorConnection', 'error',
+          verticals.length === 0
+            ? `Floor "${floorName(floor)}" has no stairs or elevator and no path to another floor`
+            : `Floor "${floorName(floor)}" has stairs/elevator landmarks but no path to another floor`,
+          { floor, landmarks: verticals.map(landmarkRef) });
+      } else if (!links.get(floor).elevator) {
+        report('floorConnection', 'warning',
+          `Floor "${floorName(floor)}" has no elevator connection, so it is not step-free`, { floor });
+      }
+    });
+  }
+
+  // --- Duplicate landmarks on the same floor ---
+  const groupBy = (key) => {
+    const groups = new Map();
+    landmarks.forEach(landmark => {
+      const value = key(landmark);
+      if (!value) return;
+      groups.set(value, [...(groups.get(value) || []), landmark]);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+  };
+  groupBy(l => `${l.floor}|${l.name.trim().toLowerCase()}`).forEach(group => {
+    report('duplicates', 'warning', `${group.length} landmarks on floor "${group[0].floor}" are named "${group[0].name}"`,
+      { landmarks: group.map(landmarkRef) });
+  });
+  groupBy(l => l.roomNumber && `${l.floor}|${l.roomNumber.trim().toLowerCase()}`).forEach(group => {
+    report('duplicates', 'warning', `${group.length} landmarks on floor "${group[0].floor}" share room number "${group[0].roomNumber}"`,
+      { landmarks: group.map(landmarkRef) });
+  });
+  landmarks.forEach((landmark, i) => {
+    landmarks.slice(i + 1).forEach(other => {
+      if (landmark.floor === other.floor && pixelLength(landmark, other) < DUPLICATE_RADIUS) {
+        report('duplicates', 'warning', `"${landmark.name}" and "${other.name}" are placed on the same spot`,
+          { landmarks: [landmarkRef(landmark), landmarkRef(other)] });
+      }
+    });
+  });
+
+  const all = Object.values(issues).flat();
+  return {
+    building: { _id: building._id, name: building.name },
+    checkedAt: new Date(),
+    summary: {
+      landmarks: landmarks.length,
+      paths: internalPaths.length,
+      components: components.length,
+      entrances: entrances.length,
+      metersPerPixel: scale,
+      errors: all.filter(issue => issue.severity === 'error').length,
+      warnings: all.filter(issue => issue.severity === 'warning').length
+    },
+    checks: INTEGRITY_CHECKS.map(check => ({
+      check,
+      passed: issues[check].length === 0,
+      total: issues[check].length,
+      issues: issues[check].slice(0, MAX_ISSUES_PER_CHECK)
+    }))
+  };
+};
+
+module.exports = { INTEGRITY_CHECKS, checkGraphIntegrity, estimateMetersPerPixel, pixelLength };
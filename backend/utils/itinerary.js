@@ -0,0 +1,111 @@
+// utils/itinerary.js
+
+// Visit order for a multi-stop itinerary. `costs[i][j]` is the cost of the
+// route from point i to point j (Infinity when unreachable); point 0 is the
+// start, `waypoints` are the point indices to visit in any order and
+// `endIndex`, when given, the fixed last stop. Solvers return the waypoints in
+// visiting order, or null when no order reaches every stop.
+
+// Up to this many unordered waypoints are ordered exactly (Held-Karp);
+// larger sets fall back to nearest-neighbour plus 2-opt.
+const EXACT_ITINERARY_LIMIT = 8;
+
+// Cost of visiting `order` (waypoint point-indices) from point 0, optionally finishing at `endIndex`
+const tourCost = (costs, order, endIndex) => {
+  let total = 0;
+  let current = 0;
+  for (const next of order) {
+    total += costs[current][next];
+    current = next;
+  }
+  if (endIndex !== undefined) total += costs[current][endIndex];
+  return total;
+};
+
+// Held-Karp dynamic programming over subsets of waypoints
+const solveVisitOrderExact = (costs, waypoints, endIndex) => {
+  const count = waypoints.length;
+  const full = (1 << count) - 1;
+  const best = Array.from({ length: 1 << count }, () => new Array(count).fill(Infinity));
+  const parent = Array.from({ length: 1 << count }, () => new Array(count).fill(-1));
+
+  waypoints.forEach((point, j) => {
+    best[1 << j][j] = costs[0][point];
+  });
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let j = 0; j < count; j++) {
+      if (!(mask & (1 << j)) || best[mask][j] === Infinity) continue;
+      for (let k = 0; k < count; k++) {
+        if (mask & (1 << k)) continue;
+        const nextMask = mask | (1 << k);
+        const cost = best[mask][j] + costs[waypoints[j]][waypoints[k]];
+        if (cost < best[nextMask][k]) {
+          best[nextMask][k] = cost;
+          parent[nextMask][k] = j;
+        }
+      }
+    }
+  }
+
+  let last = -1;
+  let lastCost = Infinity;
+  for (let j = 0; j < count; j++) {
+    const cost = best[full][j] + (endIndex !== undefined ? costs[waypoints[j]][endIndex] : 0);
+    if (cost < lastCost) {
+      lastCost = cost;
+      last = j;
+    }
+  }
+  if (last === -1) return null;
+
+  const order = [];
+  let mask = full;
+  while (last !== -1) {
+    order.unshift(waypoints[last]);
+    const previous = parent[mask][last];
+    mask &= ~(1 << last);
+    last = previous;
+  }
+  return order;
+};
+
+// Greedy nearest-neighbour tour, then 2-opt segment reversals while they help
+const solveVisitOrderHeuristic = (costs, waypoints, endIndex) => {
+  const remaining = new Set(waypoints);
+  const order = [];
+  let current = 0;
+  while (remaining.size > 0) {
+    let nearest = null;
+    for (const point of remaining) {
+      if (nearest === null || costs[current][point] < costs[current][nearest]) nearest = point;
+    }
+    order.push(nearest);
+    remaining.delete(nearest);
+    current = nearest;
+  }
+
+  let bestCost = tourCost(costs, order, endIndex);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const cost = tourCost(costs, candidate, endIndex);
+        if (cost < bestCost) {
+          order.splice(0, order.length, ...candidate);
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return bestCost === Infinity ? null : order;
+};
+
+module.exports = {
+  EXACT_ITINERARY_LIMIT,
+  solveVisitOrderExact,
+  solveVisitOrderHeuristic
+};
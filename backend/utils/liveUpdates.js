@@ -0,0 +1,58 @@
+// utils/liveUpdates.js
+
+const { graphEvents } = require('./graphCache');
+
+// Server-Sent Events for visitors following a route. Each open stream
+// (GET /api/navigation/buildings/:id/events) receives its building's landmark
+// and path closures and reopenings as they are published, so a client can
+// tell whether the rest of its route is still usable. EventSource cannot send
+// an Authorization header, so streams are anonymous: statuses are public in
+// the published graph anyway.
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Client reconnect delay after a dropped connection
+const RETRY_MS = 5000;
+
+const streams = new Map(); // building id -> Set<res>
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+graphEvents.on('status', ({ building, kind, id, status }) => {
+  const listeners = streams.get(building);
+  if (!listeners) return;
+  const change = { kind, id, status, at: new Date().toISOString() };
+  listeners.forEach(res => sendEvent(res, 'status', change));
+});
+
+// Turn `res` into an event stream for `buildingId` that starts with a 'ready'
+// event carrying `initial` and ends when the client disconnects
+const openStream = (req, res, buildingId, initial) => {
+  const key = buildingId.toString();
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: do not buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  sendEvent(res, 'ready', initial);
+
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const listeners = streams.get(key);
+    listeners.delete(res);
+    if (listeners.size === 0) streams.delete(key);
+  });
+};
+
+const getStreamCount = () => [...streams.values()].reduce((sum, listeners) => sum + listeners.size, 0);
+
+module.exports = { openStream, getStreamCount };
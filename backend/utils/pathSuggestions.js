@@ -0,0 +1,188 @@
+// utils/pathSuggestions.js
+
+const { estimateMetersPerPixel, pixelLength } = require('./graphIntegrity');
+const { findFloor, toBuildingFrame, elevationBetween, insidePolygon, segmentsCross } = require('./floorGeometry');
+
+// Proposes paths an admin would otherwise draw by hand: links between nearby
+// landmarks on one floor, and stairs/elevator links between adjacent floors.
+// Nothing here writes to the database; routes/admin.js stores the proposals
+// as PathSuggestion documents.
+
+// A straight segment passing this close (px) to a third landmark is left out:
+// the two shorter hops via that landmark are the better suggestion
+const PASS_THROUGH_RADIUS = 10;
+// Stairs/elevators this close on adjacent floors count as the same shaft: in
+// metres when both floors are calibrated and placed, otherwise in map pixels
+const VERTICAL_MATCH_RADIUS = 40;
+const VERTICAL_MATCH_METERS = 3;
+// Walking length of a flight of stairs per metre of height, landings included
+const STAIRS_LENGTH_PER_METER = 2;
+const SEGMENT_SAMPLES = 24;
+// Distance (m) and time (s) for one floor when floor elevations are not set;
+// elevator time includes the wait
+const VERTICAL = {
+  elevator: { distance: 4, estimatedTime: 35 },
+  stairs: { distance: 8, estimatedTime: 20 }
+};
+
+const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+};
+
+// Whether a straight walk from a to b respects the floor's corridor/wall polygons
+const segmentAllowed = (a, b, corridors = [], walls = []) => {
+  const samples = Array.from({ length: SEGMENT_SAMPLES + 1 }, (_, i) => ({
+    x: a.x + ((b.x - a.x) * i) / SEGMENT_SAMPLES,
+    y: a.y + ((b.y - a.y) * i) / SEGMENT_SAMPLES
+  }));
+  if (corridors.length > 0 && !samples.every(point => corridors.some(polygon => insidePolygon(point, polygon)))) {
+    return false;
+  }
+  return !walls.some(polygon =>
+    polygon.some((corner, i) => segmentsCross(a, b, corner, polygon[(i + 1) % polygon.length])) ||
+    samples.slice(1, -1).some(point => insidePolygon(point, polygon)));
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Returns `{ scales, suggestions, skipped }`, or `{ error }` when a floor has
+// no scale to convert pixel lengths with. The scale is, in order: the request's
+// metersPerPixel, the floor's calibration, or an estimate from existing paths.
+// `existingPairs` holds sorted "idA|idB" keys for current paths and pending suggestions.
+const suggestPaths = ({ building, landmarks, paths, existingPairs, options }) => {
+  const floorOrder = building.floors.map(floor => floor.number);
+  const floorName = (number) => building.floors.find(floor => floor.number === number)?.name || number;
+  const floors = (options.floors || floorOrder).filter(floor => floorOrder.includes(floor));
+
+  const estimated = estimateMetersPerPixel(landmarks, paths);
+  const scales = Object.fromEntries(floors.map(number => [
+    number,
+    options.metersPerPixel || building.floors.find(floor => floor.number === number).metersPerPixel || estimated
+  ]));
+  const unscaled = floors.filter(floor => !scales[floor]);
+  if (unscaled.length > 0) {
+    return {
+      error: `Cannot work out the map scale for floor(s) ${unscaled.map(floorName).join(', ')}. ` +
+        'Calibrate them in the floor-plan editor or provide metersPerPixel.'
+    };
+  }
+  const pairKey = (a, b) => [a._id.toString(), b._id.toString()].sort().join('|');
+  const taken = new Set(existingPairs);
+  const suggestions = [];
+  const skipped = { existing: 0, blocked: 0, passThrough: 0 };
+
+  const propose = (from, to, details) => {
+    taken.add(pairKey(from, to));
+    suggestions.push({ from: from._id, to: to._id, fromName: from.name, toName: to.name, ...details });
+  };
+
+  // --- Same-floor neighbours ---
+  floors.forEach(floor => {
+    const metersPerPixel = scales[floor];
+    const maxPixels = options.maxDistance / metersPerPixel;
+    const onFloor = landmarks.filter(landmark => landmark.floor === floor);
+    const corridors = options.corridors?.[floor];
+    const walls = options.walls?.[floor];
+
+    onFloor.forEach(landmark => {
+      const nearest = onFloor
+        .filter(other => other !== landmark)
+        .map(other => ({ other, pixels: pixelLength(landmark, other) }))
+        .filter(({ pixels }) => pixels > 0 && pixels <= maxPixels)
+        .sort((a, b) => a.pixels - b.pixels)
+        .slice(0, options.neighbors);
+
+      nearest.forEach(({ other, pixels }) => {
+        if (taken.has(pairKey(landmark, other))) {
+          skipped.existing++;
+          return;
+        }
+        const passesThrough = onFloor.some(third => third !== landmark && third !== other &&
+          distanceToSegment(third.coordinates, landmark.coordinates, other.coordinates) < PASS_THROUGH_RADIUS);
+        if (passesThrough) {
+          skipped.passThrough++;
+          return;
+        }
+        if (!segmentAllowed(landmark.coordinates, other.coordinates, corridors, walls)) {
+          skipped.blocked++;
+          return;
+        }
+        const distance = round(pixels * metersPerPixel);
+        propose(landmark, other, {
+          kind: 'horizontal',
+          floor,
+          pixelDistance: round(pixels),
+          distance,
+          estimatedTime: Math.max(1, Math.round(distance / options.walkingSpeed)),
+          instructions: `Walk from ${landmark.name} to ${other.name}.`,
+          reverseInstructions: `Walk from ${other.name} to ${landmark.name}.`,
+          accessibility: { wheelchairAccessible: true, requiresElevator: false, requiresStairs: false }
+        });
+      });
+    });
+  });
+
+  // --- Stairs/elevators on adjacent floors ---
+  if (options.includeVertical) {
+    floorOrder.slice(0, -1).forEach((lower, i) => {
+      const upper = floorOrder[i + 1];
+      if (!floors.includes(lower) && !floors.includes(upper)) return;
+      const lowerFloor = findFloor(building, lower);
+      const upperFloor = findFloor(building, upper);
+      const height = elevationBetween(lowerFloor, upperFloor);
+      // Horizontal offset between two landmarks, in metres when the floors allow it
+      const offset = (a, b) => {
+        const from = toBuildingFrame(lowerFloor, a.coordinates);
+        const to = toBuildingFrame(upperFloor, b.coordinates);
+        return from && to
+          ? { value: Math.hypot(from.east - to.east, from.north - to.north), limit: VERTICAL_MATCH_METERS }
+          : { value: pixelLength(a, b), limit: VERTICAL_MATCH_RADIUS };
+      };
+
+      Object.entries(VERTICAL).forEach(([type, timing]) => {
+        const below = landmarks.filter(landmark => landmark.floor === lower && landmark.type === type);
+        const above = landmarks.filter(landmark => landmark.floor === upper && landmark.type === type);
+        const used = new Set();
+        below.forEach(landmark => {
+          const match = above
+            .filter(other => !used.has(other))
+            .map(other => ({ other, offset: offset(landmark, other) }))
+            .filter(({ other, offset }) => offset.value <= offset.limit ||
+              other.name.trim().toLowerCase() === landmark.name.trim().toLowerCase())
+            .sort((a, b) => a.offset.value - b.offset.value)[0];
+          if (!match) return;
+          used.add(match.other);
+          if (taken.has(pairKey(landmark, match.other))) {
+            skipped.existing++;
+            return;
+          }
+          const isElevator = type === 'elevator';
+          const distance = height === null
+            ? timing.distance
+            : Math.max(1, round(isElevator ? height : height * STAIRS_LENGTH_PER_METER));
+          propose(landmark, match.other, {
+            kind: 'vertical',
+            distance,
+            // Stairs take longer the higher they climb; the elevator wait dominates its time
+            estimatedTime: isElevator ? timing.estimatedTime : Math.round((timing.estimatedTime * distance) / timing.distance),
+            instructions: isElevator
+              ? `Take the elevator up to ${floorName(upper)}.`
+              : `Take the stairs up to ${floorName(upper)}.`,
+            reverseInstructions: isElevator
+              ? `Take the elevator down to ${floorName(lower)}.`
+              : `Take the stairs down to ${floorName(lower)}.`,
+            accessibility: { wheelchairAccessible: isElevator, requiresElevator: isElevator, requiresStairs: !isElevator }
+          });
+        });
+      });
+    });
+  }
+
+  return { scales, suggestions, skipped };
+};
+
+module.exports = { suggestPaths };
@@ -0,0 +1,59 @@
+// utils/permissions.js
+
+const { Admin, Building, Campus, Landmark, Organization } = require('../database');
+
+// Admins act within one organization. Their organization role applies to every
+// building of it; a building's `grants` can give someone a higher role on that
+// building only. Ranks compare roles:
+//   viewer - read buildings, landmarks, paths, revisions and reports
+//   editor - also create and change them, and publish
+//   owner  - also delete buildings, manage grants, members and invitations
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const hasRole = (role, minRole) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// The admin's effective role on a building, or null when it belongs to another organization
+const buildingRole = (admin, building) => {
+  if (!admin?.organization || !sameId(admin.organization, building?.organization)) return null;
+  const grant = (building.grants || []).find(g => sameId(g.admin, admin._id));
+  return grant && ROLE_RANK[grant.role] > ROLE_RANK[admin.role] ? grant.role : admin.role;
+};
+
+// Query filters for what an admin's organization owns
+const organizationFilter = (admin) => ({ organization: admin.organization });
+
+const organizationLandmarkIds = async (admin) => {
+  const buildingIds = await Building.find(organizationFilter(admin)).distinct('_id');
+  return Landmark.find({ building: { $in: buildingIds } }).distinct('_id');
+};
+
+// Admins from before organizations each get their own, as its owner, together
+// with the buildings and campuses they created. Run at startup.
+const assignOrganizations = async () => {
+  const admins = await Admin.find({ organization: { $exists: false } }).select('name').lean();
+  for (const admin of admins) {
+    const organization = await Organization.create({ name: `${admin.name}'s organization`, createdBy: admin._id });
+    // updateOne: the old 'admin' role would fail document validation
+    await Admin.updateOne({ _id: admin._id }, { $set: { organization: organization._id, role: 'owner' } });
+    await Building.updateMany(
+      { createdBy: admin._id, organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+    await Campus.updateMany(
+      { createdBy: admin._id, organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+  }
+  return admins.length;
+};
+
+module.exports = {
+  ROLE_RANK,
+  hasRole,
+  buildingRole,
+  organizationFilter,
+  organizationLandmarkIds,
+  assignOrganizations
+};
@@ -0,0 +1,246 @@
+// utils/revisions.js
+
+const mongoose = require('mongoose');
+const { Building, Landmark, Path, BuildingRevision } = require('../database');
+const { getBuildingGraph, invalidatePublished, graphEvents } = require('./graphCache');
+const { runInTransaction } = require('./transactions');
+
+// Draft/publish workflow. The live Building, Landmark and Path documents are
+// the draft admins edit; publishing copies them into a numbered
+// BuildingRevision that the public navigation endpoints read through
+// getBuildingGraph. Rolling back publishes a copy of an earlier revision, so
+// history only ever grows and the draft is left as it is.
+
+// Building fields that belong to a revision (everything else, e.g. campus or
+// isActive, takes effect immediately)
+const SNAPSHOT_BUILDING_FIELDS = ['name', 'description', 'address', 'image', 'floors'];
+// Bookkeeping fields left out when comparing the draft with a revision
+const IGNORED_FIELDS = new Set(['createdAt', 'updatedAt', '__v']);
+
+// The building's publishable state: details and floors, active landmarks and
+// the active paths touching them (campus connectors included)
+const takeSnapshot = async (buildingId, session = null) => {
+  const building = await Building.findById(buildingId).session(session).lean();
+  if (!building) return null;
+  const landmarks = await Landmark.find({ building: building._id, isActive: true }).session(session).lean();
+  const landmarkIds = landmarks.map(landmark => landmark._id);
+  const paths = await Path.find({
+    isActive: true,
+    $or: [{ from: { $in: landmarkIds } }, { to: { $in: landmarkIds } }]
+  }).session(session).lean();
+
+  return {
+    building: Object.fromEntries(SNAPSHOT_BUILDING_FIELDS.map(field => [field, building[field]])),
+    landmarks,
+    paths
+  };
+};
+
+const getCurrentRevision = (buildingId) =>
+  BuildingRevision.findOne({ building: buildingId, isCurrent: true }).lean();
+
+// Store `snapshot` (default: the current draft) as the building's next
+// revision and make it the one visitors are served, in one transaction where
+// the deployment supports them (see utils/transactions.js)
+const publishRevision = async (buildingId, { publishedBy, note, snapshot, restoredFrom } = {}) => {
+  const revision = await runInTransaction(async (session) => {
+    const data = snapshot || await takeSnapshot(buildingId, session);
+    const latest = await BuildingRevision.findOne({ building: buildingId })
+      .sort({ number: -1 }).select('number').session(session).lean();
+    await BuildingRevision.updateMany(
+      { building: buildingId, isCurrent: true },
+      { $set: { isCurrent: false } },
+      { session }
+    );
+    const [created] = await BuildingRevision.create([{
+      building: buildingId,
+      number: (latest?.number || 0) + 1,
+      isCurrent: true,
+      snapshot: data,
+      counts: { landmarks: data.landmarks.length, paths: data.paths.length },
+      note,
+      restoredFrom,
+      publishedBy
+    }], { session });
+    await Building.updateOne({ _id: buildingId }, { $set: { publishedRevision: created.number } }, { session });
+    return created;
+  });
+  invalidatePublished(buildingId, revision.number);
+  return revision;
+};
+
+// Revisions are kept as rollback targets, so S3 images and landmarks that any
+// of them contains must outlive their removal from the draft. Removals are
+// queued on the building and cleaned up after the next publish.
+const queueCleanup = (buildingId, { images = [], landmarks = [] }) => Building.updateOne(
+  { _id: buildingId },
+  { $addToSet: {
+    'pendingCleanup.images': { $each: images.filter(Boolean) },
+    'pendingCleanup.landmarks': { $each: landmarks }
+  } }
+);
+
+// Image URLs and landmark ids that any revision of the building contains
+const revisionReferences = async (buildingId) => {
+  const revisions = await BuildingRevision.find({ building: buildingId })
+    .select('snapshot.building.image snapshot.building.floors.mapImage snapshot.landmarks._id snapshot.landmarks.images.url snapshot.paths.images.url')
+    .lean();
+  const images = new Set();
+  const landmarks = new Set();
+  revisions.forEach(({ snapshot }) => {
+    images.add(snapshot.building?.image);
+    (snapshot.building?.floors || []).forEach(floor => images.add(floor.mapImage));
+    (snapshot.landmarks || []).forEach(landmark => {
+      landmarks.add(landmark._id.toString());
+      (landmark.images || []).forEach(image => images.add(image.url));
+    });
+    (snapshot.paths || []).forEach(path => (path.images || []).forEach(image => images.add(image.url)));
+  });
+  images.delete(undefined);
+  images.delete(null);
+  return { images, landmarks };
+};
+
+// Publish a copy of revision `number`; returns null when it does not exist
+const rollbackToRevision = async (buildingId, number, { publishedBy, note } = {}) => {
+  const target = await BuildingRevision.findOne({ building: buildingId, number }).lean();
+  if (!target) return null;
+  return publishRevision(buildingId, {
+    publishedBy,
+    note: note || `Rolled back to revision ${number}`,
+    snapshot: target.snapshot,
+    restoredFrom: number
+  });
+};
+
+// JSON-safe copy with sorted keys, so equal documents compare equal
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value)
+      .filter(key => !IGNORED_FIELDS.has(key))
+      .sort()
+      .map(key => [key, normalize(value[key])]));
+  }
+  return value;
+};
+const sameContent = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const diffDocuments = (published, draft, describe) => {
+  const before = new Map(published.map(doc => [doc._id.toString(), doc]));
+  const after = new Map(draft.map(doc => [doc._id.toString(), doc]));
+  return {
+    added: draft.filter(doc => !before.has(doc._id.toString())).map(describe),
+    removed: published.filter(doc => !after.has(doc._id.toString())).map(describe),
+    changed: draft.filter(doc => before.has(doc._id.toString()) && !sameContent(before.get(doc._id.toString()), doc))
+      .map(describe)
+  };
+};
+
+// What publishing the draft now would change, compared with the current revision
+const diffDraft = async (buildingId) => {
+  const [current, draft] = await Promise.all([getCurrentRevision(buildingId), takeSnapshot(buildingId)]);
+  if (!draft) return null;
+  const published = current?.snapshot || { building: {}, landmarks: [], paths: [] };
+
+  const names = new Map([...published.landmarks, ...draft.landmarks].map(l => [l._id.toString(), l.name]));
+  const describeLandmark = (landmark) => ({ _id: landmark._id, name: landmark.name, floor: landmark.floor, type: landmark.type });
+  const describePath = (path) => ({
+    _id: path._id,
+    from: path.from,
+    to: path.to,
+    fromName: names.get(path.from.toString()) || null,
+    toName: names.get(path.to.toString()) || null,
+    distance: path.distance,
+    status: path.status
+  });
+
+  const { floors: publishedFloors, ...publishedDetails } = published.building;
+  const { floors: draftFloors, ...draftDetails } = draft.building;
+  const landmarks = diffDocuments(published.landmarks, draft.landmarks, describeLandmark);
+  const paths = diffDocuments(published.paths, draft.paths, describePath);
+  const buildingChanged = !sameContent(publishedDetails, draftDetails);
+  const floorsChanged = !sameContent(publishedFloors || [], draftFloors || []);
+  const count = (diff) => diff.added.length + diff.removed.length + diff.changed.length;
+
+  return {
+    basedOn: current?.number || null,
+    buildingChanged,
+    floorsChanged,
+    landmarks,
+    paths,
+    changeCount: count(landmarks) + count(paths) + (buildingChanged ? 1 : 0) + (floorsChanged ? 1 : 0),
+    hasChanges: !current || buildingChanged || floorsChanged || count(landmarks) + count(paths) > 0
+  };
+};
+
+// The published copy of a landmark together with its building's published
+// graph, or null when the landmark is not in any current revision
+const findPublishedLandmark = async (landmarkId) => {
+  if (!mongoose.isValidObjectId(landmarkId)) return null;
+  const revision = await BuildingRevision.findOne({
+    isCurrent: true,
+    'snapshot.landmarks._id': new mongoose.Types.ObjectId(String(landmarkId))
+  }).select('building').lean();
+  if (!revision) return null;
+  const graph = await getBuildingGraph(revision.building);
+  const landmark = graph.nodes.get(landmarkId.toString());
+  return landmark ? { landmark, graph } : null;
+};
+
+// Operational changes (closing or reopening, opening hours, scheduled
+// closures) are not edits to review: they are applied to the current
+// revisions containing the landmark or path as well as to the draft.
+// `changes` maps its fields to their new values; returns the affected building ids.
+const applyToPublished = async (kind, itemId, changes) => {
+  const id = new mongoose.Types.ObjectId(String(itemId));
+  const field = `snapshot.${kind}s`;
+  const filter = { isCurrent: true, [`${field}._id`]: id };
+  const revisions = await BuildingRevision.find(filter).select('building').lean();
+  if (revisions.length === 0) return [];
+  await BuildingRevision.updateMany(filter, {
+    $set: Object.fromEntries(Object.entries(changes).map(([key, value]) => [`${field}.$.${key}`, value]))
+  });
+  revisions.forEach(revision => invalidatePublished(revision.building));
+  return revisions.map(revision => revision.building.toString());
+};
+
+// Status changes are also pushed to live listeners (utils/liveUpdates.js) straight away
+const publishStatus = async (kind, itemId, status) => {
+  const buildings = await applyToPublished(kind, itemId, { status });
+  buildings.forEach(building => graphEvents.emit('status', { building, kind, id: itemId.toString(), status }));
+};
+
+const publishPathStatus = (pathId, status) => publishStatus('path', pathId, status);
+const publishLandmarkStatus = (landmarkId, status) => publishStatus('landmark', landmarkId, status);
+const publishLandmarkHours = (landmarkId, openingHours) => applyToPublished('landmark', landmarkId, { openingHours });
+const publishPathClosures = (pathId, scheduledClosures) => applyToPublished('path', pathId, { scheduledClosures });
+
+// Buildings created before revisions existed were live straight away; give
+// each one a first revision so visitors keep seeing them. Run at startup.
+const publishUnversionedBuildings = async () => {
+  const buildings = await Building.find({ publishedRevision: { $exists: false } }).select('_id createdBy').lean();
+  for (const building of buildings) {
+    await publishRevision(building._id, { publishedBy: building.createdBy, note: 'Initial revision' });
+  }
+  return buildings.length;
+};
+
+module.exports = {
+  takeSnapshot,
+  getCurrentRevision,
+  publishRevision,
+  rollbackToRevision,
+  queueCleanup,
+  revisionReferences,
+  diffDraft,
+  findPublishedLandmark,
+  publishPathStatus,
+  publishLandmarkStatus,
+  publishLandmarkHours,
+  publishPathClosures,
+  publishUnversionedBuildings
+};
@@ -0,0 +1,274 @@
+// utils/routeTables.js
+
+const mongoose = require('mongoose');
+const { Building, RouteTable } = require('../database');
+const { getBuildingGraph, graphEvents } = require('./graphCache');
+
+// Precomputed all-pairs shortest-distance tables for small buildings. Tables
+// are built for anonymous callers (closed and restricted areas are avoided),
+// so /route only answers from them when the request matches that situation.
+const ROUTE_TABLE_PROFILES = {
+  default: {},
+  wheelchair: { wheelchairAccessible: true },
+  avoidStairs: { avoidStairs: true }
+};
+const ROUTE_TABLE_MAX_NODES = parseInt(process.env.ROUTE_TABLE_MAX_NODES, 10) || 150;
+// Batches bursts of publishes (and rollbacks) into a single rebuild
+const ROUTE_TABLE_REBUILD_DELAY_MS = parseInt(process.env.ROUTE_TABLE_REBUILD_DELAY_MS, 10) || 5000;
+
+const loaded = new Map();    // `${buildingId}:${profile}` -> { table, index } | null
+const running = new Map();   // buildingId -> Promise (one build per building at a time)
+const scheduled = new Map(); // buildingId -> debounce timer
+const changes = new Map();   // buildingId -> publish counter (detects publishes mid-build)
+
+const UNREACHABLE = -1;
+
+// Shortest-path tree from one source, flattened into table rows
+const buildRows = (graph, nodes, index, pathIndex, source, preferences) => {
+  const { distances, previous, pathDetails } = graph.shortestPathTree(source, preferences);
+  const row = { distances: [], times: [], nextHops: [], nextPaths: [] };
+  const firstHop = new Map();
+  const times = new Map([[source, 0]]);
+
+  // Settle nodes in distance order so each one's parent is already resolved
+  const reachable = nodes
+    .filter(node => node !== source && distances.get(node) !== Infinity)
+    .sort((a, b) => distances.get(a) - distances.get(b));
+  reachable.forEach(node => {
+    const parent = previous.get(node);
+    firstHop.set(node, parent === source ? node : firstHop.get(parent));
+    times.set(node, times.get(parent) + (pathDetails.get(node)?.estimatedTime || 0));
+  });
+
+  nodes.forEach(node => {
+    const hop = firstHop.get(node);
+    const reached = node === source || hop !== undefined;
+    row.distances.push(reached ? distances.get(node) : UNREACHABLE);
+    row.times.push(reached ? times.get(node) : UNREACHABLE);
+    row.nextHops.push(hop !== undefined ? index.get(hop) : UNREACHABLE);
+    row.nextPaths.push(hop !== undefined ? pathIndex.get(pathDetails.get(hop)._id.toString()) : UNREACHABLE);
+  });
+  return row;
+};
+
+const computeTable = (graph, preferences) => {
+  const nodes = [...graph.nodes.keys()];
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  const paths = [];
+  const pathIndex = new Map();
+  for (const edges of graph.adjacencyList.values()) {
+    edges.forEach(edge => {
+      const id = edge.path._id.toString();
+      if (!pathIndex.has(id)) {
+        pathIndex.set(id, paths.length);
+        paths.push(id);
+      }
+    });
+  }
+
+  const table = { nodes, paths, distances: [], times: [], nextHops: [], nextPaths: [] };
+  nodes.forEach(source => {
+    const row = buildRows(graph, nodes, index, pathIndex, source, preferences);
+    table.distances.push(row.distances);
+    table.times.push(row.times);
+    table.nextHops.push(row.nextHops);
+    table.nextPaths.push(row.nextPaths);
+  });
+  return table;
+};
+
+const forgetBuilding = (key) => {
+  Object.keys(ROUTE_TABLE_PROFILES).forEach(profile => loaded.delete(`${key}:${profile}`));
+};
+
+const runBuild = async (key, requestedBy) => {
+  const building = await Building.findById(key).lean();
+  if (!building || !building.isActive) {
+    await RouteTable.deleteMany({ building: key });
+    forgetBuilding(key);
+    return;
+  }
+
+  const graph = await getBuildingGraph(key);
+  if (graph.nodes.size > ROUTE_TABLE_MAX_NODES) {
+    await RouteTable.updateMany({ building: key }, {
+      $set: { status: 'failed', error: `Building has ${graph.nodes.size} landmarks; the limit is ${ROUTE_TABLE_MAX_NODES}` }
+    });
+    forgetBuilding(key);
+    return;
+  }
+
+  const version = changes.get(key) || 0;
+  const profiles = Object.entries(ROUTE_TABLE_PROFILES);
+  await Promise.all(profiles.map(([profile]) => RouteTable.updateOne(
+    { building: key, profile },
+    { $set: { status: 'building' } },
+    { upsert: true }
+  )));
+
+  for (const [profile, preferences] of profiles) {
+    const startedAt = Date.now();
+    try {
+      const table = computeTable(graph, preferences);
+      await RouteTable.updateOne({ building: key, profile }, {
+        $set: {
+          ...table,
+          // Edited while computing: keep it out of service until the queued rebuild
+          status: (changes.get(key) || 0) === version ? 'ready' : 'stale',
+          nodeCount: table.nodes.length,
+          edgeCount: graph.edgeCount,
+          sizeBytes: mongoose.mongo.BSON.calculateObjectSize(table),
+          buildDurationMs: Date.now() - startedAt,
+          builtAt: new Date(),
+          error: null,
+          ...(requestedBy && { requestedBy })
+        },
+        $unset: { staleSince: 1 }
+      }, { upsert: true });
+    } catch (error) {
+      console.error(`Route table build failed (${key}/${profile}):`, error);
+      await RouteTable.updateOne(
+        { building: key, profile },
+        { $set: { status: 'failed', error: error.message } },
+        { upsert: true }
+      );
+    }
+    loaded.delete(`${key}:${profile}`);
+  }
+};
+
+// Build (or rebuild) every profile for a building. Concurrent calls for the
+// same building share one run.
+const buildRouteTables = (buildingId, { requestedBy } = {}) => {
+  const key = buildingId.toString();
+  if (!running.has(key)) {
+    const job = runBuild(key, requestedBy).finally(() => running.delete(key));
+    running.set(key, job);
+  }
+  return running.get(key);
+};
+
+const scheduleRebuild = (key) => {
+  clearTimeout(scheduled.get(key));
+  const timer = setTimeout(async () => {
+    scheduled.delete(key);
+    // A build already in flight read the old graph; wait for it, then redo
+    await running.get(key)?.catch(() => {});
+    buildRouteTables(key).catch(error => console.error(`Route table rebuild failed (${key}):`, error));
+  }, ROUTE_TABLE_REBUILD_DELAY_MS);
+  timer.unref();
+  scheduled.set(key, timer);
+};
+
+// Tables follow the published revision, so publishing (or rolling back) makes
+// existing ones stale: stop serving them straight away and rebuild shortly
+// after. Draft edits don't touch them. Buildings without tables are left
+// alone, since an admin has to opt in by triggering the first build.
+graphEvents.on('publish', ({ building }) => {
+  const key = building.toString();
+  changes.set(key, (changes.get(key) || 0) + 1);
+  forgetBuilding(key);
+  RouteTable.updateMany(
+    { building: key, status: { $in: ['ready', 'building'] } },
+    { $set: { status: 'stale', staleSince: new Date() } }
+  )
+    .then(() => RouteTable.exists({ building: key }))
+    .then(hasTables => {
+      if (hasTables) scheduleRebuild(key);
+    })
+    .catch(error => console.error(`Failed to mark route tables stale (${key}):`, error));
+});
+
+// Table profile answering a set of hard preferences, or null when none does
+const matchProfile = (preferences = {}) => {
+  if (preferences.avoidElevators || preferences.maxDifficulty) return null;
+  if (preferences.wheelchairAccessible && preferences.avoidStairs) return null;
+  if (preferences.wheelchairAccessible) return 'wheelchair';
+  if (preferences.avoidStairs) return 'avoidStairs';
+  return 'default';
+};
+
+const loadTable = async (key, profile) => {
+  const cacheKey = `${key}:${profile}`;
+  if (loaded.has(cacheKey)) return loaded.get(cacheKey);
+
+  const version = changes.get(key) || 0;
+  const table = await RouteTable.findOne({ building: key, profile, status: 'ready' }).lean();
+  const entry = table && { table, index: new Map(table.nodes.map((node, i) => [node, i])) };
+  // The building may have changed while the table was being read
+  if ((changes.get(key) || 0) !== version) return null;
+  loaded.set(cacheKey, entry);
+  return entry;
+};
+
+// Answer a route from a ready table, in the same shape as Graph#dijkstra.
+// Returns null when there is no usable table or it disagrees with `graph`,
+// in which case the caller should fall back to a search.
+const lookupRoute = async (buildingId, profile, fromId, toId, graph) => {
+  const entry = await loadTable(buildingId.toString(), profile);
+  if (!entry) return null;
+
+  const { table, index } = entry;
+  const target = index.get(toId);
+  let current = index.get(fromId);
+  if (current === undefined || target === undefined) return null;
+
+  if (table.distances[current][target] === UNREACHABLE) {
+    return { path: [], totalCost: Infinity, totalDistance: Infinity, totalTime: 0 };
+  }
+
+  const path = [{ landmark: graph.nodes.get(fromId), path: undefined, cost: 0 }];
+  let cost = 0;
+  while (current !== target) {
+    const from = table.nodes[current];
+    const next = table.nextHops[current][target];
+    const pathId = table.paths[table.nextPaths[current][target]];
+    const edge = (graph.adjacencyList.get(from) || [])
+      .find(candidate => candidate.node === table.nodes[next] && candidate.path._id.toString() === pathId);
+    if (!edge || path.length > table.nodes.length) return null;
+
+    cost += edge.weight;
+    path.push({ landmark: graph.nodes.get(edge.node), path: edge.path, cost });
+    current = next;
+  }
+
+  return {
+    path,
+    totalCost: cost,
+    totalDistance: path.reduce((sum, step) => sum + (step.path?.distance || 0), 0),
+    totalTime: path.reduce((sum, step) => sum + (step.path?.estimatedTime || 0), 0)
+  };
+};
+
+// Freshness and size of every profile's table for a building
+const getRouteTableStatus = async (buildingId) => {
+  const key = buildingId.toString();
+  const tables = await RouteTable.find({ building: key })
+    .select('profile status nodeCount edgeCount sizeBytes buildDurationMs builtAt staleSince error updatedAt')
+    .lean();
+
+  return {
+    building: key,
+    inProgress: running.has(key),
+    rebuildScheduled: scheduled.has(key),
+    maxNodes: ROUTE_TABLE_MAX_NODES,
+    totalSizeBytes: tables.reduce((sum, table) => sum + (table.sizeBytes || 0), 0),
+    profiles: Object.keys(ROUTE_TABLE_PROFILES).map(profile => {
+      const table = tables.find(candidate => candidate.profile === profile);
+      if (!table) return { profile, status: 'missing' };
+      const { _id, ...details } = table;
+      return {
+        ...details,
+        ageMs: table.builtAt ? Date.now() - new Date(table.builtAt).getTime() : null
+      };
+    })
+  };
+};
+
+module.exports = {
+  ROUTE_TABLE_MAX_NODES,
+  buildRouteTables,
+  matchProfile,
+  lookupRoute,
+  getRouteTableStatus
+};
@@ -0,0 +1,54 @@
+// utils/transactions.js
+
+const mongoose = require('mongoose');
+
+// Multi-document writes that should be all or nothing. MongoDB only supports
+// transactions on a replica set or sharded cluster; a standalone server (the
+// default local setup) rejects them. There the writes run one after the other
+// without a session instead, as they did before transactions were used.
+
+let supportPromise = null;
+
+// Whether the connected deployment supports transactions. Asked once per
+// process; a failed probe is retried on the next call.
+const supportsTransactions = () => {
+  if (!supportPromise) {
+    supportPromise = mongoose.connection.db.admin().command({ hello: 1 })
+      .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch(error => {
+        supportPromise = null;
+        throw error;
+      });
+  }
+  return supportPromise;
+};
+
+// Run `work(session)` in a transaction where possible, else with a null
+// session (Mongoose treats `{ session: null }` and `.session(null)` as none).
+// Without a transaction, `undo()` is awaited when `work` fails, to remove what
+// it had written before the error is rethrown.
+const runInTransaction = async (work, { undo } = {}) => {
+  if (!await supportsTransactions()) {
+    try {
+      return await work(null);
+    } catch (error) {
+      if (undo) await undo();
+      throw error;
+    }
+  }
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  runInTransaction
+};
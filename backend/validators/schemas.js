@@ -13,12 +13,30 @@ const jsonString = z.string().transform((val, ctx) => {
   }
 });
 
+// Anything Date.parse accepts, e.g. '2026-10-20' or an ISO 8601 timestamp
+const dateString = z.string().refine(val => !Number.isNaN(Date.parse(val)), { message: 'Invalid date' });
+
+// IANA time zone name, e.g. 'America/New_York'
+const timeZoneSchema = z.string().trim().refine(val => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: val });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}, { message: 'Unknown time zone' });
+
 // --- Admin Schemas ---
+// Sign up with an invitation token, or with ADMIN_SECRET to start a new organization
 const adminSignupSchema = z.object({
   name: z.string().min(2).max(50).trim(),
   email: z.string().email().toLowerCase().trim(),
   password: z.string().min(6).max(100),
-  adminSecret: z.string().min(1)
+  inviteToken: z.string().min(1).optional(),
+  adminSecret: z.string().min(1).optional(),
+  organizationName: z.string().min(2).max(100).trim().optional()
+}).refine(data => Boolean(data.inviteToken) !== Boolean(data.adminSecret), {
+  message: 'Provide either an invitation token or the admin secret'
 });
 
 const adminSigninSchema = z.object({
@@ -42,21 +60,82 @@ const feedbackSchema = z.object({
 });
 
 // --- Building Schemas ---
+const floorPointSchema = z.object({
+  x: z.number().min(0).max(10000),
+  y: z.number().min(0).max(10000)
+});
+const mapSizeSchema = z.object({
+  width: z.number().int().min(1).max(10000),
+  height: z.number().int().min(1).max(10000)
+});
+const metersPerPixelSchema = z.number().positive().max(100);
+const rotationSchema = z.number().min(0).lt(360);
+const elevationSchema = z.number().min(-200).max(1000);
+
+// Floor-plan metadata; see utils/floorGeometry.js for what each field means
+const floorSchema = z.object({
+  number: z.string().min(1).trim(),
+  name: z.string().min(1).trim(),
+  // Kept when the form sends floors back, so a save does not drop them
+  mapImage: z.string().url().optional(),
+  mapSize: mapSizeSchema.optional(),
+  metersPerPixel: metersPerPixelSchema.optional(),
+  origin: floorPointSchema.optional(),
+  rotation: rotationSchema.optional(),
+  elevation: elevationSchema.optional()
+});
+
 const buildingSchema = z.object({
   name: z.string().min(2).max(100).trim(),
   description: z.string().max(500).trim().optional(),
   address: z.string().max(200).trim().optional(),
+  timezone: timeZoneSchema.optional(),
   floors: jsonString.pipe(
-    z.array(z.object({
-      number: z.string().min(1).trim(),
-      name: z.string().min(1).trim()
-    })).min(1)
+    z.array(floorSchema).min(1).refine(
+      floors => new Set(floors.map(floor => floor.number)).size === floors.length,
+      { message: 'Floor numbers must be unique' }
+    )
   )
 });
 
 const buildingUpdateSchema = buildingSchema.partial();
 
+// Multipart fields for one floor; a blank value clears the setting
+const formNumber = (schema) => z.string().trim()
+  .transform(val => (val === '' ? null : Number(val)))
+  .pipe(schema.nullable());
+const formJson = (schema) => z.union([
+  z.literal('').transform(() => null),
+  jsonString.pipe(schema)
+]);
+
+const floorUpdateSchema = z.object({
+  name: z.string().min(1).trim().optional(),
+  // Pixel size of the uploaded map image; sent along with the file
+  mapSize: formJson(mapSizeSchema).optional(),
+  metersPerPixel: formNumber(metersPerPixelSchema).optional(),
+  origin: formJson(floorPointSchema).optional(),
+  rotation: formNumber(rotationSchema).optional(),
+  elevation: formNumber(elevationSchema).optional()
+});
+
+// --- Campus Schemas ---
+const campusSchema = z.object({
+  name: z.string().min(2).max(100).trim(),
+  description: z.string().max(500).trim().optional(),
+  buildings: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).max(50).optional()
+});
+
+const campusUpdateSchema = campusSchema.partial();
+
 // --- Landmark Schemas ---
+const LANDMARK_TYPES = [
+  'room', 'entrance', 'elevator', 'stairs', 'restroom', 'emergency_exit', 'facility', 'other',
+  'lecture_hall', 'classroom', 'lab', 'library', 'auditorium', 'department_office',
+  'admissions_office', 'student_union', 'cafeteria', 'bookstore', 'gym',
+  'health_center', 'information_desk'
+];
+
 const coordinatesSchema = z.object({
   x: z.number().min(0).max(10000),
   y: z.number().min(0).max(10000)
@@ -74,12 +153,7 @@ const landmarkSchema = z.object({
   building: z.string().regex(/^[0-9a-fA-F]{24}$/),
   floor: z.string().min(1).trim(),
   coordinates: jsonString.pipe(coordinatesSchema),
-  type: z.enum([
-    'room', 'entrance', 'elevator', 'stairs', 'restroom', 'emergency_exit', 'facility', 'other',
-    'lecture_hall', 'classroom', 'lab', 'library', 'auditorium', 'department_office',
-    'admissions_office', 'student_union', 'cafeteria', 'bookstore', 'gym',
-    'health_center', 'information_desk'
-  ]),
+  type: z.enum(LANDMARK_TYPES),
   roomNumber: z.string().max(20).trim().optional()
 });
 
@@ -87,6 +161,19 @@ const landmarkUpdateSchema = landmarkSchema.partial().extend({
   building: z.string().regex(/^[0-9a-fA-F]{24}$/).optional()
 });
 
+// 'HH:MM' on a 24-hour clock; a close at or before the open runs past midnight
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:MM on a 24-hour clock');
+const openingHoursSchema = z.array(z.object({
+  day: z.number().int().min(0).max(6), // 0 = Sunday
+  open: timeOfDay,
+  close: timeOfDay
+})).max(50);
+
+// PUT /landmarks/:id/hours; an empty list means always open
+const landmarkHoursSchema = z.object({
+  openingHours: openingHoursSchema
+});
+
 // --- Path Schemas (CORRECTED ORDER) ---
 
 // 1. Define the accessibility schema for paths FIRST.
@@ -97,6 +184,8 @@ const pathAccessibilitySchema = z.object({
 });
 
 // 2. NOW, define the main path schema which can safely reference the one above.
+const PATH_CONNECTOR_TYPES = ['indoor', 'outdoor', 'skybridge'];
+
 const pathSchema = z.object({
   from: z.string().regex(/^[0-9a-fA-F]{24}$/),
   to: z.string().regex(/^[0-9a-fA-F]{24}$/),
@@ -110,7 +199,9 @@ const pathSchema = z.object({
     stepNumber: z.number().min(1).optional()
   })).optional().default([]),
   accessibility: jsonString.pipe(pathAccessibilitySchema).optional().default({}),
-  isBidirectional: z.preprocess(val => val === 'true', z.boolean()).default(true)
+  isBidirectional: z.preprocess(val => val === 'true', z.boolean()).default(true),
+  // No default here so partial updates leave an existing connector alone
+  connectorType: z.enum(PATH_CONNECTOR_TYPES).optional()
 });
 
 // 3. FINALLY, define the update schema which includes the reverseInstructions field.
@@ -118,24 +209,350 @@ const pathUpdateSchema = pathSchema.partial().extend({
   reverseInstructions: z.string().min(10).max(500).trim().optional()
 });
 
+const scheduledClosuresSchema = z.array(z.object({
+  start: dateString,
+  end: dateString,
+  reason: z.string().max(200).trim().optional()
+}).refine(closure => Date.parse(closure.start) < Date.parse(closure.end), {
+  message: '`start` must be before `end`',
+  path: ['end']
+})).max(50);
+
+// PUT /paths/:id/closures replaces the whole list
+const pathClosuresSchema = z.object({
+  scheduledClosures: scheduledClosuresSchema
+});
+
+// --- Path Suggestion Schemas ---
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/);
+const polygonSchema = z.array(coordinatesSchema).min(3).max(500);
+// Floor number -> polygons drawn on that floor's map
+const floorPolygonsSchema = z.record(z.string(), z.array(polygonSchema).max(100));
+
+const pathSuggestionRequestSchema = z.object({
+  floors: z.array(z.string().min(1)).optional(),          // default: every floor
+  maxDistance: z.number().min(1).max(500).default(25),    // metres between suggested neighbours
+  neighbors: z.number().int().min(1).max(10).default(3),  // nearest candidates kept per landmark
+  metersPerPixel: z.number().positive().max(100).optional(),
+  walkingSpeed: z.number().min(0.3).max(3).default(1.2),  // metres per second
+  corridors: floorPolygonsSchema.optional(), // suggested paths must stay inside these
+  walls: floorPolygonsSchema.optional(),     // ...and must not cross these
+  includeVertical: z.boolean().default(true)
+});
+
+const pathSuggestionQuerySchema = z.object({
+  status: z.enum(['pending', 'accepted', 'rejected']).default('pending')
+});
+
+const pathSuggestionDecisionSchema = z.object({
+  accept: z.array(objectId).max(2000).default([]),
+  reject: z.array(objectId).max(2000).default([])
+}).refine(data => data.accept.length + data.reject.length > 0, {
+  message: 'Nothing to accept or reject'
+}).refine(data => !data.accept.some(id => data.reject.includes(id)), {
+  message: 'A suggestion cannot be both accepted and rejected'
+});
+
+// --- Hazard Zone Schemas ---
+// A zone is an area on one floor (`polygon` with its `floor`), explicit
+// landmarks and paths, or both
+const hazardZoneFields = z.object({
+  name: z.string().min(2).max(100).trim(),
+  description: z.string().max(500).trim().optional(),
+  floor: z.string().min(1).trim().optional(),
+  polygon: polygonSchema.optional(),
+  landmarks: z.array(objectId).max(500),
+  paths: z.array(objectId).max(500)
+});
+
+const hazardZoneSchema = hazardZoneFields.extend({
+  landmarks: hazardZoneFields.shape.landmarks.default([]),
+  paths: hazardZoneFields.shape.paths.default([])
+}).refine(data => !data.polygon || data.floor, {
+  message: 'A polygon needs the floor it is drawn on',
+  path: ['floor']
+}).refine(data => data.polygon || data.landmarks.length + data.paths.length > 0, {
+  message: 'Mark an area or at least one landmark or path'
+});
+
+// Setting isActive to false clears the zone; the route checks the merged zone
+const hazardZoneUpdateSchema = hazardZoneFields.partial().extend({
+  polygon: polygonSchema.nullable().optional(), // null removes the area
+  isActive: z.boolean().optional()
+});
+
+const hazardZoneQuerySchema = z.object({
+  status: z.enum(['active', 'cleared', 'all']).default('active')
+});
+
+// --- Organization Schemas ---
+const ORGANIZATION_ROLES = ['owner', 'editor', 'viewer'];
+const BUILDING_GRANT_ROLES = ['owner', 'editor'];
+
+const buildingGrantsSchema = z.array(z.object({
+  admin: objectId,
+  role: z.enum(BUILDING_GRANT_ROLES)
+})).max(200).refine(grants => new Set(grants.map(g => g.admin)).size === grants.length, {
+  message: 'Each admin can only have one grant per building'
+});
+
+const organizationUpdateSchema = z.object({
+  name: z.string().min(2).max(100).trim()
+});
+
+const memberRoleSchema = z.object({
+  role: z.enum(ORGANIZATION_ROLES)
+});
+
+const invitationSchema = z.object({
+  email: z.string().email().toLowerCase().trim(),
+  role: z.enum(ORGANIZATION_ROLES).default('viewer'),
+  buildingGrants: z.array(z.object({
+    building: objectId,
+    role: z.enum(BUILDING_GRANT_ROLES)
+  })).max(100).default([])
+});
+
+const buildingGrantsUpdateSchema = z.object({
+  grants: buildingGrantsSchema
+});
+
+// --- Audit Log Schemas ---
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'status', 'publish', 'rollback', 'import', 'precompute', 'suggest'];
+const AUDIT_ENTITY_TYPES = ['organization', 'admin', 'invitation', 'building', 'campus', 'landmark', 'path', 'path_suggestion', 'hazard_zone', 'visitor'];
+
+// GET /audit filters; `format=csv` downloads every match (up to the export limit)
+const auditQuerySchema = z.object({
+  actor: objectId.optional(),
+  action: z.enum(AUDIT_ACTIONS).optional(),
+  entityType: z.enum(AUDIT_ENTITY_TYPES).optional(),
+  entityId: objectId.optional(),
+  building: objectId.optional(),
+  from: dateString.optional(),
+  to: dateString.optional(),
+  page: z.string().regex(/^\d+$/).transform(Number).refine(val => val > 0).optional().default(1),
+  limit: z.string().regex(/^\d+$/).transform(Number).refine(val => val > 0 && val <= 200).optional().default(50),
+  format: z.enum(['json', 'csv']).default('json')
+}).refine(data => !data.from || !data.to || Date.parse(data.from) <= Date.parse(data.to), {
+  message: '`from` must not be after `to`',
+  path: ['to']
+});
+
+// --- Building Revision Schemas (publish / rollback) ---
+const revisionPublishSchema = z.object({
+  note: z.string().trim().max(500).optional()
+});
+
+const revisionParamsSchema = z.object({
+  id: z.string(),
+  number: z.string().regex(/^[1-9]\d*$/, 'Revision number must be a positive integer').transform(Number)
+});
+
+
+// --- Building Bundle Schemas (import/export) ---
+// Portable snapshot of a building with its landmarks and paths. Landmark and
+// path `id`s are only references inside the bundle; import assigns new ObjectIds.
+const BUILDING_BUNDLE_FORMAT = 'naviguide.building';
+const BUILDING_BUNDLE_VERSION = 1;
+const STATUS_VALUES = ['open', 'closed', 'restricted'];
+
+const bundleLandmarkSchema = z.object({
+  id: z.string().min(1).max(100),
+  name: z.string().min(2).max(100).trim(),
+  description: z.string().max(500).trim().optional(),
+  floor: z.string().min(1).trim(),
+  coordinates: coordinatesSchema,
+  type: z.enum(LANDMARK_TYPES),
+  roomNumber: z.string().max(20).trim().optional(),
+  images: z.array(z.object({
+    url: z.string().url(),
+    caption: z.string().max(200).optional(),
+    isPrimary: z.boolean().default(false)
+  })).optional().default([]),
+  accessibility: accessibilitySchema.optional().default({}),
+  status: z.enum(STATUS_VALUES).default('open'),
+  openingHours: openingHoursSchema.optional().default([])
+});
+
+const bundlePathSchema = z.object({
+  id: z.string().min(1).max(100),
+  from: z.string().min(1).max(100),
+  to: z.string().min(1).max(100),
+  distance: z.number().min(0.1),
+  estimatedTime: z.number().min(1),
+  difficulty: z.enum(['easy', 'medium', 'hard']).default('easy'),
+  instructions: z.string().min(10).max(500).trim(),
+  reverseInstructions: z.string().min(10).max(500).trim().optional(),
+  images: z.array(z.object({
+    url: z.string().url(),
+    caption: z.string().max(200).optional(),
+    stepNumber: z.number().min(1).optional()
+  })).optional().default([]),
+  accessibility: pathAccessibilitySchema.optional().default({}),
+  isBidirectional: z.boolean().default(true),
+  connectorType: z.enum(PATH_CONNECTOR_TYPES).default('indoor'),
+  status: z.enum(STATUS_VALUES).default('open'),
+  scheduledClosures: scheduledClosuresSchema.optional().default([])
+});
+
+const buildingBundleSchema = z.object({
+  format: z.literal(BUILDING_BUNDLE_FORMAT),
+  version: z.literal(BUILDING_BUNDLE_VERSION),
+  building: z.object({
+    name: z.string().min(2).max(100).trim(),
+    description: z.string().max(500).trim().optional(),
+    address: z.string().max(200).trim().optional(),
+    image: z.string().url().optional(),
+    timezone: timeZoneSchema.optional(),
+    floors: z.array(floorSchema).min(1)
+  }),
+  landmarks: z.array(bundleLandmarkSchema).max(5000),
+  paths: z.array(bundlePathSchema).max(20000)
+});
+
+const buildingImportQuerySchema = z.object({
+  dryRun: z.enum(['true', 'false']).optional().default('false').transform(val => val === 'true'),
+  // What to do when a building with the same name already exists
+  onConflict: z.enum(['fail', 'rename']).default('fail')
+});
+
+const buildingExportQuerySchema = z.object({
+  format: z.enum(['json', 'geojson']).default('json')
+});
+
+// CSV text for POST /buildings/:id/bulk (columns are documented in the README)
+const bulkUploadSchema = z.object({
+  landmarksCsv: z.string().max(2000000).optional(),
+  pathsCsv: z.string().max(2000000).optional()
+}).refine(data => data.landmarksCsv?.trim() || data.pathsCsv?.trim(), {
+  message: 'Provide landmarksCsv, pathsCsv or both'
+});
+
+const bulkUploadQuerySchema = z.object({
+  dryRun: z.enum(['true', 'false']).optional().default('false').transform(val => val === 'true')
+});
 
 // --- Navigation Schemas ---
+// Bump when the routing-options contract changes incompatibly
+const ROUTING_OPTIONS_VERSION = 1;
+
+const routePreferencesSchema = z.object({
+  avoidStairs: z.boolean().default(false),
+  wheelchairAccessible: z.boolean().default(false),
+  avoidElevators: z.boolean().default(false),
+  maxDifficulty: z.enum(['easy', 'medium', 'hard']).optional(),
+  shortestDistance: z.boolean().default(true)
+});
+
+// Weights for the 'balanced' cost mode; penalties are in the same units as the blend
+const costWeightsSchema = z.object({
+  distance: z.number().min(0).optional(),
+  time: z.number().min(0).optional(),
+  stairs: z.number().min(0).optional(),
+  elevator: z.number().min(0).optional(),
+  difficulty: z.number().min(0).optional(),
+  landmarkTypes: z.partialRecord(z.enum(LANDMARK_TYPES), z.number().min(0)).optional()
+});
+
+// Options shared by every routing endpoint (route, itinerary, ...)
+const routingOptionsFields = {
+  optionsVersion: z.literal(ROUTING_OPTIONS_VERSION).default(ROUTING_OPTIONS_VERSION),
+  preferences: routePreferencesSchema.optional().default({}),
+  algorithm: z.enum(['dijkstra', 'astar']).default('dijkstra'),
+  costWeights: costWeightsSchema.optional(),
+  // Preferences listed here are penalised instead of excluded
+  softPreferences: z.array(z.enum(['avoidStairs', 'wheelchairAccessible', 'avoidElevators', 'maxDifficulty'])).optional().default([]),
+  excludeLandmarks: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).max(100).optional().default([]),
+  excludePaths: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).max(100).optional().default([]),
+  // Opening hours and scheduled closures are checked at this time (default: now)
+  departureTime: dateString.optional()
+};
+
 const navigationRequestSchema = z.object({
   building: z.string().regex(/^[0-9a-fA-F]{24}$/),
   from: z.string().regex(/^[0-9a-fA-F]{24}$/),
   to: z.string().regex(/^[0-9a-fA-F]{24}$/),
-  preferences: z.object({
-    avoidStairs: z.boolean().default(false),
-    wheelchairAccessible: z.boolean().default(false),
-    shortestDistance: z.boolean().default(true)
-  }).optional().default({})
+  ...routingOptionsFields,
+  costMode: z.enum(['distance', 'time', 'balanced']).optional(),
+  alternatives: z.number().int().min(1).max(5).optional(),
+  // Route on the building's unpublished draft; only for admins of its organization
+  draft: z.boolean().optional()
+});
+
+const campusRouteRequestSchema = z.object({
+  from: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  to: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  ...routingOptionsFields,
+  costMode: z.enum(['distance', 'time', 'balanced']).optional()
+});
+
+const itineraryRequestSchema = z.object({
+  building: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  start: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  waypoints: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).min(1).max(20),
+  end: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  ordered: z.boolean().default(true),
+  optimizeFor: z.enum(['distance', 'time', 'balanced']).default('distance'),
+  ...routingOptionsFields
+});
+
+// GET /landmarks/:id/nearest. `type` is one landmark type or a comma-separated
+// list (one ranked group per type); the flags match routePreferencesSchema.
+const queryFlag = z.enum(['true', 'false']).optional().default('false').transform(val => val === 'true');
+const nearestQuerySchema = z.object({
+  type: z.string()
+    .transform(val => [...new Set(val.split(',').map(type => type.trim()).filter(Boolean))])
+    .pipe(z.array(z.enum(LANDMARK_TYPES)).min(1, 'At least one landmark type is required')),
+  limit: z.string().regex(/^\d+$/).transform(Number).refine(val => val > 0 && val <= 10).optional().default(3),
+  rankBy: z.enum(['distance', 'time']).default('distance'),
+  avoidStairs: queryFlag,
+  wheelchairAccessible: queryFlag,
+  avoidElevators: queryFlag,
+  maxDifficulty: z.enum(['easy', 'medium', 'hard']).optional()
+});
+
+// GET /landmarks/:id/evacuation and the admin evacuation report. Evacuation
+// routes rank by time by default: a longer corridor beats a slower detour.
+const evacuationQuerySchema = z.object({
+  rankBy: z.enum(['distance', 'time']).default('time')
+});
+
+const evacuationReportQuerySchema = evacuationQuerySchema.extend({
+  draft: queryFlag,
+  floor: z.string().min(1).optional(),
+  format: z.enum(['json', 'csv']).default('json')
+});
+
+const navigationStatusSchema = z.object({
+  status: z.enum(['in_progress', 'completed', 'cancelled']),
+  actualTime: z.number().min(1).optional() // seconds
+});
+
+const navigationProgressSchema = z.object({
+  currentStep: z.number().int().min(1)
+});
+
+// POST /route/:navigationId/reroute: a new route from where the visitor is
+// to the session's destination. Paths the visitor could not take go in
+// `excludePaths`.
+const navigationRerouteSchema = z.object({
+  currentLandmark: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  // Last step of the old route the visitor reached (default: the session's currentStep)
+  currentStep: z.number().int().min(1).optional(),
+  reason: z.enum(['off_route', 'closure']).default('off_route'),
+  ...routingOptionsFields,
+  costMode: z.enum(['distance', 'time', 'balanced']).optional()
+});
+
+const navigationIdParamsSchema = z.object({
+  navigationId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid navigation id')
 });
 
 const navigationFeedbackSchema = z.object({
   navigationId: z.string().regex(/^[0-9a-fA-F]{24}$/),
   rating: z.number().min(1).max(5),
   comment: z.string().max(500).trim().optional(),
-  actualTime: z.number().min(1).optional(),
+  actualTime: z.number().min(1).optional(), // seconds
   status: z.enum(['completed', 'cancelled']).optional()
 });
 
@@ -147,6 +564,11 @@ const visitorLogSchema = z.object({
   buildingId: z.string().regex(/^[0-9a-fA-F]{24}$/)
 });
 
+const visitorAccessGrantSchema = z.object({
+  landmarks: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).optional().default([]),
+  paths: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).optional().default([])
+});
+
 // --- Query Parameter Schemas ---
 const paginationSchema = z.object({
   page: z.string().regex(/^\d+$/).transform(Number).refine(val => val > 0).optional().default(1),
@@ -160,6 +582,24 @@ const searchSchema = z.object({
   building: z.string().regex(/^[0-9a-fA-F]{24}$/).optional()
 });
 
+// --- Helpers ---
+
+// Dotted paths of keys in `value` that `schema` does not define. Zod strips
+// them silently; routing endpoints report them back so clients can see which
+// options were ignored rather than applied.
+const findUnknownKeys = (schema, value, prefix = '') => {
+  while (['optional', 'default', 'nullable'].includes(schema?.def?.type)) {
+    schema = schema.unwrap();
+  }
+  if (schema?.def?.type !== 'object' || !value || typeof value !== 'object' || Array.isArray(value)) {
+    return [];
+  }
+
+  return Object.keys(value).flatMap(key => schema.shape[key]
+    ? findUnknownKeys(schema.shape[key], value[key], `${prefix}${key}.`)
+    : [`${prefix}${key}`]);
+};
+
 // --- Middleware ---
 const validate = (schema) => (req, res, next) => {
   try {
@@ -211,14 +651,30 @@ const validateParams = (schema) => (req, res, next) => {
 
 module.exports = {
   z,
+  LANDMARK_TYPES,
   adminSignupSchema, adminSigninSchema,
   resetPasswordSchema,
   feedbackSchema,
-  buildingSchema, buildingUpdateSchema,
-  landmarkSchema, landmarkUpdateSchema,
-  pathSchema, pathUpdateSchema,
-  navigationRequestSchema, navigationFeedbackSchema,
-  visitorLogSchema,
+  buildingSchema, buildingUpdateSchema, floorUpdateSchema,
+  campusSchema, campusUpdateSchema,
+  BUILDING_BUNDLE_FORMAT, BUILDING_BUNDLE_VERSION,
+  buildingBundleSchema, buildingImportQuerySchema, buildingExportQuerySchema,
+  bulkUploadSchema, bulkUploadQuerySchema,
+  landmarkSchema, landmarkUpdateSchema, landmarkHoursSchema,
+  PATH_CONNECTOR_TYPES,
+  pathSchema, pathUpdateSchema, pathClosuresSchema,
+  pathSuggestionRequestSchema, pathSuggestionQuerySchema, pathSuggestionDecisionSchema,
+  hazardZoneSchema, hazardZoneUpdateSchema, hazardZoneQuerySchema,
+  ORGANIZATION_ROLES, BUILDING_GRANT_ROLES,
+  organizationUpdateSchema, memberRoleSchema, invitationSchema, buildingGrantsUpdateSchema,
+  revisionPublishSchema, revisionParamsSchema,
+  AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditQuerySchema,
+  ROUTING_OPTIONS_VERSION,
+  navigationRequestSchema, campusRouteRequestSchema, itineraryRequestSchema, nearestQuerySchema,
+  evacuationQuerySchema, evacuationReportQuerySchema,
+  navigationStatusSchema, navigationProgressSchema, navigationRerouteSchema, navigationIdParamsSchema, navigationFeedbackSchema,
+  visitorLogSchema, visitorAccessGrantSchema,
   paginationSchema, searchSchema,
+  findUnknownKeys,
   validate, validateQuery, validateParams
 };
\ No newline at end of file
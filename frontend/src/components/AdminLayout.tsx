@@ -2,7 +2,7 @@ import { ReactNode, useEffect, useState } from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Sheet, SheetContent, SheetTrigger } from "@/components/ui/sheet";
-import { LogOut, LayoutDashboard, Building, MapPin, Route, Users, PanelLeft } from 'lucide-react';
+import { LogOut, LayoutDashboard, Building, MapPin, Route, Users, UsersRound, PanelLeft } from 'lucide-react';
 import { apiCallWithAuth } from '@/utils/api';
 
 interface Admin {
@@ -21,6 +21,7 @@ const navItems = [
   { path: '/admin/landmarks', label: 'Landmarks', icon: MapPin },
   { path: '/admin/paths', label: 'Paths', icon: Route },
   { path: '/admin/visitors', label: 'Visitor Logs', icon: Users },
+  { path: '/admin/team', label: 'Team', icon: UsersRound },
 ];
 
 const AdminLayout = ({ children }: AdminLayoutProps) => {
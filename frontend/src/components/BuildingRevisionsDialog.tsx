@@ -0,0 +1,261 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { History, Loader2, Route, RotateCcw, Upload } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { apiCallWithAuth, apiPostWithAuth } from '@/utils/api';
+
+interface ChangedItem {
+  _id: string;
+  name?: string;
+  floor?: string;
+  fromName?: string | null;
+  toName?: string | null;
+}
+
+interface ItemChanges {
+  added: ChangedItem[];
+  removed: ChangedItem[];
+  changed: ChangedItem[];
+}
+
+interface DraftDiff {
+  basedOn: number | null;
+  buildingChanged: boolean;
+  floorsChanged: boolean;
+  landmarks: ItemChanges;
+  paths: ItemChanges;
+  changeCount: number;
+  hasChanges: boolean;
+}
+
+interface Revision {
+  _id: string;
+  number: number;
+  isCurrent: boolean;
+  counts: { landmarks: number; paths: number };
+  note?: string;
+  restoredFrom?: number;
+  publishedAt: string;
+  publishedBy?: { name: string; email: string };
+}
+
+interface LandmarkOption {
+  _id: string;
+  name: string;
+  floor: string;
+}
+
+interface BuildingRevisionsDialogProps {
+  building: { _id: string; name: string } | null;
+  onOpenChange: (open: boolean) => void;
+}
+
+const getToken = () => localStorage.getItem('adminToken');
+
+const describeItem = (item: ChangedItem) =>
+  item.name ? `${item.name} (floor ${item.floor})` : `${item.fromName || '?'} → ${item.toName || '?'}`;
+
+const ChangeList: React.FC<{ label: string; changes: ItemChanges }> = ({ label, changes }) => {
+  const rows = [
+    ...changes.added.map(item => ({ item, kind: 'added' })),
+    ...changes.changed.map(item => ({ item, kind: 'changed' })),
+    ...changes.removed.map(item => ({ item, kind: 'removed' })),
+  ];
+  if (rows.length === 0) return null;
+  return (
+    <div>
+      <h5 className="text-sm font-semibold mb-1">{label}</h5>
+      <ul className="space-y-1 text-sm max-h-32 overflow-y-auto">
+        {rows.map(({ item, kind }) => (
+          <li key={`${kind}-${item._id}`} className="flex items-center gap-2">
+            <Badge variant={kind === 'removed' ? 'destructive' : kind === 'added' ? 'default' : 'secondary'}>{kind}</Badge>
+            {describeItem(item)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Draft changes, publishing, revision history with rollback, and a route
+// preview against the unpublished draft for one building
+const BuildingRevisionsDialog: React.FC<BuildingRevisionsDialogProps> = ({ building, onOpenChange }) => {
+  const [revisions, setRevisions] = useState<Revision[]>([]);
+  const [draft, setDraft] = useState<DraftDiff | null>(null);
+  const [landmarks, setLandmarks] = useState<LandmarkOption[]>([]);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [preview, setPreview] = useState({ from: '', to: '' });
+  const [previewResult, setPreviewResult] = useState('');
+  const { toast } = useToast();
+
+  const load = useCallback(async (buildingId: string) => {
+    const token = getToken();
+    if (!token) return;
+    setLoading(true);
+    try {
+      const [revisionsResponse, draftResponse, landmarksResponse] = await Promise.all([
+        apiCallWithAuth(`/admin/buildings/${buildingId}/revisions`, token),
+        apiCallWithAuth(`/admin/buildings/${buildingId}/revisions/draft`, token),
+        apiCallWithAuth(`/admin/landmarks?building=${buildingId}&limit=100`, token),
+      ]);
+      const [revisionsData, draftData, landmarksData] = await Promise.all([
+        revisionsResponse.json(), draftResponse.json(), landmarksResponse.json(),
+      ]);
+      if (!revisionsData.success) throw new Error(revisionsData.message);
+      setRevisions(revisionsData.data.revisions);
+      setDraft(draftData.success ? draftData.data.draft : null);
+      setLandmarks(landmarksData.success ? landmarksData.data.landmarks : []);
+    } catch (err) {
+      toast({ variant: 'destructive', title: 'Could not load revisions', description: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  const openBuildingId = building?._id;
+  useEffect(() => {
+    setNote('');
+    setPreview({ from: '', to: '' });
+    setPreviewResult('');
+    if (openBuildingId) load(openBuildingId);
+  }, [openBuildingId, load]);
+
+  const runAction = async (endpoint: string, successTitle: string) => {
+    if (!building) return;
+    setBusy(true);
+    try {
+      const response = await apiPostWithAuth(endpoint, getToken()!, note.trim() ? { note: note.trim() } : {});
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      toast({ title: successTitle, description: data.message });
+      setNote('');
+      await load(building._id);
+    } catch (err) {
+      toast({ variant: 'destructive', title: 'Action failed', description: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!building || !preview.from || !preview.to) return;
+    setPreviewResult('');
+    try {
+      const response = await apiPostWithAuth('/navigation/route', getToken()!, {
+        building: building._id, from: preview.from, to: preview.to, draft: true,
+      });
+      const data = await response.json();
+      setPreviewResult(data.success
+        ? `${data.data.route.steps.length} steps · ${data.data.route.totalDistance} m · ${Math.round(data.data.route.totalTime / 60)} min on the draft`
+        : data.message);
+    } catch (err) {
+      setPreviewResult(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  return (
+    <Dialog open={building !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" /> Revisions · {building?.name}
+          </DialogTitle>
+          <DialogDescription>
+            Landmark, path and floor edits stay in the draft until published. Visitors always see the published revision.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center py-8"><Loader2 className="h-6 w-6 animate-spin" /></div>
+        ) : (
+          <div className="space-y-6">
+            <section className="space-y-3">
+              <h4 className="font-semibold">
+                Draft {draft?.basedOn ? `(based on revision ${draft.basedOn})` : '(never published)'}
+              </h4>
+              {draft && draft.hasChanges ? (
+                <>
+                  <p className="text-sm text-muted-foreground">{draft.changeCount} unpublished change(s).</p>
+                  {(draft.buildingChanged || draft.floorsChanged) && (
+                    <p className="text-sm">
+                      {[draft.buildingChanged && 'Building details', draft.floorsChanged && 'Floors'].filter(Boolean).join(' and ')} changed.
+                    </p>
+                  )}
+                  <ChangeList label="Landmarks" changes={draft.landmarks} />
+                  <ChangeList label="Paths" changes={draft.paths} />
+                  <Textarea placeholder="Note for this revision (optional)" value={note} maxLength={500}
+                    onChange={e => setNote(e.target.value)} />
+                  <Button disabled={busy} onClick={() => runAction(`/admin/buildings/${building!._id}/revisions`, 'Published')}>
+                    {busy ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+                    Publish draft
+                  </Button>
+                </>
+              ) : (
+                <p className="text-sm text-muted-foreground">The draft matches the published revision.</p>
+              )}
+            </section>
+
+            <section className="space-y-2">
+              <h4 className="font-semibold flex items-center gap-2"><Route className="h-4 w-4" /> Preview a route on the draft</h4>
+              <div className="flex flex-wrap gap-2">
+                {(['from', 'to'] as const).map(field => (
+                  <Select key={field} value={preview[field]} onValueChange={value => setPreview(p => ({ ...p, [field]: value }))}>
+                    <SelectTrigger className="w-48"><SelectValue placeholder={field === 'from' ? 'From' : 'To'} /></SelectTrigger>
+                    <SelectContent>
+                      {landmarks.map(l => (
+                        <SelectItem key={l._id} value={l._id}>{l.name} (floor {l.floor})</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                ))}
+                <Button variant="outline" disabled={!preview.from || !preview.to} onClick={handlePreview}>Preview</Button>
+              </div>
+              {previewResult && <p className="text-sm">{previewResult}</p>}
+            </section>
+
+            <section className="space-y-2">
+              <h4 className="font-semibold">Published revisions</h4>
+              {revisions.length === 0 ? (
+                <p className="text-sm text-muted-foreground">Nothing published yet; visitors cannot see this building.</p>
+              ) : (
+                <ul className="divide-y border rounded-md">
+                  {revisions.map(revision => (
+                    <li key={revision._id} className="flex items-center justify-between gap-2 p-2 text-sm">
+                      <div>
+                        <div className="flex items-center gap-2 font-medium">
+                          Revision {revision.number}
+                          {revision.isCurrent && <Badge>Live</Badge>}
+                          {revision.restoredFrom && <Badge variant="outline">from {revision.restoredFrom}</Badge>}
+                        </div>
+                        <div className="text-muted-foreground">
+                          {new Date(revision.publishedAt).toLocaleString()}
+                          {revision.publishedBy && ` · ${revision.publishedBy.name}`}
+                          {` · ${revision.counts.landmarks} landmarks, ${revision.counts.paths} paths`}
+                        </div>
+                        {revision.note && <div>{revision.note}</div>}
+                      </div>
+                      {!revision.isCurrent && (
+                        <Button variant="ghost" size="sm" disabled={busy}
+                          onClick={() => runAction(`/admin/buildings/${building!._id}/revisions/${revision.number}/rollback`, 'Rolled back')}>
+                          <RotateCcw className="h-4 w-4 mr-1" /> Roll back
+                        </Button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BuildingRevisionsDialog;
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { AlertTriangle, CheckCircle2, Loader2, ShieldCheck, XCircle } from 'lucide-react';
+import { apiCallWithAuth } from '@/utils/api';
+
+interface BuildingOption {
+  _id: string;
+  name: string;
+}
+
+interface IssueRef {
+  _id: string;
+  name?: string;
+  floor?: string;
+  from?: string;
+  to?: string;
+}
+
+interface IntegrityIssue {
+  severity: 'error' | 'warning';
+  message: string;
+  landmarks?: IssueRef[];
+  paths?: IssueRef[];
+}
+
+interface IntegrityCheck {
+  check: string;
+  passed: boolean;
+  total: number;
+  issues: IntegrityIssue[];
+}
+
+interface IntegrityReport {
+  summary: {
+    landmarks: number;
+    paths: number;
+    components: number;
+    entrances: number;
+    errors: number;
+    warnings: number;
+  };
+  checks: IntegrityCheck[];
+}
+
+const CHECK_LABELS: Record<string, string> = {
+  disconnected: 'Disconnected areas',
+  unreachable: 'Unreachable from entrances',
+  oneWayNoReturn: 'One-way paths without return',
+  distanceMismatch: 'Distances vs. map',
+  floorConnection: 'Floor connections',
+  duplicates: 'Duplicate landmarks',
+};
+
+const getToken = () => localStorage.getItem('adminToken');
+
+// Dashboard card running the graph integrity checks for one building
+const GraphIntegrityPanel: React.FC = () => {
+  const [buildings, setBuildings] = useState<BuildingOption[]>([]);
+  const [selectedBuilding, setSelectedBuilding] = useState('');
+  const [report, setReport] = useState<IntegrityReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchBuildings = async () => {
+      const token = getToken();
+      if (!token) return;
+      try {
+        const response = await apiCallWithAuth('/admin/buildings?limit=100', token);
+        const data = await response.json();
+        if (data.success) {
+          setBuildings(data.data.buildings);
+          if (data.data.buildings.length > 0) setSelectedBuilding(data.data.buildings[0]._id);
+        }
+      } catch (err) {
+        console.error('Error fetching buildings:', err);
+      }
+    };
+    fetchBuildings();
+  }, []);
+
+  const runCheck = async () => {
+    const token = getToken();
+    if (!token || !selectedBuilding) return;
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiCallWithAuth(`/admin/buildings/${selectedBuilding}/integrity`, token);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Integrity check failed');
+      setReport(data.data.integrity);
+    } catch (err) {
+      setReport(null);
+      setError(err instanceof Error ? err.message : 'Integrity check failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeRefs = (issue: IntegrityIssue) => [
+    ...(issue.landmarks || []).map(l => `${l.name} (floor ${l.floor})`),
+    ...(issue.paths || []).map(p => `${p.from} → ${p.to}`),
+  ];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5 text-primary" /> Graph Health
+        </CardTitle>
+        <div className="flex items-center gap-2">
+          <Select onValueChange={(value) => { setSelectedBuilding(value); setReport(null); }} value={selectedBuilding}>
+            <SelectTrigger className="w-[220px]">
+              <SelectValue placeholder="Select a building" />
+            </SelectTrigger>
+            <SelectContent>
+              {buildings.map(b => <SelectItem key={b._id} value={b._id}>{b.name}</SelectItem>)}
+            </SelectContent>
+          </Select>
+          <Button onClick={runCheck} disabled={loading || !selectedBuilding}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Run check
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && <p className="text-sm text-red-500">{error}</p>}
+        {!report && !error && (
+          <p className="text-sm text-muted-foreground">
+            Find disconnected areas, unreachable rooms, one-way dead ends and other problems before visitors do.
+          </p>
+        )}
+        {report && (
+          <>
+            <div className="flex flex-wrap gap-2 text-sm">
+              <Badge variant="outline">{report.summary.landmarks} landmarks</Badge>
+              <Badge variant="outline">{report.summary.paths} paths</Badge>
+              <Badge variant="outline">{report.summary.entrances} entrances</Badge>
+              <Badge variant={report.summary.errors > 0 ? 'destructive' : 'secondary'}>{report.summary.errors} errors</Badge>
+              <Badge variant="secondary">{report.summary.warnings} warnings</Badge>
+            </div>
+            <div className="space-y-3">
+              {report.checks.map(check => (
+                <div key={check.check} className="rounded-md border p-3">
+                  <div className="flex items-center gap-2 font-medium">
+                    {check.passed
+                      ? <CheckCircle2 className="h-4 w-4 text-green-600" />
+                      : check.issues.some(issue => issue.severity === 'error')
+                        ? <XCircle className="h-4 w-4 text-red-500" />
+                        : <AlertTriangle className="h-4 w-4 text-yellow-500" />}
+                    {CHECK_LABELS[check.check] || check.check}
+                    {!check.passed && <span className="text-xs text-muted-foreground">({check.total})</span>}
+                  </div>
+                  {check.issues.length > 0 && (
+                    <ul className="mt-2 space-y-1 text-sm">
+                      {check.issues.map((issue, index) => (
+                        <li key={index}>
+                          <span className={issue.severity === 'error' ? 'text-red-600' : 'text-yellow-700'}>{issue.message}</span>
+                          {describeRefs(issue).length > 0 && (
+                            <span className="block text-xs text-muted-foreground">
+                              {describeRefs(issue).slice(0, 8).join(', ')}
+                              {describeRefs(issue).length > 8 && ` and ${describeRefs(issue).length - 8} more`}
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                      {check.total > check.issues.length && (
+                        <li className="text-xs text-muted-foreground">…and {check.total - check.issues.length} more</li>
+                      )}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GraphIntegrityPanel;
@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { apiPut } from '@/utils/api';
+
+export interface OpeningPeriod {
+  day: number;
+  open: string;
+  close: string;
+}
+
+interface OpeningHoursDialogProps {
+  landmark: { _id: string; name: string; openingHours?: OpeningPeriod[] } | null;
+  onOpenChange: (open: boolean) => void;
+  onSaved: (openingHours: OpeningPeriod[]) => void;
+}
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Weekly opening hours of one landmark, in its building's time zone. Saved
+// hours apply to visitors' routes at once, like closing the landmark.
+const OpeningHoursDialog: React.FC<OpeningHoursDialogProps> = ({ landmark, onOpenChange, onSaved }) => {
+  const [periods, setPeriods] = useState<OpeningPeriod[]>([]);
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setPeriods(landmark?.openingHours || []);
+  }, [landmark]);
+
+  const updatePeriod = (index: number, changes: Partial<OpeningPeriod>) =>
+    setPeriods(prev => prev.map((period, i) => (i === index ? { ...period, ...changes } : period)));
+
+  // A new period copies the last one onto the next day
+  const addPeriod = () => setPeriods(prev => {
+    const last = prev[prev.length - 1];
+    return [...prev, last ? { ...last, day: (last.day + 1) % 7 } : { day: 1, open: '09:00', close: '17:00' }];
+  });
+
+  const handleSave = async () => {
+    if (!landmark) return;
+    setSaving(true);
+    try {
+      const response = await apiPut(`/admin/landmarks/${landmark._id}/hours`, { openingHours: periods });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.errors?.[0]?.message || data.message);
+      toast({ title: 'Opening hours saved', description: data.message });
+      onSaved(periods);
+      onOpenChange(false);
+    } catch (err) {
+      toast({ variant: 'destructive', title: 'Could not save opening hours', description: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(landmark)} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Opening hours · {landmark?.name}</DialogTitle>
+          <DialogDescription>
+            Routes only pass through or end here during these hours. No hours means always open; a period
+            closing before it opens runs past midnight.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {periods.map((period, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Select value={String(period.day)} onValueChange={day => updatePeriod(index, { day: Number(day) })}>
+                <SelectTrigger className="w-36"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {DAYS.map((day, i) => <SelectItem key={day} value={String(i)}>{day}</SelectItem>)}
+                </SelectContent>
+              </Select>
+              <Input type="time" value={period.open} onChange={e => updatePeriod(index, { open: e.target.value })} />
+              <Input type="time" value={period.close} onChange={e => updatePeriod(index, { close: e.target.value })} />
+              <Button variant="ghost" size="icon" onClick={() => setPeriods(prev => prev.filter((_, i) => i !== index))}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          {periods.length === 0 && <p className="text-sm text-muted-foreground">Always open.</p>}
+        </div>
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={addPeriod}><Plus className="h-4 w-4 mr-2" /> Add period</Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />} Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default OpeningHoursDialog;
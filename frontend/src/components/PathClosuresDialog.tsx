@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { apiPut } from '@/utils/api';
+
+export interface ScheduledClosure {
+  start: string;
+  end: string;
+  reason?: string;
+}
+
+interface PathClosuresDialogProps {
+  path: { _id: string; scheduledClosures?: ScheduledClosure[] } | null;
+  label: string;
+  onOpenChange: (open: boolean) => void;
+  onSaved: (scheduledClosures: ScheduledClosure[]) => void;
+}
+
+// ISO timestamp <-> value of a datetime-local input (the browser's local time)
+const toLocalInput = (iso: string) => {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value: string) => new Date(value).toISOString();
+
+// One-off closures of a path, e.g. a stairwell closed for maintenance. Routes
+// departing inside a closure avoid the path; saved closures apply at once.
+const PathClosuresDialog: React.FC<PathClosuresDialogProps> = ({ path, label, onOpenChange, onSaved }) => {
+  const [closures, setClosures] = useState<ScheduledClosure[]>([]);
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setClosures((path?.scheduledClosures || []).map(closure => ({
+      ...closure,
+      start: toLocalInput(closure.start),
+      end: toLocalInput(closure.end),
+    })));
+  }, [path]);
+
+  const updateClosure = (index: number, changes: Partial<ScheduledClosure>) =>
+    setClosures(prev => prev.map((closure, i) => (i === index ? { ...closure, ...changes } : closure)));
+
+  const handleSave = async () => {
+    if (!path) return;
+    setSaving(true);
+    try {
+      const scheduledClosures = closures.map(closure => ({
+        start: fromLocalInput(closure.start),
+        end: fromLocalInput(closure.end),
+        ...(closure.reason && { reason: closure.reason }),
+      }));
+      const response = await apiPut(`/admin/paths/${path._id}/closures`, { scheduledClosures });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.errors?.[0]?.message || data.message);
+      toast({ title: 'Closures saved', description: data.message });
+      onSaved(scheduledClosures);
+      onOpenChange(false);
+    } catch (err) {
+      toast({ variant: 'destructive', title: 'Could not save closures', description: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(path)} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Scheduled closures · {label}</DialogTitle>
+          <DialogDescription>Times are in your browser's time zone.</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {closures.map((closure, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Input type="datetime-local" value={closure.start} onChange={e => updateClosure(index, { start: e.target.value })} />
+              <Input type="datetime-local" value={closure.end} onChange={e => updateClosure(index, { end: e.target.value })} />
+              <Input placeholder="Reason" value={closure.reason || ''} onChange={e => updateClosure(index, { reason: e.target.value })} />
+              <Button variant="ghost" size="icon" onClick={() => setClosures(prev => prev.filter((_, i) => i !== index))}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          {closures.length === 0 && <p className="text-sm text-muted-foreground">No closures scheduled.</p>}
+        </div>
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={() => setClosures(prev => [...prev, { start: '', end: '', reason: '' }])}>
+            <Plus className="h-4 w-4 mr-2" /> Add closure
+          </Button>
+          <Button onClick={handleSave} disabled={saving || closures.some(closure => !closure.start || !closure.end)}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />} Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PathClosuresDialog;
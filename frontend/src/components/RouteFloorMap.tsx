@@ -0,0 +1,149 @@
+import { useEffect, useMemo, useState } from 'react';
+import { ArrowDownUp } from 'lucide-react';
+
+export interface FloorSegmentPoint {
+  stepNumber: number;
+  landmarkId: string;
+  name: string;
+  x?: number;
+  y?: number;
+}
+
+export interface FloorSegment {
+  segmentNumber: number;
+  building: string;
+  floor: { number: string; name: string; mapImage: string | null; metersPerPixel: number | null };
+  startStep: number;
+  endStep: number;
+  points: FloorSegmentPoint[];
+  distance: number;
+  estimatedTime: number;
+  exit: { stepNumber: number; via: string; toFloor: string; toBuilding?: string } | null;
+}
+
+interface RouteFloorMapProps {
+  segments: FloorSegment[];
+  // Step number being walked; the map follows it onto the matching floor
+  currentStep: number;
+}
+
+const BLANK_PLAN_SIZE = 1000; // drawing area when the floor has no map image
+
+const EXIT_LABELS: Record<string, string> = {
+  elevator: 'Take the elevator',
+  stairs: 'Take the stairs',
+  outdoor: 'Walk outside',
+  skybridge: 'Cross the skybridge',
+};
+
+// The route drawn over each floor plan, one floor at a time
+const RouteFloorMap: React.FC<RouteFloorMapProps> = ({ segments, currentStep }) => {
+  const followed = Math.max(0, segments.findIndex(s => currentStep >= s.startStep && currentStep <= s.endStep));
+  const [viewed, setViewed] = useState(followed);
+  const [planSize, setPlanSize] = useState({ width: BLANK_PLAN_SIZE, height: BLANK_PLAN_SIZE });
+
+  // Moving to another step brings the map back to the floor being walked
+  useEffect(() => { setViewed(followed); }, [followed, currentStep, segments]);
+
+  const segment = segments[Math.min(viewed, segments.length - 1)];
+  const points = (segment?.points || []).filter(p => typeof p.x === 'number' && typeof p.y === 'number') as
+    Required<FloorSegmentPoint>[];
+
+  // Without a map image the plan is a square big enough for the segment's points
+  const blankExtent = useMemo(() => Math.max(
+    BLANK_PLAN_SIZE,
+    ...(segment?.points || []).map(p => Math.max(p.x ?? 0, p.y ?? 0) + 50)
+  ), [segment]);
+
+  // Landmark coordinates are map image pixels, so the drawing follows the image's natural size
+  useEffect(() => {
+    if (!segment?.floor.mapImage) {
+      setPlanSize({ width: blankExtent, height: blankExtent });
+      return;
+    }
+    const image = new Image();
+    image.onload = () => setPlanSize({ width: image.naturalWidth, height: image.naturalHeight });
+    image.src = segment.floor.mapImage;
+  }, [segment?.floor.mapImage, blankExtent]);
+
+  if (!segment) return null;
+
+  const markerRadius = Math.max(planSize.width, planSize.height) / 80;
+  const walked = points.filter(p => p.stepNumber <= currentStep);
+  const ahead = points.filter(p => p.stepNumber >= currentStep);
+  const current = points.find(p => p.stepNumber === currentStep);
+  const toPolyline = (list: Required<FloorSegmentPoint>[]) => list.map(p => `${p.x},${p.y}`).join(' ');
+
+  return (
+    <div className="space-y-2">
+      {segments.length > 1 && (
+        <div className="flex flex-wrap gap-1">
+          {segments.map((s, index) => (
+            <button
+              key={s.segmentNumber}
+              type="button"
+              onClick={() => setViewed(index)}
+              className={`px-2 py-1 rounded-md border text-xs ${index === viewed ? 'border-primary bg-primary/10' : 'border-border'}`}
+            >
+              {s.floor.name}{index === followed && ' •'}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="rounded-lg border bg-muted overflow-hidden">
+        <svg viewBox={`0 0 ${planSize.width} ${planSize.height}`} className="w-full h-auto">
+          {segment.floor.mapImage ? (
+            <image href={segment.floor.mapImage} width={planSize.width} height={planSize.height} />
+          ) : (
+            <>
+              <defs>
+                <pattern id="route-grid" width="50" height="50" patternUnits="userSpaceOnUse">
+                  <path d="M 50 0 L 0 0 0 50" fill="none" stroke="currentColor" strokeOpacity="0.1" />
+                </pattern>
+              </defs>
+              <rect width={planSize.width} height={planSize.height} fill="url(#route-grid)" />
+            </>
+          )}
+
+          <polyline points={toPolyline(ahead.length > 0 ? ahead : points)} fill="none" stroke="#2563eb"
+            strokeWidth={markerRadius / 1.5} strokeOpacity={0.45} strokeLinecap="round" strokeLinejoin="round" />
+          {walked.length > 1 && (
+            <polyline points={toPolyline(walked)} fill="none" stroke="#2563eb"
+              strokeWidth={markerRadius / 1.5} strokeLinecap="round" strokeLinejoin="round" />
+          )}
+
+          {points.map((p, index) => {
+            const isEnd = index === 0 || index === points.length - 1;
+            if (!isEnd && p !== current) return null;
+            return (
+              <circle key={p.stepNumber} cx={p.x} cy={p.y} r={isEnd ? markerRadius : markerRadius / 1.5}
+                fill={index === points.length - 1 && !segment.exit ? '#dc2626' : '#2563eb'} stroke="white" strokeWidth={markerRadius / 4} />
+            );
+          })}
+          {current && (
+            <g>
+              <circle cx={current.x} cy={current.y} r={markerRadius * 1.6} fill="#f97316" fillOpacity={0.3} />
+              <circle cx={current.x} cy={current.y} r={markerRadius} fill="#f97316" stroke="white" strokeWidth={markerRadius / 4} />
+              <text x={current.x + markerRadius * 1.8} y={current.y + markerRadius / 2} fontSize={markerRadius * 2} fill="currentColor">
+                {current.name}
+              </text>
+            </g>
+          )}
+        </svg>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-muted-foreground">
+        <span>{segment.floor.name} · steps {segment.startStep}–{segment.endStep} · {segment.distance} m</span>
+        {segment.exit && (
+          <span className="flex items-center gap-1">
+            <ArrowDownUp className="h-4 w-4" />
+            {EXIT_LABELS[segment.exit.via] || 'Continue'} to {segments[viewed + 1]?.floor.name || segment.exit.toFloor}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RouteFloorMap;
@@ -10,6 +10,7 @@ import AdminSignup from "./pages/AdminSignup";
 import AdminDashboard from "./pages/AdminDashboard";
 import AdminBuildings from "./pages/AdminBuildings";
 import BuildingForm from "./pages/BuildingForm";
+import FloorPlanEditor from "./pages/FloorPlanEditor";
 import AdminLandmarks from "./pages/AdminLandmarks";
 import LandmarkForm from "./pages/LandmarkForm";
 import AdminPaths from "./pages/AdminPaths";
@@ -17,6 +18,7 @@ import VisitorRegistration from "./pages/VisitorRegistration";
 import NavigationPage from "./pages/Navigation";
 import NotFound from "./pages/NotFound";
 import BuildingVisitors from "./pages/BuildingVisitors";
+import AdminTeam from "./pages/AdminTeam";
 
 // Create the router configuration
 const router = createBrowserRouter([
@@ -39,6 +41,7 @@ const router = createBrowserRouter([
       { path: "admin/buildings", element: <AdminBuildings /> },
       { path: "admin/buildings/new", element: <BuildingForm /> },
       { path: "admin/buildings/edit/:buildingId", element: <BuildingForm /> },
+      { path: "admin/buildings/:buildingId/editor", element: <FloorPlanEditor /> },
       
       { path: "admin/landmarks", element: <AdminLandmarks /> },
       { path: "admin/landmarks/new", element: <LandmarkForm /> },
@@ -47,6 +50,7 @@ const router = createBrowserRouter([
       { path: "admin/paths", element: <AdminPaths /> },
       
       { path: "admin/visitors", element: <BuildingVisitors /> },
+      { path: "admin/team", element: <AdminTeam /> },
     ],
   },
 ]);
@@ -1,8 +1,14 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { NavLink } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { PlusCircle, Building, Edit, Trash2 } from 'lucide-react';
+import { PlusCircle, Building, Edit, Trash2, Download, Upload, MapIcon, History } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import {
   AlertDialog,
   AlertDialogAction,
@@ -14,8 +20,9 @@ import {
   AlertDialogTitle,
 } from '@/components/ui/alert-dialog';
 import AdminLayout from '../components/AdminLayout';
+import BuildingRevisionsDialog from '../components/BuildingRevisionsDialog';
 import { useToast } from '@/components/ui/use-toast';
-import { apiCallWithAuth, apiDelete } from '@/utils/api';
+import { apiCallWithAuth, apiDelete, apiPostWithAuth } from '@/utils/api';
 
 interface IBuilding {
   _id: string;
@@ -27,6 +34,8 @@ interface IBuilding {
     number: string;
     name: string;
   }[];
+  publishedRevision?: number;
+  myRole?: 'owner' | 'editor' | 'viewer';
 }
 
 const AdminBuildings = () => {
@@ -36,6 +45,9 @@ const AdminBuildings = () => {
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [buildingToDelete, setBuildingToDelete] = useState<IBuilding | null>(null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [revisionsBuilding, setRevisionsBuilding] = useState<IBuilding | null>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
   const { toast } = useToast();
 
   const fetchBuildings = async () => {
@@ -93,6 +105,54 @@ const AdminBuildings = () => {
     }
   };
 
+  const handleExport = async (building: IBuilding, format: 'json' | 'geojson') => {
+    try {
+      const response = await apiCallWithAuth(`/admin/buildings/${building._id}/export?format=${format}`, token!);
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || 'Failed to export building.');
+      }
+      const fileName = response.headers.get('Content-Disposition')?.match(/filename="?([^"]+)"?/)?.[1]
+        || `${building.name}.naviguide.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast({ title: "Export failed", description: err instanceof Error ? err.message : String(err), variant: "destructive" });
+    }
+  };
+
+  const handleImportFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      let bundle: unknown;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch {
+        throw new Error('The selected file is not valid JSON.');
+      }
+      const response = await apiPostWithAuth('/admin/buildings/import?onConflict=rename', token!, bundle);
+      const data = await response.json();
+      if (!response.ok) {
+        const firstError = data.errors?.[0];
+        throw new Error(firstError ? `${data.message} ${firstError.field}: ${firstError.message}` : data.message);
+      }
+      toast({ title: "Building imported", description: data.message });
+      await fetchBuildings();
+    } catch (err) {
+      toast({ title: "Import failed", description: err instanceof Error ? err.message : String(err), variant: "destructive" });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   if (loading) return <AdminLayout><p>Loading buildings...</p></AdminLayout>;
   if (error) return <AdminLayout><p className="text-destructive">Error: {error}</p></AdminLayout>;
 
@@ -100,12 +160,25 @@ const AdminBuildings = () => {
     <AdminLayout>
       <div className="flex items-center justify-between mb-8">
         <h1 className="text-3xl font-bold">Manage Buildings</h1>
-        <Button asChild>
-          <NavLink to="/admin/buildings/new">
-            <PlusCircle className="h-4 w-4 mr-2" />
-            Add New Building
-          </NavLink>
-        </Button>
+        <div className="flex gap-2">
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,.geojson,application/json,application/geo+json"
+            className="hidden"
+            onChange={handleImportFile}
+          />
+          <Button variant="outline" disabled={isImporting} onClick={() => importInputRef.current?.click()}>
+            <Upload className="h-4 w-4 mr-2" />
+            {isImporting ? 'Importing...' : 'Import Building'}
+          </Button>
+          <Button asChild>
+            <NavLink to="/admin/buildings/new">
+              <PlusCircle className="h-4 w-4 mr-2" />
+              Add New Building
+            </NavLink>
+          </Button>
+        </div>
       </div>
 
       <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
@@ -129,26 +202,52 @@ const AdminBuildings = () => {
                       {building.name}
                     </div>
                     <div className="flex gap-2">
-                      <Button variant="ghost" size="icon" asChild>
-                        <NavLink to={`/admin/buildings/edit/${building._id}`}>
-                          <Edit className="h-4 w-4" />
-                        </NavLink>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <Button variant="ghost" size="icon" title="Export">
+                            <Download className="h-4 w-4" />
+                          </Button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="end">
+                          <DropdownMenuItem onClick={() => handleExport(building, 'json')}>JSON bundle</DropdownMenuItem>
+                          <DropdownMenuItem onClick={() => handleExport(building, 'geojson')}>GeoJSON</DropdownMenuItem>
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                      <Button variant="ghost" size="icon" title="Revisions" onClick={() => setRevisionsBuilding(building)}>
+                        <History className="h-4 w-4" />
                       </Button>
-                      <Button 
-                        variant="ghost" 
-                        size="icon"
-                        onClick={() => handleDeleteClick(building)}
-                      >
-                        <Trash2 className="h-4 w-4 text-destructive" />
+                      <Button variant="ghost" size="icon" title="Floor plan editor" asChild>
+                        <NavLink to={`/admin/buildings/${building._id}/editor`}>
+                          <MapIcon className="h-4 w-4" />
+                        </NavLink>
                       </Button>
+                      {building.myRole !== 'viewer' && (
+                        <Button variant="ghost" size="icon" asChild>
+                          <NavLink to={`/admin/buildings/edit/${building._id}`}>
+                            <Edit className="h-4 w-4" />
+                          </NavLink>
+                        </Button>
+                      )}
+                      {building.myRole === 'owner' && (
+                        <Button 
+                          variant="ghost" 
+                          size="icon"
+                          onClick={() => handleDeleteClick(building)}
+                        >
+                          <Trash2 className="h-4 w-4 text-destructive" />
+                        </Button>
+                      )}
                     </div>
                   </CardTitle>
                   <CardDescription>{building.address || 'No address provided'}</CardDescription>
                 </CardHeader>
                 <CardContent>
                   <p className="text-sm text-muted-foreground">{building.description || 'No description.'}</p>
-                  <div className="mt-4">
+                  <div className="mt-4 flex items-center justify-between">
                     <h4 className="font-semibold text-sm">Floors: {building.floors.length}</h4>
+                    <span className="text-xs text-muted-foreground">
+                      {building.publishedRevision ? `Published revision ${building.publishedRevision}` : 'Not published'}
+                    </span>
                   </div>
                 </CardContent>
               </Card>
@@ -159,6 +258,16 @@ const AdminBuildings = () => {
         )}
       </div>
 
+      <BuildingRevisionsDialog
+        building={revisionsBuilding}
+        onOpenChange={(open) => {
+          if (!open) {
+            setRevisionsBuilding(null);
+            fetchBuildings();
+          }
+        }}
+      />
+
       <AlertDialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
         <AlertDialogContent>
           <AlertDialogHeader>
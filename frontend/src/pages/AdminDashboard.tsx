@@ -19,6 +19,7 @@ import {
   Users,
 } from 'lucide-react';
 import { apiCallWithAuth, apiPut } from "@/utils/api";
+import GraphIntegrityPanel from '@/components/GraphIntegrityPanel';
 
 interface Admin {
   id: string;
@@ -484,6 +485,9 @@ const AdminDashboard: React.FC = () => {
                   ))}
                 </div>
               </div>
+
+              {/* Graph Health */}
+              <GraphIntegrityPanel />
             </div>
           </main>
         </div>
@@ -15,8 +15,10 @@ import {
   Trash2,
   ChevronLeft,
   ChevronRight,
+  Clock,
 } from 'lucide-react';
 import AdminLayout from '@/components/AdminLayout';
+import OpeningHoursDialog, { OpeningPeriod } from '@/components/OpeningHoursDialog';
 import { useToast } from '@/components/ui/use-toast';
 import {
   AlertDialog,
@@ -36,6 +38,8 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
 import { apiCallWithAuth, apiDelete } from '@/utils/api';
 
 /**
@@ -51,6 +55,8 @@ interface ILandmark {
     name: string;
   };
   images?: { url: string }[];
+  status?: 'open' | 'closed' | 'restricted';
+  openingHours?: OpeningPeriod[];
 }
 
 /**
@@ -89,6 +95,7 @@ const AdminLandmarks = () => {
     limit: 10,
     totalPages: 1,
   });
+  const [hoursLandmark, setHoursLandmark] = useState<ILandmark | null>(null);
   const { toast } = useToast();
 
   // ==================== DATA FETCHING ====================
@@ -155,6 +162,39 @@ const AdminLandmarks = () => {
 
   // ==================== EVENT HANDLERS ====================
   
+  /**
+   * Closes or reopens a landmark. This takes effect for visitors at once,
+   * without publishing, and is pushed to anyone navigating the building.
+   *
+   * @param {ILandmark} landmark - The landmark to toggle
+   */
+  const handleStatusChange = async (landmark: ILandmark) => {
+    const token = localStorage.getItem('adminToken');
+    const newStatus = (landmark.status || 'open') === 'open' ? 'closed' : 'open';
+
+    try {
+      const response = await apiCallWithAuth(`/admin/landmarks/${landmark._id}/status`, token!, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: newStatus }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update landmark status.');
+      }
+
+      toast({ title: 'Status updated', description: data.message });
+      setLandmarks(prev => prev.map(l => (l._id === landmark._id ? { ...l, status: newStatus } : l)));
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to update landmark status.',
+        variant: 'destructive',
+      });
+    }
+  };
+
   /**
    * Handles landmark deletion with proper error handling and pagination adjustment
    * If the last item on a page is deleted, navigates to the previous page
@@ -391,6 +431,21 @@ const AdminLandmarks = () => {
                       {landmark.type.replace(/_/g, ' ')}
                     </span>
                   </p>
+                  <div className="flex items-center space-x-2 mt-2">
+                    <Switch
+                      id={`status-${landmark._id}`}
+                      checked={(landmark.status || 'open') === 'open'}
+                      onCheckedChange={() => handleStatusChange(landmark)}
+                      aria-label={`Set landmark status to ${(landmark.status || 'open') === 'open' ? 'closed' : 'open'}`}
+                    />
+                    <Label htmlFor={`status-${landmark._id}`} className="capitalize">
+                      {landmark.status || 'open'}
+                    </Label>
+                    <Button variant="ghost" size="sm" className="ml-auto" onClick={() => setHoursLandmark(landmark)}>
+                      <Clock className="h-4 w-4 mr-1" />
+                      {landmark.openingHours?.length ? 'Hours' : 'Always open'}
+                    </Button>
+                  </div>
                 </CardContent>
               </Card>
             );
@@ -493,6 +548,13 @@ const AdminLandmarks = () => {
           </div>
         </div>
       )}
+
+      <OpeningHoursDialog
+        landmark={hoursLandmark}
+        onOpenChange={(open) => !open && setHoursLandmark(null)}
+        onSaved={(openingHours) => setLandmarks(prev =>
+          prev.map(l => (l._id === hoursLandmark?._id ? { ...l, openingHours } : l)))}
+      />
     </AdminLayout>
   );
 };
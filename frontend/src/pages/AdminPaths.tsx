@@ -32,6 +32,7 @@ import { Switch } from '@/components/ui/switch';
 import { toast } from 'sonner';
 import { Loader2 } from 'lucide-react';
 import { apiCallWithAuth } from '@/utils/api'; // ✅ Use your existing API utility
+import PathClosuresDialog, { ScheduledClosure } from '@/components/PathClosuresDialog';
 
 // --- Type Definitions ---
 interface Building {
@@ -55,6 +56,17 @@ interface Path {
   instructions: string;
   reverseInstructions?: string;
   status: 'open' | 'closed' | 'restricted';
+  scheduledClosures?: ScheduledClosure[];
+}
+
+interface PathSuggestion {
+  _id: string;
+  from: Landmark;
+  to: Landmark;
+  kind: 'horizontal' | 'vertical';
+  distance: number;
+  estimatedTime: number;
+  instructions: string;
 }
 
 type PathFormData = {
@@ -103,6 +115,12 @@ const AdminPaths = () => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [currentPath, setCurrentPath] = useState<PathFormData>(INITIAL_PATH_STATE);
   const [submissionStatus, setSubmissionStatus] = useState<'idle' | 'processing'>('idle');
+  const [isSuggestOpen, setIsSuggestOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState<PathSuggestion[]>([]);
+  const [selectedSuggestions, setSelectedSuggestions] = useState<string[]>([]);
+  const [suggestOptions, setSuggestOptions] = useState({ maxDistance: 25, metersPerPixel: '' });
+  const [suggestStatus, setSuggestStatus] = useState<'idle' | 'loading' | 'generating' | 'deciding'>('idle');
+  const [closuresPath, setClosuresPath] = useState<Path | null>(null);
 
   // Get token once
   const token = localStorage.getItem('adminToken') || '';
@@ -285,6 +303,75 @@ const AdminPaths = () => {
     }
   };
 
+  // --- Path Suggestions ---
+  const fetchSuggestions = async () => {
+    setSuggestStatus('loading');
+    try {
+      const response = await apiCallWithAuth(`/admin/buildings/${selectedBuilding}/path-suggestions`, token);
+      if (!response.ok) throw new Error('Failed to fetch path suggestions');
+      const data = await response.json();
+      setSuggestions(data.data.suggestions);
+      setSelectedSuggestions(data.data.suggestions.map((s: PathSuggestion) => s._id));
+    } catch (error) {
+      handleApiError(error, 'fetch path suggestions');
+    } finally {
+      setSuggestStatus('idle');
+    }
+  };
+
+  const openSuggestions = () => {
+    setIsSuggestOpen(true);
+    fetchSuggestions();
+  };
+
+  const generateSuggestions = async () => {
+    setSuggestStatus('generating');
+    try {
+      const response = await apiCallWithAuth(`/admin/buildings/${selectedBuilding}/path-suggestions`, token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          maxDistance: suggestOptions.maxDistance,
+          ...(suggestOptions.metersPerPixel && { metersPerPixel: parseFloat(suggestOptions.metersPerPixel) }),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to generate suggestions');
+      toast.success(data.message);
+      await fetchSuggestions();
+    } catch (error) {
+      handleApiError(error, 'generate path suggestions');
+      setSuggestStatus('idle');
+    }
+  };
+
+  const decideSuggestions = async (decision: 'accept' | 'reject') => {
+    if (selectedSuggestions.length === 0) return;
+    setSuggestStatus('deciding');
+    try {
+      const response = await apiCallWithAuth(`/admin/buildings/${selectedBuilding}/path-suggestions/decisions`, token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [decision]: selectedSuggestions }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to apply suggestions');
+      toast.success(data.message);
+      if (data.data.conflicts.length > 0) {
+        toast.warning(`${data.data.conflicts.length} suggestion(s) were skipped because of conflicts.`);
+      }
+      if (decision === 'accept') fetchPaths(selectedBuilding);
+      await fetchSuggestions();
+    } catch (error) {
+      handleApiError(error, `${decision} path suggestions`);
+      setSuggestStatus('idle');
+    }
+  };
+
+  const toggleSuggestion = (id: string, checked: boolean) => {
+    setSelectedSuggestions(prev => (checked ? [...prev, id] : prev.filter(s => s !== id)));
+  };
+
   // --- Render Logic ---
   return (
     <AdminLayout>
@@ -299,6 +386,9 @@ const AdminPaths = () => {
               {buildings.map(b => <SelectItem key={b._id} value={b._id}>{b.name}</SelectItem>)}
             </SelectContent>
           </Select>
+          <Button variant="outline" onClick={openSuggestions} disabled={!selectedBuilding}>
+            Suggest Paths
+          </Button>
           <Button onClick={openModalForCreate} disabled={!selectedBuilding}>
             Create New Path
           </Button>
@@ -339,6 +429,9 @@ const AdminPaths = () => {
                     </div>
                   </TableCell>
                   <TableCell className="text-right space-x-2">
+                    <Button variant="ghost" size="sm" onClick={() => setClosuresPath(path)}>
+                      Closures{path.scheduledClosures?.length ? ` (${path.scheduledClosures.length})` : ''}
+                    </Button>
                     <Button variant="outline" size="sm" onClick={() => openModalForEdit(path)}>Edit</Button>
                     <Button variant="destructive" size="sm" onClick={() => handleDelete(path._id)}>Delete</Button>
                   </TableCell>
@@ -436,6 +529,86 @@ const AdminPaths = () => {
           </form>
         </DialogContent>
       </Dialog>
+
+      <Dialog open={isSuggestOpen} onOpenChange={setIsSuggestOpen}>
+        <DialogContent className="sm:max-w-[760px]">
+          <DialogHeader>
+            <DialogTitle>Suggested Paths</DialogTitle>
+            <DialogDescription>
+              Paths proposed between nearby landmarks and matching stairs/elevators. Review them and accept or reject in bulk.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="flex items-end gap-4">
+            <div>
+              <Label htmlFor="maxDistance">Max distance (m)</Label>
+              <Input id="maxDistance" type="number" className="w-32" value={suggestOptions.maxDistance} onChange={e => setSuggestOptions(o => ({ ...o, maxDistance: parseFloat(e.target.value) || 0 }))} />
+            </div>
+            <div>
+              <Label htmlFor="metersPerPixel">Meters per pixel</Label>
+              <Input id="metersPerPixel" type="number" step="any" className="w-40" placeholder="From existing paths" value={suggestOptions.metersPerPixel} onChange={e => setSuggestOptions(o => ({ ...o, metersPerPixel: e.target.value }))} />
+            </div>
+            <Button onClick={generateSuggestions} disabled={suggestStatus !== 'idle'}>
+              {suggestStatus === 'generating' && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Generate
+            </Button>
+          </div>
+          <div className="max-h-[400px] overflow-y-auto rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-10">
+                    <Checkbox
+                      checked={suggestions.length > 0 && selectedSuggestions.length === suggestions.length}
+                      onCheckedChange={c => setSelectedSuggestions(c ? suggestions.map(s => s._id) : [])}
+                      aria-label="Select all suggestions"
+                    />
+                  </TableHead>
+                  <TableHead>From</TableHead>
+                  <TableHead>To</TableHead>
+                  <TableHead className="text-center">Distance (m)</TableHead>
+                  <TableHead className="text-center">Time (s)</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {suggestStatus === 'loading' ? (
+                  <TableRow><TableCell colSpan={5} className="text-center h-16">Loading suggestions...</TableCell></TableRow>
+                ) : suggestions.length > 0 ? (
+                  suggestions.map(s => (
+                    <TableRow key={s._id}>
+                      <TableCell>
+                        <Checkbox checked={selectedSuggestions.includes(s._id)} onCheckedChange={c => toggleSuggestion(s._id, !!c)} aria-label={`Select ${s.from.name} to ${s.to.name}`} />
+                      </TableCell>
+                      <TableCell>{s.from.name} (F{s.from.floor})</TableCell>
+                      <TableCell>{s.to.name} (F{s.to.floor}){s.kind === 'vertical' && <span className="ml-2 text-xs text-muted-foreground">vertical</span>}</TableCell>
+                      <TableCell className="text-center">{s.distance}</TableCell>
+                      <TableCell className="text-center">{s.estimatedTime}</TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow><TableCell colSpan={5} className="text-center h-16 text-muted-foreground">No pending suggestions. Click Generate to create some.</TableCell></TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => decideSuggestions('reject')} disabled={suggestStatus !== 'idle' || selectedSuggestions.length === 0}>
+              Reject selected
+            </Button>
+            <Button onClick={() => decideSuggestions('accept')} disabled={suggestStatus !== 'idle' || selectedSuggestions.length === 0}>
+              {suggestStatus === 'deciding' && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Accept selected ({selectedSuggestions.length})
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <PathClosuresDialog
+        path={closuresPath}
+        label={closuresPath ? `${closuresPath.from.name} → ${closuresPath.to.name}` : ''}
+        onOpenChange={(open) => !open && setClosuresPath(null)}
+        onSaved={(scheduledClosures) => setPaths(prev =>
+          prev.map(p => (p._id === closuresPath?._id ? { ...p, scheduledClosures } : p)))}
+      />
     </AdminLayout>
   );
 };
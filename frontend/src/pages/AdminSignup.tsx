@@ -1,6 +1,6 @@
 import { useState } from "react";
 import { z } from "zod";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
@@ -14,20 +14,31 @@ const signupSchema = z.object({
   email: z.string().trim().email({ message: "Invalid email address" }).max(255),
   password: z.string().min(6, { message: "Password must be at least 6 characters" }).max(128),
   confirmPassword: z.string(),
-  adminSecret: z.string().min(1, { message: "Admin secret is required" })
+  inviteToken: z.string().trim(),
+  adminSecret: z.string(),
+  organizationName: z.string().trim().max(100)
 }).refine((data) => data.password === data.confirmPassword, {
   message: "Passwords don't match",
   path: ["confirmPassword"],
+}).refine((data) => data.inviteToken || data.adminSecret, {
+  message: "Admin secret is required to start a new organization",
+  path: ["adminSecret"],
 });
 
+// Invited admins arrive with ?invite=<token> and join that organization;
+// everyone else starts a new organization with the admin secret
 const AdminSignup = () => {
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     name: "",
     email: "",
     password: "",
     confirmPassword: "",
-    adminSecret: ""
+    inviteToken: searchParams.get("invite") || "",
+    adminSecret: "",
+    organizationName: ""
   });
+  const isInvited = formData.inviteToken.trim() !== "";
   const [errors, setErrors] = useState<Record<string, string>>({});
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -48,7 +59,12 @@ const AdminSignup = () => {
         name: validatedData.name,
         email: validatedData.email,
         password: validatedData.password,
-        adminSecret: validatedData.adminSecret
+        ...(validatedData.inviteToken
+          ? { inviteToken: validatedData.inviteToken }
+          : {
+              adminSecret: validatedData.adminSecret,
+              ...(validatedData.organizationName && { organizationName: validatedData.organizationName })
+            })
       });
 
       const data = await response.json();
@@ -222,6 +238,35 @@ const AdminSignup = () => {
                 )}
               </div>
 
+              <div className="space-y-2">
+                <Label htmlFor="inviteToken">Invitation Token</Label>
+                <Input
+                  id="inviteToken"
+                  placeholder="Paste the token from your invitation"
+                  value={formData.inviteToken}
+                  onChange={(e) => handleInputChange("inviteToken", e.target.value)}
+                  disabled={isLoading}
+                />
+                <p className="text-xs text-muted-foreground">
+                  {isInvited
+                    ? "You will join the organization that invited you"
+                    : "Leave empty to start a new organization"}
+                </p>
+              </div>
+
+              {!isInvited && (
+              <>
+              <div className="space-y-2">
+                <Label htmlFor="organizationName">Organization Name</Label>
+                <Input
+                  id="organizationName"
+                  placeholder="Optional, e.g. City Hospital"
+                  value={formData.organizationName}
+                  onChange={(e) => handleInputChange("organizationName", e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+
               <div className="space-y-2">
                 <Label htmlFor="adminSecret">Admin Secret Key</Label>
                 <Input
@@ -237,9 +282,11 @@ const AdminSignup = () => {
                   <p className="text-sm text-destructive">{errors.adminSecret}</p>
                 )}
                 <p className="text-xs text-muted-foreground">
-                  Contact your organization for the admin secret key
+                  Needed only to start a new organization
                 </p>
               </div>
+              </>
+              )}
 
               <Button type="submit" className="w-full" disabled={isLoading}>
                 {isLoading ? "Creating Account..." : "Create Account"}
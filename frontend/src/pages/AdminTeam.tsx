@@ -0,0 +1,314 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Copy, Loader2, Save, Trash2, UserPlus, UsersRound } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import AdminLayout from '../components/AdminLayout';
+import { apiCallWithAuth, apiDelete, apiPostWithAuth, apiPut } from '@/utils/api';
+
+type Role = 'owner' | 'editor' | 'viewer';
+type GrantRole = 'owner' | 'editor';
+
+interface Member {
+  _id: string;
+  name: string;
+  email: string;
+  role: Role;
+  isActive: boolean;
+}
+
+interface Invitation {
+  _id: string;
+  email: string;
+  role: Role;
+  expiresAt: string;
+  invitedBy?: { name: string };
+  buildingGrants: { building: { _id: string; name: string } | null; role: GrantRole }[];
+}
+
+interface BuildingOption {
+  _id: string;
+  name: string;
+  grants?: { admin: string; role: GrantRole }[];
+}
+
+const ROLES: Role[] = ['owner', 'editor', 'viewer'];
+
+const getToken = () => localStorage.getItem('adminToken');
+
+const errorMessage = (err: unknown) => (err instanceof Error ? err.message : String(err));
+
+// Organization members and their roles, invitations, and per-building grants.
+// Everyone can see the team; only owners can change it.
+const AdminTeam = () => {
+  const [organizationName, setOrganizationName] = useState('');
+  const [members, setMembers] = useState<Member[]>([]);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [buildings, setBuildings] = useState<BuildingOption[]>([]);
+  const [myRole, setMyRole] = useState<Role>('viewer');
+  const [loading, setLoading] = useState(true);
+  const [invite, setInvite] = useState<{ email: string; role: Role }>({ email: '', role: 'viewer' });
+  const [inviteLink, setInviteLink] = useState('');
+  const [grantBuildingId, setGrantBuildingId] = useState('');
+  const [grants, setGrants] = useState<Record<string, GrantRole | 'none'>>({});
+  const { toast } = useToast();
+  const isOwner = myRole === 'owner';
+
+  const load = useCallback(async () => {
+    const token = getToken();
+    if (!token) return;
+    setLoading(true);
+    try {
+      const [organizationResponse, buildingsResponse] = await Promise.all([
+        apiCallWithAuth('/admin/organization', token),
+        apiCallWithAuth('/admin/buildings?limit=100', token),
+      ]);
+      const [organizationData, buildingsData] = await Promise.all([organizationResponse.json(), buildingsResponse.json()]);
+      if (!organizationData.success) throw new Error(organizationData.message);
+      setOrganizationName(organizationData.data.organization.name);
+      setMembers(organizationData.data.members);
+      setInvitations(organizationData.data.invitations);
+      setMyRole(organizationData.data.myRole);
+      setBuildings(buildingsData.success ? buildingsData.data.buildings : []);
+    } catch (err) {
+      toast({ variant: 'destructive', title: 'Could not load the team', description: errorMessage(err) });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Runs a change and reloads the team; returns the response data on success
+  const runAction = async (request: Promise<Response>, successTitle: string) => {
+    try {
+      const response = await request;
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      toast({ title: successTitle, description: data.message });
+      await load();
+      return data;
+    } catch (err) {
+      toast({ variant: 'destructive', title: 'Action failed', description: errorMessage(err) });
+      return null;
+    }
+  };
+
+  const handleInvite = async () => {
+    setInviteLink('');
+    const data = await runAction(
+      apiPostWithAuth('/admin/organization/invitations', getToken()!, invite),
+      'Invitation created'
+    );
+    if (data) {
+      setInviteLink(`${window.location.origin}/admin/signup?invite=${data.data.token}`);
+      setInvite({ email: '', role: 'viewer' });
+    }
+  };
+
+  const selectGrantBuilding = (buildingId: string) => {
+    setGrantBuildingId(buildingId);
+    const building = buildings.find(b => b._id === buildingId);
+    setGrants(Object.fromEntries((building?.grants || []).map(grant => [grant.admin, grant.role])));
+  };
+
+  const saveGrants = () => runAction(
+    apiPut(`/admin/buildings/${grantBuildingId}/grants`, {
+      grants: Object.entries(grants)
+        .filter(([, role]) => role !== 'none')
+        .map(([admin, role]) => ({ admin, role })),
+    }),
+    'Building access saved'
+  );
+
+  if (loading) {
+    return (
+      <AdminLayout>
+        <div className="flex justify-center py-16"><Loader2 className="h-6 w-6 animate-spin" /></div>
+      </AdminLayout>
+    );
+  }
+
+  const activeMembers = members.filter(member => member.isActive);
+
+  return (
+    <AdminLayout>
+      <div className="container mx-auto p-4 md:p-8 space-y-6">
+        <Card>
+          <CardHeader>
+            <div className="flex items-center gap-4">
+              <div className="p-3 bg-muted rounded-md"><UsersRound className="h-6 w-6" /></div>
+              <div>
+                <CardTitle>Team</CardTitle>
+                <CardDescription>
+                  Owners manage the team and delete buildings, editors change and publish, viewers can only look.
+                </CardDescription>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <Label htmlFor="organizationName">Organization name</Label>
+            <div className="flex gap-2">
+              <Input id="organizationName" value={organizationName} disabled={!isOwner}
+                onChange={e => setOrganizationName(e.target.value)} className="max-w-sm" />
+              {isOwner && (
+                <Button variant="outline" onClick={() => runAction(apiPut('/admin/organization', { name: organizationName }), 'Organization renamed')}>
+                  <Save className="h-4 w-4 mr-2" /> Save
+                </Button>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader><CardTitle>Members</CardTitle></CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Role</TableHead>
+                  {isOwner && <TableHead className="text-right">Actions</TableHead>}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {members.map(member => (
+                  <TableRow key={member._id}>
+                    <TableCell className="font-medium">
+                      {member.name} {!member.isActive && <Badge variant="outline">removed</Badge>}
+                    </TableCell>
+                    <TableCell>{member.email}</TableCell>
+                    <TableCell>
+                      {isOwner && member.isActive ? (
+                        <Select value={member.role}
+                          onValueChange={role => runAction(apiPut(`/admin/organization/members/${member._id}`, { role }), 'Role updated')}>
+                          <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {ROLES.map(role => <SelectItem key={role} value={role}>{role}</SelectItem>)}
+                          </SelectContent>
+                        </Select>
+                      ) : (
+                        <Badge variant="secondary">{member.role}</Badge>
+                      )}
+                    </TableCell>
+                    {isOwner && (
+                      <TableCell className="text-right">
+                        {member.isActive && (
+                          <Button variant="ghost" size="sm"
+                            onClick={() => runAction(apiDelete(`/admin/organization/members/${member._id}`, getToken()!), 'Member removed')}>
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+
+        {isOwner && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Invitations</CardTitle>
+              <CardDescription>An invitation link works once, for the invited email, for 7 days.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-wrap gap-2">
+                <Input type="email" placeholder="colleague@example.com" value={invite.email} className="max-w-xs"
+                  onChange={e => setInvite(i => ({ ...i, email: e.target.value }))} />
+                <Select value={invite.role} onValueChange={role => setInvite(i => ({ ...i, role: role as Role }))}>
+                  <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {ROLES.map(role => <SelectItem key={role} value={role}>{role}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+                <Button disabled={!invite.email} onClick={handleInvite}>
+                  <UserPlus className="h-4 w-4 mr-2" /> Invite
+                </Button>
+              </div>
+              {inviteLink && (
+                <div className="flex items-center gap-2 text-sm">
+                  <Input readOnly value={inviteLink} />
+                  <Button variant="outline" size="icon" onClick={() => navigator.clipboard.writeText(inviteLink)}>
+                    <Copy className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+              {invitations.length > 0 && (
+                <ul className="divide-y border rounded-md text-sm">
+                  {invitations.map(invitation => (
+                    <li key={invitation._id} className="flex items-center justify-between gap-2 p-2">
+                      <div>
+                        <span className="font-medium">{invitation.email}</span> · {invitation.role}
+                        {invitation.buildingGrants.length > 0 && ` · ${invitation.buildingGrants
+                          .map(grant => `${grant.role} of ${grant.building?.name || '?'}`).join(', ')}`}
+                        <div className="text-muted-foreground">
+                          Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                          {invitation.invitedBy && ` · invited by ${invitation.invitedBy.name}`}
+                        </div>
+                      </div>
+                      <Button variant="ghost" size="sm"
+                        onClick={() => runAction(apiDelete(`/admin/organization/invitations/${invitation._id}`, getToken()!), 'Invitation revoked')}>
+                        Revoke
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Building access</CardTitle>
+            <CardDescription>Grants raise a member's role on one building, e.g. a viewer who edits a single building.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Select value={grantBuildingId} onValueChange={selectGrantBuilding}>
+              <SelectTrigger className="w-64"><SelectValue placeholder="Choose a building" /></SelectTrigger>
+              <SelectContent>
+                {buildings.map(building => <SelectItem key={building._id} value={building._id}>{building.name}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            {grantBuildingId && (
+              <>
+                <ul className="divide-y border rounded-md text-sm">
+                  {activeMembers.map(member => (
+                    <li key={member._id} className="flex items-center justify-between gap-2 p-2">
+                      <span>{member.name} <span className="text-muted-foreground">({member.role})</span></span>
+                      <Select value={grants[member._id] || 'none'} disabled={!isOwner}
+                        onValueChange={role => setGrants(g => ({ ...g, [member._id]: role as GrantRole | 'none' }))}>
+                        <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="none">no grant</SelectItem>
+                          <SelectItem value="editor">editor</SelectItem>
+                          <SelectItem value="owner">owner</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </li>
+                  ))}
+                </ul>
+                {isOwner && (
+                  <Button onClick={saveGrants}><Save className="h-4 w-4 mr-2" /> Save access</Button>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default AdminTeam;
@@ -24,6 +24,8 @@ const BuildingForm = () => {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [address, setAddress] = useState('');
+  // Landmark opening hours are read in this zone
+  const [timezone, setTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone);
   const [buildingImage, setBuildingImage] = useState<string | File | null>(null);
   const [imagePreview, setImagePreview] = useState<string | null>(null);
   const [floors, setFloors] = useState<Floor[]>([{ number: '', name: '' }]);
@@ -47,6 +49,7 @@ const BuildingForm = () => {
           setName(building.name);
           setDescription(building.description || '');
           setAddress(building.address || '');
+          setTimezone(building.timezone || 'UTC');
           if (building.image) {
             setBuildingImage(building.image);
             setImagePreview(building.image);
@@ -106,6 +109,7 @@ const BuildingForm = () => {
     formData.append('name', name.trim());
     formData.append('description', description.trim());
     formData.append('address', address.trim());
+    formData.append('timezone', timezone.trim());
     formData.append('floors', JSON.stringify(floors));
 
     if (buildingImage instanceof File) {
@@ -177,6 +181,11 @@ const BuildingForm = () => {
               <Label htmlFor="address">Address</Label>
               <Input id="address" value={address} onChange={(e) => setAddress(e.target.value)} />
             </div>
+            <div className="space-y-2">
+              <Label htmlFor="timezone">Time zone</Label>
+              <Input id="timezone" value={timezone} onChange={(e) => setTimezone(e.target.value)} placeholder="e.g. Europe/Berlin" />
+              <p className="text-xs text-muted-foreground">Landmark opening hours are in this time zone.</p>
+            </div>
             <div className="space-y-2">
               <Label htmlFor="description">Description</Label>
               <Textarea id="description" value={description} onChange={(e) => setDescription(e.target.value)} />
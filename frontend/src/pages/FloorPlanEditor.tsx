@@ -0,0 +1,724 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { NavLink, useParams } from 'react-router-dom';
+import AdminLayout from '@/components/AdminLayout';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import { Loader2, MousePointer2, MapPinPlus, Spline, Ruler, Layers } from 'lucide-react';
+import { apiCallWithAuth } from '@/utils/api';
+
+// --- Type Definitions ---
+interface Floor {
+  number: string;
+  name: string;
+  mapImage?: string;
+  mapSize?: { width: number; height: number };
+  metersPerPixel?: number;
+  origin?: Point;
+  rotation?: number;
+  elevation?: number;
+}
+
+interface FloorConflict {
+  landmark?: string;
+  path?: string;
+  message: string;
+}
+
+interface Building {
+  _id: string;
+  name: string;
+  floors: Floor[];
+}
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+interface Landmark {
+  _id: string;
+  name: string;
+  type: string;
+  floor: string;
+  coordinates: Point;
+}
+
+interface Path {
+  _id: string;
+  from: { _id: string; floor: string };
+  to: { _id: string; floor: string };
+  distance: number;
+  estimatedTime: number;
+  difficulty?: string;
+  isBidirectional: boolean;
+  accessibility?: Record<string, boolean>;
+}
+
+type Mode = 'select' | 'place' | 'path' | 'calibrate' | 'floor';
+
+// --- Constants ---
+const landmarkTypes = [
+  'room', 'entrance', 'elevator', 'stairs', 'restroom', 'emergency_exit', 'facility', 'other',
+  'lecture_hall', 'classroom', 'lab', 'library', 'auditorium', 'department_office',
+  'admissions_office', 'student_union', 'cafeteria', 'bookstore', 'gym',
+  'health_center', 'information_desk'
+];
+const BLANK_PLAN_SIZE = 1000; // drawing area when the floor has no map image
+const WALKING_SPEED = 1.2;    // m/s, for estimated times
+const MODES: { mode: Mode; label: string; icon: typeof MousePointer2 }[] = [
+  { mode: 'select', label: 'Select / Move', icon: MousePointer2 },
+  { mode: 'place', label: 'Add Landmark', icon: MapPinPlus },
+  { mode: 'path', label: 'Draw Path', icon: Spline },
+  { mode: 'calibrate', label: 'Calibrate Scale', icon: Ruler },
+  { mode: 'floor', label: 'Floor Settings', icon: Layers },
+];
+
+const pixelDistance = (a: Point, b: Point) => Math.hypot(a.x - b.x, a.y - b.y);
+const round1 = (value: number) => Math.round(value * 10) / 10;
+
+// Pixel size of an image file before it is uploaded
+const readImageSize = (file: File) => new Promise<{ width: number; height: number }>((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    URL.revokeObjectURL(url);
+  };
+  image.onerror = () => {
+    reject(new Error('Could not read the image file.'));
+    URL.revokeObjectURL(url);
+  };
+  image.src = url;
+});
+
+// --- The Component ---
+const FloorPlanEditor = () => {
+  const { buildingId } = useParams();
+  const token = localStorage.getItem('adminToken') || '';
+  const svgRef = useRef<SVGSVGElement | null>(null);
+
+  // --- State Management ---
+  const [building, setBuilding] = useState<Building | null>(null);
+  const [floor, setFloor] = useState('');
+  const [landmarks, setLandmarks] = useState<Landmark[]>([]);
+  const [paths, setPaths] = useState<Path[]>([]);
+  const [planSize, setPlanSize] = useState({ width: BLANK_PLAN_SIZE, height: BLANK_PLAN_SIZE });
+  const [mode, setMode] = useState<Mode>('select');
+  const [selected, setSelected] = useState<string | null>(null);
+  const [dragging, setDragging] = useState<{ id: string; moved: boolean } | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  // Mode-specific drafts
+  const [newLandmark, setNewLandmark] = useState<{ point: Point; name: string; type: string; roomNumber: string } | null>(null);
+  const [pathStart, setPathStart] = useState<string | null>(null);
+  const [newPath, setNewPath] = useState<{ from: string; to: string; distance: number; estimatedTime: number; instructions: string; isBidirectional: boolean } | null>(null);
+  const [calibration, setCalibration] = useState<{ points: Point[]; meters: string }>({ points: [], meters: '' });
+  const [floorDraft, setFloorDraft] = useState<{ elevation: string; rotation: string; origin: Point | null }>({ elevation: '', rotation: '', origin: null });
+  const [conflicts, setConflicts] = useState<FloorConflict[]>([]);
+
+  const currentFloor = building?.floors.find(f => f.number === floor);
+  const metersPerPixel = currentFloor?.metersPerPixel;
+  const floorLandmarks = landmarks.filter(l => l.floor === floor);
+  const landmarkById = new Map(landmarks.map(l => [l._id, l]));
+  const floorPaths = paths.filter(p => landmarkById.get(p.from._id)?.floor === floor && landmarkById.get(p.to._id)?.floor === floor);
+  const markerRadius = Math.max(planSize.width, planSize.height) / 120;
+
+  // --- Reusable Error Handler ---
+  const handleApiError = useCallback((error: unknown, context: string) => {
+    console.error(`Error (${context}):`, error);
+    toast.error(error instanceof Error && error.message ? error.message : `Failed to ${context}.`);
+  }, []);
+
+  // --- Data Fetching Logic ---
+  const fetchBuilding = useCallback(async () => {
+    try {
+      const response = await apiCallWithAuth(`/admin/buildings/${buildingId}`, token);
+      if (!response.ok) throw new Error('Failed to fetch building');
+      const data = await response.json();
+      setBuilding(data.data.building);
+      setFloor(prev => prev || data.data.building.floors[0]?.number || '');
+    } catch (error) {
+      handleApiError(error, 'fetch building');
+    }
+  }, [buildingId, token, handleApiError]);
+
+  const fetchLandmarks = useCallback(async () => {
+    try {
+      const response = await apiCallWithAuth(`/navigation/buildings/${buildingId}/landmarks`, token);
+      if (!response.ok) throw new Error('Failed to fetch landmarks');
+      const data = await response.json();
+      setLandmarks(data.data.landmarks || []);
+    } catch (error) {
+      handleApiError(error, 'fetch landmarks');
+    }
+  }, [buildingId, token, handleApiError]);
+
+  // The admin list is paginated (max 100 per page), so walk every page
+  const fetchPaths = useCallback(async () => {
+    try {
+      const all: Path[] = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await apiCallWithAuth(`/admin/paths?building=${buildingId}&limit=100&page=${page}`, token);
+        if (!response.ok) throw new Error('Failed to fetch paths');
+        const data = await response.json();
+        all.push(...(data.data.paths || []));
+        totalPages = data.pagination?.totalPages || 1;
+        page++;
+      } while (page <= totalPages);
+      setPaths(all);
+    } catch (error) {
+      handleApiError(error, 'fetch paths');
+    }
+  }, [buildingId, token, handleApiError]);
+
+  // --- Effects ---
+  useEffect(() => {
+    fetchBuilding();
+    fetchLandmarks();
+    fetchPaths();
+  }, [fetchBuilding, fetchLandmarks, fetchPaths]);
+
+  // Without a map image the plan is a square big enough for the floor's landmarks
+  const blankExtent = useMemo(() => Math.max(
+    BLANK_PLAN_SIZE,
+    ...landmarks.filter(l => l.floor === floor).map(l => Math.max(l.coordinates.x, l.coordinates.y) + 50)
+  ), [landmarks, floor]);
+
+  // Drawing area follows the map image's natural size (landmark coordinates are image pixels)
+  useEffect(() => {
+    if (!currentFloor?.mapImage) {
+      setPlanSize({ width: blankExtent, height: blankExtent });
+      return;
+    }
+    const image = new Image();
+    image.onload = () => setPlanSize({ width: image.naturalWidth, height: image.naturalHeight });
+    image.src = currentFloor.mapImage;
+  }, [currentFloor?.mapImage, blankExtent]);
+
+  useEffect(() => {
+    setSelected(null);
+    setNewLandmark(null);
+    setPathStart(null);
+    setNewPath(null);
+    setCalibration({ points: [], meters: '' });
+    setConflicts([]);
+  }, [floor, mode]);
+
+  useEffect(() => {
+    setFloorDraft({
+      elevation: currentFloor?.elevation?.toString() ?? '',
+      rotation: currentFloor?.rotation?.toString() ?? '',
+      origin: currentFloor?.origin ?? null,
+    });
+  }, [currentFloor, mode]);
+
+  // --- Helpers ---
+  const toPlanPoint = (event: React.PointerEvent | React.MouseEvent): Point => {
+    const svg = svgRef.current;
+    const matrix = svg?.getScreenCTM();
+    if (!svg || !matrix) return { x: 0, y: 0 };
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+    return {
+      x: round1(Math.min(Math.max(point.x, 0), planSize.width)),
+      y: round1(Math.min(Math.max(point.y, 0), planSize.height)),
+    };
+  };
+
+  const metersBetween = (a: Point, b: Point) => (metersPerPixel ? round1(pixelDistance(a, b) * metersPerPixel) : 0);
+
+  // --- Event Handlers ---
+  const handlePlanClick = (event: React.MouseEvent) => {
+    const point = toPlanPoint(event);
+    if (mode === 'place') {
+      setNewLandmark({ point, name: '', type: 'room', roomNumber: '' });
+    } else if (mode === 'calibrate') {
+      setCalibration(prev => ({ ...prev, points: prev.points.length >= 2 ? [point] : [...prev.points, point] }));
+    } else if (mode === 'floor') {
+      setFloorDraft(prev => ({ ...prev, origin: point }));
+    } else if (mode === 'select') {
+      setSelected(null);
+    }
+  };
+
+  const handleLandmarkPointerDown = (event: React.PointerEvent, landmark: Landmark) => {
+    event.stopPropagation();
+    if (mode === 'select') {
+      setSelected(landmark._id);
+      setDragging({ id: landmark._id, moved: false });
+      (event.target as Element).setPointerCapture(event.pointerId);
+    } else if (mode === 'path') {
+      if (!pathStart || pathStart === landmark._id) {
+        setPathStart(landmark._id);
+        return;
+      }
+      const from = landmarkById.get(pathStart)!;
+      const distance = metersBetween(from.coordinates, landmark.coordinates);
+      setNewPath({
+        from: pathStart,
+        to: landmark._id,
+        distance,
+        estimatedTime: Math.max(1, Math.round(distance / WALKING_SPEED)),
+        instructions: `Walk from ${from.name} to ${landmark.name}.`,
+        isBidirectional: true,
+      });
+    }
+  };
+
+  const handlePointerMove = (event: React.PointerEvent) => {
+    if (!dragging) return;
+    const point = toPlanPoint(event);
+    setLandmarks(prev => prev.map(l => (l._id === dragging.id ? { ...l, coordinates: point } : l)));
+    if (!dragging.moved) setDragging({ ...dragging, moved: true });
+  };
+
+  const handlePointerUp = async () => {
+    if (!dragging) return;
+    const { id, moved } = dragging;
+    setDragging(null);
+    if (!moved) return;
+    const landmark = landmarkById.get(id);
+    if (landmark) await saveLandmarkPosition(landmark);
+  };
+
+  // Persist a dragged landmark, then re-measure its same-floor paths
+  const saveLandmarkPosition = async (landmark: Landmark) => {
+    try {
+      const formData = new FormData();
+      formData.append('coordinates', JSON.stringify(landmark.coordinates));
+      const response = await apiCallWithAuth(`/admin/landmarks/${landmark._id}`, token, { method: 'PUT', body: formData });
+      if (!response.ok) throw new Error((await response.json()).message || 'Failed to move landmark');
+
+      if (!metersPerPixel) {
+        toast.success(`Moved ${landmark.name}. Calibrate the floor to update path distances.`);
+        return;
+      }
+      const attached = floorPaths.filter(p => p.from._id === landmark._id || p.to._id === landmark._id);
+      await Promise.all(attached.map(path => {
+        const other = landmarkById.get(path.from._id === landmark._id ? path.to._id : path.from._id)!;
+        const distance = Math.max(0.1, metersBetween(landmark.coordinates, other.coordinates));
+        return apiCallWithAuth(`/admin/paths/${path._id}`, token, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            distance: String(distance),
+            estimatedTime: String(Math.max(1, Math.round(distance / WALKING_SPEED))),
+            difficulty: path.difficulty || 'easy',
+            isBidirectional: String(path.isBidirectional),
+            accessibility: JSON.stringify(path.accessibility || {}),
+          }),
+        });
+      }));
+      toast.success(`Moved ${landmark.name}${attached.length ? ` and updated ${attached.length} path distance(s)` : ''}.`);
+      fetchPaths();
+    } catch (error) {
+      handleApiError(error, 'move landmark');
+      fetchLandmarks();
+    }
+  };
+
+  const createLandmark = async () => {
+    if (!newLandmark || !buildingId) return;
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('name', newLandmark.name.trim());
+      formData.append('building', buildingId);
+      formData.append('floor', floor);
+      formData.append('type', newLandmark.type);
+      if (newLandmark.roomNumber.trim()) formData.append('roomNumber', newLandmark.roomNumber.trim());
+      formData.append('coordinates', JSON.stringify(newLandmark.point));
+      const response = await apiCallWithAuth('/admin/landmarks', token, { method: 'POST', body: formData });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to create landmark');
+      toast.success(`Landmark "${newLandmark.name}" added.`);
+      setNewLandmark(null);
+      fetchLandmarks();
+    } catch (error) {
+      handleApiError(error, 'create landmark');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const createPath = async () => {
+    if (!newPath) return;
+    setSaving(true);
+    try {
+      const response = await apiCallWithAuth('/admin/paths', token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from: newPath.from,
+          to: newPath.to,
+          distance: String(newPath.distance),
+          estimatedTime: String(newPath.estimatedTime),
+          instructions: newPath.instructions,
+          isBidirectional: String(newPath.isBidirectional),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to create path');
+      toast.success(data.message || 'Path created.');
+      setNewPath(null);
+      setPathStart(null);
+      fetchPaths();
+    } catch (error) {
+      handleApiError(error, 'create path');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Send floor fields (and optionally a new map image) for the current floor
+  const saveFloor = async (formData: FormData, context: string, method = 'PUT', suffix = '') => {
+    if (!building) return false;
+    setSaving(true);
+    try {
+      const response = await apiCallWithAuth(
+        `/admin/buildings/${building._id}/floors/${encodeURIComponent(floor)}${suffix}`,
+        token,
+        { method, ...(method === 'PUT' && { body: formData }) }
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || `Failed to ${context}`);
+      setBuilding(data.data.building);
+      setConflicts(data.data.conflicts || []);
+      return true;
+    } catch (error) {
+      handleApiError(error, context);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCalibration = async () => {
+    if (calibration.points.length !== 2) return;
+    const meters = parseFloat(calibration.meters);
+    const pixels = pixelDistance(calibration.points[0], calibration.points[1]);
+    if (!meters || meters <= 0 || pixels === 0) {
+      toast.error('Enter the real-world length of the line you drew.');
+      return;
+    }
+    const formData = new FormData();
+    formData.append('metersPerPixel', String(meters / pixels));
+    if (await saveFloor(formData, 'save calibration')) {
+      setCalibration({ points: [], meters: '' });
+      toast.success(`Scale saved: ${(meters / pixels).toFixed(4)} m per pixel.`);
+    }
+  };
+
+  const uploadMap = async (file: File) => {
+    try {
+      const size = await readImageSize(file);
+      const formData = new FormData();
+      formData.append('mapImage', file);
+      formData.append('mapSize', JSON.stringify(size));
+      if (await saveFloor(formData, 'upload floor map')) {
+        toast.success(`Map uploaded (${size.width}×${size.height}px).`);
+      }
+    } catch (error) {
+      handleApiError(error, 'upload floor map');
+    }
+  };
+
+  const removeMap = async () => {
+    if (await saveFloor(new FormData(), 'remove floor map', 'DELETE', '/map')) {
+      toast.success('Floor map removed.');
+    }
+  };
+
+  const saveFloorSettings = async () => {
+    const formData = new FormData();
+    formData.append('elevation', floorDraft.elevation.trim());
+    formData.append('rotation', floorDraft.rotation.trim());
+    formData.append('origin', floorDraft.origin ? JSON.stringify(floorDraft.origin) : '');
+    if (await saveFloor(formData, 'save floor settings')) {
+      toast.success('Floor settings saved.');
+    }
+  };
+
+  // --- Render Logic ---
+  if (!building) {
+    return (
+      <AdminLayout>
+        <div className="flex items-center justify-center h-64 text-muted-foreground">
+          <Loader2 className="mr-2 h-5 w-5 animate-spin" /> Loading floor plan...
+        </div>
+      </AdminLayout>
+    );
+  }
+
+  const selectedLandmark = selected ? landmarkById.get(selected) : undefined;
+
+  return (
+    <AdminLayout>
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h1 className="text-3xl font-bold">{building.name}: Floor Plan</h1>
+        <Select value={floor} onValueChange={setFloor}>
+          <SelectTrigger className="w-[220px]"><SelectValue placeholder="Select a floor" /></SelectTrigger>
+          <SelectContent>
+            {building.floors.map(f => <SelectItem key={f.number} value={f.number}>{f.name} (Floor {f.number})</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {MODES.map(item => (
+          <Button key={item.mode} variant={mode === item.mode ? 'default' : 'outline'} size="sm" onClick={() => setMode(item.mode)}>
+            <item.icon className="mr-2 h-4 w-4" /> {item.label}
+          </Button>
+        ))}
+        <span className="ml-auto text-sm text-muted-foreground">
+          {metersPerPixel ? `Scale: ${metersPerPixel.toFixed(4)} m/px` : 'Scale not calibrated'}
+        </span>
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-[1fr_320px]">
+        <div className="rounded-md border bg-muted/30 overflow-auto">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${planSize.width} ${planSize.height}`}
+            className={`w-full h-auto select-none ${mode === 'select' ? 'cursor-default' : 'cursor-crosshair'}`}
+            onClick={handlePlanClick}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            {currentFloor?.mapImage ? (
+              <image href={currentFloor.mapImage} width={planSize.width} height={planSize.height} />
+            ) : (
+              <>
+                <defs>
+                  <pattern id="grid" width="50" height="50" patternUnits="userSpaceOnUse">
+                    <path d="M 50 0 L 0 0 0 50" fill="none" stroke="currentColor" strokeOpacity="0.1" />
+                  </pattern>
+                </defs>
+                <rect width={planSize.width} height={planSize.height} fill="url(#grid)" />
+              </>
+            )}
+
+            {floorPaths.map(path => {
+              const from = landmarkById.get(path.from._id)!;
+              const to = landmarkById.get(path.to._id)!;
+              return (
+                <line
+                  key={path._id}
+                  x1={from.coordinates.x} y1={from.coordinates.y}
+                  x2={to.coordinates.x} y2={to.coordinates.y}
+                  stroke="#2563eb" strokeWidth={markerRadius / 2} strokeOpacity={0.7}
+                  strokeDasharray={path.isBidirectional ? undefined : `${markerRadius} ${markerRadius / 2}`}
+                />
+              );
+            })}
+
+            {calibration.points.length > 0 && (
+              <>
+                {calibration.points.length === 2 && (
+                  <line
+                    x1={calibration.points[0].x} y1={calibration.points[0].y}
+                    x2={calibration.points[1].x} y2={calibration.points[1].y}
+                    stroke="#f97316" strokeWidth={markerRadius / 2}
+                  />
+                )}
+                {calibration.points.map((p, i) => <circle key={i} cx={p.x} cy={p.y} r={markerRadius / 2} fill="#f97316" />)}
+              </>
+            )}
+
+            {mode === 'floor' && floorDraft.origin && (
+              <g stroke="#9333ea" strokeWidth={markerRadius / 3}>
+                <line x1={floorDraft.origin.x - markerRadius * 2} y1={floorDraft.origin.y} x2={floorDraft.origin.x + markerRadius * 2} y2={floorDraft.origin.y} />
+                <line x1={floorDraft.origin.x} y1={floorDraft.origin.y - markerRadius * 2} x2={floorDraft.origin.x} y2={floorDraft.origin.y + markerRadius * 2} />
+              </g>
+            )}
+
+            {floorLandmarks.map(landmark => (
+              <g key={landmark._id} onPointerDown={e => handleLandmarkPointerDown(e, landmark)} onClick={e => e.stopPropagation()} className="cursor-pointer">
+                <circle
+                  cx={landmark.coordinates.x} cy={landmark.coordinates.y} r={markerRadius}
+                  fill={landmark._id === selected || landmark._id === pathStart ? '#f97316' : '#16a34a'}
+                  stroke="white" strokeWidth={markerRadius / 4}
+                />
+                <text x={landmark.coordinates.x + markerRadius * 1.4} y={landmark.coordinates.y + markerRadius / 2} fontSize={markerRadius * 1.6} fill="currentColor">
+                  {landmark.name}
+                </text>
+              </g>
+            ))}
+
+            {newLandmark && <circle cx={newLandmark.point.x} cy={newLandmark.point.y} r={markerRadius} fill="#f97316" fillOpacity={0.6} />}
+          </svg>
+        </div>
+
+        <Card>
+          <CardHeader><CardTitle className="text-lg">{MODES.find(m => m.mode === mode)?.label}</CardTitle></CardHeader>
+          <CardContent className="space-y-4 text-sm">
+            {mode === 'select' && (
+              selectedLandmark ? (
+                <div className="space-y-2">
+                  <p className="font-medium">{selectedLandmark.name}</p>
+                  <p className="text-muted-foreground capitalize">{selectedLandmark.type.replace(/_/g, ' ')}</p>
+                  <p className="text-muted-foreground">x {selectedLandmark.coordinates.x}, y {selectedLandmark.coordinates.y}</p>
+                  <Button variant="outline" size="sm" asChild>
+                    <NavLink to={`/admin/landmarks/edit/${selectedLandmark._id}`}>Edit details</NavLink>
+                  </Button>
+                </div>
+              ) : (
+                <p className="text-muted-foreground">Click a landmark to select it, or drag it to a new position.</p>
+              )
+            )}
+
+            {mode === 'place' && (
+              newLandmark ? (
+                <div className="space-y-3">
+                  <div>
+                    <Label htmlFor="landmark-name">Name</Label>
+                    <Input id="landmark-name" value={newLandmark.name} onChange={e => setNewLandmark({ ...newLandmark, name: e.target.value })} />
+                  </div>
+                  <div>
+                    <Label>Type</Label>
+                    <Select value={newLandmark.type} onValueChange={type => setNewLandmark({ ...newLandmark, type })}>
+                      <SelectTrigger><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {landmarkTypes.map(t => <SelectItem key={t} value={t} className="capitalize">{t.replace(/_/g, ' ')}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label htmlFor="landmark-room">Room number (optional)</Label>
+                    <Input id="landmark-room" value={newLandmark.roomNumber} onChange={e => setNewLandmark({ ...newLandmark, roomNumber: e.target.value })} />
+                  </div>
+                  <p className="text-muted-foreground">Position: x {newLandmark.point.x}, y {newLandmark.point.y}</p>
+                  <div className="flex gap-2">
+                    <Button variant="ghost" size="sm" onClick={() => setNewLandmark(null)}>Cancel</Button>
+                    <Button size="sm" onClick={createLandmark} disabled={saving || newLandmark.name.trim().length < 2}>
+                      {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />} Add Landmark
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-muted-foreground">Click on the map where the new landmark should go.</p>
+              )
+            )}
+
+            {mode === 'path' && (
+              newPath ? (
+                <div className="space-y-3">
+                  <p className="font-medium">{landmarkById.get(newPath.from)?.name} → {landmarkById.get(newPath.to)?.name}</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <Label htmlFor="path-distance">Distance (m)</Label>
+                      <Input id="path-distance" type="number" step="0.1" value={newPath.distance} onChange={e => setNewPath({ ...newPath, distance: parseFloat(e.target.value) || 0 })} />
+                    </div>
+                    <div>
+                      <Label htmlFor="path-time">Time (s)</Label>
+                      <Input id="path-time" type="number" value={newPath.estimatedTime} onChange={e => setNewPath({ ...newPath, estimatedTime: parseInt(e.target.value, 10) || 0 })} />
+                    </div>
+                  </div>
+                  {!metersPerPixel && <p className="text-yellow-700">Floor is not calibrated; enter the distance by hand.</p>}
+                  <div>
+                    <Label htmlFor="path-instructions">Instructions</Label>
+                    <Input id="path-instructions" value={newPath.instructions} onChange={e => setNewPath({ ...newPath, instructions: e.target.value })} />
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Checkbox id="path-bidirectional" checked={newPath.isBidirectional} onCheckedChange={c => setNewPath({ ...newPath, isBidirectional: !!c })} />
+                    <Label htmlFor="path-bidirectional">Bidirectional</Label>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="ghost" size="sm" onClick={() => { setNewPath(null); setPathStart(null); }}>Cancel</Button>
+                    <Button size="sm" onClick={createPath} disabled={saving || newPath.distance < 0.1 || newPath.estimatedTime < 1 || newPath.instructions.trim().length < 10}>
+                      {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />} Create Path
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-muted-foreground">
+                  {pathStart ? `From ${landmarkById.get(pathStart)?.name}: now click the destination landmark.` : 'Click the landmark the path starts from.'}
+                </p>
+              )
+            )}
+
+            {mode === 'calibrate' && (
+              <div className="space-y-3">
+                <p className="text-muted-foreground">
+                  Click two points on the map whose real distance you know (e.g. both ends of a corridor), then enter that distance.
+                </p>
+                {calibration.points.length === 2 && (
+                  <>
+                    <p>Line length: {round1(pixelDistance(calibration.points[0], calibration.points[1]))} px</p>
+                    <div>
+                      <Label htmlFor="calibration-meters">Real length (m)</Label>
+                      <Input id="calibration-meters" type="number" step="0.1" value={calibration.meters} onChange={e => setCalibration({ ...calibration, meters: e.target.value })} />
+                    </div>
+                    <Button size="sm" onClick={saveCalibration} disabled={saving || !calibration.meters}>
+                      {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />} Save Scale
+                    </Button>
+                  </>
+                )}
+              </div>
+            )}
+
+            {mode === 'floor' && currentFloor && (
+              <div className="space-y-3">
+                <div>
+                  <Label htmlFor="floor-map">Map image</Label>
+                  <Input id="floor-map" type="file" accept="image/*" disabled={saving}
+                    onChange={e => { const file = e.target.files?.[0]; if (file) uploadMap(file); e.target.value = ''; }} />
+                  <p className="mt-1 text-muted-foreground">
+                    {currentFloor.mapImage
+                      ? `Current map${currentFloor.mapSize ? `: ${currentFloor.mapSize.width}×${currentFloor.mapSize.height}px` : ''}. Uploading replaces it.`
+                      : 'No map yet; landmarks are placed on a blank grid.'}
+                  </p>
+                  {currentFloor.mapImage && (
+                    <Button variant="outline" size="sm" className="mt-2" onClick={removeMap} disabled={saving}>Remove map</Button>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <Label htmlFor="floor-elevation">Elevation (m)</Label>
+                    <Input id="floor-elevation" type="number" step="0.1" value={floorDraft.elevation} onChange={e => setFloorDraft({ ...floorDraft, elevation: e.target.value })} />
+                  </div>
+                  <div>
+                    <Label htmlFor="floor-rotation">Rotation (°)</Label>
+                    <Input id="floor-rotation" type="number" min="0" max="359" value={floorDraft.rotation} onChange={e => setFloorDraft({ ...floorDraft, rotation: e.target.value })} />
+                  </div>
+                </div>
+                <p className="text-muted-foreground">
+                  Elevation is the floor's height above ground level. Rotation is the direction the top of the map faces, in degrees clockwise from north.
+                </p>
+                <p className="text-muted-foreground">
+                  {floorDraft.origin
+                    ? `Origin: x ${floorDraft.origin.x}, y ${floorDraft.origin.y}. `
+                    : 'No origin set. '}
+                  Click the map to mark the building's reference point (e.g. the main stairwell) so floors line up.
+                </p>
+                <div className="flex gap-2">
+                  {floorDraft.origin && <Button variant="ghost" size="sm" onClick={() => setFloorDraft({ ...floorDraft, origin: null })}>Clear origin</Button>}
+                  <Button size="sm" onClick={saveFloorSettings} disabled={saving}>
+                    {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />} Save Settings
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {conflicts.length > 0 && (
+              <div className="space-y-1 rounded-md border border-yellow-300 bg-yellow-50 p-2 text-yellow-800">
+                <p className="font-medium">{conflicts.length} item(s) no longer fit this floor:</p>
+                <ul className="list-disc pl-4">
+                  {conflicts.slice(0, 10).map((conflict, index) => <li key={index}>{conflict.message}</li>)}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default FloorPlanEditor;
@@ -1,8 +1,9 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { z } from "zod";
 import { useToast } from "@/hooks/use-toast";
 import { useNavigate } from "react-router-dom";
-import { apiCall, apiPost } from "@/utils/api";
+import { apiCall, apiEventSource, apiPost, apiPostWithAuth } from "@/utils/api";
+import RouteFloorMap, { FloorSegment } from "@/components/RouteFloorMap";
 
 import { Button } from "@/components/ui/button";
 import {
@@ -23,6 +24,7 @@ import { Alert } from "@/components/ui/alert";
 import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
 import { Label } from "@/components/ui/label";
+import { Input } from "@/components/ui/input";
 import {
   MapPin,
   ArrowLeft,
@@ -49,18 +51,29 @@ interface LandmarkImage {
   caption?: string;
 }
 
+// Open/closed right now by status, opening hours and scheduled closures
+interface LandmarkAvailability {
+  isOpen: boolean;
+  reason: "status" | "hours" | "closure" | null;
+  opensAt: string | null;
+  closesAt: string | null;
+}
+
 interface Landmark {
   _id: string;
   name: string;
   type: string;
   floor: string;
   roomNumber?: string;
+  coordinates?: { x: number; y: number };
   images?: LandmarkImage[];
+  availability?: LandmarkAvailability;
 }
 
 interface RouteStep {
   stepNumber: number;
   landmark: Landmark;
+  path?: { _id: string } | null;
   instructions: string;
   distance: number;
   estimatedTime: number;
@@ -68,25 +81,71 @@ interface RouteStep {
   images?: LandmarkImage[];
 }
 
+interface RouteSummary {
+  distance: number;
+  estimatedTime: number;
+  stairCount: number;
+  elevatorCount: number;
+  maxDifficulty: string;
+  wheelchairAccessible: boolean;
+}
+
+interface RouteAlternative {
+  rank: number;
+  steps: RouteStep[];
+  floorSegments: FloorSegment[];
+  totalDistance: number;
+  totalTime: number;
+  summary: RouteSummary;
+  labels: string[];
+}
+
 interface RouteData {
     steps: RouteStep[];
+    floorSegments: FloorSegment[];
     totalDistance: number;
     totalTime: number;
+    alternatives?: RouteAlternative[];
+    navigationId?: string; // set when the visitor's session is recorded
 }
 
+// A landmark or path closed/reopened by an admin, pushed over the building's event stream
+interface StatusChange {
+  kind: "landmark" | "path";
+  id: string;
+  status: "open" | "closed" | "restricted";
+}
+
+const closedLabel = (availability: LandmarkAvailability) =>
+  availability.opensAt ? `Closed · opens ${availability.opensAt}` : "Closed now";
+
+const ALTERNATIVE_LABELS: Record<string, string> = {
+  fastest: "Fastest",
+  shortest: "Shortest",
+  fewestStairs: "Fewest stairs",
+  allAccessible: "All accessible"
+};
+
 // ----- Component -----
 const NavigationPage = () => {
   const [formData, setFormData] = useState({ building: "", from: "", to: "" });
   const [preferences, setPreferences] = useState({ wheelchairAccessible: false, avoidStairs: false });
+  // datetime-local value; empty means leave now
+  const [departureTime, setDepartureTime] = useState("");
   const [errors, setErrors] = useState<Record<string, string>>({});
   const [isLoading, setIsLoading] = useState(false);
   const [buildings, setBuildings] = useState<{ id: string; name: string }[]>([]);
   const [landmarks, setLandmarks] = useState<Landmark[]>([]);
   const [route, setRoute] = useState<RouteData | null>(null);
+  const [selectedAlternative, setSelectedAlternative] = useState(1);
   const [visitorToken, setVisitorToken] = useState<string | null>(null);
 
   const [navigationStage, setNavigationStage] = useState<'form' | 'navigating'>('form');
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
+  // Why the route is being recalculated, while it is
+  const [rerouting, setRerouting] = useState<"off_route" | "closure" | null>(null);
+  // Where the visitor says they are after going off-route
+  const [offRouteLandmark, setOffRouteLandmark] = useState("");
 
   const { toast } = useToast();
   const navigate = useNavigate();
@@ -151,6 +210,20 @@ const NavigationPage = () => {
   };
 
   // ----- Route Calculation Logic -----
+  const requestRoute = async (body: object) => {
+    // Send the visitor token so the session is recorded in their history
+    let res = visitorToken
+      ? await apiPostWithAuth("/navigation/route", visitorToken, body)
+      : await apiPost("/navigation/route", body);
+    if (res.status === 401 && visitorToken) {
+      // Expired or revoked visitor token: forget it and route anonymously
+      localStorage.removeItem("visitorToken");
+      setVisitorToken(null);
+      res = await apiPost("/navigation/route", body);
+    }
+    return res.json();
+  };
+
   const calculateAndSetRoute = async (routeParams: z.infer<typeof navigationSchema>) => {
     setIsLoading(true);
     setErrors({});
@@ -162,11 +235,16 @@ const NavigationPage = () => {
         return;
       }
 
-      const res = await apiPost("/navigation/route", { ...routeParams, preferences });
-      const data = await res.json();
+      const data = await requestRoute({
+        ...routeParams,
+        preferences,
+        alternatives: 3,
+        ...(departureTime && { departureTime: new Date(departureTime).toISOString() })
+      });
 
       if (data.success) {
         setRoute(data.data.route);
+        setSelectedAlternative(1);
         toast({ title: "Route Calculated", description: "Your navigation route is ready!" });
       } else {
         toast({ title: "Error", description: data.message || "Failed to calculate route", variant: "destructive" });
@@ -211,6 +289,18 @@ const NavigationPage = () => {
     });
   };
 
+  // ----- Switch between alternative routes -----
+  const handleSelectAlternative = (alternative: RouteAlternative) => {
+    setSelectedAlternative(alternative.rank);
+    setRoute(prev => prev && {
+      ...prev,
+      steps: alternative.steps,
+      floorSegments: alternative.floorSegments,
+      totalDistance: alternative.totalDistance,
+      totalTime: alternative.totalTime
+    });
+  };
+
   // --- NAVIGATION HANDLERS ---
   const handleStartNavigation = () => {
     if (route) {
@@ -231,6 +321,75 @@ const NavigationPage = () => {
       }
   };
 
+  // ----- Live closures while navigating -----
+  // The stream outlives renders, so it calls the latest handler through a ref
+  const onStatusChange = useRef<(change: StatusChange) => void>(() => {});
+  useEffect(() => {
+    if (navigationStage !== 'navigating' || !formData.building) return;
+    const events = apiEventSource(`/navigation/buildings/${formData.building}/events`);
+    events.addEventListener("status", (event) => {
+      onStatusChange.current(JSON.parse((event as MessageEvent).data));
+    });
+    return () => events.close();
+  }, [navigationStage, formData.building]);
+
+  // New route to the same destination from `current`. Recorded sessions are
+  // rerouted on the server, which logs the deviation in the visitor's history.
+  const rerouteFrom = async (current: Landmark, message: string, reason: "off_route" | "closure", avoidPaths: string[] = []) => {
+    if (!route) return;
+    setRerouting(reason);
+    try {
+      const data = route.navigationId && visitorToken
+        ? await (await apiPostWithAuth(`/navigation/route/${route.navigationId}/reroute`, visitorToken, {
+            currentLandmark: current._id,
+            currentStep: currentStepIndex,
+            reason,
+            preferences,
+            excludePaths: avoidPaths
+          })).json()
+        : await requestRoute({ building: formData.building, from: current._id, to: formData.to, preferences, excludePaths: avoidPaths });
+      if (data.success) {
+        setRoute(data.data.route);
+        setSelectedAlternative(1);
+        setCurrentStepIndex(1);
+        setOffRouteLandmark("");
+        toast({ title: "Route Updated", description: `${message} Continue from ${current.name}.` });
+      } else {
+        toast({ title: "Route Blocked", description: `${message} ${data.message || "No other route is available."}`, variant: "destructive" });
+      }
+    } catch (error) {
+      toast({ title: "Error", description: "Could not update your route", variant: "destructive" });
+    } finally {
+      setRerouting(null);
+    }
+  };
+
+  const handleOffRoute = () => {
+    const current = landmarks.find(lm => lm._id === offRouteLandmark);
+    if (current) rerouteFrom(current, "Finding your way back.", "off_route");
+  };
+
+  // Only closures on the part still ahead matter; reopenings never break a route
+  useEffect(() => {
+    onStatusChange.current = (statusChange) => {
+      if (!route || navigationStage !== 'navigating' || statusChange.status === "open") return;
+      const ahead = route.steps.slice(currentStepIndex);
+      const affected = ahead.find(step => statusChange.kind === "path"
+        ? step.path?._id === statusChange.id
+        : step.landmark._id === statusChange.id);
+      if (affected) {
+        rerouteFrom(
+          route.steps[currentStepIndex - 1].landmark,
+          statusChange.kind === "path"
+            ? `The way to ${affected.landmark.name} is now ${statusChange.status}.`
+            : `${affected.landmark.name} is now ${statusChange.status}.`,
+          "closure",
+          statusChange.kind === "path" ? [statusChange.id] : []
+        );
+      }
+    };
+  });
+
   const currentActiveStep = route?.steps[currentStepIndex];
 
   // ----- Helpers -----
@@ -277,9 +436,10 @@ const NavigationPage = () => {
                 <CardContent>
                 <form onSubmit={handleSubmit} className="space-y-4">
                     <div className="space-y-2"><Label htmlFor="building">Building</Label><Select value={formData.building} onValueChange={v => handleInputChange("building", v)}><SelectTrigger className={errors.building ? "border-destructive" : ""}><SelectValue placeholder="Select a building" /></SelectTrigger><SelectContent>{buildings.map(b => <SelectItem key={b.id} value={b.id}>{b.name}</SelectItem>)}</SelectContent></Select>{errors.building && <p className="text-sm text-destructive">{errors.building}</p>}</div>
-                    <div className="space-y-2"><Label htmlFor="from">From (Starting Point)</Label><Select value={formData.from} onValueChange={v => handleInputChange("from", v)} disabled={!formData.building}><SelectTrigger className={errors.from ? "border-destructive" : ""}><SelectValue placeholder="Select starting location" /></SelectTrigger><SelectContent>{landmarks.map(lm => (<SelectItem key={lm._id} value={lm._id}><div className="flex items-center space-x-2"><span>{getTypeIcon(lm.type)}</span><span>{lm.name}</span>{lm.roomNumber && <Badge variant="outline">{lm.roomNumber}</Badge>}<Badge variant="secondary">Floor {lm.floor}</Badge></div></SelectItem>))}</SelectContent></Select>{errors.from && <p className="text-sm text-destructive">{errors.from}</p>}</div>
-                    <div className="space-y-2"><Label htmlFor="to">To (Destination)</Label><Select value={formData.to} onValueChange={v => handleInputChange("to", v)} disabled={!formData.building}><SelectTrigger className={errors.to ? "border-destructive" : ""}><SelectValue placeholder="Select destination" /></SelectTrigger><SelectContent>{landmarks.map(lm => (<SelectItem key={lm._id} value={lm._id}><div className="flex items-center space-x-2"><span>{getTypeIcon(lm.type)}</span><span>{lm.name}</span>{lm.roomNumber && <Badge variant="outline">{lm.roomNumber}</Badge>}<Badge variant="secondary">Floor {lm.floor}</Badge></div></SelectItem>))}</SelectContent></Select>{errors.to && <p className="text-sm text-destructive">{errors.to}</p>}</div>
+                    <div className="space-y-2"><Label htmlFor="from">From (Starting Point)</Label><Select value={formData.from} onValueChange={v => handleInputChange("from", v)} disabled={!formData.building}><SelectTrigger className={errors.from ? "border-destructive" : ""}><SelectValue placeholder="Select starting location" /></SelectTrigger><SelectContent>{landmarks.map(lm => (<SelectItem key={lm._id} value={lm._id}><div className="flex items-center space-x-2"><span>{getTypeIcon(lm.type)}</span><span>{lm.name}</span>{lm.roomNumber && <Badge variant="outline">{lm.roomNumber}</Badge>}<Badge variant="secondary">Floor {lm.floor}</Badge>{lm.availability && !lm.availability.isOpen && <Badge variant="destructive">{closedLabel(lm.availability)}</Badge>}</div></SelectItem>))}</SelectContent></Select>{errors.from && <p className="text-sm text-destructive">{errors.from}</p>}</div>
+                    <div className="space-y-2"><Label htmlFor="to">To (Destination)</Label><Select value={formData.to} onValueChange={v => handleInputChange("to", v)} disabled={!formData.building}><SelectTrigger className={errors.to ? "border-destructive" : ""}><SelectValue placeholder="Select destination" /></SelectTrigger><SelectContent>{landmarks.map(lm => (<SelectItem key={lm._id} value={lm._id}><div className="flex items-center space-x-2"><span>{getTypeIcon(lm.type)}</span><span>{lm.name}</span>{lm.roomNumber && <Badge variant="outline">{lm.roomNumber}</Badge>}<Badge variant="secondary">Floor {lm.floor}</Badge>{lm.availability && !lm.availability.isOpen && <Badge variant="destructive">{closedLabel(lm.availability)}</Badge>}</div></SelectItem>))}</SelectContent></Select>{errors.to && <p className="text-sm text-destructive">{errors.to}</p>}</div>
                     <div className="flex items-center space-x-4 mt-2"><div className="flex items-center space-x-2"><Switch id="wheelchairAccessible" checked={preferences.wheelchairAccessible} onCheckedChange={checked => setPreferences(prev => ({ ...prev, wheelchairAccessible: checked }))} /><Label htmlFor="wheelchairAccessible" className="mb-0">Wheelchair Accessible</Label></div><div className="flex items-center space-x-2"><Switch id="avoidStairs" checked={preferences.avoidStairs} onCheckedChange={checked => setPreferences(prev => ({ ...prev, avoidStairs: checked }))} /><Label htmlFor="avoidStairs" className="mb-0">Avoid Stairs</Label></div></div>
+                    <div className="space-y-2"><Label htmlFor="departureTime">Leave at</Label><Input id="departureTime" type="datetime-local" value={departureTime} onChange={e => setDepartureTime(e.target.value)} /><p className="text-xs text-muted-foreground">Leave empty to go now. Opening hours and scheduled closures are checked for this time.</p></div>
                     <Button type="submit" className="w-full" disabled={isLoading}>{isLoading ? "Calculating..." : "Calculate Route"}</Button>
                 </form>
                 </CardContent>
@@ -295,6 +455,27 @@ const NavigationPage = () => {
                         <div className="flex-1 text-center"><div className="font-medium mb-1">{route.steps[route.steps.length - 1].landmark.name}</div><img src={getLandmarkImageUrl(route.steps[route.steps.length - 1].landmark.images, route.steps[route.steps.length - 1].landmark.name)} alt={route.steps[route.steps.length - 1].landmark.name} className="w-full h-40 object-cover rounded-lg border"/></div>
                     </div>
                     <div className="grid grid-cols-2 gap-4 p-4 bg-muted rounded-lg"><div className="flex items-center space-x-2"><Clock className="h-5 w-5 text-primary" /><span>{Math.round(route.totalTime)} mins</span></div><div className="flex items-center space-x-2"><Route className="h-5 w-5 text-primary" /><span>{Math.round(route.totalDistance)} m</span></div></div>
+                    {route.alternatives && route.alternatives.length > 1 && (
+                      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                        {route.alternatives.map(alt => (
+                          <button
+                            key={alt.rank}
+                            type="button"
+                            onClick={() => handleSelectAlternative(alt)}
+                            className={`text-left p-3 rounded-lg border text-sm ${selectedAlternative === alt.rank ? "border-primary bg-primary/5" : "border-border"}`}
+                          >
+                            <div className="flex flex-wrap gap-1 mb-1">
+                              {alt.labels.length > 0
+                                ? alt.labels.map(label => <Badge key={label} variant="secondary">{ALTERNATIVE_LABELS[label] || label}</Badge>)
+                                : <Badge variant="outline">Option {alt.rank}</Badge>}
+                            </div>
+                            <div>{Math.round(alt.summary.estimatedTime)} mins · {alt.summary.distance} m</div>
+                            <div className="text-muted-foreground">{alt.summary.stairCount} stairs · {alt.summary.elevatorCount} elevators</div>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {route.floorSegments?.length > 0 && <RouteFloorMap segments={route.floorSegments} currentStep={1} />}
                     <div className="space-y-3 max-h-48 overflow-y-auto pr-2">{route.steps.map(step => (<Alert key={step.stepNumber} variant="default" className="flex items-center justify-between"><div className="flex items-center space-x-2"><span>{getTypeIcon(step.landmark.type)}</span><div><div className="font-medium">{step.landmark.name}</div><div className="text-sm">{step.instructions}</div></div></div><Badge className={getDifficultyColor(step.difficulty)}>{step.difficulty}</Badge></Alert>))}</div>
                     <div className="flex space-x-2 mt-4">
                         <Button className="flex-1" onClick={handleStartNavigation}>Start Navigation</Button>
@@ -323,10 +504,23 @@ const NavigationPage = () => {
                             </Button>
                         </div>
 
+                        {route && route.floorSegments?.length > 0 && currentActiveStep && (
+                            <div className="mb-4">
+                                <RouteFloorMap segments={route.floorSegments} currentStep={currentActiveStep.stepNumber} />
+                            </div>
+                        )}
+
                         <div className="aspect-video bg-muted rounded-lg flex items-center justify-center overflow-hidden mb-4">
                             {currentActiveStep && <img src={getLandmarkImageUrl(currentActiveStep.landmark.images, currentActiveStep.landmark.name)} alt={currentActiveStep.landmark.name} className="w-full h-full object-cover" />}
                         </div>
 
+                        {rerouting && (
+                            <Alert className="mb-4 flex items-center space-x-2">
+                                <RefreshCw className="h-4 w-4 animate-spin" />
+                                <span>{rerouting === "closure" ? "Part of your route closed. Finding a new way..." : "Finding a new way from where you are..."}</span>
+                            </Alert>
+                        )}
+
                         <div className="p-4 bg-secondary rounded-lg text-center mb-4">
                             <p className="text-lg font-semibold">{currentActiveStep?.instructions}</p>
                             <p className="text-sm text-muted-foreground mt-1">
@@ -342,6 +536,23 @@ const NavigationPage = () => {
                                 Next <ChevronRight className="h-4 w-4 ml-2" />
                             </Button>
                         </div>
+
+                        <div className="mt-4 space-y-2">
+                            <Label htmlFor="offRoute">Not where you expected?</Label>
+                            <div className="flex gap-2">
+                                <Select value={offRouteLandmark} onValueChange={setOffRouteLandmark}>
+                                    <SelectTrigger id="offRoute"><SelectValue placeholder="I'm at..." /></SelectTrigger>
+                                    <SelectContent>
+                                        {landmarks.filter(lm => lm._id !== formData.to).map(lm => (
+                                            <SelectItem key={lm._id} value={lm._id}>{lm.name} · Floor {lm.floor}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                                <Button variant="outline" onClick={handleOffRoute} disabled={!offRouteLandmark || Boolean(rerouting)}>
+                                    <RefreshCw className="h-4 w-4 mr-2" /> Reroute
+                                </Button>
+                            </div>
+                        </div>
                     </CardContent>
                 </Card>
             </div>
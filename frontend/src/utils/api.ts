@@ -43,6 +43,23 @@ export const apiPost = async (endpoint: string, data: any): Promise<Response> =>
   });
 };
 
+/**
+ * POST request with an explicit (admin or visitor) token
+ */
+export const apiPostWithAuth = async (
+  endpoint: string,
+  token: string,
+  data: unknown
+): Promise<Response> => {
+  return apiCallWithAuth(endpoint, token, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(data),
+  });
+};
+
 /**
  * PUT request with authentication
  */
@@ -73,4 +90,10 @@ export const apiDelete = async (
   return apiCallWithAuth(endpoint, token, {
     method: 'DELETE',
   });
-};
\ No newline at end of file
+};
+/**
+ * Server-Sent Events stream (EventSource cannot send an Authorization header)
+ */
+export const apiEventSource = (endpoint: string): EventSource => {
+  return new EventSource(`${API_BASE_URL}${endpoint}`);
+};